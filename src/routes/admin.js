@@ -0,0 +1,167 @@
+const crypto = require("crypto");
+const express = require("express");
+const logger = require("../utils/logger");
+const deliveryStore = require("../services/deliveryStore");
+const reviewDataset = require("../services/reviewDataset");
+const feedback = require("../services/feedback");
+const dryRun = require("../services/dryRun");
+const services = require("../services/services");
+const webhookHandler = require("../webhooks/handler");
+
+const router = express.Router();
+
+/**
+ * Requires `Authorization: Bearer <ADMIN_TOKEN>`. Admin routes are
+ * disabled entirely when ADMIN_TOKEN is not set.
+ */
+const requireAdmin = (req, res, next) => {
+    const adminToken = process.env.ADMIN_TOKEN;
+
+    if (!adminToken) {
+        return res.status(404).json({ message: "Admin API is disabled" });
+    }
+
+    const header = req.headers.authorization || "";
+    const provided = Buffer.from(header.replace(/^Bearer\s+/i, ""));
+    const expected = Buffer.from(adminToken);
+
+    if (
+        provided.length !== expected.length ||
+        !crypto.timingSafeEqual(provided, expected)
+    ) {
+        logger.warn("Rejected admin request", { path: req.path });
+        return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    next();
+};
+
+router.use(requireAdmin);
+
+// List recent deliveries.
+router.get("/deliveries", (req, res) => {
+    const { event, status, repo } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    res.json({ deliveries: deliveryStore.list({ limit, event, status, repo }) });
+});
+
+// Full delivery record, including the payload.
+router.get("/deliveries/:id", (req, res) => {
+    const delivery = deliveryStore.get(req.params.id);
+
+    if (!delivery) {
+        return res.status(404).json({ message: "Delivery not found" });
+    }
+
+    res.json({ ...delivery, payload: deliveryStore.getPayload(delivery.id) });
+});
+
+// Replay a stored delivery through the webhook handler.
+router.post("/deliveries/:id/replay", async (req, res) => {
+    const delivery = deliveryStore.get(req.params.id);
+
+    if (!delivery) {
+        return res.status(404).json({ message: "Delivery not found" });
+    }
+
+    const payload = deliveryStore.getPayload(delivery.id);
+    if (!payload) {
+        return res.status(410).json({ message: "Delivery payload is no longer stored" });
+    }
+
+    logger.info("Replaying delivery", {
+        id: delivery.id,
+        event: delivery.event,
+    });
+
+    deliveryStore.markReplayed(delivery.id);
+
+    try {
+        await webhookHandler.handleDelivery(delivery.id, delivery.event, payload);
+        res.json({ message: "Delivery replayed", id: delivery.id, status: "processed" });
+    } catch (error) {
+        res.status(500).json({
+            message: "Replay failed",
+            id: delivery.id,
+            status: "failed",
+            error: error.message,
+        });
+    }
+});
+
+// Acceptance of the bot's comments, from reactions and resolved threads.
+router.get("/feedback", (req, res) => {
+    const { repo, since } = req.query;
+    const interval = ["day", "week", "month"].includes(req.query.interval)
+        ? req.query.interval
+        : "week";
+
+    if (since && Number.isNaN(new Date(since).getTime())) {
+        return res.status(400).json({ message: "'since' must be a date" });
+    }
+
+    res.json(feedback.report({ repo, since, interval }));
+});
+
+// Collect feedback for recently reviewed PRs now instead of waiting for the sweep.
+router.post("/feedback/collect", (req, res) => {
+    res.status(202).json({ message: "Feedback collection queued", pullRequests: feedback.enqueueRecent() });
+});
+
+// Human review dataset as JSONL (see src/scripts/exportDataset.js).
+router.get("/dataset/export", (req, res) => {
+    res.type("application/x-ndjson");
+    reviewDataset.exportJsonl(res);
+    res.end();
+});
+
+// Dry-run settings and the PRs (and commits) with recorded writes.
+router.get("/dry-run", (req, res) => {
+    res.json({ settings: dryRun.settings(), targets: dryRun.list({ repo: req.query.repo }) });
+});
+
+// Switch dry-run mode globally, or for one repository with 'repo'. null removes the override.
+router.put("/dry-run", (req, res) => {
+    const { enabled, repo } = req.body || {};
+
+    if (enabled !== null && typeof enabled !== "boolean") {
+        return res.status(400).json({ message: "'enabled' must be true, false or null" });
+    }
+    if (repo !== undefined && !/^[^/\s]+\/[^/\s]+$/.test(repo)) {
+        return res.status(400).json({ message: "'repo' must be 'owner/name'" });
+    }
+
+    dryRun.setEnabled(enabled, repo);
+    res.json(dryRun.settings());
+});
+
+// What would have been posted on a PR, oldest first.
+router.get("/dry-run/:owner/:repo/pulls/:number", (req, res) => {
+    const target = dryRun.get(`${req.params.owner}/${req.params.repo}`, Number(req.params.number));
+
+    if (!target) {
+        return res.status(404).json({ message: "Nothing recorded for this pull request" });
+    }
+
+    res.json(target);
+});
+
+// What would have been posted on a PR, compared with what the live mode posted.
+router.get("/dry-run/:owner/:repo/pulls/:number/diff", async (req, res) => {
+    const repo = `${req.params.owner}/${req.params.repo}`;
+    const number = Number(req.params.number);
+    const target = dryRun.get(repo, number);
+
+    if (!target) {
+        return res.status(404).json({ message: "Nothing recorded for this pull request" });
+    }
+
+    try {
+        res.json(await dryRun.compare(services.forInstallation(target.installationId), repo, number));
+    } catch (error) {
+        res.status(502).json({ message: "Could not fetch what was posted", error: error.message });
+    }
+});
+
+module.exports = router;
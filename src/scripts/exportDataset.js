@@ -0,0 +1,23 @@
+/**
+ * Exports the human review dataset as JSONL (hunk, human comment, bot
+ * findings) triples.
+ *
+ * Usage: npm run dataset:export [-- output.jsonl]
+ * Writes to stdout when no output file is given.
+ */
+require("dotenv").config({ quiet: true });
+// Only warnings and errors, which go to stderr.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "warn";
+const fs = require("fs");
+const reviewDataset = require("../services/reviewDataset");
+
+const outputPath = process.argv[2];
+const output = outputPath ? fs.createWriteStream(outputPath) : process.stdout;
+
+const count = reviewDataset.exportJsonl(output);
+
+if (outputPath) {
+    output.end(() => {
+        console.error(`Exported ${count} triple(s) to ${outputPath}`);
+    });
+}
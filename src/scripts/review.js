@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Reviews local changes from the command line, before a PR is opened.
+ *
+ * Usage: npm run review -- [options]
+ *   (no options)         uncommitted changes (git diff HEAD), including untracked files
+ *   --staged             staged changes only
+ *   --base <ref>         changes on --head (default HEAD) since it branched off <ref>
+ *   --diff <file>        a diff file, '-' for stdin
+ *   --format <format>    text (default), json or sarif
+ *   --output <file>      write the report to a file instead of stdout
+ *   --fail-on <severity> exit with 1 when a finding is at least this severe
+ *                        (default: check_fail_severity from .ai-review.yml; 'none' never fails)
+ *   --config <file>      config to use instead of the repository's .ai-review.yml
+ *   --no-ai              only run the secret and dependency scanners
+ *
+ * Exits with 0 when nothing reaches the --fail-on severity, 1 when
+ * something does, and 2 when the review could not run.
+ */
+require("dotenv").config({ quiet: true });
+const os = require("os");
+const path = require("path");
+// Only warnings and errors, which go to stderr.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "warn";
+// Keep local state (metrics) out of the repository being reviewed.
+process.env.DATA_DIR = process.env.DATA_DIR || path.join(os.tmpdir(), "ai-review");
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { SEVERITIES } = require("../services/findings");
+const localReview = require("../services/localReview");
+
+const FORMATS = {
+    text: (result) => localReview.formatText(result),
+    json: (result) => localReview.formatJson(result),
+    sarif: (result) => localReview.formatSarif(result),
+};
+
+const main = async () => {
+    const { values } = parseArgs({
+        options: {
+            staged: { type: "boolean", default: false },
+            base: { type: "string" },
+            head: { type: "string" },
+            diff: { type: "string" },
+            format: { type: "string", default: "text" },
+            output: { type: "string" },
+            "fail-on": { type: "string" },
+            config: { type: "string" },
+            "no-ai": { type: "boolean", default: false },
+        },
+    });
+
+    if (!FORMATS[values.format]) {
+        throw new Error(`--format must be one of ${Object.keys(FORMATS).join(", ")}`);
+    }
+    if (values["fail-on"] && !SEVERITIES.includes(values["fail-on"]) && values["fail-on"] !== "none") {
+        throw new Error(`--fail-on must be one of ${SEVERITIES.join(", ")}, none`);
+    }
+    if (values.head && !values.base) {
+        throw new Error("--head needs --base");
+    }
+
+    const result = await localReview.run({
+        cwd: process.cwd(),
+        diffFile: values.diff,
+        staged: values.staged,
+        base: values.base,
+        head: values.head,
+        configFile: values.config,
+        ai: !values["no-ai"],
+    });
+
+    const report = `${FORMATS[values.format](result)}\n`;
+    if (values.output) {
+        fs.writeFileSync(values.output, report);
+    } else {
+        process.stdout.write(report);
+    }
+
+    return localReview.exitCode(result, values["fail-on"] || result.config.checkFailSeverity);
+};
+
+main().then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (error) => {
+        console.error(`ai-review: ${error.message}`);
+        process.exitCode = 2;
+    },
+);
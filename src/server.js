@@ -1,19 +1,33 @@
 require("dotenv").config();
 const express = require("express");
-const { Webhooks } = require("@octokit/webhooks");
 const logger = require("./utils/logger");
 const webhookHandler = require("./webhooks/handler");
+const validator = require("./webhooks/validator");
+const reviewQueue = require("./services/reviewQueue");
+const metrics = require("./services/metrics");
+const deliveryStore = require("./services/deliveryStore");
+const feedback = require("./services/feedback");
+const pushAnalyzer = require("./services/pushAnalyzer");
+const adminRouter = require("./routes/admin");
+const githubAuth = require("./services/githubAuth");
+
+// Fail at startup rather than on the first webhook.
+if (!githubAuth.isConfigured()) {
+    throw new Error("Github Token or GitHub App credentials are required.");
+}
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Initialize GitHub Webhooks
-const webhooks = new Webhooks({
-    secret: process.env.GITHUB_WEBHOOK_SECRET,
-});
-
-// Middleware to parse JSON
-app.use(express.json());
+// Middleware to parse JSON, keeping the raw bytes for signature checks.
+app.use(
+    express.json({
+        limit: validator.maxPayloadBytes,
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    }),
+);
 
 // Health Check Endpoint.
 app.get("/health", (req, res) => {
@@ -42,31 +56,58 @@ app.post("/api/webhooks", async (req, res) => {
         // console.log('Signature header:', signature ? 'present' : 'MISSING');
         // console.log('Body:', req.body ? 'present' : 'MISSING');
 
-        // Verify the webhook siganture.
-        const isValid = await webhooks.verify(
-            JSON.stringify(req.body),
-            signature,
-        );
+        // Verify the webhook siganture against the exact bytes GitHub signed.
+        const isValid = validator.verifySignature(req.rawBody, signature);
 
         if (!isValid) {
             logger.warn("Invalid webhook signature", { event, id });
+            metrics.increment("webhook_signature_failures_total");
             return res.status(401).json({ message: "Invalid signature" });
         }
 
+        if (!id) {
+            return res.status(400).json({ message: "Missing delivery ID" });
+        }
+
+        // Reject payloads the handlers can't process instead of failing later.
+        const { valid, errors } = validator.validatePayload(event, req.body);
+        if (!valid) {
+            logger.warn("Invalid webhook payload", { event, id, errors });
+            return res.status(400).json({ message: "Invalid payload", errors });
+        }
+
+        // GitHub redelivers webhooks; only process each delivery once.
+        const { duplicate } = deliveryStore.record(id, event, req.body);
+        if (duplicate) {
+            return res.status(200).json({
+                message: "Duplicate delivery ignored",
+                received: true,
+                duplicate: true,
+            });
+        }
+
+        // Counted here so redeliveries and admin replays aren't counted again.
+        metrics.increment("webhook_deliveries_total", {
+            event,
+            action: req.body.action || "none",
+            // Installation events aren't about one repository.
+            ...(req.body.repository && { repo: req.body.repository.full_name }),
+        });
+
         // Respond Immediately to GitHub (to avoid timeouts).
         res.status(200).json({ message: "Webhook received", received: true });
 
         // Process the webhook asynchronously.
         setImmediate(async () => {
             try {
-                await webhookHandler.handleEvent(event, req.body)
+                await webhookHandler.handleDelivery(id, event, req.body);
             } catch (error) {
+                // The outcome is recorded in the delivery store for replay.
                 logger.error("Error processing webhook", {
                     event,
                     id,
                     error: error.message,
                 });
-                throw error;
             }
         });
     } catch (error) {
@@ -75,27 +116,81 @@ app.post("/api/webhooks", async (req, res) => {
     }
 });
 
+// Admin API (delivery history and replay).
+app.use("/admin", adminRouter);
+
+/**
+ * Refreshes gauges that reflect current state rather than counts.
+ */
+const collectGauges = () => {
+    Object.entries(reviewQueue.getCounts()).forEach(([state, count]) => {
+        metrics.set("queue_jobs", { state }, count);
+    });
+};
+
 // Stats Endpoint
 app.get("/stats", (req, res) => {
-    res.json({ message: "Stats Endpoint not implemented yet!" });
+    collectGauges();
+    res.json(metrics.toJSON());
+});
+
+// Prometheus Metrics Endpoint
+app.get("/metrics", (req, res) => {
+    collectGauges();
+    res.type("text/plain; version=0.0.4").send(metrics.toPrometheus());
 });
 
 // Error Handling middleware.
 app.use((err, req, res, next) => {
+    // Body parser errors (malformed JSON, payload too large) are client errors.
+    if (err.status >= 400 && err.status < 500) {
+        logger.warn("Rejected request", { path: req.path, error: err.message });
+        return res.status(err.status).json({ message: err.message });
+    }
+
     logger.error("Unhandled error", { error: err.message });
     res.status(500).json({ message: "Someting Went Wrong!" });
 });
 
+// Review workers.
+reviewQueue.process("review", (job) => webhookHandler.processReview(job.data));
+reviewQueue.process("explain", (job) => webhookHandler.processExplain(job.data));
+reviewQueue.process("reply", (job) => webhookHandler.processReply(job.data));
+reviewQueue.process("feedback", (job) => feedback.collect(job.data));
+reviewQueue.process("push", (job) => pushAnalyzer.run(job.data));
+reviewQueue.start();
+
+// Sweep recently reviewed PRs for reactions on the bot's comments.
+const feedbackInterval = parseInt(process.env.FEEDBACK_INTERVAL_MS ?? "21600000", 10);
+if (feedbackInterval > 0) {
+    setInterval(() => {
+        try {
+            const queued = feedback.enqueueRecent();
+            logger.info("Queued feedback collection", { pullRequests: queued });
+        } catch (error) {
+            logger.error("Error queueing feedback collection", { error: error.message });
+        }
+    }, feedbackInterval).unref();
+}
+
 // Start the server.
-app.listen(port, () => {
+const server = app.listen(port, () => {
     logger.info(`Server is running on port ${port}`);
     logger.info(
         "Webhook endpint running!",
     );
 });
 
-// Graceful shutdown.
-process.on("SIGINT", () => {
-    logger.info("Shutting down server");
+// Graceful shutdown: stop taking webhooks, then drain the review queue.
+const shutdown = async (signal) => {
+    logger.info("Shutting down server", { signal });
+    server.close();
+    await reviewQueue.shutdown(
+        parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 30000,
+    );
+    metrics.flush();
     process.exit();
-});
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
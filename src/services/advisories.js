@@ -0,0 +1,123 @@
+const fs = require("fs");
+const logger = require("../utils/logger");
+const { normalizeFinding } = require("./findings");
+const { normalizeName, minimumVersion, satisfies } = require("./manifests");
+
+// Ecosystem names other tools use for the ones in manifests.js.
+const ECOSYSTEM_ALIASES = {
+    "crates.io": "cargo",
+    golang: "go",
+    pip: "pypi",
+    gem: "rubygems",
+};
+
+/**
+ * Checks dependency changes against a local advisory file, so known-bad
+ * versions are flagged without calling any external service.
+ *
+ * ADVISORY_FILE points to a JSON array (or {"advisories": [...]}) of:
+ * {
+ *   id: 'GHSA-35jh-r3h4-6jhm',
+ *   ecosystem: 'npm',          // npm, pypi, go, cargo or rubygems
+ *   package: 'lodash',
+ *   vulnerable: '<4.17.21',    // range, see manifests.satisfies
+ *   severity: 'high',          // optional, defaults to high
+ *   summary: 'Command injection in template()',
+ *   fixed: '4.17.21'           // optional
+ * }
+ *
+ * The file is re-read when it changes.
+ */
+class AdvisoryDatabase {
+    constructor() {
+        this.cache = null;
+    }
+
+    /**
+     * Loads the advisories from ADVISORY_FILE.
+     * @returns {Array<object>} Empty when no file is configured or it can't be read
+     */
+    load() {
+        const filePath = process.env.ADVISORY_FILE;
+
+        if (!filePath) {
+            return [];
+        }
+
+        try {
+            const { mtimeMs } = fs.statSync(filePath);
+            if (this.cache && this.cache.filePath === filePath && this.cache.mtimeMs === mtimeMs) {
+                return this.cache.advisories;
+            }
+
+            const parsed = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+            const advisories = (Array.isArray(parsed) ? parsed : parsed.advisories || [])
+                .filter((advisory) => advisory && advisory.ecosystem && advisory.package && advisory.vulnerable)
+                .map((advisory) => {
+                    const ecosystem = String(advisory.ecosystem).toLowerCase();
+                    return {
+                        ...advisory,
+                        ecosystem: ECOSYSTEM_ALIASES[ecosystem] || ecosystem,
+                    };
+                });
+
+            this.cache = { filePath, mtimeMs, advisories };
+            logger.info("Advisories loaded", { file: filePath, count: advisories.length });
+            return advisories;
+        } catch (error) {
+            logger.warn("Could not load advisory file", { file: filePath, error: error.message });
+            return this.cache && this.cache.filePath === filePath ? this.cache.advisories : [];
+        }
+    }
+
+    /**
+     * Finds the advisories affecting a dependency change. Ranges are
+     * checked by the lowest version they allow.
+     * @param {object} change Entry from DiffParser.analyzeDependencies
+     * @returns {Array<object>}
+     */
+    match(change) {
+        const version = change.change === "removed" ? null : minimumVersion(change.to, change.ecosystem);
+
+        if (!version) {
+            return [];
+        }
+
+        const name = normalizeName(change.name, change.ecosystem);
+
+        return this.load().filter(
+            (advisory) =>
+                advisory.ecosystem === change.ecosystem &&
+                normalizeName(advisory.package, advisory.ecosystem) === name &&
+                satisfies(version, advisory.vulnerable),
+        );
+    }
+
+    /**
+     * Turns the advisories affecting dependency changes into findings on
+     * the manifest line that introduced the version.
+     * @param {Array<object>} changes Entries from DiffParser.analyzeDependencies
+     * @returns {Array<object>}
+     */
+    check(changes) {
+        return changes.flatMap((change) =>
+            this.match(change).map((advisory) => {
+                const raw = {
+                    file: change.file,
+                    line: change.line,
+                    severity: advisory.severity || "high",
+                    category: "security",
+                    message: `\`${change.name}\` ${minimumVersion(change.to, change.ecosystem)} is affected by ${advisory.id || "a known advisory"}${advisory.summary ? `: ${advisory.summary}` : ""} (vulnerable: \`${advisory.vulnerable}\`).`,
+                    suggestion: advisory.fixed
+                        ? `Upgrade \`${change.name}\` to ${advisory.fixed} or later.`
+                        : `Use a version of \`${change.name}\` outside \`${advisory.vulnerable}\`.`,
+                };
+
+                // Unknown severity names (e.g. CVSS labels) count as high.
+                return normalizeFinding(raw).finding || normalizeFinding({ ...raw, severity: "high" }).finding;
+            }),
+        );
+    }
+}
+
+module.exports = new AdvisoryDatabase();
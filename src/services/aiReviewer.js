@@ -1,93 +1,462 @@
 const logger = require("../utils/logger");
+const {
+    SEVERITIES,
+    CATEGORIES,
+    normalizeFinding,
+} = require("./findings");
+const { createProvider } = require("./providers");
+const { describeChange } = require("./manifests");
+
+// Bump whenever buildReviewPrompt changes, so feedback on findings can be
+// compared between prompt versions.
+const PROMPT_VERSION = "6";
+
+// Dependency changes listed in a prompt; lock files are left out.
+const MAX_PROMPT_DEPENDENCIES = 50;
 
 class AIReviewer {
     constructor() {
-        this.apiEndpoint = "https://api.anthropic.com/v1/messages";
-        this.model = "claude-sonnet-4-20250514";
-        if (!process.env.ANTHROPIC_API_KEY) {
-            throw new Error("Anthropic API key is required")
+        // Created on first use so a missing key doesn't crash at require-time.
+        this.provider = null;
+        this.promptVersion = PROMPT_VERSION;
+    }
+
+    /**
+     * Returns the configured LLM provider (see providers/index.js).
+     * @returns {import("./providers/provider")}
+     */
+    getProvider() {
+        if (!this.provider) {
+            this.provider = createProvider();
+            logger.info("AI provider initialized", {
+                provider: this.provider.name,
+                model: this.provider.model,
+            });
         }
-        this.apiKey = process.env.ANTHROPIC_API_KEY
+        return this.provider;
     }
 
     /**
      * Initiate file review.
-     * @param {*} file
-     * @param {*} analysis
+     * @param {object} file File entry from diffParser.analyzeDiff
+     * @param {object} [config] Repository config from repoConfig.load
+     * @returns {Promise<{summary: string, findings: Array<object>, errors: Array<string>, usage: object}>}
      */
-    async reviewCode(file, analysis) {
+    async reviewCode(file, config = {}) {
+        return this.reviewBatch([file], config);
+    }
+
+    /**
+     * Reviews several files in a single request. The batch is planned by
+     * reviewPlanner to fit the provider's context window.
+     * @param {Array<object>} files File entries from diffParser.analyzeDiff
+     * @param {object} [config] Repository config from repoConfig.load
+     * @param {object} [options]
+     * @param {Array<object>} [options.dependencies] Dependency changes in the whole PR, from diffParser
+     * @returns {Promise<{summary: string, findings: Array<object>, errors: Array<string>, usage: object}>}
+     */
+    async reviewBatch(files, config = {}, options = {}) {
+        const filenames = files.map((file) => file.filename);
+
         try {
+            const provider = this.getProvider();
+
             logger.info("Generating Review", {
-                file,
-                analysis,
+                files: filenames,
+                additions: files.reduce((sum, file) => sum + file.additions, 0),
+                deletions: files.reduce((sum, file) => sum + file.deletions, 0),
+                provider: provider.name,
             });
 
             // Building Prompt
-            let prompt = this.buildReviewPrompt(file, analysis);
-
-            // Claude API
-            const response = await fetch(this.apiEndpoint, {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json",
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    max_tokens: 2000,
-                    messages: [
-                        {
-                            role: "User",
-                            content: prompt,
-                        },
-                    ],
-                }),
-            });
-
-            // Handle Response
-            const data = await response.json();
+            let prompt = this.buildReviewPrompt(files, config.instructions, options.dependencies);
 
-            if (!response.ok) {
-                logger.error("Error generating review", response.statusText);
-            }
-
-            // Extract review from response
-            const reviewText = data.content[0].text;
+            const { text: reviewText, usage } = await provider.complete({
+                prompt,
+                context: { files },
+            });
 
             logger.info("AI review generated", {
-                filename: file.filename,
+                files: filenames,
                 reviewLength: reviewText.length,
+                ...usage,
             });
 
-            return this.parseReview(reviewText);
+            // Only a single-file review can attribute findings without a 'file'.
+            const defaultFile = files.length === 1 ? filenames[0] : undefined;
+            return { ...this.parseReview(reviewText, defaultFile), usage };
         } catch (error) {
-            logger.error("Error generating review", error.message);
+            logger.error("Error generating review", { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Explains a posted finding in more depth (/ai-explain).
+     * @param {object} finding Recorded finding from reviewState
+     * @param {string} code The flagged lines with surrounding context, numbered
+     * @param {string} [question] What the user asked alongside the command
+     * @returns {Promise<{text: string, usage: object}>}
+     */
+    async explainFinding(finding, code, question) {
+        const provider = this.getProvider();
+
+        const prompt = `
+            You are a software engineer who left this code review comment on ${finding.file}, line ${finding.line}:
+
+            Severity: ${finding.severity}
+            Category: ${finding.category}
+            Comment: ${finding.message}
+            ${finding.suggestion ? `Suggested fix:\n${finding.suggestion}` : ""}
+
+            ### CODE ###
+            ${code || "(The code is no longer available.)"}
+
+            ### INSTRUCTIONS ###
+            The author asked for a deeper explanation${question ? `: "${question}"` : "."}
+            1. Explain why this is a problem and what could go wrong, with a concrete example if possible.
+            2. Show how to fix it.
+            3. If on reflection the comment is wrong, say so plainly.
+            Respond in GitHub-flavored markdown, in under 300 words.
+        `.trim();
+
+        const { text, usage } = await provider.complete({
+            prompt,
+            context: { finding },
+        });
+
+        logger.info("AI explanation generated", {
+            file: finding.file,
+            line: finding.line,
+            ...usage,
+        });
+
+        return { text: text.trim(), usage };
+    }
+
+    /**
+     * Writes the next reply in a finding's review thread, after the author
+     * answered it.
+     * @param {object} finding Recorded finding from reviewState
+     * @param {string} code The flagged lines with surrounding context, numbered
+     * @param {Array<{author: string, fromReviewer: boolean, body: string}>} thread Oldest first
+     * @returns {Promise<{text: string, usage: object}>}
+     */
+    async continueThread(finding, code, thread) {
+        const provider = this.getProvider();
+
+        const history = thread
+            .map((comment) => `[${comment.fromReviewer ? "you" : `@${comment.author}`}]\n${comment.body}`)
+            .join("\n\n");
+
+        const prompt = `
+            You are a software engineer who left a code review comment on ${finding.file}, line ${finding.line} (${finding.severity}, ${finding.category}). The author of the change replied.
+
+            ### CODE ###
+            ${code || "(The code is no longer available.)"}
+
+            ### THREAD ###
+            ${history}
+
+            ### INSTRUCTIONS ###
+            Write your next reply in the thread:
+            - If the author's reasoning is sound or the comment was wrong, concede briefly.
+            - If they misunderstood the concern, clarify it.
+            - If they agree or ask how to fix it, offer a concrete fix as a code block.
+            Be CONCISE. Respond in GitHub-flavored markdown, in under 200 words, without repeating the thread.
+        `.trim();
+
+        const { text, usage } = await provider.complete({
+            prompt,
+            context: { finding, thread },
+        });
+
+        logger.info("AI thread reply generated", {
+            file: finding.file,
+            line: finding.line,
+            turns: thread.length,
+            ...usage,
+        });
+
+        return { text: text.trim(), usage };
+    }
+
+    /**
+     * Parses the model output into validated findings.
+     *
+     * Tolerates code fences, prose around the JSON, trailing commas and
+     * truncated output. Findings that fail validation are dropped and
+     * reported in 'errors'; if no JSON can be recovered at all the raw text
+     * is kept as the summary.
+     * @param {string} reviewText
+     * @param {string} filename Used for findings that omit 'file'
+     * @returns {{summary: string, findings: Array<object>, errors: Array<string>}}
+     */
+    parseReview(reviewText, filename) {
+        const result = { summary: "", findings: [], errors: [] };
+        const parsed = this.extractJson(reviewText || "");
+
+        if (parsed === null) {
+            logger.warn("AI review was not valid JSON", { filename });
+            result.summary = (reviewText || "").trim();
+            result.errors.push("response did not contain valid JSON");
+            return result;
+        }
+
+        // Accept a bare array of findings too.
+        const review = Array.isArray(parsed) ? { findings: parsed } : parsed;
+
+        if (typeof review.summary === "string") {
+            result.summary = review.summary.trim();
+        }
+
+        if (!Array.isArray(review.findings)) {
+            result.errors.push("'findings' must be an array");
+            return result;
+        }
+
+        review.findings.forEach((raw, index) => {
+            const { finding, errors } = normalizeFinding(raw, { file: filename });
+
+            if (finding) {
+                result.findings.push(finding);
+            } else {
+                result.errors.push(`findings[${index}]: ${errors.join("; ")}`);
+            }
+        });
+
+        if (result.errors.length > 0) {
+            logger.warn("Dropped invalid findings", {
+                filename,
+                errors: result.errors,
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Pulls a JSON value out of model output, repairing it when needed.
+     * @param {string} text
+     * @returns {any|null} null when nothing could be recovered
+     */
+    extractJson(text) {
+        // Prefer the contents of a ```json fence when present.
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+        const source = fenced ? fenced[1] : text;
+
+        const start = source.search(/[{[]/);
+        if (start === -1) {
+            return null;
+        }
+
+        const candidate = source.slice(start).trim();
+        const attempts = [
+            candidate,
+            candidate.slice(0, Math.max(candidate.lastIndexOf("}"), candidate.lastIndexOf("]")) + 1),
+        ];
+
+        for (const attempt of attempts) {
+            for (const repaired of [attempt, this.repairJson(attempt)]) {
+                try {
+                    return JSON.parse(repaired);
+                } catch (error) {
+                    // Try the next repair.
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Best-effort fix for common model JSON mistakes: trailing commas and
+     * output cut off mid-object (closes the last complete element).
+     * @param {string} text
+     * @returns {string}
+     */
+    repairJson(text) {
+        let json = text.replace(/,\s*([}\]])/g, "$1");
+
+        // Walk the text tracking open brackets outside of strings.
+        const stack = [];
+        let inString = false;
+        let lastSafe = -1;
+        let safeStack = [];
+
+        for (let i = 0; i < json.length; i++) {
+            const char = json[i];
+
+            if (inString) {
+                if (char === "\\") {
+                    i++;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === "{" || char === "[") {
+                stack.push(char === "{" ? "}" : "]");
+            } else if (char === "}" || char === "]") {
+                stack.pop();
+                lastSafe = i;
+                safeStack = [...stack];
+            }
+        }
+
+        if (stack.length === 0) {
+            return json;
         }
+
+        // Truncated: cut after the last closed element and close the rest.
+        if (lastSafe === -1) {
+            return json;
+        }
+
+        json = json.slice(0, lastSafe + 1).replace(/,\s*$/, "");
+        return json + safeStack.reverse().join("");
+    }
+
+    /**
+     * Renders the file's hunks with new-side line numbers, so the model
+     * can reference exact lines.
+     * @param {object} file
+     * @returns {string}
+     */
+    formatChanges(file) {
+        return file.hunks
+            .map((hunk) => {
+                const lines = hunk.lines.map((line) => {
+                    const number = line.newLineNumber === null ? "" : line.newLineNumber;
+                    const marker = { add: "+", del: "-", context: " " }[line.type];
+                    return `${String(number).padStart(5)} ${marker} ${line.content}`;
+                });
+                return [...this.formatContext(hunk.context), hunk.header, ...lines].join("\n");
+            })
+            .join("\n");
+    }
+
+    /**
+     * Formats a hunk's surrounding code (from fileContext) for the prompt.
+     * @param {object} [context]
+     * @returns {Array<string>}
+     */
+    formatContext(context) {
+        if (!context) {
+            return [];
+        }
+
+        const format = (line) => `${String(line.lineNumber || "").padStart(5)} | ${line.content}`;
+        const lines = [];
+
+        if (context.enclosing) {
+            lines.push(`[context: ${context.enclosing.kind} ${context.enclosing.name}]`);
+            lines.push(...context.enclosing.lines.map(format));
+        }
+        if (context.definitions.length > 0) {
+            lines.push("[context: definitions used by the changes]");
+            lines.push(...context.definitions.map(format));
+        }
+
+        return lines;
+    }
+
+    /**
+     * Formats the dependency changes in manifests (not lock files) for the prompt.
+     * @param {Array<object>} dependencies
+     * @returns {string}
+     */
+    formatDependencies(dependencies) {
+        const direct = dependencies.filter((change) => !change.lockfile);
+        const lines = direct
+            .slice(0, MAX_PROMPT_DEPENDENCIES)
+            .map((change) => `- ${change.file}: ${describeChange(change)}`);
+
+        if (direct.length > MAX_PROMPT_DEPENDENCIES) {
+            lines.push(`- …and ${direct.length - MAX_PROMPT_DEPENDENCIES} more`);
+        }
+
+        return lines.join("\n");
     }
 
     /**
      * Prompt for AI to follow
-     * @param file
-     * @param analysis
+     * @param {object|Array<object>} files One file entry or a batch of them
+     * @param {string} [instructions] Extra instructions from the repository config
+     * @param {Array<object>} [dependencies] Dependency changes in the whole PR
      */
-    buildReviewPrompt(file, analysis) {
+    buildReviewPrompt(files, instructions, dependencies = []) {
+        files = Array.isArray(files) ? files : [files];
+
+        const analysis = files.map((file) => ({
+            filename: file.filename,
+            status: file.status,
+            language: file.language,
+            isTestFile: file.isTestFile,
+            hasNewFunctions: file.hasNewFunctions,
+            symbols: file.symbols,
+            hasImportChanges: file.hasImportChanges,
+            removedImports: file.removedImports,
+            hasTestChanges: file.hasTestChanges,
+            // Set when a large file was split across several requests.
+            partial: file.partial || false,
+        }));
+
+        const changes = files
+            .map((file) => `--- ${file.filename} ---\n${this.formatChanges(file)}`)
+            .join("\n\n");
+
+        const dependencyChanges = this.formatDependencies(dependencies);
+
         const prompt = `
-            You are a software engineer tasked with reviewing code. A file metadata ANALYSIS is given with the actual CODE CHANGES.
-            
+            You are a software engineer tasked with reviewing code. A file metadata ANALYSIS is given with the actual CODE CHANGES, for one or more files.
+
             ### 1. ANALYSIS METADATA ###
             ${JSON.stringify(analysis, null, 2)}
-            
-            ### 2. INSTRUCTIONS ###
+
+            ### 2. CODE CHANGES ###
+            Each file starts with a "--- <path> ---" line. Each line is prefixed with its line number in the new file and +, - or a space.
+            A hunk may be preceded by "[context: ...]" blocks of unchanged code from the same file, with "|" after the line number: the start of the function or class it is in, and definitions of names it uses. Use them to understand the changes, but don't comment on them.
+            ${changes}
+            ${dependencyChanges ? `\n            ### DEPENDENCY CHANGES ###\n            Dependencies this pull request adds, removes or changes, across all of its files:\n${dependencyChanges}\n` : ""}
+            ### 3. INSTRUCTIONS ###
             1. Use the ANALYSIS METADATA to understand the context:
-               - Review the 'addedLines' and "deletedLines" content.
+               - Review the added ("+") and deleted ("-") lines.
                - If "isTestFile" is True, DO NOT REVIEW TEST FILES; FOCUS on production code instead. Warn the user of the TEST FILE. ( ALSO CHECK IF THERE ARE ANY OTHER TEST FILES )
                - If "hasNewFunctions" has content, pay CLOSE ATTENTION to the logic in those functions
+               - "symbols" lists the functions, classes and tests that were added, modified or removed. Check that callers of modified or removed ones still work.
                - Check if "hasImportChanges", has imports that are NECESSARY, or could they introduce PERFORMANCE or SECURITY issues.
+               - If there are DEPENDENCY CHANGES, check that code using a package with a major version bump follows its new API, and question loosened version ranges.
             2. MAKE SURE that code aligns with the style conventions of the LANGUAGE the file is in.
             3. Review the "CODE CHANGES" for security, performance and readability.
-            4. Be CONCISE, and provide actionable feedback.
+            4. Be CONCISE, and provide actionable feedback. If "partial" is true only part of the file's changes are shown; don't report missing code elsewhere in it.
+            ${instructions ? `5. Follow these additional instructions from the repository maintainers:\n${instructions}` : ""}
+
+            ### 4. OUTPUT FORMAT ###
+            Respond with ONLY a JSON object, no other text:
+            {
+              "summary": "One or two sentence overall assessment",
+              "findings": [
+                {
+                  "file": "<path of the file, exactly as in the ANALYSIS METADATA>",
+                  "line": <new file line number of an added line>,
+                  "endLine": <optional last line of a multi-line range>,
+                  "severity": "${SEVERITIES.join('" | "')}",
+                  "category": "${CATEGORIES.join('" | "')}",
+                  "message": "What is wrong and why",
+                  "suggestion": "Optional replacement code"
+                }
+              ]
+            }
+            Return an empty "findings" array if there is nothing worth commenting on.
         `.trim()
 
         return prompt
     }
 
 }
+
+module.exports = new AIReviewer();
@@ -0,0 +1,116 @@
+const { meetsSeverity, severityRank } = require("./findings");
+const { SEVERITY_ICONS } = require("./reviewComments");
+
+// Name of the check run shown on the PR; branch protection rules refer to it.
+const CHECK_NAME = process.env.CHECK_RUN_NAME || "AI Code Review";
+
+// Findings listed in the check summary table.
+const SUMMARY_ROWS = 50;
+
+// Check annotation levels are limited to notice, warning and failure.
+const ANNOTATION_LEVELS = {
+    critical: "failure",
+    high: "failure",
+    medium: "warning",
+    low: "notice",
+    info: "notice",
+};
+
+/**
+ * Converts a finding into a check run annotation.
+ * @param {object} finding
+ * @returns {object}
+ */
+function toAnnotation(finding) {
+    const annotation = {
+        path: finding.file,
+        start_line: finding.line,
+        end_line: finding.endLine || finding.line,
+        annotation_level: ANNOTATION_LEVELS[finding.severity] || "notice",
+        title: `${finding.severity} · ${finding.category}`,
+        message: finding.message,
+    };
+
+    if (finding.suggestion) {
+        annotation.raw_details = finding.suggestion;
+    }
+
+    return annotation;
+}
+
+/**
+ * Picks the check conclusion: failure when any finding is at or above the
+ * repository's threshold, success otherwise.
+ * @param {Array<object>} findings
+ * @param {string} threshold A severity, or 'none' to never fail
+ * @returns {'success'|'failure'}
+ */
+function checkConclusion(findings, threshold) {
+    if (threshold === "none") {
+        return "success";
+    }
+
+    return findings.some((finding) => meetsSeverity(finding.severity, threshold))
+        ? "failure"
+        : "success";
+}
+
+/**
+ * Builds the check run output for the PR's open findings.
+ * @param {Array<object>} findings Open findings on the PR
+ * @param {object} options
+ * @param {string} options.threshold From the repository config
+ * @param {Array<string>} options.summaries Overall assessment per review request
+ * @param {Array<{filename: string, reason: string}>} options.skipped
+ * @returns {{conclusion: string, title: string, summary: string, annotations: Array<object>}}
+ */
+function buildCheckOutput(findings, { threshold, summaries, skipped }) {
+    const conclusion = checkConclusion(findings, threshold);
+    const blocking =
+        threshold === "none"
+            ? []
+            : findings.filter((finding) => meetsSeverity(finding.severity, threshold));
+
+    let title = findings.length === 0 ? "No open findings" : `${findings.length} open finding(s)`;
+    if (blocking.length > 0) {
+        title += `, ${blocking.length} at or above ${threshold}`;
+    }
+
+    const parts = [...summaries];
+
+    if (findings.length > 0) {
+        parts.push("", "| Severity | File | Message |", "| --- | --- | --- |");
+        const sorted = [...findings].sort(
+            (a, b) => severityRank(a.severity) - severityRank(b.severity),
+        );
+
+        // The summary is capped at 65535 characters; the annotations list everything.
+        sorted.slice(0, SUMMARY_ROWS).forEach((finding) => {
+            const icon = SEVERITY_ICONS[finding.severity] || "";
+            const message = finding.message.replace(/\|/g, "\\|").replace(/\n/g, " ");
+            parts.push(`| ${icon} ${finding.severity} | \`${finding.file}:${finding.line}\` | ${message} |`);
+        });
+
+        if (sorted.length > SUMMARY_ROWS) {
+            parts.push("", `…and ${sorted.length - SUMMARY_ROWS} more, see the annotations.`);
+        }
+    }
+
+    if (skipped.length > 0) {
+        parts.push("", `${skipped.length} file(s) were not reviewed.`);
+    }
+
+    return {
+        conclusion,
+        title,
+        summary: parts.join("\n") || "Review completed.",
+        annotations: findings.map(toAnnotation),
+    };
+}
+
+module.exports = {
+    CHECK_NAME,
+    toAnnotation,
+    checkConclusion,
+    buildCheckOutput,
+};
@@ -0,0 +1,221 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const JsonStore = require("../utils/jsonStore");
+
+/**
+ * Records every webhook delivery (by its X-GitHub-Delivery ID) with its
+ * payload and processing outcome, so redeliveries are skipped and past
+ * deliveries can be inspected and replayed.
+ *
+ * The index of deliveries is one JSON file; payloads (up to 25 MB each)
+ * are kept one file per delivery next to it, and removed with their
+ * delivery when it drops out of the history.
+ *
+ * Delivery statuses:
+ * - processing: accepted and being handled
+ * - processed: handled successfully
+ * - failed: handling threw; a redelivery of a failed delivery is processed again
+ *
+ * A delivery still 'processing' after DELIVERY_PROCESSING_TIMEOUT_MS
+ * (default 5 minutes) was cut short, e.g. by a crash, and a redelivery is
+ * processed again too.
+ */
+class DeliveryStore {
+    constructor() {
+        this.limit = parseInt(process.env.DELIVERY_HISTORY_LIMIT, 10) || 200;
+        this.processingTimeoutMs = parseInt(process.env.DELIVERY_PROCESSING_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+        this.store = new JsonStore("deliveries.json", { deliveries: [] });
+        this.payloadDir = path.join(JsonStore.DATA_DIR, "deliveries");
+    }
+
+    /**
+     * File holding a delivery's payload.
+     * @param {string} id
+     * @returns {string}
+     */
+    payloadPath(id) {
+        return path.join(this.payloadDir, `${id.replace(/[^A-Za-z0-9-]/g, "_")}.json`);
+    }
+
+    /**
+     * Reads a delivery's payload.
+     * @param {string} id
+     * @returns {object|null} null when it is no longer stored
+     */
+    getPayload(id) {
+        const delivery = this.get(id);
+        if (!delivery) {
+            return null;
+        }
+
+        // Deliveries recorded before payloads had their own files.
+        if (delivery.payload) {
+            return delivery.payload;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.payloadPath(id), "utf-8"));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.error("Error reading delivery payload", { id, error: error.message });
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Whether a delivery seen before should be processed again.
+     * @param {object} delivery
+     * @returns {boolean}
+     */
+    isRetryable(delivery) {
+        if (delivery.status === "failed") {
+            return true;
+        }
+
+        const startedAt = delivery.startedAt || delivery.lastReplayedAt || delivery.receivedAt;
+        return (
+            delivery.status === "processing" &&
+            Date.now() - new Date(startedAt).getTime() > this.processingTimeoutMs
+        );
+    }
+
+    /**
+     * Looks up a delivery by ID.
+     * @param {string} id
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.store.load().deliveries.find((delivery) => delivery.id === id) || null;
+    }
+
+    /**
+     * Records a new delivery, unless it was already seen.
+     * @param {string} id X-GitHub-Delivery header
+     * @param {string} event X-GitHub-Event header
+     * @param {object} payload
+     * @returns {{duplicate: boolean, delivery: object}}
+     */
+    record(id, event, payload) {
+        const existing = this.get(id);
+
+        if (existing && !this.isRetryable(existing)) {
+            existing.duplicates = (existing.duplicates || 0) + 1;
+            this.store.save();
+
+            logger.info("Skipping duplicate delivery", {
+                id,
+                event,
+                status: existing.status,
+            });
+            return { duplicate: true, delivery: existing };
+        }
+
+        const state = this.store.load();
+        const delivery = existing || {
+            id,
+            event,
+            action: payload.action || null,
+            repo: payload.repository ? payload.repository.full_name : null,
+            receivedAt: new Date().toISOString(),
+            replays: 0,
+        };
+
+        if (existing) {
+            logger.info("Processing redelivery", { id, event, status: existing.status });
+        }
+
+        delivery.status = "processing";
+        delivery.startedAt = new Date().toISOString();
+        delivery.error = null;
+
+        if (!existing) {
+            this.savePayload(id, payload);
+            state.deliveries.unshift(delivery);
+            state.deliveries.splice(this.limit).forEach((old) => this.removePayload(old.id));
+        }
+        this.store.save();
+
+        return { duplicate: false, delivery };
+    }
+
+    /**
+     * @param {string} id
+     * @param {object} payload
+     */
+    savePayload(id, payload) {
+        try {
+            fs.mkdirSync(this.payloadDir, { recursive: true });
+            fs.writeFileSync(this.payloadPath(id), JSON.stringify(payload));
+        } catch (error) {
+            // The delivery is still handled; it just can't be replayed.
+            logger.error("Error writing delivery payload", { id, error: error.message });
+        }
+    }
+
+    /**
+     * @param {string} id
+     */
+    removePayload(id) {
+        fs.rm(this.payloadPath(id), { force: true }, (error) => {
+            if (error) {
+                logger.error("Error removing delivery payload", { id, error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Records the outcome of handling a delivery.
+     * @param {string} id
+     * @param {Error} [error] Set when handling failed
+     */
+    complete(id, error) {
+        const delivery = this.get(id);
+        if (!delivery) {
+            return;
+        }
+
+        delivery.status = error ? "failed" : "processed";
+        delivery.error = error ? error.message : null;
+        delivery.completedAt = new Date().toISOString();
+        this.store.save();
+    }
+
+    /**
+     * Counts a replay of a delivery.
+     * @param {string} id
+     */
+    markReplayed(id) {
+        const delivery = this.get(id);
+        if (!delivery) {
+            return;
+        }
+
+        delivery.replays++;
+        delivery.status = "processing";
+        delivery.lastReplayedAt = new Date().toISOString();
+        delivery.startedAt = delivery.lastReplayedAt;
+        this.store.save();
+    }
+
+    /**
+     * Lists recent deliveries, newest first, without their payloads.
+     * @param {{limit?: number, event?: string, status?: string, repo?: string}} filters
+     * @returns {Array<object>}
+     */
+    list(filters = {}) {
+        return this.store
+            .load()
+            .deliveries.filter(
+                (delivery) =>
+                    (!filters.event || delivery.event === filters.event) &&
+                    (!filters.status || delivery.status === filters.status) &&
+                    (!filters.repo || delivery.repo === filters.repo),
+            )
+            .slice(0, filters.limit || 50)
+            .map(({ payload, ...summary }) => summary);
+    }
+}
+
+module.exports = new DeliveryStore();
@@ -1,115 +1,480 @@
 const { debug } = require("winston");
 const logger = require("../utils/logger");
+const { getLanguage, STATEMENT_KEYWORDS } = require("./languages");
+const { getManifest, normalizeName, isMajorBump, isLoosened } = require("./manifests");
 
 /**
  * Diffparser service to parse unified diffs from pull requests.
  */
 class DiffParser {
     /**
-     * Parses patch for added lines.
-     * @param {string} patch
-     * @returns {Array{}} Array of (objects) added lines
+     * Splits a unified diff into per-file entries.
+     *
+     * Handles `git diff` output (renames, copies, new/deleted files, mode
+     * changes and binary files) as well as plain `diff -u` output.
+     * @param {string} diff
+     * @returns {Array<object>} Array of file entries with their hunks
      */
-    getAddedLines(patch) {
-        const lines = patch.split("\n");
-        const addedLines = [];
+    parseDiff(diff) {
+        const files = [];
 
-        let newLineNumber = 0;
+        if (!diff) {
+            return files;
+        }
+
+        const lines = diff.split("\n");
+        let file = null;
+        let hunk = null;
+        let oldRemaining = 0;
+        let newRemaining = 0;
+
+        const startFile = (oldPath, newPath) => {
+            file = {
+                oldPath,
+                newPath,
+                filename: newPath || oldPath,
+                status: "modified",
+                isBinary: false,
+                oldMode: null,
+                newMode: null,
+                modeChanged: false,
+                similarity: null,
+                oldBlob: null,
+                newBlob: null,
+                additions: 0,
+                deletions: 0,
+                hunks: [],
+                patchLines: [],
+            };
+            files.push(file);
+            hunk = null;
+        };
 
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i];
 
-            // Hunk header
-            const hunkMatch = line.match(
-                /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/,
-            );
-            if (hunkMatch) {
-                newLineNumber = parseInt(hunkMatch[1], 10);
+            // Inside a hunk, the header counts tell us which lines belong to it.
+            if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+                const marker = line[0];
+
+                if (marker === "+") {
+                    hunk.lines.push({
+                        type: "add",
+                        content: line.slice(1),
+                        oldLineNumber: null,
+                        newLineNumber: hunk.nextNew++,
+                    });
+                    file.additions++;
+                    newRemaining--;
+                } else if (marker === "-") {
+                    hunk.lines.push({
+                        type: "del",
+                        content: line.slice(1),
+                        oldLineNumber: hunk.nextOld++,
+                        newLineNumber: null,
+                    });
+                    file.deletions++;
+                    oldRemaining--;
+                } else if (marker === " " || line === "") {
+                    hunk.lines.push({
+                        type: "context",
+                        content: line.slice(1),
+                        oldLineNumber: hunk.nextOld++,
+                        newLineNumber: hunk.nextNew++,
+                    });
+                    oldRemaining--;
+                    newRemaining--;
+                } else if (marker === "\\") {
+                    this.markNoNewline(hunk);
+                    continue;
+                } else {
+                    // Truncated hunk, fall through to header parsing.
+                    hunk = null;
+                }
+
+                if (hunk) {
+                    file.patchLines.push(line);
+                    continue;
+                }
+            }
+
+            // "\ No newline at end of file" after the final hunk line.
+            if (hunk && line.startsWith("\\")) {
+                this.markNoNewline(hunk);
                 continue;
             }
 
-            // Added line
-            if (line.startsWith("+") && !line.startsWith("+++")) {
-                addedLines.push({
-                    lineNumber: newLineNumber,
-                    content: line.slice(1),
-                });
-                newLineNumber++;
+            // New file in git format.
+            if (line.startsWith("diff --git ")) {
+                const paths = this.parseGitHeaderPaths(line.slice(11));
+                startFile(paths.oldPath, paths.newPath);
                 continue;
             }
 
-            // Context line
-            if (line.startsWith(" ")) {
-                newLineNumber++;
+            // New file in plain unified format (no "diff --git" line).
+            if (
+                line.startsWith("--- ") &&
+                (lines[i + 1] || "").startsWith("+++ ") &&
+                (!file || file.hunks.length > 0 || file.isBinary)
+            ) {
+                startFile(null, null);
+            }
+
+            // Hunk header.
+            const hunkMatch = line.match(
+                /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/,
+            );
+
+            // Single-file patches (e.g. from the PR files API) have no headers.
+            if (!file && hunkMatch) {
+                startFile(null, null);
+            }
+
+            if (!file) {
                 continue;
             }
+            if (hunkMatch) {
+                hunk = {
+                    header: line,
+                    oldStart: parseInt(hunkMatch[1], 10),
+                    oldLines:
+                        hunkMatch[2] === undefined
+                            ? 1
+                            : parseInt(hunkMatch[2], 10),
+                    newStart: parseInt(hunkMatch[3], 10),
+                    newLines:
+                        hunkMatch[4] === undefined
+                            ? 1
+                            : parseInt(hunkMatch[4], 10),
+                    section: hunkMatch[5] || "",
+                    lines: [],
+                };
+                hunk.nextOld = hunk.oldStart;
+                hunk.nextNew = hunk.newStart;
+                oldRemaining = hunk.oldLines;
+                newRemaining = hunk.newLines;
+                file.hunks.push(hunk);
+                file.patchLines.push(line);
+                continue;
+            }
+
+            // Extended header lines.
+            this.parseExtendedHeader(file, line);
         }
 
-        return addedLines;
+        return files.map((entry) => this.finalizeFile(entry));
     }
 
     /**
-     * Parses patch for removed lines.
+     * Builds a file entry from a header-less single-file patch, like the
+     * 'patch' field the GitHub files and compare APIs return.
      * @param {string} patch
-     * @returns {Array{}} Array of (object) removed lines
+     * @param {object} meta
+     * @param {string} meta.filename
+     * @param {string} [meta.previousFilename] Set for renames
+     * @param {string} [meta.status] GitHub file status ('added', 'removed', ...)
+     * @param {string} [meta.sha] Blob SHA of the new version
+     * @returns {object}
      */
-    getDeletedLines(patch) {
-        const lines = patch.split("\n");
-        const addedLines = [];
+    parseFilePatch(patch, { filename, previousFilename, status, sha }) {
+        const [parsed] = this.parseDiff(patch || "");
+        const statuses = { removed: "deleted", changed: "modified", unchanged: "modified" };
+        const fileStatus = statuses[status] || status || "modified";
+
+        const file = parsed || this.finalizeFile({
+            hunks: [],
+            patchLines: [],
+            additions: 0,
+            deletions: 0,
+            isBinary: !patch,
+            oldMode: null,
+            newMode: null,
+            modeChanged: false,
+            similarity: null,
+            oldBlob: null,
+            newBlob: null,
+        });
 
-        let newLineNumber = 0;
+        file.status = fileStatus;
+        file.newBlob = fileStatus === "deleted" ? null : sha || file.newBlob;
+        file.oldPath = fileStatus === "added" ? null : previousFilename || filename;
+        file.newPath = fileStatus === "deleted" ? null : filename;
+        file.filename = filename;
+        file.language = this.detectLanguage(filename);
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
+        return file;
+    }
 
-            // Hunk header
-            const hunkMatch = line.match(
-                /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/,
-            );
-            if (hunkMatch) {
-                newLineNumber = parseInt(hunkMatch[1], 10);
-                continue;
+    /**
+     * Applies a single extended git header line to the file entry.
+     * @param {object} file
+     * @param {string} line
+     */
+    parseExtendedHeader(file, line) {
+        let match;
+
+        if ((match = line.match(/^new file mode (\d+)/))) {
+            file.status = "added";
+            file.newMode = match[1];
+        } else if ((match = line.match(/^deleted file mode (\d+)/))) {
+            file.status = "deleted";
+            file.oldMode = match[1];
+        } else if ((match = line.match(/^old mode (\d+)/))) {
+            file.oldMode = match[1];
+        } else if ((match = line.match(/^new mode (\d+)/))) {
+            file.newMode = match[1];
+            file.modeChanged = true;
+        } else if ((match = line.match(/^(?:similarity|dissimilarity) index (\d+)%/))) {
+            file.similarity = parseInt(match[1], 10);
+        } else if ((match = line.match(/^rename from (.+)$/))) {
+            file.status = "renamed";
+            file.oldPath = this.unquotePath(match[1]);
+        } else if ((match = line.match(/^rename to (.+)$/))) {
+            file.status = "renamed";
+            file.newPath = this.unquotePath(match[1]);
+        } else if ((match = line.match(/^copy from (.+)$/))) {
+            file.status = "copied";
+            file.oldPath = this.unquotePath(match[1]);
+        } else if ((match = line.match(/^copy to (.+)$/))) {
+            file.status = "copied";
+            file.newPath = this.unquotePath(match[1]);
+        } else if ((match = line.match(/^index (\w+)\.\.(\w+)(?: (\d+))?/))) {
+            // Abbreviated blob SHAs; all zeros on the side that doesn't exist.
+            file.oldBlob = /^0+$/.test(match[1]) ? null : match[1];
+            file.newBlob = /^0+$/.test(match[2]) ? null : match[2];
+            if (match[3]) {
+                file.oldMode = file.oldMode || match[3];
+                file.newMode = file.newMode || match[3];
+            }
+        } else if (
+            line.startsWith("Binary files ") ||
+            line.startsWith("GIT binary patch")
+        ) {
+            file.isBinary = true;
+        } else if (line.startsWith("--- ")) {
+            const oldPath = this.parseFilePath(line.slice(4));
+            if (oldPath === null) {
+                file.status = "added";
+            }
+            file.oldPath = oldPath;
+        } else if (line.startsWith("+++ ")) {
+            const newPath = this.parseFilePath(line.slice(4));
+            if (newPath === null) {
+                file.status = "deleted";
             }
+            file.newPath = newPath;
+        }
+    }
+
+    /**
+     * Cleans up internal parser state and derives the display filename.
+     * @param {object} file
+     * @returns {object}
+     */
+    finalizeFile(file) {
+        if (file.status === "added") {
+            file.oldPath = null;
+        }
+        if (file.status === "deleted") {
+            file.newPath = null;
+        }
+
+        file.filename = file.newPath || file.oldPath;
+        file.language = this.detectLanguage(file.filename);
+        file.patch = file.patchLines.join("\n");
+        delete file.patchLines;
+
+        file.hunks.forEach((hunk) => {
+            delete hunk.nextOld;
+            delete hunk.nextNew;
+        });
+
+        return file;
+    }
+
+    /**
+     * Marks the last line of a hunk as missing its trailing newline.
+     * @param {object} hunk
+     */
+    markNoNewline(hunk) {
+        const last = hunk.lines[hunk.lines.length - 1];
+        if (last) {
+            last.noNewline = true;
+        }
+    }
 
-            // Added line
-            if (line.startsWith("-") && !line.startsWith("---")) {
-                addedLines.push({
-                    lineNumber: newLineNumber,
-                    content: line.slice(1),
-                });
+    /**
+     * Extracts old/new paths from the remainder of a "diff --git" line.
+     * @param {string} rest e.g. 'a/src/index.js b/src/index.js'
+     * @returns {{oldPath: string, newPath: string}}
+     */
+    parseGitHeaderPaths(rest) {
+        // Quoted paths: "a/with space.js" "b/with space.js"
+        const quoted = rest.match(/^("(?:[^"\\]|\\.)*"|\S+) ("(?:[^"\\]|\\.)*"|\S+)$/);
+        if (quoted && (quoted[1].startsWith('"') || quoted[2].startsWith('"'))) {
+            return {
+                oldPath: this.parseFilePath(quoted[1]),
+                newPath: this.parseFilePath(quoted[2]),
+            };
+        }
+
+        // Unquoted paths may contain spaces, so split on " b/" when the
+        // two halves are the same path.
+        const half = (rest.length - 1) / 2;
+        if (Number.isInteger(half) && rest.slice(2, half) === rest.slice(half + 3)) {
+            return {
+                oldPath: this.parseFilePath(rest.slice(0, half)),
+                newPath: this.parseFilePath(rest.slice(half + 1)),
+            };
+        }
+
+        const split = rest.indexOf(" b/");
+        if (split !== -1) {
+            return {
+                oldPath: this.parseFilePath(rest.slice(0, split)),
+                newPath: this.parseFilePath(rest.slice(split + 1)),
+            };
+        }
 
-                newLineNumber++;
+        return { oldPath: null, newPath: null };
+    }
+
+    /**
+     * Normalizes a path from a diff header, stripping the a/ or b/ prefix.
+     * @param {string} raw
+     * @returns {string|null} null for /dev/null
+     */
+    parseFilePath(raw) {
+        // Drop trailing timestamps from plain unified diffs.
+        let path = this.unquotePath(raw.split("\t")[0].trim());
+
+        if (path === "/dev/null") {
+            return null;
+        }
+
+        if (/^[ab]\//.test(path)) {
+            path = path.slice(2);
+        }
+
+        return path;
+    }
+
+    /**
+     * Removes C-style quoting git applies to unusual paths.
+     * @param {string} path
+     * @returns {string}
+     */
+    unquotePath(path) {
+        if (!path.startsWith('"') || !path.endsWith('"')) {
+            return path;
+        }
+
+        const bytes = [];
+        const inner = path.slice(1, -1);
+        const escapes = { n: 10, t: 9, '"': 34, "\\": 92, a: 7, b: 8, f: 12, r: 13, v: 11 };
+
+        for (let i = 0; i < inner.length; i++) {
+            if (inner[i] !== "\\") {
+                bytes.push(...Buffer.from(inner[i], "utf-8"));
                 continue;
             }
 
-            // Context line
-            if (line.startsWith(" ")) {
-                newLineNumber++;
-                continue;
+            const octal = inner.slice(i + 1, i + 4);
+            if (/^[0-7]{3}$/.test(octal)) {
+                bytes.push(parseInt(octal, 8));
+                i += 3;
+            } else {
+                const next = inner[++i];
+                bytes.push(escapes[next] !== undefined ? escapes[next] : next.charCodeAt(0));
             }
         }
 
-        return addedLines;
+        return Buffer.from(bytes).toString("utf-8");
+    }
+
+    /**
+     * Parses patch for added lines.
+     * @param {string|object} patch Patch text or a file entry from parseDiff
+     * @returns {Array{}} Array of (objects) added lines, numbered on the new side
+     */
+    getAddedLines(patch) {
+        return this.collectLines(patch, "add").map((line) => ({
+            lineNumber: line.newLineNumber,
+            content: line.content,
+        }));
+    }
+
+    /**
+     * Parses patch for removed lines.
+     * @param {string|object} patch Patch text or a file entry from parseDiff
+     * @returns {Array{}} Array of (object) removed lines, numbered on the old side
+     */
+    getDeletedLines(patch) {
+        return this.collectLines(patch, "del").map((line) => ({
+            lineNumber: line.oldLineNumber,
+            content: line.content,
+        }));
+    }
+
+    /**
+     * Where an old-side line of a file ends up on the new side.
+     * @param {object} file File entry from parseDiff
+     * @param {number} lineNumber Old-side line number
+     * @returns {number|null} The new-side line number, or null when the line was deleted
+     */
+    mapOldLine(file, lineNumber) {
+        let offset = 0;
+
+        for (const hunk of file.hunks) {
+            // A hunk without old lines inserts after oldStart.
+            const first = hunk.oldLines === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+            if (lineNumber < first) {
+                break;
+            }
+
+            if (lineNumber < hunk.oldStart + hunk.oldLines) {
+                const line = hunk.lines.find((entry) => entry.oldLineNumber === lineNumber);
+                return line && line.type === "context" ? line.newLineNumber : null;
+            }
+
+            offset += hunk.newLines - hunk.oldLines;
+        }
+
+        return lineNumber + offset;
+    }
+
+    /**
+     * Collects hunk lines of the given type across all files in a patch.
+     * @param {string|object} patch
+     * @param {string} type 'add' | 'del' | 'context'
+     * @returns {Array<object>}
+     */
+    collectLines(patch, type) {
+        const files = typeof patch === "string" ? this.parseDiff(patch) : [patch];
+
+        return files.flatMap((file) =>
+            file.hunks.flatMap((hunk) =>
+                hunk.lines.filter((line) => line.type === type),
+            ),
+        );
     }
 
     /**
      * Grabs the extension of the filename to detect language.
      * @param {string} filename
+     * @returns {string|null}
      */
-    detectLanguage(patch) {
-        for (const line of patch.split("\n")) {
-            const trimmed = line.trim();
-
-            if (trimmed.startsWith("+++")) {
-                return trimmed
-                    .replace("+++", "")
-                    .replace("b/", "")
-                    .trim()
-                    .split(".")
-                    .pop();
-            }
+    detectLanguage(filename) {
+        if (!filename) {
+            return null;
         }
-        return null;
+
+        const basename = filename.split("/").pop();
+        if (!basename.includes(".")) {
+            return null;
+        }
+
+        return basename.split(".").pop().toLowerCase();
     }
 
     /**
@@ -128,228 +493,386 @@ class DiffParser {
             /\.spec$/, // calculator.spec
             /test_.*\.py$/, // test_calculator.py (Python)
             /.*_test\.py$/, // calculator_test.py (Python)
+            /_spec\.rb$/, // calculator_spec.rb (RSpec)
+            /Tests?\.(java|kt|cs|swift|php)$/, // CalculatorTest.java, CalculatorTests.cs
+            /(^|\/)tests\//, // tests/calculator.rs (Rust integration tests)
         ];
         return testPatterns.some((pattern) => pattern.test(filename));
     }
 
     /**
-     * Checks if the current patch has changed/updated functions.
-     *
-     * Common Patterns:
-     * - JavaScript/TypeScript: function declarations or arrow functions.
-     * - Python: def statements.
-     * - Java: public static void main(String[] args) or public void methodName() throws Exception.
-     * - Go: func functionName(parameters) returnType.
-     * - Rust: fn functionName(parameters) -> returnType.
-     * - Ruby: def methodName(parameters)
-     *
-     * Any other remaining patterns not found will be detected using AI instead.
-     * 
-     * @param {Array<{lineNumber: number, context: string}>} addedLines
-     * @param {string} language
+     * Matches a line against a language's declaration patterns.
+     * @param {string} content
+     * @param {object} analyzer From languages.getLanguage
+     * @returns {{kind: 'test'|'class'|'function', name: string}|null}
      */
-    containsNewFunctions(addedLines, language) {
-        // Functions to be added.
-        const functions = [];
+    matchDeclaration(content, analyzer) {
+        if (!content || analyzer.comment.test(content)) {
+            return null;
+        }
 
-        let results = {
-            hasNewFunctions: false,
-            newFunctions: functions,
-            lineNumbers: [],
-            language: language,
-        };
+        // Calls and control flow look like declarations to the looser patterns.
+        const firstWord = content.trim().split(/[\s(]/)[0];
+        if (STATEMENT_KEYWORDS.has(firstWord)) {
+            return null;
+        }
 
-        // Sets current Language.
-        let currentLanguage = language;
+        const kinds = [
+            ["test", analyzer.tests],
+            ["class", analyzer.classes],
+            ["function", analyzer.functions],
+        ];
 
-        // Patterns from common languages.
-        let patterns = {
-            js: {
-                // Function declarations
-                function: /^\s*(export\s+)?(async\s+)?function\s+\w+\s*\(/,
+        for (const [kind, patterns] of kinds) {
+            for (const pattern of patterns) {
+                const match = content.match(pattern);
 
-                // Arrow functions
-                arrow: /^\s*(export\s+)?(const|let|var)\s+\w+\s*=\s*(async\s*)?\([^)]*\)\s*=>/,
+                // 'function' as a name is an anonymous function expression.
+                if (match && !STATEMENT_KEYWORDS.has(match.groups.name) && match.groups.name !== "function") {
+                    return { kind, name: match.groups.name };
+                }
+            }
+        }
 
-                // Function expressions
-                expression:
-                    /^\s*(export\s+)?(const|let|var)\s+\w+\s*=\s*(async\s+)?function\s*\(/,
+        return null;
+    }
 
-                // Class methods
-                method: /^\s*(async\s+)?(\w+)\s*\([^)]*\)\s*{/,
-            },
-            py: {
-                function: /^\s*(async\s+)?def\s+\w+\s*\(/,
-            },
-            java: {
-                function:
-                    /^\s*(public|private|protected)?\s*(static)?\s*(final)?\s*[\w<>[\],\s]+\s+\w+\s*\(/,
-            },
-            go: {
-                function: /^\s*func\s+(\(\w+\s+\*?\w+\)\s*)?\w+\s*\(/,
-            },
-        };
+    /**
+     * Finds the nearest enclosing declaration of a hunk line: the closest
+     * less-indented declaration above it, or the declaration git put in the
+     * hunk header when the hunk starts inside it.
+     * @param {object} hunk
+     * @param {number} index Index of the line in hunk.lines
+     * @param {object} analyzer From languages.getLanguage
+     * @returns {{kind: string, name: string}|null} null for top-level code
+     */
+    enclosingSymbol(hunk, index, analyzer) {
+        const target = hunk.lines[index];
+        // Deleted lines only see the old side of the hunk, added lines the new side.
+        const hidden = target.type === "del" ? "add" : "del";
+        const indentOf = (content) => content.match(/^\s*/)[0].length;
+
+        // A closing brace or 'end' belongs to the block it closes.
+        let indent = indentOf(target.content) + (/^\s*(?:[}\])]|end\b)/.test(target.content) ? 1 : 0);
+        if (indent === 0) {
+            return null;
+        }
 
-        // Excluding control flow patterns.
-        let excludePatterns = {
-            commonPatterns: /^\s*(for|while|if|else|switch|catch)\s*\(/,
-        };
+        for (let i = index - 1; i >= 0 && indent > 0; i--) {
+            const line = hunk.lines[i];
+            if (line.type === hidden || !line.content.trim() || indentOf(line.content) >= indent) {
+                continue;
+            }
 
-        // Language-specific patterns
-        const langPatterns = patterns[currentLanguage];
+            const declaration = this.matchDeclaration(line.content, analyzer);
+            if (declaration) {
+                return declaration;
+            }
+            indent = indentOf(line.content);
+        }
 
-        if (!langPatterns) {
-            logger.warn(`No patterns defined for language: ${currentLanguage}`);
-            return results;
+        return indent > 0 ? this.matchDeclaration(hunk.section, analyzer) : null;
+    }
+
+    /**
+     * Finds the functions, classes and tests a file's changes add, modify
+     * or remove. A declaration that is both removed and added (e.g. its
+     * signature changed) counts as modified.
+     * @param {object} file File entry from parseDiff
+     * @param {string} language
+     * @returns {{added: Array<object>, modified: Array<object>, removed: Array<object>, tests: Array<object>}}
+     *   Symbols are {kind, name, line}; tests are the added tests as {name, line, enclosing}
+     */
+    analyzeSymbols(file, language) {
+        const symbols = { added: [], modified: [], removed: [], tests: [] };
+        const analyzer = getLanguage(language);
+
+        if (!analyzer) {
+            return symbols;
         }
 
-        // Iterate through each added line.
-        addedLines.forEach((lineObj) => {
-            const currentContext = lineObj.context;
+        const declared = { add: [], del: [] };
+        const changed = [];
 
-            // Skip if line matches control flow patterns
-            if (excludePatterns.commonPatterns.test(currentContext)) {
-                return;
-            }
+        file.hunks.forEach((hunk) => {
+            // Whether a test annotation is waiting for its function, per side.
+            const pendingTest = { add: false, del: false };
 
-            // Check all pattern types.
-            for (const patternType in langPatterns) {
-                if (currentContext.match(langPatterns[patternType])) {
-                    if (
-                        currentContext.match(langPatterns[patternType]) &&
-                        !currentContext.match(excludePatterns.commonPatterns)
-                    ) {
-                        // Push lines into function array.
-                        functions.push(currentContext.trim());
-                        results.lineNumbers.push(lineObj.lineNumber);
-                        break; // Stops checking other patterns once we find a match.
-                    }
+            hunk.lines.forEach((line, index) => {
+                const sides = line.type === "context" ? ["add", "del"] : [line.type];
+
+                if (analyzer.testAttributes.some((pattern) => pattern.test(line.content))) {
+                    sides.forEach((side) => (pendingTest[side] = true));
+                    return;
                 }
-            }
+
+                let declaration = this.matchDeclaration(line.content, analyzer);
+                if (declaration) {
+                    sides.forEach((side) => {
+                        if (pendingTest[side] && declaration.kind === "function") {
+                            declaration = { ...declaration, kind: "test" };
+                        }
+                        pendingTest[side] = false;
+                    });
+                }
+
+                if (line.type === "context") {
+                    return;
+                }
+
+                const lineNumber = line.type === "add" ? line.newLineNumber : line.oldLineNumber;
+
+                if (declaration) {
+                    declared[line.type].push({ ...declaration, line: lineNumber, hunk, index });
+                    return;
+                }
+
+                const enclosing = this.enclosingSymbol(hunk, index, analyzer);
+                if (enclosing) {
+                    changed.push({ ...enclosing, line: line.newLineNumber || line.oldLineNumber });
+                }
+            });
         });
 
-        results.hasNewFunctions = functions.length > 0;
-        return results;
+        const key = (symbol) => `${symbol.kind}:${symbol.name}`;
+        const addedKeys = new Set(declared.add.map(key));
+        const removedKeys = new Set(declared.del.map(key));
+        const seen = new Set();
+        const push = (list, { kind, name, line }) => {
+            if (!seen.has(`${list}:${kind}:${name}`)) {
+                seen.add(`${list}:${kind}:${name}`);
+                symbols[list].push({ kind, name, line });
+            }
+        };
+
+        declared.add.forEach((symbol) => push(removedKeys.has(key(symbol)) ? "modified" : "added", symbol));
+        declared.del.forEach((symbol) => !addedKeys.has(key(symbol)) && push("removed", symbol));
+        // By name only: a test's body encloses it as a plain function.
+        const declaredNames = new Set([...declared.add, ...declared.del].map((symbol) => symbol.name));
+        changed
+            .filter((symbol) => !declaredNames.has(symbol.name))
+            .forEach((symbol) => push("modified", symbol));
+
+        symbols.tests = declared.add
+            .filter((symbol) => symbol.kind === "test" && !removedKeys.has(key(symbol)))
+            .map((symbol) => {
+                const enclosing = this.enclosingSymbol(symbol.hunk, symbol.index, analyzer);
+                return { name: symbol.name, line: symbol.line, enclosing: enclosing ? enclosing.name : null };
+            });
+
+        return symbols;
     }
 
     /**
-     * Parses through added lines to find changed or new imports.
+     * Checks if the current patch has new or changed function declarations,
+     * using the patterns in languages.js.
      *
-     * Common Patterns:
-     * - JavaScript/TypeScript: import statements or require calls.
-     * - Python: import statements or from ... import statements.
-     * - Java: import statements.
-     * - Go: import statements.
-     * - Rust: use statements.
-     * - Ruby: require statements.
-     * 
      * Any other remaining patterns not found will be detected using AI instead.
      *
-     * @param {Array<{ lineNumber: number, context: string }>} addedLines
-     * @param {string} language
+     * @param {Array<{lineNumber: number, content: string}>} addedLines
+     * @param {string} language Language name or file extension
      */
-    containsImports(addedLines, language) {
-        const patterns = {
-            js: /import\s+.*from|require\s*\(/,
-            ts: /import\s+.*from|require\s*\(/,
-            py: /import\s+|from\s+.*import/,
-            java: /import\s+/,
-            go: /import\s+\(/,
-            rust: /use\s+/,
-            ruby: /require\s+/,
+    containsNewFunctions(addedLines, language) {
+        const results = {
+            hasNewFunctions: false,
+            newFunctions: [],
+            lineNumbers: [],
+            language: language,
         };
-        // List of imports
-        let addedImports = [];
+
+        const analyzer = getLanguage(language);
+
+        if (!analyzer) {
+            logger.debug(`No patterns defined for language: ${language}`);
+            return results;
+        }
 
         addedLines.forEach((lineObj) => {
-            const line = lineObj.context;
+            const declaration = this.matchDeclaration(lineObj.content, analyzer);
 
-            // Testing for import patterns.
-            if (patterns[language].test(line)) {
-                addedImports.push(line);
+            if (declaration && declaration.kind !== "class") {
+                results.newFunctions.push(lineObj.content.trim());
+                results.lineNumbers.push(lineObj.lineNumber);
             }
         });
 
-        return addedImports;
+        results.hasNewFunctions = results.newFunctions.length > 0;
+        return results;
     }
 
     /**
-     * Parses through added lines to find changed or new imports. Any other remaining patterns 
-     * not found will be detected using AI instead
+     * Parses through lines to find import, include, require or use
+     * statements, using the patterns in languages.js.
      *
-     * Common Patterns:
-     * - rust
-     * - python
-     * - java
-     * - go
-     * - ruby
-     * @param {Array<{ lineNumber: number, context: string }>} addedLines
-     * returns {Array<{ lineNumber: number, context: string }>} addedTest
+     * Any other remaining patterns not found will be detected using AI instead.
+     *
+     * @param {Array<{ lineNumber: number, content: string }>} lines
+     * @param {string} language Language name or file extension
+     * @returns {Array<string>}
+     */
+    containsImports(lines, language) {
+        const analyzer = getLanguage(language);
+
+        if (!analyzer) {
+            return [];
+        }
+
+        return lines
+            .map((lineObj) => lineObj.content)
+            .filter(
+                (line) =>
+                    !analyzer.comment.test(line) &&
+                    analyzer.imports.some((pattern) => pattern.test(line)),
+            );
+    }
+
+    /**
+     * Finds the dependencies a manifest's diff adds, removes or changes
+     * the version of, using the parsers in manifests.js. Old and new sides
+     * are read separately, so a dependency that was only moved or
+     * reformatted is not reported.
+     * @param {object} file File entry from parseDiff
+     * @returns {Array<object>} One entry per dependency, empty for other files
      */
-    hasTestChanges(addedLines) {
-        const testPatterns = {
-            js: /describe\s*\(/,
-            ts: /describe\s*\(/,
-            py: /def\s+test_/,
-            java: /@Test/,
-            go: /func\s+Test/,
-            rust: /#[cfg\(test\)]/,
-            ruby: /describe\s*\(/,
+    analyzeDependencies(file) {
+        const manifest = getManifest(file.filename);
+
+        if (!manifest || file.isBinary) {
+            return [];
+        }
+
+        const sides = { old: new Map(), new: new Map() };
+        const record = (side, entries, lineNumber) => {
+            [].concat(entries || []).forEach((entry) => {
+                const key = entry.key || `${entry.section || ""}\0${normalizeName(entry.name, manifest.ecosystem)}`;
+                if (!sides[side].has(key)) {
+                    sides[side].set(key, { ...entry, line: lineNumber });
+                }
+            });
         };
 
-        let addedTest = [];
+        file.hunks.forEach((hunk) => {
+            const oldState = {};
+            const newState = {};
 
-        addedLines.forEach((lineObj) => {
-            const line = lineObj.context;
+            hunk.lines.forEach((line) => {
+                if (line.type !== "add") {
+                    const entries = manifest.parse(line.content, oldState);
+                    if (line.type === "del") {
+                        record("old", entries, line.oldLineNumber);
+                    }
+                }
+                if (line.type !== "del") {
+                    const entries = manifest.parse(line.content, newState);
+                    if (line.type === "add") {
+                        record("new", entries, line.newLineNumber);
+                    }
+                }
+            });
+        });
 
-            if (testPatterns[language].match(line)) {
-                addedTest.push(line);
-            }
+        const change = (before, after) => ({
+            file: file.filename,
+            manifest: manifest.type,
+            ecosystem: manifest.ecosystem,
+            lockfile: manifest.lockfile,
+            name: (after || before).name,
+            section: (after || before).section,
+            change: !before ? "added" : !after ? "removed" : "changed",
+            from: before ? before.version : undefined,
+            to: after ? after.version : undefined,
+            line: after ? after.line : null,
+            majorBump: Boolean(before && after && isMajorBump(before.version, after.version)),
+            loosened: Boolean(before && after && isLoosened(before.version, after.version, manifest.ecosystem)),
         });
+
+        return [
+            ...[...sides.new]
+                .filter(([key, after]) => !sides.old.has(key) || sides.old.get(key).version !== after.version)
+                .map(([key, after]) => change(sides.old.get(key), after)),
+            ...[...sides.old].filter(([key]) => !sides.new.has(key)).map(([, before]) => change(before, null)),
+        ];
+    }
+
+    /**
+     * Analyzes a single file entry from parseDiff.
+     * @param {object} file
+     * @returns {object}
+     */
+    analyzeFile(file) {
+        const addedLines = this.getAddedLines(file);
+        const deletedLines = this.getDeletedLines(file);
+        const isTestFile = this.isTestFile(file.filename);
+        const language = getLanguage(file.language);
+        const symbols = this.analyzeSymbols(file, file.language);
+
+        return {
+            // 1. File metadata
+            filename: file.filename,
+            oldPath: file.oldPath,
+            newPath: file.newPath,
+            status: file.status,
+            isBinary: file.isBinary,
+            modeChanged: file.modeChanged,
+            oldBlob: file.oldBlob,
+            newBlob: file.newBlob,
+            language: file.language,
+            languageName: language ? language.name : null,
+            isTestFile,
+            additions: file.additions,
+            deletions: file.deletions,
+            hunks: file.hunks,
+
+            // 2. Added lines
+            addedLines,
+
+            // 3. Deleted lines
+            deletedLines,
+
+            // 4. Basic patterns
+            hasNewFunctions: this.containsNewFunctions(addedLines, file.language),
+
+            // Functions, classes and tests added, modified or removed.
+            symbols: {
+                added: symbols.added,
+                modified: symbols.modified,
+                removed: symbols.removed,
+            },
+
+            // Import changes or new imports.
+            hasImportChanges: this.containsImports(addedLines, file.language),
+            removedImports: this.containsImports(deletedLines, file.language),
+
+            // New tests, with the block or class they were added to.
+            hasTestChanges: symbols.tests,
+
+            // Dependencies added, removed or changed in a manifest or lock file.
+            dependencies: this.analyzeDependencies(file),
+        };
     }
 
     /**
-     * Analyzes the diff and returns an object with information about
+     * Analyzes the diff and returns an object with per-file information about
      * - Changes in tests cases
      * - Changes in imports
      * - Changes in added lines and deleted lines
-     * - Filename
+     * - Filename, status and hunks
      * - Language
-     * @returns object
+     * @returns {{files: Array<object>, stats: object}}
      * @param {string} patch
      */
     analyzeDiff(patch) {
         logger.info("Analyzing diff");
-        const parsed = {
-            // 1. Added lines
-            addedLines: this.getAddedLines(patch),
-
-            // 2. Deleted lines
-            deletedLines: this.getDeletedLines(patch),
-
-            // 3. File metadata
-            filename: this.detectLanguage(patch),
-            isTestFile: this.isTestFile(this.detectLanguage(patch)),
-
-            // 4. Basic patterns
-            hasNewFunctions: this.containsNewFunctions(
-                this.getAddedLines(patch),
-                this.detectLanguage(patch),
-            ),
-
-            // Import changes or new imports.
-            hasImportChanges: this.containsImports(
-                this.getAddedLines(patch),
-                this.detectLanguage(patch),
-            ),
-
-            // Checking for test changes
-            hasTestChanges: this.isTestFile(this.detectLanguage(patch))
-                ? this.hasTestChanges(this.getAddedLines(patch))
-                : false,
+        const files = this.parseDiff(patch).map((file) => this.analyzeFile(file));
+
+        return {
+            files,
+            stats: {
+                files: files.length,
+                additions: files.reduce((sum, file) => sum + file.additions, 0),
+                deletions: files.reduce((sum, file) => sum + file.deletions, 0),
+            },
         };
-        
-        return parsed;
     }
 }
 
@@ -0,0 +1,367 @@
+const { minimatch } = require("minimatch");
+const logger = require("../utils/logger");
+const JsonStore = require("../utils/jsonStore");
+const reviewState = require("./reviewState");
+const summaryComment = require("./summaryComment");
+
+// Writes kept per pull request (or commit); the oldest are dropped.
+const MAX_WRITES = 100;
+
+// Commits and comments remembered to attribute writes to their PR.
+const MAX_LINKS = 2000;
+
+/**
+ * Dry-run (shadow) mode: GithubService records its writes here instead of
+ * sending them, so a prompt or config change can be tried on real pull
+ * requests without anyone seeing the result.
+ *
+ * Enabled for every repository with DRY_RUN=true, for the repositories
+ * matching DRY_RUN_REPOS (comma-separated globs like 'acme/*'), or at
+ * runtime through the admin API, which overrides both.
+ *
+ * Writes are grouped by target: 'owner/repo#12' for a pull request,
+ * 'owner/repo@sha' for a commit that isn't a PR's head, and 'owner/repo'
+ * when the PR can't be told (e.g. a reaction on someone's comment).
+ * Recorded objects get negative IDs, so they can't be mistaken for (or
+ * collide with) real GitHub IDs.
+ */
+class DryRun {
+    constructor() {
+        this.limit = parseInt(process.env.DRY_RUN_HISTORY_LIMIT, 10) || 200;
+        this.store = new JsonStore("dry-run.json", {
+            enabled: null,
+            repos: {},
+            lastId: 0,
+            links: {},
+            targets: {},
+        });
+    }
+
+    /**
+     * Repository globs from DRY_RUN_REPOS.
+     * @returns {Array<string>}
+     */
+    envRepos() {
+        return (process.env.DRY_RUN_REPOS || "")
+            .split(",")
+            .map((pattern) => pattern.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Whether writes to a repository are recorded instead of sent.
+     * @param {string} repo 'owner/name'
+     * @returns {boolean}
+     */
+    isEnabled(repo) {
+        const state = this.store.load();
+
+        if (typeof state.repos[repo] === "boolean") {
+            return state.repos[repo];
+        }
+        if (this.envRepos().some((pattern) => minimatch(repo, pattern))) {
+            return true;
+        }
+        if (typeof state.enabled === "boolean") {
+            return state.enabled;
+        }
+        return process.env.DRY_RUN === "true";
+    }
+
+    /**
+     * Switches dry-run mode at runtime, globally or for one repository.
+     * @param {boolean|null} enabled null removes the override
+     * @param {string} [repo] 'owner/name'; all repositories when omitted
+     */
+    setEnabled(enabled, repo) {
+        const state = this.store.load();
+
+        if (repo) {
+            if (enabled === null) {
+                delete state.repos[repo];
+            } else {
+                state.repos[repo] = enabled;
+            }
+        } else {
+            state.enabled = enabled;
+        }
+        this.store.save();
+
+        logger.info("Dry-run mode changed", { repo: repo || "*", enabled });
+    }
+
+    /**
+     * Current settings, from the environment and the runtime overrides.
+     * @returns {{env: {enabled: boolean, repos: Array<string>}, enabled: boolean|null, repos: object}}
+     */
+    settings() {
+        const state = this.store.load();
+
+        return {
+            env: { enabled: process.env.DRY_RUN === "true", repos: this.envRepos() },
+            enabled: state.enabled,
+            repos: state.repos,
+        };
+    }
+
+    /**
+     * Remembers which pull request a commit or comment belongs to, so
+     * later writes that only name the commit or comment are grouped with it.
+     * @param {string} repo
+     * @param {{sha?: string, id?: number}} ref A commit, or a comment by ID
+     * @param {number} prNumber
+     */
+    link(repo, ref, prNumber) {
+        const state = this.store.load();
+        const key = this.linkKey(repo, ref);
+
+        if (state.links[key] === prNumber) {
+            return;
+        }
+
+        delete state.links[key];
+        state.links[key] = prNumber;
+
+        const keys = Object.keys(state.links);
+        keys.slice(0, Math.max(keys.length - MAX_LINKS, 0)).forEach((old) => delete state.links[old]);
+        this.store.save();
+    }
+
+    /**
+     * @param {string} repo
+     * @param {{sha?: string, id?: number}} ref
+     * @returns {string}
+     */
+    linkKey(repo, ref) {
+        return ref.sha ? `${repo}@${ref.sha}` : `${repo}!${ref.id}`;
+    }
+
+    /**
+     * Works out which target a write belongs to.
+     * @param {string} repo
+     * @param {{number?: number, sha?: string, id?: number}} ref
+     * @returns {{key: string, number: number|null, sha: string|null}}
+     */
+    resolveTarget(repo, ref) {
+        const state = this.store.load();
+        let number = ref.number || null;
+
+        if (!number && ref.id < 0) {
+            const owner = Object.values(state.targets).find((target) =>
+                target.writes.some((write) => write.id === ref.id),
+            );
+            number = owner ? owner.number : null;
+        }
+        if (!number && (ref.sha || ref.id)) {
+            number = state.links[this.linkKey(repo, ref)] || null;
+        }
+
+        if (number) {
+            return { key: `${repo}#${number}`, number, sha: null };
+        }
+        if (ref.sha) {
+            return { key: `${repo}@${ref.sha}`, number: null, sha: ref.sha };
+        }
+        return { key: repo, number: null, sha: null };
+    }
+
+    /**
+     * Records a write that wasn't sent to GitHub.
+     * @param {string} repo 'owner/name'
+     * @param {{number?: number, sha?: string, id?: number}} ref What the write is on
+     * @param {string} action The GithubService method, e.g. 'postReview'
+     * @param {object} payload What would have been sent
+     * @param {number} [installationId]
+     * @returns {{id: number}} Stand-in for GitHub's response
+     */
+    record(repo, ref, action, payload, installationId) {
+        const state = this.store.load();
+        const target = this.resolveTarget(repo, ref);
+        const id = -++state.lastId;
+
+        const entry = state.targets[target.key] || {
+            key: target.key,
+            repo,
+            number: target.number,
+            sha: target.sha,
+            installationId: installationId || null,
+            writes: [],
+        };
+
+        entry.writes = [...entry.writes, { id, action, at: new Date().toISOString(), ref, payload }].slice(
+            -MAX_WRITES,
+        );
+        entry.updatedAt = new Date().toISOString();
+        entry.installationId = installationId || entry.installationId;
+
+        // Most recently written targets last; the oldest are dropped.
+        delete state.targets[target.key];
+        state.targets[target.key] = entry;
+        const keys = Object.keys(state.targets);
+        keys.slice(0, Math.max(keys.length - this.limit, 0)).forEach((old) => delete state.targets[old]);
+
+        this.store.save();
+
+        logger.info("Dry run: recorded GitHub write", { target: target.key, action, id });
+
+        return { id };
+    }
+
+    /**
+     * Lists the targets with recorded writes, most recent first.
+     * @param {{repo?: string}} [filters]
+     * @returns {Array<object>}
+     */
+    list(filters = {}) {
+        return Object.values(this.store.load().targets)
+            .filter((target) => !filters.repo || target.repo === filters.repo)
+            .reverse()
+            .map(({ writes, ...target }) => ({
+                ...target,
+                writes: writes.length,
+                actions: [...new Set(writes.map((write) => write.action))],
+            }));
+    }
+
+    /**
+     * The writes recorded for a pull request, oldest first.
+     * @param {string} repo
+     * @param {number} prNumber
+     * @returns {object|null}
+     */
+    get(repo, prNumber) {
+        return this.store.load().targets[`${repo}#${prNumber}`] || null;
+    }
+
+    /**
+     * Compares what dry-run mode would have posted on a pull request with
+     * what the live mode did: the inline comments of the latest recorded
+     * review against the bot's open comments on GitHub, and the latest run
+     * in the recorded summary comment against the live one.
+     * @param {object} github GithubService for the repository
+     * @param {string} repo
+     * @param {number} prNumber
+     * @returns {Promise<object|null>} null when nothing was recorded for the PR
+     */
+    async compare(github, repo, prNumber) {
+        const target = this.get(repo, prNumber);
+        if (!target) {
+            return null;
+        }
+
+        const [owner, name] = repo.split("/");
+        const latest = (predicate) => [...target.writes].reverse().find(predicate) || null;
+
+        const review = latest((write) => write.action === "postReview");
+        const recordedSummary = latest(
+            (write) =>
+                ["createIssueComment", "updateIssueComment"].includes(write.action) &&
+                write.payload.body.startsWith(summaryComment.MARKER),
+        );
+
+        const posted = new Set(
+            reviewState
+                .get(repo, prNumber)
+                .findings.filter((finding) => finding.status === "open" && finding.commentId)
+                .map((finding) => finding.commentId),
+        );
+        const liveComments = posted.size > 0
+            ? (await github.listReviewComments(owner, name, prNumber)).filter((comment) => posted.has(comment.id))
+            : [];
+        const liveSummary = await github.findIssueComment(owner, name, prNumber, summaryComment.MARKER);
+
+        const latestRun = (body) => (body ? summaryComment.parseRuns(body)[0] || null : null);
+        const summary = {
+            live: latestRun(liveSummary && liveSummary.body),
+            dryRun: latestRun(recordedSummary && recordedSummary.payload.body),
+        };
+
+        return {
+            repo,
+            number: prNumber,
+            review: review ? { recordedAt: review.at, event: review.payload.event } : null,
+            comments: compareComments(
+                liveComments.map((comment) => ({ path: comment.path, line: comment.line, body: comment.body })),
+                review ? review.payload.comments : [],
+            ),
+            summary: {
+                ...summary,
+                diff: summary.live && summary.dryRun ? diffLines(summary.live, summary.dryRun) : null,
+            },
+        };
+    }
+}
+
+/**
+ * Pairs live and recorded inline comments by file and line.
+ * @param {Array<{path: string, line: number, body: string}>} live
+ * @param {Array<{path: string, line: number, body: string}>} recorded
+ * @returns {{added: Array<object>, removed: Array<object>, changed: Array<object>, unchanged: number}}
+ */
+function compareComments(live, recorded) {
+    const remaining = [...live];
+    const result = { added: [], removed: [], changed: [], unchanged: 0 };
+
+    for (const comment of recorded) {
+        const same = remaining.findIndex(
+            (entry) => entry.path === comment.path && entry.line === comment.line && entry.body === comment.body,
+        );
+        const index = same !== -1
+            ? same
+            : remaining.findIndex((entry) => entry.path === comment.path && entry.line === comment.line);
+
+        if (index === -1) {
+            result.added.push({ path: comment.path, line: comment.line, body: comment.body });
+            continue;
+        }
+
+        const [match] = remaining.splice(index, 1);
+        if (match.body === comment.body) {
+            result.unchanged++;
+        } else {
+            result.changed.push({ path: comment.path, line: comment.line, live: match.body, dryRun: comment.body });
+        }
+    }
+
+    result.removed = remaining;
+    return result;
+}
+
+/**
+ * Line diff of two texts, as '  ', '- ' and '+ ' prefixed lines.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<string>}
+ */
+function diffLines(before, after) {
+    const a = before.split("\n");
+    const b = after.split("\n");
+
+    // Longest common subsequence lengths of the suffixes.
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push(`  ${a[i++]}`);
+            j++;
+        } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            lines.push(`+ ${b[j++]}`);
+        } else {
+            lines.push(`- ${a[i++]}`);
+        }
+    }
+
+    return lines;
+}
+
+module.exports = new DryRun();
@@ -0,0 +1,217 @@
+const logger = require("../utils/logger");
+const services = require("./services");
+const reviewState = require("./reviewState");
+const reviewQueue = require("./reviewQueue");
+
+// Only PRs reviewed this recently are swept for new feedback.
+const DEFAULT_WINDOW_DAYS = 14;
+
+/**
+ * Tracks whether the bot's comments are useful: 👍/👎 reactions on its
+ * review comments and whether their threads were resolved, broken down by
+ * finding category, language and prompt version.
+ *
+ * A finding counts as accepted when it has more 👍 than 👎, or a person
+ * resolved its thread, without a 👎 majority. It counts as rejected when it
+ * has more 👎 than 👍. Anything else has no signal and is left out of the
+ * acceptance rate. A code change alone is no signal: threads the bot
+ * resolved itself because their code changed are counted apart, as
+ * 'autoResolved'.
+ */
+class FeedbackTracker {
+    /**
+     * Collects reactions and thread state for the bot's comments on a PR.
+     * @param {object} request
+     * @param {string} request.repo 'owner/name'
+     * @param {string} request.repoOwner
+     * @param {string} request.repoName
+     * @param {number} request.number
+     * @param {number} [request.installationId]
+     * @returns {Promise<{findings: number}>}
+     */
+    async collect(request) {
+        const github = services.forInstallation(request.installationId);
+        const findings = reviewState
+            .get(request.repo, request.number)
+            .findings.filter((finding) => finding.commentId);
+
+        if (findings.length === 0) {
+            return { findings: 0 };
+        }
+
+        const threads = await github.getReviewThreads(request.repoOwner, request.repoName, request.number);
+        const resolved = new Map(
+            threads.filter((thread) => thread.isResolved).map((thread) => [thread.commentId, thread]),
+        );
+
+        for (const finding of findings) {
+            const reactions = (
+                await github.getReviewCommentReactions(request.repoOwner, request.repoName, finding.commentId)
+            ).filter((reaction) => !reaction.isBot);
+            const thread = resolved.get(finding.commentId);
+            // The bot resolves its own threads when their code changes.
+            const byBot = Boolean(thread) && thread.resolvedBy === thread.author;
+
+            reviewState.recordFeedback(finding, {
+                thumbsUp: reactions.filter((reaction) => reaction.content === "+1").length,
+                thumbsDown: reactions.filter((reaction) => reaction.content === "-1").length,
+                threadResolved: Boolean(thread) && !byBot,
+                autoResolved: byBot,
+            });
+        }
+
+        logger.info("Feedback collected", {
+            repo: request.repo,
+            pr: request.number,
+            findings: findings.length,
+        });
+
+        return { findings: findings.length };
+    }
+
+    /**
+     * Queues feedback collection for every PR reviewed in the last
+     * FEEDBACK_WINDOW_DAYS days (default 14).
+     * @returns {number} Number of PRs queued
+     */
+    enqueueRecent() {
+        const windowDays = parseInt(process.env.FEEDBACK_WINDOW_DAYS, 10) || DEFAULT_WINDOW_DAYS;
+        const cutoff = Date.now() - windowDays * 24 * 60 * 60 * 1000;
+
+        const recent = reviewState
+            .list()
+            .filter(
+                ({ state }) =>
+                    state.lastReviewedAt &&
+                    new Date(state.lastReviewedAt).getTime() >= cutoff &&
+                    state.findings.some((finding) => finding.commentId),
+            );
+
+        recent.forEach(({ repo, prNumber, state }) => this.enqueue(repo, prNumber, state.installationId));
+
+        return recent.length;
+    }
+
+    /**
+     * Queues feedback collection for one PR.
+     * @param {string} repo 'owner/name'
+     * @param {number} prNumber
+     * @param {number} [installationId]
+     */
+    enqueue(repo, prNumber, installationId) {
+        const [repoOwner, repoName] = repo.split("/");
+
+        reviewQueue.enqueue(
+            "feedback",
+            { repo, repoOwner, repoName, number: prNumber, installationId },
+            { key: `${repo}#${prNumber}:feedback` },
+        );
+    }
+
+    /**
+     * Classifies a finding's feedback.
+     * @param {object} finding
+     * @returns {'accepted'|'rejected'|null} null when there is no signal
+     */
+    outcome(finding) {
+        const feedback = finding.feedback || { thumbsUp: 0, thumbsDown: 0, threadResolved: false };
+
+        if (feedback.thumbsDown > feedback.thumbsUp) {
+            return "rejected";
+        }
+
+        if (feedback.thumbsUp > feedback.thumbsDown || feedback.threadResolved) {
+            return "accepted";
+        }
+
+        return null;
+    }
+
+    /**
+     * Builds the acceptance report.
+     * @param {object} [options]
+     * @param {string} [options.repo] Only this repository
+     * @param {string} [options.since] ISO date; only findings posted since
+     * @param {'day'|'week'|'month'} [options.interval] Timeline bucket size
+     * @returns {object}
+     */
+    report({ repo, since, interval = "week" } = {}) {
+        const sinceTime = since ? new Date(since).getTime() : 0;
+
+        const findings = reviewState
+            .list()
+            .filter((entry) => !repo || entry.repo === repo)
+            .flatMap(({ state }) =>
+                state.findings
+                    .filter((finding) => finding.commentId)
+                    .map((finding) => ({
+                        ...finding,
+                        postedAt: finding.postedAt || state.lastReviewedAt,
+                    })),
+            )
+            .filter((finding) => new Date(finding.postedAt).getTime() >= sinceTime);
+
+        const summarize = (group) => {
+            const accepted = group.filter((finding) => this.outcome(finding) === "accepted").length;
+            const rejected = group.filter((finding) => this.outcome(finding) === "rejected").length;
+            const autoResolved = group.filter((finding) => finding.feedback && finding.feedback.autoResolved).length;
+
+            return {
+                findings: group.length,
+                accepted,
+                rejected,
+                autoResolved,
+                acceptanceRate:
+                    accepted + rejected > 0
+                        ? Math.round((accepted / (accepted + rejected)) * 1000) / 1000
+                        : null,
+            };
+        };
+
+        const groupBy = (keyOf) => {
+            const groups = {};
+            findings.forEach((finding) => {
+                const key = keyOf(finding) || "unknown";
+                (groups[key] = groups[key] || []).push(finding);
+            });
+
+            return Object.fromEntries(
+                Object.entries(groups)
+                    .sort(([a], [b]) => a.localeCompare(b))
+                    .map(([key, group]) => [key, summarize(group)]),
+            );
+        };
+
+        return {
+            generatedAt: new Date().toISOString(),
+            interval,
+            totals: summarize(findings),
+            byCategory: groupBy((finding) => finding.category),
+            byLanguage: groupBy((finding) => finding.language),
+            byPromptVersion: groupBy((finding) => finding.promptVersion),
+            timeline: Object.entries(groupBy((finding) => this.period(finding.postedAt, interval))).map(
+                ([period, stats]) => ({ period, ...stats }),
+            ),
+        };
+    }
+
+    /**
+     * Start date of the day, ISO week (Monday) or month a timestamp falls in.
+     * @param {string} timestamp
+     * @param {'day'|'week'|'month'} interval
+     * @returns {string} e.g. '2024-05-06'
+     */
+    period(timestamp, interval) {
+        const date = new Date(timestamp);
+
+        if (interval === "month") {
+            date.setUTCDate(1);
+        } else if (interval === "week") {
+            date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        }
+
+        return date.toISOString().slice(0, 10);
+    }
+}
+
+module.exports = new FeedbackTracker();
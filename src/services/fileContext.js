@@ -0,0 +1,397 @@
+const logger = require("../utils/logger");
+const diffParser = require("./diffParser");
+const secretScanner = require("./secretScanner");
+const metrics = require("./metrics");
+const { getLanguage, STATEMENT_KEYWORDS } = require("./languages");
+
+// Cap on the file contents kept in memory, across all repositories.
+const DEFAULT_CACHE_BYTES = 50 * 1024 * 1024;
+
+// Context lines shown per hunk, of which at most this many are definitions.
+const DEFAULT_CONTEXT_LINES = 40;
+const MAX_DEFINITIONS = 10;
+
+// Identifiers too common to be worth looking up.
+const COMMON_WORDS = new Set([
+    "true", "false", "null", "nil", "None", "True", "False", "undefined", "this", "self",
+    "super", "const", "let", "var", "val", "def", "fn", "func", "fun", "return", "import",
+    "from", "export", "default", "class", "struct", "public", "private", "protected",
+    "static", "async", "await", "void", "int", "string", "bool", "boolean", "end", "then",
+    "and", "not", "in", "is", "of", "or", "as", "pass", "try", "else", "elif", "finally",
+]);
+
+/**
+ * Adds code from outside the diff to each hunk, so the reviewer can see
+ * what the changed lines refer to: the start of the function or class
+ * they are in, and the definitions of local names they use.
+ *
+ * File contents are fetched at the reviewed commits and cached by blob
+ * SHA, so files that haven't changed between reviews of a PR aren't
+ * downloaded again. Secrets are masked before anything is extracted.
+ */
+class FileContext {
+    constructor() {
+        // Blob SHA (first 7 characters, as in diff headers) -> {sha, content}
+        this.blobs = new Map();
+        // repo@commit:path -> blob SHA, for files whose blob SHA wasn't known
+        this.paths = new Map();
+        this.bytes = 0;
+        this.maxBytes = parseInt(process.env.FILE_CACHE_MAX_BYTES, 10) || DEFAULT_CACHE_BYTES;
+    }
+
+    /**
+     * Gets a file's contents, from the cache when its blob was seen before.
+     * @param {object} github
+     * @param {string} owner
+     * @param {string} repo
+     * @param {string} filePath
+     * @param {string} ref Commit SHA
+     * @param {string} [blobSha] Full or abbreviated blob SHA, when known
+     * @returns {Promise<string|null>}
+     */
+    async getContent(github, owner, repo, filePath, ref, blobSha) {
+        const pathKey = `${owner}/${repo}@${ref}:${filePath}`;
+        const sha = blobSha || this.paths.get(pathKey);
+        const cached = sha && this.blobs.get(`${owner}/${repo}:${sha.slice(0, 7)}`);
+
+        if (cached && cached.sha.startsWith(sha)) {
+            metrics.increment("file_cache_requests_total", { result: "hit" });
+            return cached.content;
+        }
+
+        metrics.increment("file_cache_requests_total", { result: "miss" });
+
+        const file = await github.getFileContent(owner, repo, filePath, ref);
+        if (!file) {
+            return null;
+        }
+
+        if (file.sha) {
+            this.store(`${owner}/${repo}`, file.sha, file.content);
+            this.paths.set(pathKey, file.sha);
+            if (this.paths.size > 10000) {
+                this.paths.delete(this.paths.keys().next().value);
+            }
+        }
+
+        return file.content;
+    }
+
+    /**
+     * Caches a blob, evicting the oldest ones past FILE_CACHE_MAX_BYTES.
+     * @param {string} repo 'owner/name'
+     * @param {string} sha
+     * @param {string} content
+     */
+    store(repo, sha, content) {
+        const key = `${repo}:${sha.slice(0, 7)}`;
+
+        if (this.blobs.has(key)) {
+            return;
+        }
+
+        this.blobs.set(key, { sha, content });
+        this.bytes += content.length;
+
+        while (this.bytes > this.maxBytes && this.blobs.size > 1) {
+            const [oldest, entry] = this.blobs.entries().next().value;
+            this.blobs.delete(oldest);
+            this.bytes -= entry.content.length;
+        }
+    }
+
+    /**
+     * Attaches context to the hunks of the given files. Files whose
+     * contents can't be fetched are returned unchanged.
+     * @param {object} github
+     * @param {object} request
+     * @param {string} request.owner
+     * @param {string} request.repo
+     * @param {string} request.headSha Commit the new side of the hunks is at
+     * @param {function(): Promise<string|null>} request.baseRef Resolves the commit the old side is at
+     * @param {Array<object>} files File entries from diffParser.analyzeFile
+     * @param {object} config Repository config
+     * @returns {Promise<Array<object>>} Copies of the files, with 'context' set on their hunks
+     */
+    async addContext(github, request, files, config) {
+        const maxLines =
+            process.env.REVIEW_CONTEXT_LINES === undefined
+                ? DEFAULT_CONTEXT_LINES
+                : parseInt(process.env.REVIEW_CONTEXT_LINES, 10) || 0;
+
+        if (maxLines === 0) {
+            return files;
+        }
+
+        const result = [];
+
+        for (const file of files) {
+            try {
+                result.push(await this.addFileContext(github, request, file, config, maxLines));
+            } catch (error) {
+                logger.warn("Could not add file context", {
+                    file: file.filename,
+                    error: error.message,
+                });
+                result.push(file);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Attaches context to one file's hunks.
+     * @param {object} github
+     * @param {object} request See addContext
+     * @param {object} file
+     * @param {object} config
+     * @param {number} maxLines Per hunk
+     * @returns {Promise<object>}
+     */
+    async addFileContext(github, request, file, config, maxLines) {
+        const analyzer = getLanguage(file.language);
+
+        if (!analyzer || file.isBinary) {
+            return file;
+        }
+
+        const load = async (side) => {
+            const ref = side === "new" ? request.headSha : await request.baseRef();
+            const filePath = side === "new" ? file.newPath || file.filename : file.oldPath;
+            const blob = side === "new" ? file.newBlob : file.oldBlob;
+
+            if (!ref || !filePath) {
+                return null;
+            }
+
+            const content = await this.getContent(github, request.owner, request.repo, filePath, ref, blob);
+            return content === null ? null : secretScanner.maskText(content, config).split("\n");
+        };
+
+        const contents = {};
+        const hunks = [];
+
+        for (const hunk of file.hunks) {
+            // Hunks that only delete code are placed in the old version of the file.
+            const side = hunk.lines.some((line) => line.type === "add") ? "new" : "old";
+
+            if (!(side in contents)) {
+                contents[side] = await load(side);
+            }
+
+            const context = contents[side] && this.extract(contents[side], hunk, analyzer, side, maxLines);
+            hunks.push(context ? { ...hunk, context } : hunk);
+        }
+
+        return { ...file, hunks };
+    }
+
+    /**
+     * Extracts a hunk's context from the file it applies to.
+     * @param {Array<string>} lines The file's lines
+     * @param {object} hunk
+     * @param {object} analyzer From languages.getLanguage
+     * @param {'new'|'old'} side
+     * @param {number} maxLines
+     * @returns {{enclosing: object|null, definitions: Array<object>}|null} null when there is nothing to add
+     */
+    extract(lines, hunk, analyzer, side, maxLines) {
+        const start = side === "new" ? hunk.newStart : hunk.oldStart;
+        const end = start + (side === "new" ? hunk.newLines : hunk.oldLines) - 1;
+        const changed = hunk.lines.filter((line) => line.type === (side === "new" ? "add" : "del"));
+
+        if (changed.length === 0) {
+            return null;
+        }
+
+        const definitions = this.findDefinitions(lines, changed, analyzer, start, end).slice(
+            0,
+            Math.min(MAX_DEFINITIONS, Math.floor(maxLines / 4)),
+        );
+        const enclosing = this.findEnclosing(lines, hunk, analyzer, side, maxLines - definitions.length);
+
+        // Definitions inside the enclosing excerpt are already shown.
+        const shown = new Set(enclosing ? enclosing.lines.map((line) => line.lineNumber) : []);
+        const extra = definitions.filter((definition) => !shown.has(definition.lineNumber));
+
+        if (!enclosing && extra.length === 0) {
+            return null;
+        }
+
+        return { enclosing, definitions: extra };
+    }
+
+    /**
+     * The start of the function or class the hunk begins in: its
+     * declaration and the lines between it and the hunk.
+     * @param {Array<string>} lines
+     * @param {object} hunk
+     * @param {object} analyzer
+     * @param {'new'|'old'} side
+     * @param {number} maxLines
+     * @returns {{kind: string, name: string, lines: Array<{lineNumber: number|null, content: string}>}|null}
+     *   A null lineNumber marks lines left out
+     */
+    findEnclosing(lines, hunk, analyzer, side, maxLines) {
+        const start = side === "new" ? hunk.newStart : hunk.oldStart;
+        const hidden = side === "new" ? "del" : "add";
+        const visible = hunk.lines.filter((line) => line.type !== hidden);
+        const firstChanged = visible.findIndex((line) => line.type !== "context");
+        const indentOf = (content) => content.match(/^\s*/)[0].length;
+
+        let indent = indentOf(visible[firstChanged].content);
+
+        // A declaration in the hunk's own leading lines is visible already.
+        for (let i = firstChanged - 1; i >= 0 && indent > 0; i--) {
+            const content = visible[i].content;
+            if (!content.trim() || indentOf(content) >= indent) {
+                continue;
+            }
+
+            if (diffParser.matchDeclaration(content, analyzer)) {
+                return null;
+            }
+            indent = indentOf(content);
+        }
+
+        for (let i = start - 2; i >= 0 && indent > 0 && maxLines > 1; i--) {
+            const content = lines[i];
+            if (!content.trim() || indentOf(content) >= indent) {
+                continue;
+            }
+
+            const declaration = diffParser.matchDeclaration(content, analyzer);
+            if (!declaration) {
+                indent = indentOf(content);
+                continue;
+            }
+
+            // Declaration, then as many lines leading up to the hunk as fit.
+            const body = lines.slice(i + 1, start - 1).map((text, offset) => ({
+                lineNumber: i + 2 + offset,
+                content: text,
+            }));
+            const excerpt = body.length <= maxLines - 1
+                ? body
+                : [{ lineNumber: null, content: "..." }, ...body.slice(body.length - (maxLines - 2))];
+
+            return {
+                ...declaration,
+                lines: [{ lineNumber: i + 1, content }, ...excerpt],
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Definitions, outside the hunk, of names the changed lines use:
+     * functions, classes, variables and imports.
+     * @param {Array<string>} lines
+     * @param {Array<object>} changed Added (or deleted) hunk lines
+     * @param {object} analyzer
+     * @param {number} start First line of the hunk
+     * @param {number} end Last line of the hunk
+     * @returns {Array<{name: string, lineNumber: number, content: string}>}
+     */
+    findDefinitions(lines, changed, analyzer, start, end) {
+        const names = new Set();
+
+        changed.forEach((line) => {
+            if (analyzer.comment.test(line.content)) {
+                return;
+            }
+
+            // Skip property accesses (obj.name) and string contents.
+            const code = line.content.replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""');
+            for (const match of code.matchAll(/(?<![\w$.])[A-Za-z_$][\w$]*/g)) {
+                if (
+                    match[0].length > 1 &&
+                    !COMMON_WORDS.has(match[0]) &&
+                    !STATEMENT_KEYWORDS.has(match[0])
+                ) {
+                    names.add(match[0]);
+                }
+            }
+        });
+
+        // Names declared by the changes themselves need no lookup.
+        changed.forEach((line) => {
+            const declaration = diffParser.matchDeclaration(line.content, analyzer);
+            if (declaration) {
+                names.delete(declaration.name);
+            }
+        });
+
+        const definitions = [];
+
+        names.forEach((name) => {
+            const lineNumber = this.findDefinition(lines, name, analyzer, start, end);
+            if (lineNumber) {
+                definitions.push({ name, lineNumber, content: lines[lineNumber - 1] });
+            }
+        });
+
+        return definitions.sort((a, b) => a.lineNumber - b.lineNumber);
+    }
+
+    /**
+     * Line number of a name's definition outside the hunk, preferring the
+     * closest one above it.
+     * @param {Array<string>} lines
+     * @param {string} name
+     * @param {object} analyzer
+     * @param {number} start
+     * @param {number} end
+     * @returns {number|null}
+     */
+    findDefinition(lines, name, analyzer, start, end) {
+        const escaped = name.replace(/\$/g, "\\$");
+        const variable = new RegExp(
+            [
+                // const { a, name } = ..., let name: T = ..., var name
+                `^\\s*(?:export\\s+)?(?:const|let|var|val|my|our|local)\\s+[^=]*(?<![\\w$.])${escaped}\\b[^=]*(?:=|$)`,
+                // name = ..., name := ... (Python, Ruby, Go)
+                `^\\s*${escaped}\\s*:?=(?!=)`,
+                // Typed declarations: static final int name = ...
+                `^\\s*(?:(?:final|static|readonly|private|public|protected|const|internal)\\s+)*[\\w$<>\\[\\],.?]+[\\s*&]+${escaped}\\s*(?:=(?!=)|;|\\[)`,
+            ].join("|"),
+        );
+        const word = new RegExp(`(?<![\\w$.])${escaped}\\b`);
+
+        const isDefinition = (content) => {
+            if (!content || !word.test(content) || analyzer.comment.test(content)) {
+                return false;
+            }
+
+            const declaration = diffParser.matchDeclaration(content, analyzer);
+            if (declaration) {
+                return declaration.name === name;
+            }
+
+            if (analyzer.imports.some((pattern) => pattern.test(content))) {
+                return true;
+            }
+
+            const firstWord = content.trim().split(/[\s(]/)[0];
+            return !STATEMENT_KEYWORDS.has(firstWord) && variable.test(content);
+        };
+
+        for (let i = start - 2; i >= 0; i--) {
+            if (isDefinition(lines[i])) {
+                return i + 1;
+            }
+        }
+
+        for (let i = end; i < lines.length; i++) {
+            if (isDefinition(lines[i])) {
+                return i + 1;
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = new FileContext();
@@ -0,0 +1,167 @@
+/**
+ * Schema for review findings produced by the AI reviewer.
+ *
+ * A finding looks like:
+ * {
+ *   file: 'src/index.js',
+ *   line: 12,            // new-side line number
+ *   endLine: 14,         // optional, for multi-line ranges
+ *   severity: 'high',
+ *   category: 'security',
+ *   message: 'User input is passed to exec()',
+ *   suggestion: 'execFile(cmd, args)' // optional
+ * }
+ */
+
+// Ordered from most to least severe.
+const SEVERITIES = ["critical", "high", "medium", "low", "info"];
+
+const CATEGORIES = [
+    "security",
+    "correctness",
+    "performance",
+    "readability",
+    "maintainability",
+    "style",
+    "testing",
+    "other",
+];
+
+// Common words models use instead of our severity names.
+const SEVERITY_ALIASES = {
+    blocker: "critical",
+    error: "high",
+    major: "high",
+    warning: "medium",
+    warn: "medium",
+    moderate: "medium",
+    minor: "low",
+    nit: "info",
+    note: "info",
+    suggestion: "info",
+};
+
+const CATEGORY_ALIASES = {
+    bug: "correctness",
+    logic: "correctness",
+    perf: "performance",
+    docs: "readability",
+    documentation: "readability",
+    naming: "readability",
+    formatting: "style",
+    tests: "testing",
+    test: "testing",
+    design: "maintainability",
+    architecture: "maintainability",
+};
+
+/**
+ * Ranks a severity, 0 being the most severe.
+ * @param {string} severity
+ * @returns {number}
+ */
+function severityRank(severity) {
+    const rank = SEVERITIES.indexOf(severity);
+    return rank === -1 ? SEVERITIES.length : rank;
+}
+
+/**
+ * Whether a severity is at least as severe as the threshold.
+ * @param {string} severity
+ * @param {string} threshold
+ * @returns {boolean}
+ */
+function meetsSeverity(severity, threshold) {
+    return severityRank(severity) <= severityRank(threshold);
+}
+
+/**
+ * Coerces a line number the model may have returned as a string.
+ * @param {any} value
+ * @returns {number|null}
+ */
+function toLineNumber(value) {
+    const line = typeof value === "string" ? parseInt(value, 10) : value;
+    return Number.isInteger(line) && line > 0 ? line : null;
+}
+
+/**
+ * Validates a raw finding and normalizes it into the schema above.
+ * @param {object} raw
+ * @param {{file?: string}} defaults Values used when the model omits them
+ * @returns {{finding: object|null, errors: Array<string>}}
+ */
+function normalizeFinding(raw, defaults = {}) {
+    const errors = [];
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        return { finding: null, errors: ["finding is not an object"] };
+    }
+
+    const message = [raw.message, raw.comment, raw.description].find(
+        (value) => typeof value === "string" && value.trim(),
+    );
+    if (!message) {
+        errors.push("message is required");
+    }
+
+    const file = typeof raw.file === "string" && raw.file ? raw.file : defaults.file;
+    if (!file) {
+        errors.push("file is required");
+    }
+
+    // Accept either 'line' or a [start, end] 'lines' range.
+    const range = Array.isArray(raw.lines) ? raw.lines : [];
+    const line = toLineNumber(raw.line !== undefined ? raw.line : range[0]);
+    if (!line) {
+        errors.push("line must be a positive integer");
+    }
+
+    let endLine = toLineNumber(raw.endLine !== undefined ? raw.endLine : range[1]);
+    if (endLine && line && endLine <= line) {
+        endLine = null;
+    }
+
+    let severity = String(raw.severity || "").toLowerCase();
+    severity = SEVERITY_ALIASES[severity] || severity;
+    if (!SEVERITIES.includes(severity)) {
+        errors.push(`severity must be one of ${SEVERITIES.join(", ")}`);
+    }
+
+    let category = String(raw.category || "other").toLowerCase();
+    category = CATEGORY_ALIASES[category] || category;
+    if (!CATEGORIES.includes(category)) {
+        category = "other";
+    }
+
+    if (errors.length > 0) {
+        return { finding: null, errors };
+    }
+
+    const finding = {
+        file,
+        line,
+        severity,
+        category,
+        message: message.trim(),
+    };
+
+    if (endLine) {
+        finding.endLine = endLine;
+    }
+
+    const suggestion = raw.suggestion || raw.suggestedFix || raw.fix;
+    if (typeof suggestion === "string" && suggestion.trim()) {
+        finding.suggestion = suggestion;
+    }
+
+    return { finding, errors };
+}
+
+module.exports = {
+    SEVERITIES,
+    CATEGORIES,
+    severityRank,
+    meetsSeverity,
+    normalizeFinding,
+};
@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { Octokit } = require("@octokit/rest");
+const logger = require("../utils/logger");
+
+// Refresh installation tokens this long before GitHub expires them.
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Authentication for the GitHub API.
+ *
+ * Runs as a GitHub App when GITHUB_APP_ID and a private key
+ * (GITHUB_APP_PRIVATE_KEY or GITHUB_APP_PRIVATE_KEY_PATH) are set, acting
+ * on each repository through the installation that sent the webhook.
+ * Otherwise falls back to a personal access token (GITHUB_TOKEN), which is
+ * handy for local development.
+ */
+class GithubAuth {
+    constructor() {
+        this.baseUrl = process.env.GITHUB_API_URL || "https://api.github.com";
+        this.appId = process.env.GITHUB_APP_ID;
+        this.privateKey = this.readPrivateKey();
+        this.token = process.env.GITHUB_TOKEN;
+        this.mode = this.appId && this.privateKey ? "app" : "token";
+
+        // installationId -> { token, expiresAt }
+        this.installationTokens = new Map();
+        // installationId -> pending token request, so concurrent jobs share one
+        this.pendingTokens = new Map();
+    }
+
+    /**
+     * Reads the app private key from the environment or a file.
+     * @returns {string|null}
+     */
+    readPrivateKey() {
+        if (process.env.GITHUB_APP_PRIVATE_KEY) {
+            // .env files usually hold the PEM with escaped newlines.
+            return process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, "\n");
+        }
+
+        if (process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+            return fs.readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, "utf-8");
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether any credentials are configured.
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return this.mode === "app" || Boolean(this.token);
+    }
+
+    /**
+     * Signs a short-lived JWT identifying the app (RS256).
+     * @returns {string}
+     */
+    createAppJwt() {
+        const now = Math.floor(Date.now() / 1000);
+        const encode = (value) =>
+            Buffer.from(JSON.stringify(value)).toString("base64url");
+
+        const unsigned = [
+            encode({ alg: "RS256", typ: "JWT" }),
+            // Backdate to allow for clock drift; GitHub caps expiry at 10 minutes.
+            encode({ iat: now - 60, exp: now + 9 * 60, iss: this.appId }),
+        ].join(".");
+
+        const signature = crypto
+            .createSign("RSA-SHA256")
+            .update(unsigned)
+            .sign(this.privateKey, "base64url");
+
+        return `${unsigned}.${signature}`;
+    }
+
+    /**
+     * Returns an installation access token, from cache while still valid.
+     * @param {number} installationId
+     * @returns {Promise<string>}
+     */
+    async getInstallationToken(installationId) {
+        const cached = this.installationTokens.get(installationId);
+        if (cached && cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+            return cached.token;
+        }
+
+        if (!this.pendingTokens.has(installationId)) {
+            const pending = this.requestInstallationToken(installationId).finally(
+                () => this.pendingTokens.delete(installationId),
+            );
+            this.pendingTokens.set(installationId, pending);
+        }
+
+        return this.pendingTokens.get(installationId);
+    }
+
+    /**
+     * Exchanges the app JWT for a new installation access token.
+     * @param {number} installationId
+     * @returns {Promise<string>}
+     */
+    async requestInstallationToken(installationId) {
+        try {
+            logger.info("Requesting installation token", { installationId });
+
+            const appOctokit = new Octokit({
+                auth: this.createAppJwt(),
+                baseUrl: this.baseUrl,
+            });
+
+            const { data } = await appOctokit.apps.createInstallationAccessToken({
+                installation_id: installationId,
+            });
+
+            this.installationTokens.set(installationId, {
+                token: data.token,
+                expiresAt: new Date(data.expires_at).getTime(),
+            });
+
+            return data.token;
+        } catch (error) {
+            logger.error("Error requesting installation token", {
+                installationId,
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Creates an Octokit client for the given installation. In app mode
+     * every request picks up a fresh token when the cached one expires.
+     * @param {number} [installationId] From the webhook payload's installation.id
+     * @returns {Octokit}
+     */
+    createOctokit(installationId) {
+        if (this.mode === "token") {
+            return new Octokit({ auth: this.token, baseUrl: this.baseUrl });
+        }
+
+        if (!installationId) {
+            throw Object.assign(
+                new Error("Installation ID is required when running as a GitHub App"),
+                { retryable: false },
+            );
+        }
+
+        const getToken = () => this.getInstallationToken(installationId);
+
+        return new Octokit({
+            baseUrl: this.baseUrl,
+            authStrategy: () => {
+                const auth = async () => ({
+                    type: "token",
+                    tokenType: "installation",
+                    token: await getToken(),
+                });
+
+                auth.hook = async (request, route, parameters) => {
+                    const endpoint = request.endpoint.merge(route, parameters);
+                    endpoint.headers.authorization = `token ${await getToken()}`;
+                    return request(endpoint);
+                };
+
+                return auth;
+            },
+        });
+    }
+}
+
+module.exports = new GithubAuth();
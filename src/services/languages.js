@@ -0,0 +1,225 @@
+/**
+ * Per-language patterns DiffParser uses to find declarations, imports and
+ * tests in changed lines. Files in any other language are still reviewed,
+ * just without this analysis.
+ *
+ * Each language has:
+ * - extensions: file extensions it is detected by
+ * - comment: lines to ignore
+ * - tests / classes / functions: declaration patterns, tried in that order;
+ *   each captures the symbol's name in a 'name' group
+ * - testAttributes: annotations that turn the next function into a test
+ * - imports: import, include or require lines
+ */
+
+// Comment lines in C-family languages.
+const C_COMMENT = /^\s*(?:\/\/|\/\*|\*)/;
+const HASH_COMMENT = /^\s*#/;
+
+const JS_FUNCTIONS = [
+    /^\s*(?:export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*(?<name>[\w$]+)\s*[<(]/,
+    /^\s*(?:export\s+)?(?:const|let|var)\s+(?<name>[\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|(?:<[^>]*>\s*)?(?:\([^)]*\)|[\w$]+)\s*(?::[^=]+)?=>)/,
+    // Class fields holding arrow functions, and object literal methods.
+    /^\s*(?:(?:public|private|protected|static|readonly)\s+)*(?<name>#?[\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:\([^)]*\)|[\w$]+)\s*(?::[^=]+)?=>/,
+    /^\s*(?<name>[\w$]+)\s*:\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>)/,
+    // Class and object shorthand methods.
+    /^\s*(?:(?:public|private|protected|static|async|readonly|override|abstract|get|set)\s+)*\*?(?<name>#?[\w$]+)\s*(?:<[^>]*>)?\s*\([^)]*\)\s*(?::\s*[^={]+)?\{/,
+];
+
+const JS_CLASSES = [/^\s*(?:export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+(?<name>[\w$]+)/];
+
+const JS_IMPORTS = [
+    /^\s*import[\s{*"']/,
+    /^\s*export\s+(?:\*|\{[^}]*\})\s+from\s/,
+    /\brequire\s*\(\s*["'`]/,
+    /\bimport\s*\(\s*["'`]/,
+];
+
+const JS_TESTS = [
+    /^\s*(?:describe|it|test|context|suite)(?:\.(?:only|skip|concurrent|each\s*\(.*?\)))?\s*\(\s*(["'`])(?<name>.*?)\1/,
+];
+
+const LANGUAGES = {
+    javascript: {
+        extensions: ["js", "jsx", "mjs", "cjs"],
+        comment: C_COMMENT,
+        tests: JS_TESTS,
+        classes: JS_CLASSES,
+        functions: JS_FUNCTIONS,
+        imports: JS_IMPORTS,
+    },
+    typescript: {
+        extensions: ["ts", "tsx", "mts", "cts"],
+        comment: C_COMMENT,
+        tests: JS_TESTS,
+        classes: [
+            ...JS_CLASSES,
+            /^\s*(?:export\s+)?(?:declare\s+)?(?:const\s+)?(?:interface|enum|type)\s+(?<name>[\w$]+)/,
+        ],
+        functions: JS_FUNCTIONS,
+        imports: JS_IMPORTS,
+    },
+    python: {
+        extensions: ["py", "pyi"],
+        comment: HASH_COMMENT,
+        tests: [/^\s*(?:async\s+)?def\s+(?<name>test\w*)\s*\(/],
+        classes: [/^\s*class\s+(?<name>\w+)/],
+        functions: [/^\s*(?:async\s+)?def\s+(?<name>\w+)\s*\(/],
+        imports: [/^\s*import\s+\w/, /^\s*from\s+\S+\s+import\s/],
+    },
+    java: {
+        extensions: ["java"],
+        comment: C_COMMENT,
+        testAttributes: [/^\s*@(?:Test|ParameterizedTest|RepeatedTest)\b/],
+        classes: [
+            /^\s*(?:(?:public|private|protected|static|final|abstract|sealed|non-sealed)\s+)*(?:class|interface|enum|record|@interface)\s+(?<name>\w+)/,
+        ],
+        functions: [
+            /^\s*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|private|protected|static|final|abstract|synchronized|native|default|strictfp)\s+)*(?:<[^>]+>\s+)?[\w$.]+(?:<[^()]*>)?(?:\[\])*\s+(?<name>[\w$]+)\s*\([^;]*$/,
+            // Constructors.
+            /^\s*(?:public|private|protected)\s+(?<name>[A-Z][\w$]*)\s*\([^;]*$/,
+        ],
+        imports: [/^\s*import\s+(?:static\s+)?[\w.*]+\s*;/],
+    },
+    go: {
+        extensions: ["go"],
+        comment: C_COMMENT,
+        tests: [/^func\s+(?<name>(?:Test|Benchmark|Fuzz|Example)\w*)\s*\(/],
+        classes: [/^\s*type\s+(?<name>\w+)(?:\[[^\]]*\])?\s+(?:struct|interface)\b/],
+        functions: [/^func\s+(?:\([^)]*\)\s*)?(?<name>\w+)\s*[[(]/],
+        // Lines inside an import ( ... ) block are bare, optionally aliased, paths.
+        imports: [/^\s*import\b/, /^\s*(?:[\w.]+\s+)?"[\w./-]+"\s*$/],
+    },
+    rust: {
+        extensions: ["rs"],
+        comment: C_COMMENT,
+        testAttributes: [/^\s*#\[(?:\w+::)*test\b/],
+        classes: [
+            /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|union|mod)\s+(?<name>\w+)/,
+            /^\s*impl(?:<[^>]*>)?\s+(?:[\w:]+(?:<[^>]*>)?\s+for\s+)?(?<name>\w+)/,
+        ],
+        functions: [
+            /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:(?:const|async|unsafe|extern(?:\s+"[^"]+")?)\s+)*fn\s+(?<name>\w+)/,
+        ],
+        imports: [/^\s*(?:pub(?:\([^)]*\))?\s+)?use\s+[\w:{]/, /^\s*extern\s+crate\s/],
+    },
+    ruby: {
+        extensions: ["rb", "rake", "gemspec"],
+        comment: HASH_COMMENT,
+        tests: [
+            /^\s*(?:describe|context|it|specify|test)\s*\(?\s*(["'])(?<name>.*?)\1/,
+            /^\s*def\s+(?<name>test_\w+)/,
+        ],
+        classes: [/^\s*(?:class|module)\s+(?<name>[\w:]+)/],
+        functions: [/^\s*def\s+(?:self\.)?(?<name>[\w?!=]+|\[\]=?|[+\-*/<=>!~%&|^]+)/],
+        imports: [
+            /^\s*(?:require|require_relative|load)\b/,
+            /^\s*(?:include|extend|prepend)\s+[A-Z]/,
+        ],
+    },
+    csharp: {
+        extensions: ["cs"],
+        comment: C_COMMENT,
+        testAttributes: [/^\s*\[(?:Test|Fact|Theory|TestMethod|TestCase)\b/],
+        classes: [
+            /^\s*(?:(?:public|private|protected|internal|static|abstract|sealed|partial|readonly|ref|file)\s+)*(?:class|interface|struct|enum|record)\s+(?<name>\w+)/,
+        ],
+        functions: [
+            /^\s*(?:\[[^\]]*\]\s*)*(?:(?:public|private|protected|internal|static|virtual|override|abstract|async|sealed|extern|unsafe|new|partial)\s+)+[\w<>[\],.?\s]*?(?<name>\w+)\s*(?:<[^>]*>)?\s*\(/,
+        ],
+        imports: [/^\s*(?:global\s+)?using\s+(?:static\s+)?[\w.]+\s*;/, /^\s*using\s+\w+\s*=/],
+    },
+    kotlin: {
+        extensions: ["kt", "kts"],
+        comment: C_COMMENT,
+        testAttributes: [/^\s*@(?:Test|ParameterizedTest)\b/],
+        classes: [
+            /^\s*(?:(?:public|private|protected|internal|open|abstract|sealed|data|enum|inner|annotation|value|inline)\s+)*(?:class|interface|object)\s+(?<name>\w+)/,
+        ],
+        functions: [
+            /^\s*(?:(?:public|private|protected|internal|override|open|abstract|suspend|inline|operator|infix|tailrec|external|actual|expect)\s+)*fun\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?(?<name>\w+|`[^`]+`)\s*\(/,
+        ],
+        imports: [/^\s*import\s+[\w.*]+/],
+    },
+    php: {
+        extensions: ["php"],
+        comment: /^\s*(?:\/\/|\/\*|\*|#(?!\[))/,
+        tests: [/^\s*(?:(?:public|protected|private|static)\s+)*function\s+(?<name>test\w*)\s*\(/],
+        testAttributes: [/@test\b/, /^\s*#\[Test\]/],
+        classes: [/^\s*(?:(?:abstract|final|readonly)\s+)*(?:class|interface|trait|enum)\s+(?<name>\w+)/],
+        functions: [
+            /^\s*(?:(?:public|private|protected|static|abstract|final)\s+)*function\s+&?(?<name>\w+)\s*\(/,
+        ],
+        imports: [/^\s*use\s+[\w\\]+/, /^\s*(?:require|include)(?:_once)?\b/],
+    },
+    c: {
+        extensions: ["c", "h"],
+        comment: C_COMMENT,
+        tests: [/^\s*(?:static\s+)?void\s+(?<name>test_?\w+)\s*\(/],
+        classes: [/^\s*(?:typedef\s+)?(?:struct|union|enum)\s+(?<name>\w+)\s*\{?\s*$/],
+        // Top-level definitions only; C functions aren't indented.
+        functions: [/^(?:[A-Za-z_][\w*]*[\s*]+)+(?<name>[A-Za-z_]\w*)\s*\([^;]*$/],
+        imports: [/^\s*#\s*include\s*[<"]/],
+    },
+    cpp: {
+        extensions: ["cc", "cpp", "cxx", "c++", "hpp", "hh", "hxx", "h++", "ipp"],
+        comment: C_COMMENT,
+        tests: [/^\s*(?:TEST|TEST_F|TEST_P|TYPED_TEST)\s*\(\s*\w+\s*,\s*(?<name>\w+)/],
+        classes: [
+            /^\s*(?:template\s*<[^>]*>\s*)?(?:class|struct|union|enum(?:\s+class)?|namespace)\s+(?<name>\w+)(?![\w\s]*;)/,
+        ],
+        functions: [
+            /^\s*(?:template\s*<[^>]*>\s*)?(?:[A-Za-z_][\w:<>,*&~]*[\s*&]+)+(?<name>~?[A-Za-z_][\w:~]*)\s*\([^;]*$/,
+            // Out-of-line constructors and destructors: Foo::Foo(...)
+            /^\s*(?<name>\w+::~?\w+)\s*\([^;]*$/,
+        ],
+        imports: [/^\s*#\s*include\s*[<"]/, /^\s*import\s+[\w.<"]/],
+    },
+    swift: {
+        extensions: ["swift"],
+        comment: C_COMMENT,
+        tests: [/^\s*(?:@\w+\s+)*(?:(?:public|private|internal|override|final)\s+)*func\s+(?<name>test\w*)\s*\(/],
+        testAttributes: [/^\s*@Test\b/],
+        classes: [
+            /^\s*(?:(?:public|private|fileprivate|internal|open|final)\s+)*(?:class|struct|enum|protocol|extension|actor)\s+(?<name>\w+)/,
+        ],
+        functions: [
+            /^\s*(?:@\w+\s+)*(?:(?:public|private|fileprivate|internal|open|static|class|override|final|mutating|nonmutating|convenience|required)\s+)*func\s+(?<name>\w+)/,
+        ],
+        imports: [/^\s*(?:@testable\s+)?import\s+\w/],
+    },
+};
+
+// Words that start statements, not declarations, in any language.
+const STATEMENT_KEYWORDS = new Set([
+    "if", "else", "elif", "for", "foreach", "while", "do", "switch", "case", "match", "when",
+    "catch", "return", "throw", "new", "delete", "await", "yield", "with", "guard", "unless",
+    "until", "lock", "goto", "typeof", "sizeof",
+]);
+
+const BY_EXTENSION = new Map(
+    Object.entries(LANGUAGES).flatMap(([name, language]) =>
+        language.extensions.map((extension) => [extension, name]),
+    ),
+);
+
+/**
+ * Looks up a language by name ('typescript') or file extension ('ts').
+ * @param {string|null} language
+ * @returns {object|null} The language's patterns with its name, or null if unknown
+ */
+function getLanguage(language) {
+    const name = LANGUAGES[language] ? language : BY_EXTENSION.get(language);
+
+    if (!name) {
+        return null;
+    }
+
+    return { name, tests: [], testAttributes: [], ...LANGUAGES[name] };
+}
+
+module.exports = {
+    LANGUAGES,
+    STATEMENT_KEYWORDS,
+    getLanguage,
+};
@@ -0,0 +1,433 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const diffParser = require("./diffParser");
+const aiReviewer = require("./aiReviewer");
+const repoConfig = require("./repoConfig");
+const reviewPlanner = require("./reviewPlanner");
+const secretScanner = require("./secretScanner");
+const advisories = require("./advisories");
+const fileContext = require("./fileContext");
+const reviewState = require("./reviewState");
+const { CHECK_NAME } = require("./checkRun");
+const { SEVERITIES, meetsSeverity, severityRank } = require("./findings");
+const { describeChange } = require("./manifests");
+
+// Refs for file versions that aren't commits.
+const WORKING_TREE = "(working tree)";
+const INDEX = "(index)";
+
+// git diff output can be large for big ranges.
+const MAX_GIT_OUTPUT = 256 * 1024 * 1024;
+
+// SARIF levels for our severities.
+const SARIF_LEVELS = {
+    critical: "error",
+    high: "error",
+    medium: "warning",
+    low: "note",
+    info: "note",
+};
+
+/**
+ * Reviews local changes before they are pushed: uncommitted or staged
+ * changes, a range between two refs, or a diff file. Runs the same diff
+ * analysis, scanners and AI review as the webhook path, under the
+ * repository's `.ai-review.yml`, without calling GitHub.
+ *
+ * Used by src/scripts/review.js.
+ */
+class LocalReview {
+    /**
+     * Runs git in a directory and returns its output.
+     * @param {Array<string>} args
+     * @param {string} cwd
+     * @returns {string}
+     */
+    git(args, cwd) {
+        return execFileSync("git", args, {
+            cwd,
+            encoding: "utf-8",
+            maxBuffer: MAX_GIT_OUTPUT,
+            stdio: ["ignore", "pipe", "pipe"],
+        });
+    }
+
+    /**
+     * Resolves what to review into a diff and the refs its two sides are at.
+     * @param {object} options
+     * @param {string} options.cwd
+     * @param {string} [options.diffFile] Diff file to review, '-' for stdin
+     * @param {boolean} [options.staged] Review staged changes only
+     * @param {string} [options.base] Review base...head instead of uncommitted changes
+     * @param {string} [options.head] Defaults to HEAD
+     * @returns {{diff: string, root: string|null, baseRef: string|null, headRef: string|null, description: string}}
+     */
+    getDiff({ cwd, diffFile, staged, base, head = "HEAD" }) {
+        let root = null;
+        try {
+            root = this.git(["rev-parse", "--show-toplevel"], cwd).trim();
+        } catch (error) {
+            // Diff files can be reviewed outside a repository.
+        }
+
+        if (diffFile) {
+            return {
+                diff: fs.readFileSync(diffFile === "-" ? 0 : diffFile, "utf-8"),
+                root,
+                baseRef: null,
+                headRef: null,
+                description: diffFile === "-" ? "diff from stdin" : diffFile,
+            };
+        }
+
+        if (!root) {
+            throw new Error(`${cwd} is not in a git repository; pass a diff file instead`);
+        }
+
+        const diffArgs = ["diff", "--no-color", "--no-ext-diff", "-M"];
+
+        if (base) {
+            const mergeBase = this.git(["merge-base", base, head], root).trim();
+            return {
+                diff: this.git([...diffArgs, mergeBase, head], root),
+                root,
+                baseRef: mergeBase,
+                headRef: this.git(["rev-parse", head], root).trim(),
+                description: `${base}...${head}`,
+            };
+        }
+
+        return staged
+            ? {
+                  diff: this.git([...diffArgs, "--cached"], root),
+                  root,
+                  baseRef: "HEAD",
+                  headRef: INDEX,
+                  description: "staged changes",
+              }
+            : {
+                  diff: this.git([...diffArgs, "HEAD"], root) + this.untrackedDiff(root, diffArgs),
+                  root,
+                  baseRef: "HEAD",
+                  headRef: WORKING_TREE,
+                  description: "uncommitted changes",
+              };
+    }
+
+    /**
+     * Diff adding each untracked file that isn't ignored. 'git diff HEAD'
+     * leaves these out, yet they are usually part of the change.
+     * @param {string} root
+     * @param {Array<string>} diffArgs
+     * @returns {string}
+     */
+    untrackedDiff(root, diffArgs) {
+        return this.git(["ls-files", "--others", "--exclude-standard", "-z"], root)
+            .split("\0")
+            .filter(Boolean)
+            .map((file) => {
+                try {
+                    return this.git([...diffArgs, "--no-index", "--", "/dev/null", file], root);
+                } catch (error) {
+                    // --no-index exits with 1 when the files differ, which they always do here.
+                    if (error.status === 1) {
+                        return error.stdout;
+                    }
+                    throw error;
+                }
+            })
+            .join("");
+    }
+
+    /**
+     * Loads `.ai-review.yml` from the repository root, or the given file.
+     * @param {string|null} root
+     * @param {string} [configFile]
+     * @returns {{config: object, errors: Array<string>, found: boolean}}
+     */
+    loadConfig(root, configFile) {
+        const filePath = configFile || (root && path.join(root, repoConfig.path));
+
+        if (!filePath || (!configFile && !fs.existsSync(filePath))) {
+            return { ...repoConfig.parse(""), found: false };
+        }
+
+        return repoConfig.parse(fs.readFileSync(filePath, "utf-8"));
+    }
+
+    /**
+     * Stands in for GithubService.getFileContent, reading files from the
+     * local repository for fileContext.
+     * @param {string} root
+     * @returns {{getFileContent: function(string, string, string, string): Promise<object|null>}}
+     */
+    fileSource(root) {
+        return {
+            getFileContent: async (owner, repo, filePath, ref) => {
+                try {
+                    if (ref === WORKING_TREE) {
+                        return { content: fs.readFileSync(path.join(root, filePath), "utf-8") };
+                    }
+                    return { content: this.git(["show", `${ref === INDEX ? "" : ref}:${filePath}`], root) };
+                } catch (error) {
+                    return null;
+                }
+            },
+        };
+    }
+
+    /**
+     * Reviews local changes.
+     * @param {object} options See getDiff, plus:
+     * @param {string} [options.configFile] Config to use instead of the repository's `.ai-review.yml`
+     * @param {boolean} [options.ai] Run the AI review (default true); false runs only the scanners
+     * @returns {Promise<object>} Result for the format* methods
+     */
+    async run(options) {
+        const source = this.getDiff(options);
+        const { config, errors } = this.loadConfig(source.root, options.configFile);
+        const { files: analyzed } = diffParser.analyzeDiff(source.diff);
+
+        // Secrets are masked before anything reaches the AI provider.
+        const secrets = [];
+        let files = analyzed.map((file) => {
+            if (reviewPlanner.isGenerated(file)) {
+                return file;
+            }
+
+            const result = secretScanner.scanFile(file, config);
+            secrets.push(...result.findings);
+            return result.file;
+        });
+
+        const vulnerable = advisories.check(analyzed.flatMap((file) => file.dependencies));
+        const dependencies = secretScanner.maskDependencies(
+            analyzed.flatMap((file) => file.dependencies),
+            config,
+        );
+
+        if (source.root && source.headRef) {
+            files = await fileContext.addContext(
+                this.fileSource(source.root),
+                {
+                    owner: "local",
+                    repo: path.basename(source.root),
+                    headSha: source.headRef,
+                    baseRef: async () => source.baseRef,
+                },
+                files,
+                config,
+            );
+        }
+
+        const provider = options.ai === false ? null : aiReviewer.getProvider();
+        const plan = provider
+            ? reviewPlanner.plan(files, config, {
+                  contextTokens: provider.contextTokens,
+                  maxOutputTokens: provider.maxTokens,
+                  maxRequests: parseInt(process.env.AI_MAX_REQUESTS_PER_REVIEW, 10) || undefined,
+              })
+            : { batches: [], skipped: [] };
+
+        const generated = [];
+        const summaries = [];
+
+        for (const batch of plan.batches) {
+            const review = await aiReviewer.reviewBatch(batch, config, { dependencies });
+            generated.push(...review.findings);
+            if (review.summary) {
+                const names = [...new Set(batch.map((file) => file.filename))];
+                summaries.push(`${names.join(", ")}: ${review.summary}`);
+            }
+        }
+
+        const findings = [...secrets, ...vulnerable, ...generated]
+            .filter((finding) => meetsSeverity(finding.severity, config.minSeverity))
+            .sort(
+                (a, b) =>
+                    severityRank(a.severity) - severityRank(b.severity) ||
+                    a.file.localeCompare(b.file) ||
+                    a.line - b.line,
+            )
+            .map((finding) => ({
+                ...finding,
+                fingerprint: reviewState.fingerprint(finding, this.lineContent(analyzed, finding)),
+            }));
+
+        return {
+            description: source.description,
+            config,
+            configErrors: errors,
+            findings,
+            summaries,
+            reviewed: [...new Set(plan.batches.flat().map((file) => file.filename))],
+            skipped: plan.skipped,
+            dependencies,
+            ai: Boolean(provider),
+        };
+    }
+
+    /**
+     * Content of the added line a finding is on, for its fingerprint.
+     * @param {Array<object>} files
+     * @param {object} finding
+     * @returns {string}
+     */
+    lineContent(files, finding) {
+        const file = files.find((entry) => entry.filename === finding.file);
+        const line = file && file.addedLines.find((entry) => entry.lineNumber === finding.line);
+        return line ? line.content : "";
+    }
+
+    /**
+     * Exit code for a result: 1 when a finding is at least as severe as
+     * the threshold, else 0.
+     * @param {object} result From run
+     * @param {string} threshold A severity, or 'none' to never fail
+     * @returns {number}
+     */
+    exitCode(result, threshold) {
+        if (threshold === "none") {
+            return 0;
+        }
+        return result.findings.some((finding) => meetsSeverity(finding.severity, threshold)) ? 1 : 0;
+    }
+
+    /**
+     * Human-readable report.
+     * @param {object} result From run
+     * @returns {string}
+     */
+    formatText(result) {
+        const lines = [`${CHECK_NAME}: ${result.description}`, ""];
+
+        if (result.configErrors.length > 0) {
+            lines.push(`Ignored invalid settings in ${repoConfig.path}:`);
+            lines.push(...result.configErrors.map((error) => `  - ${error}`), "");
+        }
+
+        if (result.summaries.length > 0) {
+            lines.push(...result.summaries, "");
+        }
+
+        if (result.dependencies.some((change) => !change.lockfile)) {
+            lines.push("Dependency changes:");
+            lines.push(
+                ...result.dependencies
+                    .filter((change) => !change.lockfile)
+                    .map((change) => `  ${change.file}: ${describeChange(change).replace(/`/g, "")}`),
+                "",
+            );
+        }
+
+        result.findings.forEach((finding) => {
+            const range = finding.endLine ? `${finding.line}-${finding.endLine}` : finding.line;
+            lines.push(`${finding.file}:${range} [${finding.severity}] ${finding.category}: ${finding.message}`);
+            if (finding.suggestion) {
+                lines.push(...finding.suggestion.split("\n").map((line) => `    ${line}`));
+            }
+            lines.push("");
+        });
+
+        const counts = SEVERITIES.map((severity) => [
+            severity,
+            result.findings.filter((finding) => finding.severity === severity).length,
+        ])
+            .filter(([, count]) => count > 0)
+            .map(([severity, count]) => `${count} ${severity}`);
+
+        lines.push(
+            result.findings.length > 0
+                ? `${result.findings.length} finding(s): ${counts.join(", ")}`
+                : "No findings.",
+        );
+        lines.push(
+            result.ai
+                ? `Files: ${result.reviewed.length} reviewed, ${result.skipped.length} skipped`
+                : "AI review skipped (--no-ai); only the secret and dependency scanners ran.",
+        );
+
+        return lines.join("\n");
+    }
+
+    /**
+     * JSON report.
+     * @param {object} result From run
+     * @returns {string}
+     */
+    formatJson(result) {
+        return JSON.stringify(
+            {
+                description: result.description,
+                promptVersion: result.ai ? aiReviewer.promptVersion : null,
+                configErrors: result.configErrors,
+                summaries: result.summaries,
+                findings: result.findings,
+                dependencies: result.dependencies,
+                reviewed: result.reviewed,
+                skipped: result.skipped,
+            },
+            null,
+            2,
+        );
+    }
+
+    /**
+     * SARIF 2.1.0 report, e.g. for GitHub code scanning. Findings are
+     * grouped into one rule per category.
+     * @param {object} result From run
+     * @returns {string}
+     */
+    formatSarif(result) {
+        const categories = [...new Set(result.findings.map((finding) => finding.category))];
+
+        return JSON.stringify(
+            {
+                $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+                version: "2.1.0",
+                runs: [
+                    {
+                        tool: {
+                            driver: {
+                                name: CHECK_NAME,
+                                rules: categories.map((category) => ({
+                                    id: `ai-review/${category}`,
+                                    name: category,
+                                    shortDescription: { text: `${category} finding` },
+                                })),
+                            },
+                        },
+                        results: result.findings.map((finding) => ({
+                            ruleId: `ai-review/${finding.category}`,
+                            ruleIndex: categories.indexOf(finding.category),
+                            level: SARIF_LEVELS[finding.severity],
+                            message: {
+                                text: finding.suggestion
+                                    ? `${finding.message}\n\nSuggested fix:\n${finding.suggestion}`
+                                    : finding.message,
+                            },
+                            locations: [
+                                {
+                                    physicalLocation: {
+                                        artifactLocation: { uri: finding.file },
+                                        region: {
+                                            startLine: finding.line,
+                                            ...(finding.endLine ? { endLine: finding.endLine } : {}),
+                                        },
+                                    },
+                                },
+                            ],
+                            partialFingerprints: { "aiReviewFinding/v1": finding.fingerprint },
+                            properties: { severity: finding.severity, category: finding.category },
+                        })),
+                    },
+                ],
+            },
+            null,
+            2,
+        );
+    }
+}
+
+module.exports = new LocalReview();
@@ -0,0 +1,516 @@
+/**
+ * Dependency manifests DiffParser understands. Each manifest has:
+ * - files: basenames it is detected by
+ * - ecosystem: package registry, as used in the advisory file
+ * - lockfile: whether it pins exact (often transitive) versions
+ * - parse(content, state): reads one line and returns the dependency (or
+ *   dependencies) it declares as {name, version, section, key?}, or null;
+ *   'key' tells apart entries with the same name and section.
+ *   'state' is per hunk and side of the diff; 'state.section' is undefined
+ *   until a section header has been seen, so hunks starting in the middle
+ *   of a section fall back to what the line itself looks like.
+ */
+
+// package.json fields holding dependencies.
+const NPM_SECTIONS = ["dependencies", "devDependencies", "peerDependencies", "optionalDependencies"];
+
+// Values that are version ranges rather than paths, scripts or prose.
+const RANGE_PATTERN = /^(?:[~^<>=v]|\d|\*$|x$|latest$|workspace:|npm:)/i;
+
+// PEP 508: name[extras] specifier ; marker
+const PEP508_PATTERN = /^(?<name>[A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(?<version>(?:===?|[<>!~]=?)[^;]*)?\s*(?:;.*)?$/;
+
+// Cargo.toml keys that look like dependencies when the section is unknown.
+const CARGO_PACKAGE_KEYS = new Set([
+    "name", "version", "edition", "rust-version", "resolver", "opt-level", "debug", "lto", "license",
+]);
+
+/**
+ * Reads a TOML section header, e.g. "[tool.poetry.dependencies]".
+ * @param {string} content
+ * @returns {string|null}
+ */
+function tomlHeader(content) {
+    const match = content.match(/^\s*\[\[?\s*([^\]]+?)\s*\]\]?\s*(?:#.*)?$/);
+    return match ? match[1].replace(/["']/g, "") : null;
+}
+
+/**
+ * Reads the version out of a TOML dependency value: "1.2" or { version = "1.2", ... }.
+ * @param {string} value
+ * @returns {string|null|undefined} undefined when the value isn't a dependency, null when it has no version (path or git)
+ */
+function tomlVersion(value) {
+    const string = value.match(/^"([^"]*)"/);
+    if (string) {
+        return string[1];
+    }
+
+    if (value.startsWith("{")) {
+        const version = value.match(/\bversion\s*=\s*"([^"]*)"/);
+        return version ? version[1] : null;
+    }
+
+    return undefined;
+}
+
+const MANIFESTS = {
+    "package.json": {
+        files: [/^package\.json$/],
+        ecosystem: "npm",
+        lockfile: false,
+        parse(content, state) {
+            const open = content.match(/^\s*"([^"]+)"\s*:\s*\{\s*$/);
+            if (open) {
+                state.section = NPM_SECTIONS.includes(open[1]) ? open[1] : null;
+                return null;
+            }
+            if (/^\s*\}/.test(content)) {
+                state.section = null;
+                return null;
+            }
+
+            const entry = content.match(/^\s*"([^"]+)"\s*:\s*"([^"]*)"/);
+            if (!entry || state.section === null) {
+                return null;
+            }
+            // Unknown section: only accept what looks like a dependency.
+            if (state.section === undefined && (!RANGE_PATTERN.test(entry[2]) || entry[1] === "version")) {
+                return null;
+            }
+
+            return { name: entry[1], version: entry[2], section: state.section || null };
+        },
+    },
+
+    "package-lock.json": {
+        files: [/^package-lock\.json$/, /^npm-shrinkwrap\.json$/],
+        ecosystem: "npm",
+        lockfile: true,
+        parse(content, state) {
+            // "node_modules/a/node_modules/b": { in lockfile v2+, "b": { in v1.
+            const open = content.match(/^\s*"([^"]*)"\s*:\s*\{\s*$/);
+            if (open) {
+                state.path = ["", "packages", "dependencies", "requires"].includes(open[1])
+                    ? null
+                    : open[1].replace(/^node_modules\//, "");
+                return null;
+            }
+            if (/^\s*\}/.test(content)) {
+                state.path = null;
+                return null;
+            }
+
+            // Nested copies of a package are told apart by their path.
+            const version = content.match(/^\s*"version"\s*:\s*"([^"]+)"/);
+            return version && state.path
+                ? { name: state.path.split("node_modules/").pop(), version: version[1], section: null, key: state.path }
+                : null;
+        },
+    },
+
+    "requirements.txt": {
+        files: [/^requirements.*\.(?:txt|in)$/],
+        ecosystem: "pypi",
+        lockfile: false,
+        parse(content) {
+            const line = content.replace(/(?:^|\s)#.*$/, "").trim();
+
+            // Options (-r, -e, --index-url) and direct URLs.
+            if (!line || line.startsWith("-") || /^\S+:\/\//.test(line)) {
+                return null;
+            }
+
+            const match = line.match(PEP508_PATTERN);
+            return match
+                ? { name: match.groups.name, version: (match.groups.version || "").trim(), section: null }
+                : null;
+        },
+    },
+
+    "pyproject.toml": {
+        files: [/^pyproject\.toml$/],
+        ecosystem: "pypi",
+        lockfile: false,
+        parse(content, state) {
+            const header = tomlHeader(content);
+            if (header) {
+                state.section = header;
+                state.list = null;
+                return null;
+            }
+
+            const section = state.section;
+
+            // PEP 621 and PEP 735 lists: dependencies = ["requests>=2", ...]
+            const list = content.match(/^\s*([\w-]+)\s*=\s*\[(.*)$/);
+            if (list) {
+                if ((section === "project" || section === undefined) && list[1] === "dependencies") {
+                    state.list = "dependencies";
+                } else if (section === "project.optional-dependencies" || section === "dependency-groups") {
+                    state.list = `${section === "dependency-groups" ? "group" : "optional"}:${list[1]}`;
+                } else {
+                    state.list = null;
+                    return null;
+                }
+            }
+
+            const items = list ? list[2] : content;
+            if (state.list || (section === undefined && !list)) {
+                const listName = state.list;
+                if (/\]\s*,?\s*$/.test(items)) {
+                    state.list = null;
+                }
+                if (!/^\s*(?:"[^"]*"\s*,?\s*)+\]?\s*,?\s*$/.test(items)) {
+                    return null;
+                }
+
+                return [...items.matchAll(/"([^"]*)"/g)]
+                    .map((item) => item[1].match(PEP508_PATTERN))
+                    // Outside a known list, only accept requirements with a version.
+                    .filter((match) => match && (listName || match.groups.version))
+                    .map((match) => ({
+                        name: match.groups.name,
+                        version: (match.groups.version || "").trim(),
+                        section: listName,
+                    }));
+            }
+
+            // Poetry tables: requests = "^2.0" or { version = "^2.0", ... }
+            if (section && /^tool\.poetry\.(?:group\.[\w-]+\.)?(?:dev-)?dependencies$/.test(section)) {
+                const entry = content.match(/^\s*([\w.-]+)\s*=\s*(.+)$/);
+                const version = entry && tomlVersion(entry[2].trim());
+
+                if (entry && entry[1] !== "python" && version !== undefined) {
+                    return { name: entry[1], version, section };
+                }
+            }
+
+            return null;
+        },
+    },
+
+    "go.mod": {
+        files: [/^go\.mod$/],
+        ecosystem: "go",
+        lockfile: false,
+        parse(content, state) {
+            const block = content.match(/^\s*(require|replace|exclude|retract)\s*\(\s*$/);
+            if (block) {
+                state.section = block[1];
+                return null;
+            }
+            if (/^\s*\)/.test(content)) {
+                state.section = null;
+                return null;
+            }
+
+            const directive = content.match(/^\s*(require|replace|exclude|retract|module|go|toolchain)\s/);
+            const inRequire = directive ? directive[1] === "require" : state.section !== "replace" &&
+                state.section !== "exclude" && state.section !== "retract";
+            const match = content.match(/^\s*(?:require\s+)?([^\s/]+\.[^\s/]+(?:\/\S*)?)\s+(v\S+)(\s*\/\/\s*indirect)?/);
+
+            if (!inRequire || !match || content.includes("=>")) {
+                return null;
+            }
+
+            return { name: match[1], version: match[2], section: match[3] ? "indirect" : null };
+        },
+    },
+
+    "Cargo.toml": {
+        files: [/^Cargo\.toml$/],
+        ecosystem: "cargo",
+        lockfile: false,
+        parse(content, state) {
+            const header = tomlHeader(content);
+            if (header) {
+                state.section = header;
+                return null;
+            }
+
+            const section = state.section;
+
+            // [dependencies.serde] tables carry the version on their own line.
+            const table = section && section.match(/(?:^|\.)((?:dev-|build-)?dependencies)\.([\w-]+)$/);
+            if (table) {
+                const version = content.match(/^\s*version\s*=\s*"([^"]*)"/);
+                return version ? { name: table[2], version: version[1], section: table[1] } : null;
+            }
+
+            const known = section && section.match(/(?:^|\.)((?:dev-|build-)?dependencies)$/);
+            if (section !== undefined && !known) {
+                return null;
+            }
+
+            const entry = content.match(/^\s*([\w-]+)\s*=\s*(.+)$/);
+            const version = entry && tomlVersion(entry[2].trim());
+
+            if (!entry || version === undefined) {
+                return null;
+            }
+            // Unknown section: skip [package] and [profile] keys.
+            if (!known && (CARGO_PACKAGE_KEYS.has(entry[1]) || !/^[~^=<>]*\d/.test(version || ""))) {
+                return null;
+            }
+
+            return { name: entry[1], version, section: known ? known[1] : null };
+        },
+    },
+
+    Gemfile: {
+        files: [/^Gemfile$/, /^gems\.rb$/],
+        ecosystem: "rubygems",
+        lockfile: false,
+        parse(content, state) {
+            const group = content.match(/^\s*group\s+(.+?)\s+do\b/);
+            if (group) {
+                state.section = `group ${group[1]}`;
+                return null;
+            }
+            if (/^\s*end\b/.test(content)) {
+                state.section = null;
+                return null;
+            }
+
+            const gem = content.match(/^\s*gem\s+["']([^"']+)["']((?:\s*,\s*["'][^"']*["'])*)/);
+            if (!gem) {
+                return null;
+            }
+
+            const versions = [...gem[2].matchAll(/["']([^"']*)["']/g)].map((match) => match[1]);
+            return { name: gem[1], version: versions.join(", "), section: state.section || null };
+        },
+    },
+};
+
+// How tightly a version range pins a dependency, from exact to anything.
+const EXACT = 0;
+const PATCH = 1;
+const MINOR = 2;
+const UNBOUNDED = 3;
+const ANY = 4;
+
+/**
+ * Finds the manifest type for a file path.
+ * @param {string} filename
+ * @returns {object|null} The manifest definition with its type, or null
+ */
+function getManifest(filename) {
+    const basename = (filename || "").split("/").pop();
+    const type = Object.keys(MANIFESTS).find((key) =>
+        MANIFESTS[key].files.some((pattern) => pattern.test(basename)),
+    );
+
+    return type ? { type, ...MANIFESTS[type] } : null;
+}
+
+/**
+ * Normalizes a package name for comparison (PyPI names ignore case and
+ * treat '-', '_' and '.' alike).
+ * @param {string} name
+ * @param {string} ecosystem
+ * @returns {string}
+ */
+function normalizeName(name, ecosystem) {
+    return ecosystem === "pypi" ? name.toLowerCase().replace(/[-_.]+/g, "-") : name;
+}
+
+/**
+ * The numeric parts of the first version in a string, e.g. "^1.2.3" → [1, 2, 3].
+ * @param {string} value
+ * @returns {Array<number>|null}
+ */
+function versionParts(value) {
+    const match = (value || "").match(/\d+(?:\.\d+)*/);
+    return match ? match[0].split(".").map(Number) : null;
+}
+
+/**
+ * Compares two versions by their numeric parts; pre-release tags are ignored.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(a, b) {
+    const left = versionParts(a) || [];
+    const right = versionParts(b) || [];
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Ranks how loosely a version range pins a dependency.
+ * @param {string|null} range
+ * @param {string} ecosystem
+ * @returns {number|null} EXACT (0) to ANY (4), or null for git, path and tag references
+ */
+function rangeRank(range, ecosystem) {
+    if (range === null) {
+        return null;
+    }
+    const value = range.trim();
+
+    // Go always builds with the exact required version.
+    if (ecosystem === "go") {
+        return EXACT;
+    }
+    if (!value || /^(?:\*|x|latest|>=\s*0(?:\.0)*)$/i.test(value)) {
+        return ANY;
+    }
+    if (value.includes("||") || /^[>!]/.test(value) && !value.includes("<")) {
+        return UNBOUNDED;
+    }
+    if (value.includes("<") || /\d\s+-\s+\d/.test(value)) {
+        return MINOR;
+    }
+
+    const parts = value.match(/\d+(?:\.(?:\d+|[x*]))*/i);
+    if (!parts) {
+        return null;
+    }
+    const numbers = parts[0].split(".").filter((part) => /^\d+$/.test(part)).length;
+    const wildcard = /[x*]/i.test(parts[0]);
+
+    if (/^(?:~>|~=)/.test(value)) {
+        return numbers >= 3 ? PATCH : MINOR;
+    }
+    if (value.startsWith("~")) {
+        return PATCH;
+    }
+    if (value.startsWith("^") || (ecosystem === "cargo" && /^\d/.test(value))) {
+        return MINOR;
+    }
+    if (/^v?\d/.test(value) || /^={1,3}/.test(value)) {
+        // Partial versions ("1", "1.2", "1.x") are ranges, except for PyPI and RubyGems.
+        if (!wildcard && (numbers >= 3 || ecosystem === "pypi" || ecosystem === "rubygems")) {
+            return EXACT;
+        }
+        return numbers === 2 ? PATCH : MINOR;
+    }
+
+    return null;
+}
+
+/**
+ * Whether a version change crosses a major version (or a 0.x minor
+ * version, which semver treats as breaking).
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function isMajorBump(from, to) {
+    const before = versionParts(from);
+    const after = versionParts(to);
+
+    if (!before || !after) {
+        return false;
+    }
+    if (before[0] === 0 && after[0] === 0) {
+        return (after[1] || 0) > (before[1] || 0);
+    }
+    return after[0] > before[0];
+}
+
+/**
+ * Whether a range change accepts more versions than before, e.g. "1.2.3"
+ * → "^1.2.3" or ">=1,<2" → ">=1".
+ * @param {string} from
+ * @param {string} to
+ * @param {string} ecosystem
+ * @returns {boolean}
+ */
+function isLoosened(from, to, ecosystem) {
+    const before = rangeRank(from, ecosystem);
+    const after = rangeRank(to, ecosystem);
+
+    return before !== null && after !== null && after > before;
+}
+
+/**
+ * The lowest version a range allows, e.g. "^1.2.3" → "1.2.3".
+ * @param {string|null} range
+ * @param {string} ecosystem
+ * @returns {string|null} null when the range has no lower bound
+ */
+function minimumVersion(range, ecosystem) {
+    const rank = rangeRank(range, ecosystem);
+
+    if (rank === null || rank === ANY || /^\s*</.test(range)) {
+        return null;
+    }
+    const match = range.match(/\d+(?:\.\d+)*(?:[-+][\w.]+)?/);
+    return match ? match[0] : null;
+}
+
+/**
+ * Tests a version against a range such as "<4.17.21", ">=1.0.0 <1.2.3"
+ * or "1.0.0 || >=2.0.0, <2.1.0". A bare version matches only itself.
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean}
+ */
+function satisfies(version, range) {
+    return range.split("||").some((alternative) =>
+        alternative
+            .replace(/([<>=!]=?)\s+/g, "$1")
+            .trim()
+            .split(/[\s,]+(?=[<>=!v\d])/)
+            .filter(Boolean)
+            .every((comparator) => {
+                const match = comparator.match(/^(<=|>=|<|>|==|=|!=)?\s*(\S+)$/);
+                if (!match) {
+                    return false;
+                }
+
+                const diff = compareVersions(version, match[2]);
+                switch (match[1]) {
+                    case "<": return diff < 0;
+                    case "<=": return diff <= 0;
+                    case ">": return diff > 0;
+                    case ">=": return diff >= 0;
+                    case "!=": return diff !== 0;
+                    default: return diff === 0;
+                }
+            }),
+    );
+}
+
+/**
+ * One-line description of a dependency change, for prompts and comments.
+ * @param {object} change Entry from DiffParser.analyzeDependencies
+ * @returns {string}
+ */
+function describeChange(change) {
+    const name = `\`${change.name}\` (${[change.ecosystem, change.section].filter(Boolean).join(", ")})`;
+    const version = (value) => (value === null ? "no version" : value || "any version");
+
+    if (change.change === "added") {
+        return `added ${name} ${version(change.to)}`;
+    }
+    if (change.change === "removed") {
+        return `removed ${name} ${version(change.from)}`;
+    }
+
+    const notes = [change.majorBump && "major version bump", change.loosened && "range loosened"].filter(Boolean);
+    return `changed ${name} ${version(change.from)} → ${version(change.to)}${notes.length > 0 ? ` (${notes.join(", ")})` : ""}`;
+}
+
+module.exports = {
+    MANIFESTS,
+    getManifest,
+    normalizeName,
+    compareVersions,
+    rangeRank,
+    isMajorBump,
+    isLoosened,
+    minimumVersion,
+    satisfies,
+    describeChange,
+};
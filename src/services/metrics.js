@@ -0,0 +1,290 @@
+const logger = require("../utils/logger");
+const JsonStore = require("../utils/jsonStore");
+
+const PREFIX = "ai_reviewer_";
+
+// Review latency buckets, in seconds.
+const DURATION_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600];
+
+/**
+ * Every metric the service exports. Counters and histograms are persisted
+ * across restarts; gauges describe current state and are not.
+ */
+const DEFINITIONS = {
+    webhook_deliveries_total: {
+        type: "counter",
+        help: "Webhook deliveries received, by event, action and repository.",
+    },
+    webhook_signature_failures_total: {
+        type: "counter",
+        help: "Webhook deliveries rejected for an invalid signature.",
+    },
+    reviews_started_total: {
+        type: "counter",
+        help: "Review attempts started, by repository.",
+    },
+    reviews_completed_total: {
+        type: "counter",
+        help: "Reviews completed successfully, by repository.",
+    },
+    reviews_failed_total: {
+        type: "counter",
+        help: "Review attempts that failed, by repository.",
+    },
+    review_duration_seconds: {
+        type: "histogram",
+        help: "Time taken to complete a review, by repository.",
+        buckets: DURATION_BUCKETS,
+    },
+    ai_tokens_total: {
+        type: "counter",
+        help: "AI provider tokens consumed, by repository and direction (input/output).",
+    },
+    review_comments_posted_total: {
+        type: "counter",
+        help: "Inline review comments posted to pull requests, by repository.",
+    },
+    secrets_detected_total: {
+        type: "counter",
+        help: "Secrets found in pull request diffs, by repository.",
+    },
+    vulnerable_dependencies_total: {
+        type: "counter",
+        help: "Dependency changes matching a local advisory, by repository.",
+    },
+    file_cache_requests_total: {
+        type: "counter",
+        help: "File content lookups for review context, by result (hit/miss).",
+    },
+    queue_jobs: {
+        type: "gauge",
+        help: "Review queue jobs, by state.",
+    },
+};
+
+/**
+ * Builds a stable key for a label set.
+ * @param {object} labels
+ * @returns {string}
+ */
+function labelKey(labels) {
+    return Object.keys(labels)
+        .sort()
+        .map((name) => `${name}=${labels[name]}`)
+        .join(",");
+}
+
+/**
+ * Renders labels in Prometheus text format.
+ * @param {object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const pairs = Object.keys(labels)
+        .sort()
+        .map((name) => {
+            const value = String(labels[name])
+                .replace(/\\/g, "\\\\")
+                .replace(/\n/g, "\\n")
+                .replace(/"/g, '\\"');
+            return `${name}="${value}"`;
+        });
+
+    return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * In-process metrics registry with JSON and Prometheus exports.
+ */
+class Metrics {
+    constructor() {
+        this.store = new JsonStore("metrics.json", {
+            since: new Date().toISOString(),
+            series: {},
+        });
+        this.gauges = {};
+        this.saveTimer = null;
+        this.startedAt = new Date();
+    }
+
+    /**
+     * Returns (creating if needed) the stored series for a metric/label set.
+     * @param {string} name
+     * @param {object} labels
+     * @returns {object}
+     */
+    getSeries(name, labels) {
+        const definition = DEFINITIONS[name];
+        if (!definition) {
+            throw new Error(`Unknown metric: ${name}`);
+        }
+
+        const state = this.store.load();
+        const metric = (state.series[name] = state.series[name] || {});
+        const key = labelKey(labels);
+
+        if (!metric[key]) {
+            metric[key] =
+                definition.type === "histogram"
+                    ? {
+                          labels,
+                          buckets: definition.buckets.map(() => 0),
+                          sum: 0,
+                          count: 0,
+                      }
+                    : { labels, value: 0 };
+        }
+
+        return metric[key];
+    }
+
+    /**
+     * Increments a counter.
+     * @param {string} name
+     * @param {object} labels
+     * @param {number} value
+     */
+    increment(name, labels = {}, value = 1) {
+        this.getSeries(name, labels).value += value;
+        this.scheduleSave();
+    }
+
+    /**
+     * Records a histogram observation.
+     * @param {string} name
+     * @param {object} labels
+     * @param {number} value
+     */
+    observe(name, labels, value) {
+        const series = this.getSeries(name, labels);
+
+        DEFINITIONS[name].buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.buckets[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+        this.scheduleSave();
+    }
+
+    /**
+     * Sets a gauge to its current value.
+     * @param {string} name
+     * @param {object} labels
+     * @param {number} value
+     */
+    set(name, labels, value) {
+        this.gauges[name] = this.gauges[name] || {};
+        this.gauges[name][labelKey(labels)] = { labels, value };
+    }
+
+    /**
+     * Persists metrics shortly after they change, batching bursts of updates.
+     */
+    scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => this.flush(), 1000);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Writes metrics to disk now.
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.store.save();
+    }
+
+    /**
+     * All metrics as JSON, plus a per-repository breakdown.
+     * @returns {object}
+     */
+    toJSON() {
+        const state = this.store.load();
+        const metrics = {};
+        const repositories = {};
+
+        Object.entries(DEFINITIONS).forEach(([name, definition]) => {
+            const source = definition.type === "gauge" ? this.gauges : state.series;
+            const series = Object.values(source[name] || {});
+            metrics[name] = series;
+
+            series.forEach((entry) => {
+                const repo = entry.labels.repo;
+                if (!repo) {
+                    return;
+                }
+
+                const stats = (repositories[repo] = repositories[repo] || {});
+                const field = entry.labels.direction ? `${name}:${entry.labels.direction}` : name;
+                stats[field] =
+                    (stats[field] || 0) +
+                    (definition.type === "histogram" ? entry.count : entry.value);
+            });
+        });
+
+        return {
+            since: state.since,
+            uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+            metrics,
+            repositories,
+        };
+    }
+
+    /**
+     * All metrics in the Prometheus text exposition format.
+     * @returns {string}
+     */
+    toPrometheus() {
+        const state = this.store.load();
+        const lines = [];
+
+        Object.entries(DEFINITIONS).forEach(([name, definition]) => {
+            const fullName = `${PREFIX}${name}`;
+            const source = definition.type === "gauge" ? this.gauges : state.series;
+            const series = Object.values(source[name] || {});
+
+            lines.push(`# HELP ${fullName} ${definition.help}`);
+            lines.push(`# TYPE ${fullName} ${definition.type}`);
+
+            series.forEach((entry) => {
+                if (definition.type !== "histogram") {
+                    lines.push(`${fullName}${formatLabels(entry.labels)} ${entry.value}`);
+                    return;
+                }
+
+                // Already cumulative: observe() counts a value in every bucket it fits.
+                definition.buckets.forEach((bound, index) => {
+                    lines.push(
+                        `${fullName}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.buckets[index]}`,
+                    );
+                });
+                lines.push(
+                    `${fullName}_bucket${formatLabels({ ...entry.labels, le: "+Inf" })} ${entry.count}`,
+                );
+                lines.push(`${fullName}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+                lines.push(`${fullName}_count${formatLabels(entry.labels)} ${entry.count}`);
+            });
+        });
+
+        return `${lines.join("\n")}\n`;
+    }
+}
+
+const metrics = new Metrics();
+
+// Keep the last few seconds of counts on shutdown.
+process.on("exit", () => {
+    try {
+        metrics.flush();
+    } catch (error) {
+        logger.error("Error saving metrics", { error: error.message });
+    }
+});
+
+module.exports = metrics;
@@ -0,0 +1,61 @@
+const LLMProvider = require("./provider");
+
+const ANTHROPIC_VERSION = "2023-06-01";
+
+/**
+ * Anthropic Messages API provider.
+ */
+class AnthropicProvider extends LLMProvider {
+    constructor(settings) {
+        super("anthropic", settings);
+
+        if (!settings.apiKey) {
+            throw Object.assign(new Error("Anthropic API key is required"), {
+                retryable: false,
+            });
+        }
+
+        this.apiKey = settings.apiKey;
+        this.apiEndpoint = `${settings.baseUrl}/v1/messages`;
+    }
+
+    async complete({ prompt, system }) {
+        const body = {
+            model: this.model,
+            max_tokens: this.maxTokens,
+            temperature: this.temperature,
+            messages: [
+                {
+                    role: "user",
+                    content: prompt,
+                },
+            ],
+        };
+
+        if (system) {
+            body.system = system;
+        }
+
+        const data = await this.postJson(
+            this.apiEndpoint,
+            {
+                "x-api-key": this.apiKey,
+                "anthropic-version": ANTHROPIC_VERSION,
+            },
+            body,
+        );
+
+        return {
+            text: (data.content || [])
+                .filter((block) => block.type === "text")
+                .map((block) => block.text)
+                .join(""),
+            usage: {
+                inputTokens: (data.usage && data.usage.input_tokens) || 0,
+                outputTokens: (data.usage && data.usage.output_tokens) || 0,
+            },
+        };
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,85 @@
+const AnthropicProvider = require("./anthropic");
+const OpenAIProvider = require("./openai");
+const MockProvider = require("./mock");
+
+/**
+ * Default settings per provider. Each can be overridden with
+ * <PREFIX>_MODEL, <PREFIX>_MAX_TOKENS, <PREFIX>_TEMPERATURE,
+ * <PREFIX>_TIMEOUT_MS, <PREFIX>_CONTEXT_TOKENS, <PREFIX>_BASE_URL and
+ * <PREFIX>_API_KEY.
+ */
+const PROVIDERS = {
+    anthropic: {
+        prefix: "ANTHROPIC",
+        model: "claude-sonnet-4-20250514",
+        baseUrl: "https://api.anthropic.com",
+        contextTokens: 200000,
+        create: (settings) => new AnthropicProvider(settings),
+    },
+    openai: {
+        prefix: "OPENAI",
+        model: "gpt-4o-mini",
+        baseUrl: "https://api.openai.com/v1",
+        contextTokens: 128000,
+        create: (settings) => new OpenAIProvider("openai", settings),
+    },
+    // Self-hosted model behind an OpenAI-compatible API (e.g. Ollama).
+    local: {
+        prefix: "LOCAL_LLM",
+        model: "llama3.1",
+        baseUrl: "http://localhost:11434/v1",
+        contextTokens: 8192,
+        create: (settings) => new OpenAIProvider("local", settings),
+    },
+    mock: {
+        prefix: "MOCK",
+        model: "mock",
+        baseUrl: "",
+        contextTokens: 100000,
+        create: (settings) => new MockProvider(settings),
+    },
+};
+
+/**
+ * Reads the settings for a provider from the environment.
+ * @param {string} name
+ * @param {object} env
+ * @returns {object}
+ */
+function getProviderSettings(name, env = process.env) {
+    const defaults = PROVIDERS[name];
+    const read = (key) => env[`${defaults.prefix}_${key}`];
+
+    return {
+        apiKey: read("API_KEY"),
+        baseUrl: read("BASE_URL") || defaults.baseUrl,
+        model: read("MODEL") || defaults.model,
+        maxTokens: parseInt(read("MAX_TOKENS"), 10) || 2000,
+        temperature: read("TEMPERATURE") !== undefined ? parseFloat(read("TEMPERATURE")) : 0,
+        timeoutMs: parseInt(read("TIMEOUT_MS"), 10) || 60000,
+        contextTokens: parseInt(read("CONTEXT_TOKENS"), 10) || defaults.contextTokens,
+        responseFile: read("REVIEW_FILE"),
+    };
+}
+
+/**
+ * Creates the provider selected by AI_PROVIDER (defaults to anthropic).
+ * @param {string} [name]
+ * @returns {import("./provider")}
+ */
+function createProvider(name = process.env.AI_PROVIDER || "anthropic") {
+    const provider = PROVIDERS[name];
+
+    if (!provider) {
+        throw Object.assign(
+            new Error(
+                `Unknown AI provider "${name}", expected one of: ${Object.keys(PROVIDERS).join(", ")}`,
+            ),
+            { retryable: false },
+        );
+    }
+
+    return provider.create(getProviderSettings(name));
+}
+
+module.exports = { createProvider, getProviderSettings };
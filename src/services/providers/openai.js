@@ -0,0 +1,47 @@
+const LLMProvider = require("./provider");
+
+/**
+ * Provider for any OpenAI-compatible chat completions endpoint
+ * (OpenAI itself, vLLM, Ollama, LM Studio, ...).
+ */
+class OpenAIProvider extends LLMProvider {
+    constructor(name, settings) {
+        super(name, settings);
+
+        // Self-hosted servers usually don't need a key.
+        this.apiKey = settings.apiKey;
+        this.apiEndpoint = `${settings.baseUrl.replace(/\/$/, "")}/chat/completions`;
+    }
+
+    async complete({ prompt, system }) {
+        const messages = [];
+
+        if (system) {
+            messages.push({ role: "system", content: system });
+        }
+        messages.push({ role: "user", content: prompt });
+
+        const headers = this.apiKey
+            ? { Authorization: `Bearer ${this.apiKey}` }
+            : {};
+
+        const data = await this.postJson(this.apiEndpoint, headers, {
+            model: this.model,
+            max_tokens: this.maxTokens,
+            temperature: this.temperature,
+            messages,
+        });
+
+        const choice = (data.choices || [])[0];
+
+        return {
+            text: (choice && choice.message && choice.message.content) || "",
+            usage: {
+                inputTokens: (data.usage && data.usage.prompt_tokens) || 0,
+                outputTokens: (data.usage && data.usage.completion_tokens) || 0,
+            },
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,90 @@
+const logger = require("../../utils/logger");
+
+/**
+ * Base class for LLM providers.
+ *
+ * Providers implement complete() and return the raw text plus token usage:
+ * { text: string, usage: { inputTokens: number, outputTokens: number } }
+ */
+class LLMProvider {
+    /**
+     * @param {object} settings
+     * @param {string} settings.model
+     * @param {number} settings.maxTokens
+     * @param {number} settings.temperature
+     * @param {number} settings.timeoutMs
+     * @param {number} settings.contextTokens Model context window
+     */
+    constructor(name, settings) {
+        this.name = name;
+        this.model = settings.model;
+        this.maxTokens = settings.maxTokens;
+        this.contextTokens = settings.contextTokens;
+        this.temperature = settings.temperature;
+        this.timeoutMs = settings.timeoutMs;
+    }
+
+    /**
+     * Sends a prompt to the model.
+     * @param {object} request
+     * @param {string} request.prompt
+     * @param {string} [request.system]
+     * @param {object} [request.context] Extra data about what is being reviewed
+     * @returns {Promise<{text: string, usage: object}>}
+     */
+    async complete(request) {
+        throw new Error(`${this.name} provider does not implement complete()`);
+    }
+
+    /**
+     * POSTs JSON with the configured timeout. Errors carry the HTTP status
+     * so the review queue can decide whether to retry.
+     * @param {string} url
+     * @param {object} headers
+     * @param {object} body
+     * @returns {Promise<object>}
+     */
+    async postJson(url, headers, body) {
+        let response;
+
+        try {
+            response = await fetch(url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    ...headers,
+                },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(this.timeoutMs),
+            });
+        } catch (error) {
+            const timedOut = error.name === "TimeoutError";
+            logger.error("AI provider request failed", {
+                provider: this.name,
+                error: error.message,
+            });
+            throw Object.assign(
+                new Error(
+                    timedOut
+                        ? `${this.name} request timed out after ${this.timeoutMs}ms`
+                        : `${this.name} request failed: ${error.message}`,
+                ),
+                { retryable: true },
+            );
+        }
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const detail = (data.error && data.error.message) || response.statusText;
+            throw Object.assign(
+                new Error(`${this.name} request failed (${response.status}): ${detail}`),
+                { status: response.status },
+            );
+        }
+
+        return data;
+    }
+}
+
+module.exports = LLMProvider;
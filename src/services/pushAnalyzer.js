@@ -0,0 +1,326 @@
+const { minimatch } = require("minimatch");
+const logger = require("../utils/logger");
+const services = require("./services");
+const diffParser = require("./diffParser");
+const repoConfig = require("./repoConfig");
+const reviewPlanner = require("./reviewPlanner");
+const secretScanner = require("./secretScanner");
+const metrics = require("./metrics");
+const { CHECK_NAME } = require("./checkRun");
+const { SEVERITY_ICONS } = require("./reviewComments");
+
+// Pushes with more commits than this are analyzed as one diff.
+const DEFAULT_MAX_COMMITS = 20;
+
+// Problems listed per report; the rest are counted.
+const MAX_LISTED = 20;
+
+// https://www.conventionalcommits.org: type(scope)!: subject
+const CONVENTIONAL_PATTERN = /^(?<type>[a-z]+)(?:\([^()]+\))?!?: \S/;
+const CONVENTIONAL_TYPES = [
+    "feat", "fix", "docs", "style", "refactor", "perf", "test", "build", "ci", "chore", "revert",
+];
+
+/**
+ * Analyzes commits pushed directly to the default branch (or the branches
+ * in `push_branches`): runs the diff analysis and secret scanner on each
+ * commit and checks its message against `commit_convention`. Results are
+ * reported as a commit status and/or a commit comment (`push_report`).
+ *
+ * Force-pushes and pushes with more than PUSH_MAX_COMMITS commits are
+ * summarized: their combined diff is analyzed once and reported on the
+ * head commit.
+ */
+class PushAnalyzer {
+    /**
+     * Whether pushes to a branch are analyzed.
+     * @param {string} branch
+     * @param {string} defaultBranch
+     * @param {object} config Repository config
+     * @returns {boolean}
+     */
+    isTrackedBranch(branch, defaultBranch, config) {
+        const branches = config.pushBranches.length > 0 ? config.pushBranches : [defaultBranch];
+        return branches.some((pattern) => minimatch(branch, pattern));
+    }
+
+    /**
+     * Checks a commit message against the repository's convention.
+     * @param {string} message
+     * @param {string} convention 'conventional', 'none' or a regex for the subject line
+     * @returns {string|null} The problem, or null when the message is fine
+     */
+    checkMessage(message, convention) {
+        const subject = message.split("\n")[0];
+
+        // Git writes these itself.
+        if (convention === "none" || /^(?:Merge (?:pull request|branch|remote-tracking branch)|Revert ")/.test(subject)) {
+            return null;
+        }
+
+        if (convention === "conventional") {
+            const match = subject.match(CONVENTIONAL_PATTERN);
+
+            if (!match) {
+                return 'does not follow Conventional Commits ("type(scope): subject")';
+            }
+            if (!CONVENTIONAL_TYPES.includes(match.groups.type)) {
+                return `unknown type "${match.groups.type}" (expected one of ${CONVENTIONAL_TYPES.join(", ")})`;
+            }
+            return null;
+        }
+
+        return new RegExp(convention).test(subject) ? null : `does not match \`${convention}\``;
+    }
+
+    /**
+     * Analyzes a queued push.
+     * @param {object} request Built by WebhookHandler.handlePush
+     * @returns {Promise<{commits: number, summarized: boolean}>}
+     */
+    async run(request) {
+        const github = services.forInstallation(request.installationId);
+        const { config } = await repoConfig.load(
+            github,
+            request.repoOwner,
+            request.repoName,
+            request.configSha,
+        );
+
+        const maxCommits = parseInt(process.env.PUSH_MAX_COMMITS, 10) || DEFAULT_MAX_COMMITS;
+        const summarized = request.forced || request.commits.length > maxCommits;
+
+        logger.info("Analyzing push", {
+            repo: request.repo,
+            branch: request.branch,
+            commits: request.commits.length,
+            forced: request.forced,
+            summarized,
+        });
+
+        if (summarized) {
+            const report = await this.analyzeRange(github, request, config);
+            await this.report(github, request, config, request.after, report);
+        } else {
+            for (const commit of request.commits) {
+                const report = await this.analyzeCommit(github, request, commit, config);
+                await this.report(github, request, config, commit.sha, report);
+            }
+        }
+
+        return { commits: request.commits.length, summarized };
+    }
+
+    /**
+     * Analyzes one commit.
+     * @param {object} github
+     * @param {object} request
+     * @param {{sha: string, message: string}} commit
+     * @param {object} config
+     * @returns {Promise<object>} Report, see analyzeFiles
+     */
+    async analyzeCommit(github, request, commit, config) {
+        const { files } = await github.getCommit(request.repoOwner, request.repoName, commit.sha);
+        const problem = this.checkMessage(commit.message, config.commitConvention);
+
+        return {
+            ...this.analyzeFiles(files, config, request),
+            title: `\`${commit.sha.slice(0, 7)}\` ${commit.message.split("\n")[0]}`,
+            messageProblems: problem ? [{ sha: commit.sha, subject: commit.message.split("\n")[0], problem }] : [],
+        };
+    }
+
+    /**
+     * Analyzes a whole push as one diff. A new branch is compared with the
+     * default branch; a force-push with the commit it replaced.
+     * @param {object} github
+     * @param {object} request
+     * @param {object} config
+     * @returns {Promise<object>} Report, see analyzeFiles
+     */
+    async analyzeRange(github, request, config) {
+        const base = request.created ? request.defaultBranch : request.before;
+        let files;
+        let note = "";
+
+        try {
+            ({ files } = await github.compareCommits(request.repoOwner, request.repoName, base, request.after));
+        } catch (error) {
+            // The replaced commit may be gone after a force-push.
+            logger.warn("Could not compare push, analyzing the head commit only", {
+                repo: request.repo,
+                error: error.message,
+            });
+            ({ files } = await github.getCommit(request.repoOwner, request.repoName, request.after));
+            note = " Only the head commit could be analyzed.";
+        }
+
+        const messageProblems = request.commits
+            .map((commit) => ({
+                sha: commit.sha,
+                subject: commit.message.split("\n")[0],
+                problem: this.checkMessage(commit.message, config.commitConvention),
+            }))
+            .filter((entry) => entry.problem);
+
+        const reason = request.forced ? "Force-push" : "Push";
+
+        return {
+            ...this.analyzeFiles(files, config, request),
+            title: `${reason} of ${request.commits.length} commit(s), analyzed as one diff.${note}`,
+            messageProblems,
+        };
+    }
+
+    /**
+     * Runs the diff analysis and secret scanner over changed files.
+     * @param {Array<object>} files From the commits or compare API
+     * @param {object} config
+     * @param {object} request
+     * @returns {{files: number, additions: number, deletions: number, symbols: object, imports: number, tests: number, secrets: Array<object>}}
+     */
+    analyzeFiles(files, config, request) {
+        const analyzed = files.map((file) =>
+            diffParser.analyzeFile(
+                diffParser.parseFilePatch(file.patch, {
+                    filename: file.filename,
+                    previousFilename: file.previousFilename,
+                    status: file.status,
+                    sha: file.sha,
+                }),
+            ),
+        );
+
+        const secrets = analyzed
+            .filter((file) => !reviewPlanner.isGenerated(file))
+            .flatMap((file) => secretScanner.scanFile(file, config).findings);
+
+        if (secrets.length > 0) {
+            metrics.increment("secrets_detected_total", { repo: request.repo }, secrets.length);
+        }
+
+        const symbols = (list) => analyzed.flatMap((file) => file.symbols[list]);
+
+        return {
+            files: analyzed.length,
+            additions: analyzed.reduce((sum, file) => sum + file.additions, 0),
+            deletions: analyzed.reduce((sum, file) => sum + file.deletions, 0),
+            symbols: {
+                added: symbols("added"),
+                modified: symbols("modified"),
+                removed: symbols("removed"),
+            },
+            imports: analyzed.reduce(
+                (sum, file) => sum + file.hasImportChanges.length + file.removedImports.length,
+                0,
+            ),
+            tests: analyzed.reduce((sum, file) => sum + file.hasTestChanges.length, 0),
+            secrets,
+        };
+    }
+
+    /**
+     * Reports a commit's (or a summarized push's) results as configured.
+     * A comment is only posted when something was found.
+     * @param {object} github
+     * @param {object} request
+     * @param {object} config
+     * @param {string} sha Commit to report on
+     * @param {object} report
+     */
+    async report(github, request, config, sha, report) {
+        const problems = report.secrets.length + report.messageProblems.length;
+
+        if (config.pushReport !== "comment") {
+            await github.createCommitStatus(request.repoOwner, request.repoName, sha, {
+                state: problems > 0 ? "failure" : "success",
+                context: `${CHECK_NAME} (push)`,
+                description: this.describe(report),
+            });
+        }
+
+        if (config.pushReport !== "status" && problems > 0) {
+            await github.createCommitComment(
+                request.repoOwner,
+                request.repoName,
+                sha,
+                this.buildComment(request, report),
+            );
+        }
+    }
+
+    /**
+     * One-line result for the commit status.
+     * @param {object} report
+     * @returns {string}
+     */
+    describe(report) {
+        const parts = [];
+
+        if (report.secrets.length > 0) {
+            parts.push(`${report.secrets.length} possible secret(s)`);
+        }
+        if (report.messageProblems.length > 0) {
+            parts.push(`${report.messageProblems.length} commit message problem(s)`);
+        }
+
+        return parts.length > 0
+            ? parts.join(", ")
+            : `No problems found in ${report.files} file(s)`;
+    }
+
+    /**
+     * Markdown commit comment with the analysis and the problems found.
+     * @param {object} request
+     * @param {object} report
+     * @returns {string}
+     */
+    buildComment(request, report) {
+        const count = (list, kind) => list.filter((symbol) => symbol.kind === kind).length;
+        const { added, modified, removed } = report.symbols;
+        const lines = [
+            `### ${CHECK_NAME}: push to \`${request.branch}\``,
+            "",
+            report.title,
+            "",
+            `**Changes:** ${report.files} file(s), +${report.additions} −${report.deletions} · ` +
+                `functions ${count(added, "function")} added, ${count(modified, "function")} modified, ` +
+                `${count(removed, "function")} removed · ${report.imports} import change(s) · ` +
+                `${added.filter((symbol) => symbol.kind === "test").length} test(s) added`,
+        ];
+
+        const listed = (entries, format) => [
+            ...entries.slice(0, MAX_LISTED).map(format),
+            ...(entries.length > MAX_LISTED ? [`- …and ${entries.length - MAX_LISTED} more`] : []),
+        ];
+
+        if (report.secrets.length > 0) {
+            lines.push(
+                "",
+                "#### Possible secrets",
+                ...listed(
+                    report.secrets,
+                    (finding) =>
+                        `- ${SEVERITY_ICONS[finding.severity]} \`${finding.file}:${finding.line}\` ${finding.message}`,
+                ),
+                "",
+                "Rotate these credentials: they stay in the repository history even after the code is changed.",
+            );
+        }
+
+        if (report.messageProblems.length > 0) {
+            lines.push(
+                "",
+                "#### Commit messages",
+                ...listed(
+                    report.messageProblems,
+                    (entry) => `- \`${entry.sha.slice(0, 7)}\` "${entry.subject}": ${entry.problem}`,
+                ),
+            );
+        }
+
+        return lines.join("\n");
+    }
+}
+
+module.exports = new PushAnalyzer();
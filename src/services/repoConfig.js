@@ -0,0 +1,264 @@
+const YAML = require("yaml");
+const { minimatch } = require("minimatch");
+const logger = require("../utils/logger");
+const { SEVERITIES } = require("./findings");
+
+const CONFIG_PATH = ".ai-review.yml";
+
+// How many repo@sha configs to keep in memory.
+const CACHE_LIMIT = 200;
+
+/**
+ * Behavior when a repository has no config file, or for any setting the
+ * config leaves out.
+ */
+const DEFAULT_CONFIG = {
+    actions: ["opened", "synchronize", "reopened"],
+    include: ["**"],
+    exclude: [],
+    languages: [],
+    minSeverity: "info",
+    maxComments: 25,
+    instructions: "",
+    reviewTests: false,
+    checkFailSeverity: "high",
+    collectReviews: false,
+    secretAllowlist: [],
+    secretAllowPaths: [],
+    pushBranches: [],
+    commitConvention: "none",
+    pushReport: "status",
+};
+
+const isStringList = (value) =>
+    Array.isArray(value) && value.every((item) => typeof item === "string");
+
+const isRegex = (value) => {
+    try {
+        new RegExp(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Config keys as written in .ai-review.yml, with their validators.
+ * Each validator returns an error message or null.
+ */
+const SCHEMA = {
+    actions: {
+        key: "actions",
+        validate: (value) => (isStringList(value) ? null : "must be a list of strings"),
+    },
+    include: {
+        key: "include",
+        validate: (value) => (isStringList(value) ? null : "must be a list of glob strings"),
+    },
+    exclude: {
+        key: "exclude",
+        validate: (value) => (isStringList(value) ? null : "must be a list of glob strings"),
+    },
+    languages: {
+        key: "languages",
+        validate: (value) => (isStringList(value) ? null : "must be a list of strings"),
+    },
+    min_severity: {
+        key: "minSeverity",
+        validate: (value) =>
+            SEVERITIES.includes(value) ? null : `must be one of ${SEVERITIES.join(", ")}`,
+    },
+    max_comments: {
+        key: "maxComments",
+        validate: (value) =>
+            Number.isInteger(value) && value >= 0 ? null : "must be a non-negative integer",
+    },
+    instructions: {
+        key: "instructions",
+        validate: (value) => (typeof value === "string" ? null : "must be a string"),
+    },
+    review_tests: {
+        key: "reviewTests",
+        validate: (value) => (typeof value === "boolean" ? null : "must be true or false"),
+    },
+    check_fail_severity: {
+        key: "checkFailSeverity",
+        validate: (value) =>
+            SEVERITIES.includes(value) || value === "none"
+                ? null
+                : `must be one of ${SEVERITIES.join(", ")}, none`,
+    },
+    collect_reviews: {
+        key: "collectReviews",
+        validate: (value) => (typeof value === "boolean" ? null : "must be true or false"),
+    },
+    secret_allowlist: {
+        key: "secretAllowlist",
+        validate: (value) => {
+            if (!isStringList(value)) {
+                return "must be a list of regular expressions";
+            }
+            const invalid = value.find((pattern) => !isRegex(pattern));
+            return invalid === undefined ? null : `contains an invalid regular expression: ${invalid}`;
+        },
+    },
+    secret_allow_paths: {
+        key: "secretAllowPaths",
+        validate: (value) => (isStringList(value) ? null : "must be a list of glob strings"),
+    },
+    push_branches: {
+        key: "pushBranches",
+        validate: (value) => (isStringList(value) ? null : "must be a list of branch names or globs"),
+    },
+    commit_convention: {
+        key: "commitConvention",
+        // 'conventional', 'none', or a regular expression for the subject line.
+        validate: (value) =>
+            typeof value === "string" && isRegex(value)
+                ? null
+                : 'must be "conventional", "none" or a regular expression',
+    },
+    push_report: {
+        key: "pushReport",
+        validate: (value) =>
+            ["status", "comment", "both"].includes(value) ? null : "must be one of status, comment, both",
+    },
+};
+
+/**
+ * Loads and validates the per-repository `.ai-review.yml`, read from the
+ * PR's base branch so a PR can't change the rules it is reviewed under.
+ */
+class RepoConfig {
+    constructor() {
+        this.cache = new Map();
+        this.path = CONFIG_PATH;
+    }
+
+    /**
+     * Loads the config for a repository at the given base SHA.
+     * @param {object} github GithubService for the repository's installation
+     * @param {string} owner
+     * @param {string} repo
+     * @param {string} baseSha
+     * @returns {Promise<{config: object, errors: Array<string>, found: boolean, sha: string|null}>}
+     * 'sha' is the config file's blob SHA, null without a config file
+     */
+    async load(github, owner, repo, baseSha) {
+        const cacheKey = `${owner}/${repo}@${baseSha}`;
+
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        const file = await github.getFileContent(owner, repo, CONFIG_PATH, baseSha);
+        const result = file
+            ? { ...this.parse(file.content), sha: file.sha }
+            : { config: { ...DEFAULT_CONFIG }, errors: [], found: false, sha: null };
+
+        if (result.errors.length > 0) {
+            logger.warn("Invalid repository config", {
+                owner,
+                repo,
+                baseSha,
+                errors: result.errors,
+            });
+        }
+
+        this.cache.set(cacheKey, result);
+        if (this.cache.size > CACHE_LIMIT) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        return result;
+    }
+
+    /**
+     * Parses and validates config file contents. Invalid settings fall
+     * back to their defaults and are reported in 'errors'.
+     * @param {string} content
+     * @returns {{config: object, errors: Array<string>, found: boolean}}
+     */
+    parse(content) {
+        const config = { ...DEFAULT_CONFIG };
+        const errors = [];
+        let raw;
+
+        try {
+            raw = YAML.parse(content);
+        } catch (error) {
+            errors.push(`${CONFIG_PATH} is not valid YAML: ${error.message}`);
+            return { config, errors, found: true };
+        }
+
+        // An empty file means "use the defaults".
+        if (raw === null || raw === undefined) {
+            return { config, errors, found: true };
+        }
+
+        if (typeof raw !== "object" || Array.isArray(raw)) {
+            errors.push(`${CONFIG_PATH} must contain a mapping of settings`);
+            return { config, errors, found: true };
+        }
+
+        Object.entries(raw).forEach(([name, value]) => {
+            const setting = SCHEMA[name];
+
+            if (!setting) {
+                errors.push(`Unknown setting "${name}"`);
+                return;
+            }
+
+            const error = setting.validate(value);
+            if (error) {
+                errors.push(`"${name}" ${error}`);
+                return;
+            }
+
+            config[setting.key] = value;
+        });
+
+        return { config, errors, found: true };
+    }
+
+    /**
+     * Whether a file should be reviewed under the given config.
+     * @param {object} file File entry from diffParser.analyzeDiff
+     * @param {object} config
+     * @returns {boolean}
+     */
+    shouldReviewFile(file, config) {
+        const matches = (glob) => minimatch(file.filename, glob, { dot: true });
+
+        if (!config.include.some(matches) || config.exclude.some(matches)) {
+            return false;
+        }
+
+        if (
+            config.languages.length > 0 &&
+            !config.languages.includes(file.language) &&
+            !config.languages.includes(file.languageName)
+        ) {
+            return false;
+        }
+
+        return config.reviewTests || !file.isTestFile;
+    }
+
+    /**
+     * Formats validation errors as a PR comment.
+     * @param {Array<string>} errors
+     * @returns {string}
+     */
+    formatErrors(errors) {
+        return [
+            `⚠️ **AI review configuration problem** in \`${CONFIG_PATH}\``,
+            "",
+            "The following settings were ignored and their defaults used instead:",
+            "",
+            ...errors.map((error) => `- ${error}`),
+        ].join("\n");
+    }
+}
+
+module.exports = new RepoConfig();
@@ -0,0 +1,149 @@
+const { meetsSeverity, severityRank } = require("./findings");
+
+const SEVERITY_ICONS = {
+    critical: "🛑",
+    high: "🔴",
+    medium: "🟠",
+    low: "🟡",
+    info: "🔵",
+};
+
+/**
+ * Collects the new-side line numbers GitHub will accept a comment on for
+ * each hunk of a file (added and context lines).
+ * @param {object} file File entry from diffParser.parseDiff
+ * @returns {Array<Set<number>>} One set per hunk
+ */
+function commentableLines(file) {
+    return file.hunks.map(
+        (hunk) =>
+            new Set(
+                hunk.lines
+                    .filter((line) => line.newLineNumber !== null)
+                    .map((line) => line.newLineNumber),
+            ),
+    );
+}
+
+/**
+ * Formats a finding as markdown for a review comment.
+ * @param {object} finding
+ * @returns {string}
+ */
+function formatFinding(finding) {
+    const icon = SEVERITY_ICONS[finding.severity] || "";
+    const parts = [
+        `**${icon} ${finding.severity.toUpperCase()}** · _${finding.category}_`,
+        "",
+        finding.message,
+    ];
+
+    if (finding.suggestion) {
+        parts.push("", "**Suggested fix:**", "```", finding.suggestion, "```");
+    }
+
+    return parts.join("\n");
+}
+
+/**
+ * Maps findings onto lines of the diff.
+ *
+ * Findings on a line GitHub can comment on become inline comments
+ * (RIGHT side). Multi-line ranges are kept only when the whole range sits
+ * in one hunk. Everything else is returned as 'outside' to be folded into
+ * the review body. 'placed[i]' is the finding behind 'comments[i]'.
+ * @param {Array<object>} findings
+ * @param {Array<object>} files File entries from diffParser.parseDiff
+ * @returns {{comments: Array<object>, placed: Array<object>, outside: Array<object>}}
+ */
+function mapFindingsToDiff(findings, files) {
+    const comments = [];
+    const placed = [];
+    const outside = [];
+    const filesByName = new Map(files.map((file) => [file.filename, file]));
+
+    findings.forEach((finding) => {
+        const file = filesByName.get(finding.file);
+        const hunks = file && !file.isBinary ? commentableLines(file) : [];
+        const hunk = hunks.find((lines) => lines.has(finding.line));
+
+        if (!hunk) {
+            outside.push(finding);
+            return;
+        }
+
+        const comment = {
+            path: file.filename,
+            line: finding.line,
+            side: "RIGHT",
+            body: formatFinding(finding),
+        };
+
+        // GitHub anchors ranges on the last line, starting at start_line.
+        if (finding.endLine && hunk.has(finding.endLine)) {
+            comment.start_line = finding.line;
+            comment.start_side = "RIGHT";
+            comment.line = finding.endLine;
+        }
+
+        comments.push(comment);
+        placed.push(finding);
+    });
+
+    return { comments, placed, outside };
+}
+
+/**
+ * Builds the top-level review body, including findings that could not be
+ * placed on a diff line and files that were not reviewed.
+ * @param {string} summary
+ * @param {Array<object>} outside
+ * @param {Array<{filename: string, reason: string}>} [skipped]
+ * @returns {string}
+ */
+function buildReviewBody(summary, outside, skipped = []) {
+    const parts = [summary || "AI code review"];
+
+    if (outside.length > 0) {
+        parts.push("", "#### Findings outside the diff", "");
+        [...outside]
+            .sort((a, b) => severityRank(a.severity) - severityRank(b.severity))
+            .forEach((finding) => {
+                const icon = SEVERITY_ICONS[finding.severity] || "";
+                parts.push(
+                    `- ${icon} **${finding.severity}** \`${finding.file}:${finding.line}\` — ${finding.message}`,
+                );
+            });
+    }
+
+    if (skipped.length > 0) {
+        parts.push("", "<details><summary>Skipped files</summary>", "");
+        skipped.forEach((entry) => {
+            parts.push(`- \`${entry.filename}\` — ${entry.reason}`);
+        });
+        parts.push("", "</details>");
+    }
+
+    return parts.join("\n");
+}
+
+/**
+ * Picks the review event: request changes when any finding is at or above
+ * the threshold severity, otherwise just comment.
+ * @param {Array<object>} findings
+ * @param {string} threshold
+ * @returns {'REQUEST_CHANGES'|'COMMENT'}
+ */
+function reviewEvent(findings, threshold) {
+    return findings.some((finding) => meetsSeverity(finding.severity, threshold))
+        ? "REQUEST_CHANGES"
+        : "COMMENT";
+}
+
+module.exports = {
+    SEVERITY_ICONS,
+    formatFinding,
+    mapFindingsToDiff,
+    buildReviewBody,
+    reviewEvent,
+};
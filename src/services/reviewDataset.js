@@ -0,0 +1,202 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { DATA_DIR } = require("../utils/jsonStore");
+const { redact } = require("../utils/redact");
+const diffParser = require("./diffParser");
+const reviewState = require("./reviewState");
+
+/**
+ * Append-only dataset of human reviews, for measuring where the bot agrees
+ * with human reviewers and where it misses.
+ *
+ * Each line of review-dataset.jsonl is one submitted review with its inline
+ * comments and the diff hunks they refer to. Secrets and email addresses
+ * are redacted before anything is written. Repositories opt in with
+ * `collect_reviews: true` in .ai-review.yml.
+ */
+class ReviewDataset {
+    constructor() {
+        this.filePath = path.join(DATA_DIR, "review-dataset.jsonl");
+    }
+
+    /**
+     * Appends a human review.
+     * @param {object} review
+     * @param {string} review.repo 'owner/name'
+     * @param {number} review.prNumber
+     * @param {number} review.reviewId
+     * @param {string} review.reviewer
+     * @param {string} review.state approved, changes_requested, commented
+     * @param {string} [review.body]
+     * @param {string} review.commitId
+     * @param {Array<object>} review.comments From GithubService.getReviewComments
+     */
+    record(review) {
+        const entry = {
+            recordedAt: new Date().toISOString(),
+            repo: review.repo,
+            prNumber: review.prNumber,
+            reviewId: review.reviewId,
+            reviewer: review.reviewer,
+            state: review.state,
+            body: redact(review.body || ""),
+            commitId: review.commitId,
+            comments: review.comments.map((comment) => ({
+                id: comment.id,
+                path: comment.path,
+                line: comment.line,
+                startLine: comment.startLine,
+                side: comment.side,
+                body: redact(comment.body),
+                diffHunk: redact(comment.diffHunk),
+                commitId: comment.commitId,
+                inReplyTo: comment.inReplyTo,
+            })),
+        };
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+
+        logger.info("Human review recorded", {
+            repo: entry.repo,
+            pr: entry.prNumber,
+            reviewId: entry.reviewId,
+            comments: entry.comments.length,
+        });
+    }
+
+    /**
+     * Reads the recorded reviews. A review recorded more than once (e.g. a
+     * replayed delivery) is returned once, as its latest copy.
+     * @returns {Array<object>}
+     */
+    read() {
+        let raw;
+        try {
+            raw = fs.readFileSync(this.filePath, "utf-8");
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return [];
+            }
+            throw error;
+        }
+
+        const reviews = new Map();
+
+        raw.split("\n").forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+
+            try {
+                const entry = JSON.parse(line);
+                reviews.set(`${entry.repo}#${entry.reviewId}`, entry);
+            } catch (error) {
+                // A crash mid-append can leave a partial last line.
+                logger.warn("Skipping malformed dataset line", { line: index + 1 });
+            }
+        });
+
+        return [...reviews.values()];
+    }
+
+    /**
+     * New-side line range covered by a review comment's diff hunk.
+     * @param {object} comment
+     * @returns {{start: number, end: number}|null}
+     */
+    hunkRange(comment) {
+        if (!comment.diffHunk) {
+            return null;
+        }
+
+        const numbers = diffParser
+            .parseFilePatch(comment.diffHunk, { filename: comment.path })
+            .hunks.flatMap((hunk) => hunk.lines)
+            .map((line) => line.newLineNumber)
+            .filter((number) => number !== null);
+
+        if (numbers.length === 0) {
+            return null;
+        }
+
+        return { start: Math.min(...numbers), end: Math.max(...numbers, comment.line || 0) };
+    }
+
+    /**
+     * Builds (hunk, human comment, bot findings) triples: one per inline
+     * human comment, with the bot's findings on the same lines of the same
+     * file at the commit the comment was made on. An empty 'botFindings' is
+     * a miss by the bot.
+     * @returns {Array<object>}
+     */
+    buildTriples() {
+        const triples = [];
+
+        this.read().forEach((review) => {
+            const state = reviewState.find(review.repo, review.prNumber);
+            const botFindings = state ? state.findings : [];
+
+            review.comments
+                // Replies belong to a discussion, not to the hunk itself.
+                .filter((comment) => !comment.inReplyTo && comment.side !== "LEFT")
+                .forEach((comment) => {
+                    const range = this.hunkRange(comment);
+                    if (!range) {
+                        return;
+                    }
+
+                    // Reviews recorded before comments had their own commit.
+                    const commitId = comment.commitId || review.commitId;
+                    const overlapping = botFindings
+                        .map((finding) => ({ finding, location: reviewState.locationAt(finding, commitId) }))
+                        .filter(
+                            ({ location }) =>
+                                location &&
+                                location.file === comment.path &&
+                                location.line <= range.end &&
+                                (location.endLine || location.line) >= range.start,
+                        );
+
+                    triples.push({
+                        repo: review.repo,
+                        prNumber: review.prNumber,
+                        path: comment.path,
+                        commitId,
+                        hunk: comment.diffHunk,
+                        human: {
+                            reviewer: review.reviewer,
+                            state: review.state,
+                            line: comment.line,
+                            startLine: comment.startLine,
+                            body: comment.body,
+                        },
+                        botFindings: overlapping.map(({ finding, location }) => ({
+                            line: location.line,
+                            endLine: location.endLine,
+                            severity: finding.severity,
+                            category: finding.category,
+                            message: redact(finding.message),
+                            status: finding.status,
+                        })),
+                    });
+                });
+        });
+
+        return triples;
+    }
+
+    /**
+     * Writes the triples as JSONL.
+     * @param {import("stream").Writable} output
+     * @returns {number} Number of triples written
+     */
+    exportJsonl(output) {
+        const triples = this.buildTriples();
+        triples.forEach((triple) => output.write(`${JSON.stringify(triple)}\n`));
+        return triples.length;
+    }
+}
+
+module.exports = new ReviewDataset();
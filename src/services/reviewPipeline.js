@@ -0,0 +1,819 @@
+const { minimatch } = require("minimatch");
+const logger = require("../utils/logger");
+const services = require("./services");
+const diffParser = require("./diffParser");
+const aiReviewer = require("./aiReviewer");
+const repoConfig = require("./repoConfig");
+const reviewPlanner = require("./reviewPlanner");
+const secretScanner = require("./secretScanner");
+const advisories = require("./advisories");
+const fileContext = require("./fileContext");
+const reviewState = require("./reviewState");
+const metrics = require("./metrics");
+const summaryComment = require("./summaryComment");
+const checkRun = require("./checkRun");
+const { meetsSeverity, severityRank } = require("./findings");
+const { reviewEvent } = require("./reviewComments");
+
+/**
+ * Review pipeline for a pull request: fetch the diff, pick the files to
+ * review, run the AI reviewer and post the findings back to GitHub.
+ *
+ * Large pull requests are planned by reviewPlanner: generated and
+ * excluded files are skipped, the riskiest files go first, and files are
+ * packed into as few requests as the provider's context window allows.
+ *
+ * After the first review, only commits pushed since the last reviewed
+ * commit are reviewed, findings already posted are not repeated, and the
+ * bot's earlier comments on code that has since changed are resolved. The
+ * other open findings follow their code to its new lines.
+ *
+ * Each review also updates one sticky summary comment on the PR, keeping
+ * earlier runs in a collapsed history, and reports the PR's open findings
+ * as a check run that branch protection can require.
+ *
+ * In dry-run mode (see dryRun) the writes are recorded instead of sent,
+ * and the review state is left alone: every run reviews the whole PR as
+ * if it were the first review, and the live mode picks up where it left
+ * off when dry-run mode is switched off.
+ */
+class ReviewPipeline {
+    /**
+     * Reviews a pull request.
+     * @param {object} prInfo Built by WebhookHandler.handlePullRequest
+     * @param {boolean} [prInfo.force] Review the whole PR, even if the head commit was already reviewed
+     * @param {string|Array<string>} [prInfo.scope] Globs limiting the review to matching files (/ai-review <glob>)
+     * @returns {Promise<object>} Summary of what was reviewed
+     */
+    async run(prInfo) {
+        const github = services.forInstallation(prInfo.installationId);
+
+        // Pin the review to the head commit we actually fetched.
+        const pr = await github.getPullRequest(prInfo.repoOwner, prInfo.repoName, prInfo.number);
+        const diff = await github.getPRDiff(prInfo.repoOwner, prInfo.repoName, prInfo.number);
+        const diffAnalysis = diffParser.analyzeDiff(diff);
+
+        logger.info("Diff analyzed", {
+            pr: prInfo.number,
+            repo: prInfo.repo,
+            ...diffAnalysis.stats,
+        });
+
+        const config = await this.loadConfig(github, prInfo, pr);
+        const dryRun = github.isDryRun(prInfo.repoOwner, prInfo.repoName);
+        const state = dryRun
+            ? {
+                  lastReviewedSha: null,
+                  findings: [],
+                  ignoredCategories: reviewState.get(prInfo.repo, prInfo.number).ignoredCategories,
+              }
+            : reviewState.get(prInfo.repo, prInfo.number);
+
+        if (state.lastReviewedSha === pr.headSha && !prInfo.force) {
+            logger.info("Head commit already reviewed", {
+                pr: prInfo.number,
+                headSha: pr.headSha,
+            });
+            return { ...diffAnalysis.stats, findings: 0, skipped: true };
+        }
+
+        const check = await this.startCheckRun(github, prInfo, pr);
+
+        let review;
+        try {
+            review = await this.review(github, prInfo, pr, diffAnalysis, config, state);
+        } catch (error) {
+            await this.finishCheckRun(github, prInfo, check, {
+                conclusion: "neutral",
+                title: "Review failed",
+                summary: "The review could not be completed and will be retried.",
+            });
+            throw error;
+        }
+
+        const { findings: recorded, ignoredCategories } = dryRun
+            ? { ...state, findings: review.findings.map((finding) => ({ ...finding, status: "open" })) }
+            : reviewState.get(prInfo.repo, prInfo.number);
+        const open = recorded.filter(
+            (finding) =>
+                finding.status === "open" && !ignoredCategories.includes(finding.category),
+        );
+
+        if (!dryRun) {
+            await this.dismissBlockingReviews(github, prInfo, open);
+        }
+
+        await this.finishCheckRun(
+            github,
+            prInfo,
+            check,
+            checkRun.buildCheckOutput(open, {
+                threshold: config.checkFailSeverity,
+                summaries: review.summaries,
+                skipped: review.skipped,
+            }),
+        );
+
+        return review.result;
+    }
+
+    /**
+     * Reviews the PR's changes (or the commits since the last review),
+     * posts the findings and records them.
+     * @param {object} github
+     * @param {object} prInfo
+     * @param {object} pr
+     * @param {object} diffAnalysis From diffParser.analyzeDiff
+     * @param {object} config
+     * @param {object} state From reviewState.get
+     * @returns {Promise<{result: object, findings: Array<object>, summaries: Array<string>, skipped: Array<object>}>}
+     */
+    async review(github, prInfo, pr, diffAnalysis, config, state) {
+        const dryRun = github.isDryRun(prInfo.repoOwner, prInfo.repoName);
+        const incremental = dryRun ? null : await this.getIncrementalFiles(github, prInfo, state, pr);
+        if (incremental) {
+            await this.updateOpenFindings(
+                github,
+                prInfo,
+                state,
+                { sha: state.lastReviewedSha || prInfo.before, files: incremental },
+                pr.headSha,
+            );
+        }
+
+        // Review only what changed since the last review, when we know that
+        // and a full review wasn't asked for.
+        let candidates = incremental && !prInfo.force
+            ? incremental
+                  .filter((file) =>
+                      diffAnalysis.files.some((prFile) => prFile.filename === file.filename),
+                  )
+                  .map((file) => diffParser.analyzeFile(file))
+            : diffAnalysis.files;
+
+        if (prInfo.scope) {
+            const globs = [].concat(prInfo.scope);
+            candidates = candidates.filter((file) =>
+                globs.some((glob) => minimatch(file.filename, glob, { dot: true })),
+            );
+        }
+
+        // Secrets are found deterministically and masked before any hunk
+        // reaches the AI provider.
+        const secrets = this.scanSecrets(candidates, config, prInfo);
+        const vulnerable = this.checkDependencies(candidates, prInfo);
+
+        // The whole PR's dependency changes go to every request and the summary.
+        const dependencies = secretScanner.maskDependencies(
+            diffAnalysis.files.flatMap((file) => file.dependencies),
+            config,
+        );
+
+        // Surrounding code from the full files, so the reviewer can see what
+        // the changed lines refer to.
+        const files = await this.addContext(
+            github,
+            prInfo,
+            pr,
+            secrets.files,
+            config,
+            incremental && !prInfo.force ? state.lastReviewedSha || prInfo.before : null,
+        );
+
+        const provider = aiReviewer.getProvider();
+        const plan = reviewPlanner.plan(files, config, {
+            contextTokens: provider.contextTokens,
+            maxOutputTokens: provider.maxTokens,
+            maxRequests: parseInt(process.env.AI_MAX_REQUESTS_PER_REVIEW, 10) || undefined,
+        });
+
+        const { findings: generated, summaries } = await this.reviewBatches(
+            plan.batches,
+            config,
+            prInfo,
+            dependencies,
+        );
+
+        const findings = this.selectFindings(
+            [...secrets.findings, ...vulnerable, ...generated],
+            config,
+            state,
+            diffAnalysis.files,
+        );
+
+        logger.info("Review generated", {
+            pr: prInfo.number,
+            requests: plan.batches.length,
+            skipped: plan.skipped.length,
+            findings: findings.length,
+            incremental: Boolean(incremental),
+        });
+
+        const posted = await github.postReview(prInfo.repoOwner, prInfo.repoName, prInfo.number, {
+            commitId: pr.headSha,
+            findings,
+            files: diffAnalysis.files,
+            summary: ["### AI Code Review", "", ...summaries].join("\n"),
+            skipped: plan.skipped,
+        });
+
+        // Findings outside the diff are only listed in the review body.
+        if (posted && !dryRun) {
+            metrics.increment(
+                "review_comments_posted_total",
+                { repo: prInfo.repo },
+                posted.inline.length,
+            );
+        }
+
+        await this.updateSummaryComment(github, prInfo, pr, {
+            summaries,
+            findings,
+            reviewed: [...new Set(plan.batches.flat().map((file) => file.filename))],
+            skipped: plan.skipped,
+            dependencies,
+            incremental: Boolean(incremental),
+        });
+
+        const commentIds = new Map(
+            posted ? posted.inline.map((entry) => [entry.finding, entry.commentId]) : [],
+        );
+        if (!dryRun) {
+            if (posted && posted.review.state === "CHANGES_REQUESTED") {
+                reviewState.recordBlockingReview(prInfo.repo, prInfo.number, posted.review.id);
+            }
+            reviewState.recordReview(
+                prInfo.repo,
+                prInfo.number,
+                pr.headSha,
+                findings.map((finding) => ({
+                    ...finding,
+                    commentId: commentIds.get(finding) || null,
+                    // Feedback on findings is broken down by these.
+                    language: diffParser.detectLanguage(finding.file),
+                    promptVersion: aiReviewer.promptVersion,
+                })),
+                prInfo.installationId,
+                // Files outside the scope still need reviewing from the last reviewed commit.
+                { scoped: Boolean(prInfo.scope) },
+            );
+        }
+
+        return {
+            result: {
+                ...diffAnalysis.stats,
+                findings: findings.length,
+                incremental: Boolean(incremental),
+            },
+            findings,
+            summaries,
+            skipped: plan.skipped,
+        };
+    }
+
+    /**
+     * Dismisses the bot's earlier REQUEST_CHANGES reviews once none of the
+     * open findings would request changes any more (fixed, resolved or
+     * ignored), so they no longer block merging.
+     * @param {object} github
+     * @param {object} prInfo
+     * @param {Array<object>} open The PR's open findings
+     */
+    async dismissBlockingReviews(github, prInfo, open) {
+        const { blockingReviews = [] } = reviewState.get(prInfo.repo, prInfo.number);
+
+        if (
+            blockingReviews.length === 0 ||
+            reviewEvent(open, process.env.REQUEST_CHANGES_SEVERITY || "high") === "REQUEST_CHANGES"
+        ) {
+            return;
+        }
+
+        const done = [];
+        for (const reviewId of blockingReviews) {
+            try {
+                await github.dismissReview(
+                    prInfo.repoOwner,
+                    prInfo.repoName,
+                    prInfo.number,
+                    reviewId,
+                    "All blocking findings from this review have been addressed.",
+                );
+                done.push(reviewId);
+            } catch (error) {
+                // Already dismissed, or the review is gone; retried next run otherwise.
+                if (error.status === 404 || error.status === 422) {
+                    done.push(reviewId);
+                }
+                logger.warn("Could not dismiss review", {
+                    pr: prInfo.number,
+                    reviewId,
+                    error: error.message,
+                });
+            }
+        }
+
+        reviewState.clearBlockingReviews(prInfo.repo, prInfo.number, done);
+    }
+
+    /**
+     * Creates the in-progress check run for the head commit. Check runs
+     * can only be created by GitHub Apps, so this returns null when
+     * running with a personal access token or when creating it fails.
+     * @param {object} github
+     * @param {object} prInfo
+     * @param {object} pr
+     * @returns {Promise<object|null>}
+     */
+    async startCheckRun(github, prInfo, pr) {
+        try {
+            return await github.createCheckRun(
+                prInfo.repoOwner,
+                prInfo.repoName,
+                pr.headSha,
+                checkRun.CHECK_NAME,
+            );
+        } catch (error) {
+            logger.warn("Could not create check run", {
+                pr: prInfo.number,
+                error: error.message,
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Completes the check run started by startCheckRun.
+     * @param {object} github
+     * @param {object} prInfo
+     * @param {object|null} check
+     * @param {object} output See GithubService.completeCheckRun
+     */
+    async finishCheckRun(github, prInfo, check, output) {
+        if (!check) {
+            return;
+        }
+
+        try {
+            await github.completeCheckRun(prInfo.repoOwner, prInfo.repoName, check.id, output);
+        } catch (error) {
+            logger.warn("Could not complete check run", {
+                pr: prInfo.number,
+                checkRunId: check.id,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Loads the repository config, telling the PR author about a broken
+     * config once per version of the config file.
+     * @param {object} github
+     * @param {object} prInfo
+     * @param {object} pr
+     * @returns {Promise<object>}
+     */
+    async loadConfig(github, prInfo, pr) {
+        const configResult = await repoConfig.load(github, prInfo.repoOwner, prInfo.repoName, pr.baseSha);
+        const { reportedConfigs = [] } = reviewState.get(prInfo.repo, prInfo.number);
+
+        if (configResult.errors.length > 0 && !reportedConfigs.includes(configResult.sha)) {
+            await github.createIssueComment(
+                prInfo.repoOwner,
+                prInfo.repoName,
+                prInfo.number,
+                repoConfig.formatErrors(configResult.errors),
+            );
+
+            // Still tell the author once the live mode is back.
+            if (!github.isDryRun(prInfo.repoOwner, prInfo.repoName)) {
+                reviewState.recordConfigReport(prInfo.repo, prInfo.number, configResult.sha);
+            }
+        }
+
+        return configResult.config;
+    }
+
+    /**
+     * Posts the summary comment, or edits the one from an earlier review.
+     * @param {object} github
+     * @param {object} prInfo
+     * @param {object} pr
+     * @param {object} run See summaryComment.renderRun
+     */
+    async updateSummaryComment(github, prInfo, pr, run) {
+        const body = summaryComment.renderRun({ pr, ...run });
+
+        try {
+            const existing = await github.findIssueComment(
+                prInfo.repoOwner,
+                prInfo.repoName,
+                prInfo.number,
+                summaryComment.MARKER,
+            );
+
+            if (existing) {
+                await github.updateIssueComment(
+                    prInfo.repoOwner,
+                    prInfo.repoName,
+                    existing.id,
+                    summaryComment.buildSummaryComment(
+                        body,
+                        existing.body,
+                        parseInt(process.env.SUMMARY_HISTORY_LIMIT, 10) || undefined,
+                    ),
+                );
+            } else {
+                await github.createIssueComment(
+                    prInfo.repoOwner,
+                    prInfo.repoName,
+                    prInfo.number,
+                    summaryComment.buildSummaryComment(body),
+                );
+            }
+        } catch (error) {
+            // The line comments are already posted; don't fail (and retry) the review.
+            logger.warn("Could not update summary comment", {
+                pr: prInfo.number,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Files changed since the last reviewed commit (or the push's 'before'
+     * SHA). Returns null when a full review is needed: first review,
+     * force-push, or the compare failed.
+     * @param {object} github
+     * @param {object} prInfo
+     * @param {object} state
+     * @param {object} pr
+     * @returns {Promise<Array<object>|null>} File entries like diffParser.parseDiff
+     */
+    async getIncrementalFiles(github, prInfo, state, pr) {
+        const since = state.lastReviewedSha || prInfo.before;
+
+        if (!since) {
+            return null;
+        }
+
+        const files = await this.getChangedFiles(github, prInfo, since, pr.headSha);
+        if (!files) {
+            logger.info("Falling back to full review", { pr: prInfo.number, since });
+            return null;
+        }
+
+        logger.info("Reviewing new commits only", {
+            pr: prInfo.number,
+            since,
+            files: files.length,
+        });
+
+        return files;
+    }
+
+    /**
+     * Files changed between two commits of the PR.
+     * @param {object} github
+     * @param {object} prInfo
+     * @param {string} base
+     * @param {string} head
+     * @returns {Promise<Array<object>|null>} File entries like diffParser.parseDiff, or null
+     * when base isn't an ancestor of head (e.g. after a force-push) or the compare failed
+     */
+    async getChangedFiles(github, prInfo, base, head) {
+        let comparison;
+        try {
+            comparison = await github.compareCommits(prInfo.repoOwner, prInfo.repoName, base, head);
+        } catch (error) {
+            logger.warn("Could not compare commits", {
+                pr: prInfo.number,
+                base,
+                head,
+                error: error.message,
+            });
+            return null;
+        }
+
+        // 'diverged' means history was rewritten; the old commit is gone.
+        if (comparison.status !== "ahead") {
+            logger.info("Commits are not in line", {
+                pr: prInfo.number,
+                base,
+                head,
+                status: comparison.status,
+            });
+            return null;
+        }
+
+        return comparison.files.map((file) =>
+            diffParser.parseFilePatch(file.patch, {
+                filename: file.filename,
+                previousFilename: file.previousFilename,
+                status: file.status,
+                sha: file.sha,
+            }),
+        );
+    }
+
+    /**
+     * Scans files for committed secrets. Lock and generated files are left
+     * alone; their hashes look like secrets and they are never sent to the AI.
+     * @param {Array<object>} files
+     * @param {object} config
+     * @param {object} prInfo
+     * @returns {{files: Array<object>, findings: Array<object>}} Files with secrets masked, and the secret findings
+     */
+    scanSecrets(files, config, prInfo) {
+        const findings = [];
+
+        const masked = files.map((file) => {
+            if (reviewPlanner.isGenerated(file)) {
+                return file;
+            }
+
+            const result = secretScanner.scanFile(file, config);
+            findings.push(...result.findings);
+            return result.file;
+        });
+
+        if (findings.length > 0) {
+            metrics.increment("secrets_detected_total", { repo: prInfo.repo }, findings.length);
+        }
+
+        return { files: masked, findings };
+    }
+
+    /**
+     * Checks the dependency changes in manifests and lock files against
+     * the local advisory file (ADVISORY_FILE).
+     * @param {Array<object>} files
+     * @param {object} prInfo
+     * @returns {Array<object>} One finding per affected dependency and advisory
+     */
+    checkDependencies(files, prInfo) {
+        const findings = advisories.check(files.flatMap((file) => file.dependencies));
+
+        if (findings.length > 0) {
+            metrics.increment("vulnerable_dependencies_total", { repo: prInfo.repo }, findings.length);
+        }
+
+        return findings;
+    }
+
+    /**
+     * Adds surrounding code from the full files to the hunks of the files
+     * that will be reviewed.
+     * @param {object} github
+     * @param {object} prInfo
+     * @param {object} pr
+     * @param {Array<object>} files
+     * @param {object} config
+     * @param {string} [since] Commit an incremental diff starts from
+     * @returns {Promise<Array<object>>}
+     */
+    async addContext(github, prInfo, pr, files, config, since) {
+        let mergeBase;
+
+        // The old side of a PR diff is the merge base; only looked up when
+        // a hunk needs it.
+        const baseRef = async () => {
+            if (since) {
+                return since;
+            }
+            if (mergeBase === undefined) {
+                mergeBase = await github
+                    .compareCommits(prInfo.repoOwner, prInfo.repoName, pr.baseSha, pr.headSha)
+                    .then((comparison) => comparison.mergeBaseSha, () => null);
+            }
+            return mergeBase;
+        };
+
+        const reviewable = new Set(
+            files.filter((file) => !reviewPlanner.skipReason(file, config) && file.addedLines.length > 0),
+        );
+        const withContext = await fileContext.addContext(
+            github,
+            { owner: prInfo.repoOwner, repo: prInfo.repoName, headSha: pr.headSha, baseRef },
+            [...reviewable],
+            config,
+        );
+
+        return files.map((file) => (reviewable.has(file) ? withContext.shift() : file));
+    }
+
+    /**
+     * Runs the AI reviewer over each planned batch of files.
+     * @param {Array<Array<object>>} batches From reviewPlanner.plan
+     * @param {object} config
+     * @param {object} prInfo
+     * @param {Array<object>} [dependencies] Dependency changes in the PR, from diffParser
+     * @returns {Promise<{findings: Array<object>, summaries: Array<string>}>}
+     */
+    async reviewBatches(batches, config, prInfo, dependencies = []) {
+        const findings = [];
+        const summaries = [];
+
+        for (const files of batches) {
+            const review = await aiReviewer.reviewBatch(files, config, { dependencies });
+            findings.push(...review.findings);
+            metrics.increment(
+                "ai_tokens_total",
+                { repo: prInfo.repo, direction: "input" },
+                review.usage.inputTokens,
+            );
+            metrics.increment(
+                "ai_tokens_total",
+                { repo: prInfo.repo, direction: "output" },
+                review.usage.outputTokens,
+            );
+            if (review.summary) {
+                // A split file can appear more than once in a batch.
+                const names = [...new Set(files.map((file) => `\`${file.filename}\``))];
+                summaries.push(`- ${names.join(", ")}: ${review.summary}`);
+            }
+        }
+
+        return { findings, summaries };
+    }
+
+    /**
+     * Applies the repository's severity threshold and comment cap, and drops
+     * findings that were already posted on this PR or whose category was
+     * ignored with /ai-ignore. Each returned finding carries its fingerprint.
+     * @param {Array<object>} findings
+     * @param {object} config
+     * @param {object} state
+     * @param {Array<object>} prFiles File entries of the full PR diff
+     * @returns {Array<object>}
+     */
+    selectFindings(findings, config, state, prFiles) {
+        const alreadyPosted = new Set(state.findings.map((finding) => finding.fingerprint));
+
+        return findings
+            .filter((finding) => meetsSeverity(finding.severity, config.minSeverity))
+            .filter((finding) => !state.ignoredCategories.includes(finding.category))
+            .map((finding) => ({
+                ...finding,
+                fingerprint: reviewState.fingerprint(
+                    finding,
+                    this.lineContentAt(prFiles, finding.file, finding.line),
+                ),
+            }))
+            .filter((finding) => !alreadyPosted.has(finding.fingerprint))
+            // Most severe first, so the comment cap drops the least important ones.
+            .sort((a, b) => severityRank(a.severity) - severityRank(b.severity))
+            .slice(0, config.maxComments);
+    }
+
+    /**
+     * Brings the PR's open findings up to the head commit. Findings whose
+     * code changed are resolved; the rest move with their code, so later
+     * runs and the check run annotations point at the right lines.
+     *
+     * A finding's lines refer to the commit in 'linesAt' (until it first
+     * moves, the commit it was posted on). Findings at the last reviewed
+     * commit use the incremental diff; others, e.g. from a scoped review,
+     * are compared from their own commit.
+     * @param {object} github
+     * @param {object} prInfo
+     * @param {object} state
+     * @param {{sha: string, files: Array<object>}} since The last reviewed commit and the files changed since
+     * @param {string} headSha
+     */
+    async updateOpenFindings(github, prInfo, state, since, headSha) {
+        const groups = new Map();
+        state.findings
+            .filter((finding) => finding.status === "open")
+            .forEach((finding) => {
+                const at = finding.linesAt || finding.headSha;
+                groups.set(at, [...(groups.get(at) || []), finding]);
+            });
+
+        for (const [at, findings] of groups) {
+            if (at === headSha) {
+                continue;
+            }
+
+            const files = at === since.sha ? since.files : await this.getChangedFiles(github, prInfo, at, headSha);
+            if (!files) {
+                continue;
+            }
+
+            await this.resolveFixedFindings(github, prInfo, findings, files, headSha);
+            findings
+                .filter((finding) => finding.status === "open")
+                .forEach((finding) => this.moveFinding(finding, files, headSha));
+        }
+    }
+
+    /**
+     * Moves an open finding to where its lines are at a later commit.
+     * @param {object} finding Entry from reviewState.get().findings
+     * @param {Array<object>} files Files changed since the finding's commit
+     * @param {string} headSha
+     */
+    moveFinding(finding, files, headSha) {
+        const file = files.find((entry) => entry.oldPath === finding.file || entry.filename === finding.file);
+        const map = (line) => (file && line ? diffParser.mapOldLine(file, line) : line);
+
+        reviewState.moveFinding(
+            finding,
+            {
+                file: file ? file.filename : finding.file,
+                line: map(finding.line),
+                endLine: map(finding.endLine),
+            },
+            headSha,
+        );
+    }
+
+    /**
+     * Resolves the bot's earlier comments whose lines were changed by the
+     * new commits. The findings' commit is the old side of the diff, so a
+     * finding is fixed when any of its lines was deleted or rewritten there.
+     * @param {object} github
+     * @param {object} prInfo
+     * @param {Array<object>} findings Open findings, all at the old side of 'files'
+     * @param {Array<object>} files Changed file entries
+     * @param {string} headSha
+     */
+    async resolveFixedFindings(github, prInfo, findings, files, headSha) {
+        for (const finding of findings) {
+            const file = files.find(
+                (entry) => entry.oldPath === finding.file || entry.filename === finding.file,
+            );
+            if (!file) {
+                continue;
+            }
+
+            const lastLine = finding.endLine || finding.line;
+            const changed =
+                file.status === "deleted" ||
+                diffParser
+                    .getDeletedLines(file)
+                    .some((line) => line.lineNumber >= finding.line && line.lineNumber <= lastLine);
+
+            if (!changed) {
+                continue;
+            }
+
+            reviewState.markResolved(finding, headSha);
+            logger.info("Resolving outdated finding", {
+                pr: prInfo.number,
+                file: finding.file,
+                line: finding.line,
+            });
+
+            if (!finding.commentId) {
+                continue;
+            }
+
+            try {
+                await github.updateReviewComment(
+                    prInfo.repoOwner,
+                    prInfo.repoName,
+                    finding.commentId,
+                    `✅ **Resolved** in ${headSha.slice(0, 7)}: this code has changed since the comment was posted.\n\n<details><summary>Original comment</summary>\n\n${finding.message}\n\n</details>`,
+                );
+                await github.resolveReviewThread(
+                    prInfo.repoOwner,
+                    prInfo.repoName,
+                    prInfo.number,
+                    finding.commentId,
+                );
+            } catch (error) {
+                // Resolving is cosmetic; don't fail (and retry) the whole review.
+                logger.warn("Could not resolve earlier comment", {
+                    commentId: finding.commentId,
+                    error: error.message,
+                });
+            }
+        }
+    }
+
+    /**
+     * Content of a new-side line in the PR diff, if the diff shows it.
+     * @param {Array<object>} files
+     * @param {string} filename
+     * @param {number} lineNumber
+     * @returns {string|null}
+     */
+    lineContentAt(files, filename, lineNumber) {
+        const file = files.find((entry) => entry.filename === filename);
+        if (!file) {
+            return null;
+        }
+
+        for (const hunk of file.hunks) {
+            const line = hunk.lines.find((entry) => entry.newLineNumber === lineNumber);
+            if (line) {
+                return line.content;
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = new ReviewPipeline();
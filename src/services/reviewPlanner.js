@@ -0,0 +1,291 @@
+const { minimatch } = require("minimatch");
+const logger = require("../utils/logger");
+const repoConfig = require("./repoConfig");
+
+// Rough size of the prompt instructions and per-file metadata, in tokens.
+const PROMPT_OVERHEAD_TOKENS = 1500;
+const FILE_OVERHEAD_TOKENS = 150;
+
+/**
+ * Files that are generated, vendored or lock files. Reviewing them wastes
+ * tokens and produces noise.
+ */
+const GENERATED_PATTERNS = [
+    "**/package-lock.json",
+    "**/npm-shrinkwrap.json",
+    "**/yarn.lock",
+    "**/pnpm-lock.yaml",
+    "**/bun.lockb",
+    "**/Cargo.lock",
+    "**/Gemfile.lock",
+    "**/poetry.lock",
+    "**/Pipfile.lock",
+    "**/composer.lock",
+    "**/go.sum",
+    "**/*.min.js",
+    "**/*.min.css",
+    "**/*.map",
+    "**/*.snap",
+    "**/*.pb.go",
+    "**/*_pb2.py",
+    "**/*.generated.*",
+    "**/*_generated.*",
+    "**/dist/**",
+    "**/build/**",
+    "**/vendor/**",
+    "**/node_modules/**",
+    "**/third_party/**",
+];
+
+// Markers code generators put at the top of their output.
+const GENERATED_MARKERS = /@generated|DO NOT EDIT|auto-generated|autogenerated/i;
+
+/**
+ * Plans how a pull request is sent to the AI: which files are reviewed,
+ * in what order, and how they are packed into requests that fit the
+ * provider's context window.
+ */
+class ReviewPlanner {
+    /**
+     * Estimates the token count of a piece of text (~4 characters per token).
+     * @param {string} text
+     * @returns {number}
+     */
+    estimateTokens(text) {
+        return Math.ceil((text || "").length / 4);
+    }
+
+    /**
+     * Estimates the tokens a set of hunks takes up in the prompt.
+     * @param {Array<object>} hunks
+     * @returns {number}
+     */
+    estimateHunkTokens(hunks) {
+        const linesTokens = (lines) =>
+            lines.reduce((lineSum, line) => lineSum + this.estimateTokens(line.content) + 3, 0);
+
+        return hunks.reduce(
+            (sum, hunk) =>
+                sum +
+                this.estimateTokens(hunk.header) +
+                // Each line is prefixed with its line number and marker.
+                linesTokens(hunk.lines) +
+                (hunk.context
+                    ? linesTokens(hunk.context.enclosing ? hunk.context.enclosing.lines : []) +
+                      linesTokens(hunk.context.definitions)
+                    : 0),
+            0,
+        );
+    }
+
+    /**
+     * Whether a file is generated, vendored or a lock file.
+     * @param {object} file File entry from diffParser.analyzeDiff
+     * @returns {boolean}
+     */
+    isGenerated(file) {
+        return (
+            GENERATED_PATTERNS.some((pattern) => minimatch(file.filename, pattern, { dot: true })) ||
+            file.addedLines.slice(0, 5).some((line) => GENERATED_MARKERS.test(line.content))
+        );
+    }
+
+    /**
+     * Why a file should not be reviewed, or null if it should.
+     * @param {object} file File entry from diffParser.analyzeDiff
+     * @param {object} config Repository config
+     * @returns {string|null}
+     */
+    skipReason(file, config) {
+        if (file.isBinary) {
+            return "binary file";
+        }
+
+        if (this.isGenerated(file)) {
+            return "generated, vendored or lock file";
+        }
+
+        if (file.isTestFile && !config.reviewTests) {
+            return "test file";
+        }
+
+        if (!repoConfig.shouldReviewFile(file, config)) {
+            return "excluded by .ai-review.yml";
+        }
+
+        return null;
+    }
+
+    /**
+     * Scores how much a file needs review; higher goes first so that when
+     * the budget runs out, the riskiest code has been covered.
+     * @param {object} file
+     * @returns {number}
+     */
+    riskScore(file) {
+        let score = 0;
+
+        score += file.hasNewFunctions.newFunctions.length * 3;
+        score += file.hasImportChanges.length * 2;
+        score += file.isTestFile ? 0 : 5;
+        // Bigger changes matter more, with diminishing returns.
+        score += Math.log2(file.additions + file.deletions + 1);
+
+        return score;
+    }
+
+    /**
+     * Splits a file into parts that each fit the per-request budget,
+     * hunk by hunk. Hunks that can't fit on their own are dropped.
+     * @param {object} file
+     * @param {number} budget
+     * @returns {{parts: Array<object>, droppedHunks: number}}
+     */
+    splitFile(file, budget) {
+        const parts = [];
+        let droppedHunks = 0;
+        let current = [];
+        let currentTokens = FILE_OVERHEAD_TOKENS;
+
+        const flush = () => {
+            if (current.length === 0) {
+                return;
+            }
+
+            const lines = new Set(
+                current.flatMap((hunk) => hunk.lines.map((line) => line.newLineNumber)),
+            );
+            parts.push({
+                ...file,
+                hunks: current,
+                addedLines: file.addedLines.filter((line) => lines.has(line.lineNumber)),
+                tokens: currentTokens,
+                partial: true,
+            });
+            current = [];
+            currentTokens = FILE_OVERHEAD_TOKENS;
+        };
+
+        file.hunks.forEach((hunk) => {
+            let tokens = this.estimateHunkTokens([hunk]);
+
+            // Context is the first thing to go when a hunk doesn't fit.
+            if (tokens + FILE_OVERHEAD_TOKENS > budget && hunk.context) {
+                hunk = { ...hunk, context: null };
+                tokens = this.estimateHunkTokens([hunk]);
+            }
+
+            if (tokens + FILE_OVERHEAD_TOKENS > budget) {
+                droppedHunks++;
+                return;
+            }
+
+            if (currentTokens + tokens > budget) {
+                flush();
+            }
+
+            current.push(hunk);
+            currentTokens += tokens;
+        });
+        flush();
+
+        return { parts, droppedHunks };
+    }
+
+    /**
+     * Builds the review plan.
+     * @param {Array<object>} files File entries from diffParser.analyzeDiff
+     * @param {object} config Repository config
+     * @param {object} limits
+     * @param {number} limits.contextTokens Provider context window
+     * @param {number} limits.maxOutputTokens Tokens reserved for the response
+     * @param {number} [limits.maxRequests] Cap on AI requests per review
+     * @returns {{batches: Array<Array<object>>, skipped: Array<{filename: string, reason: string}>, estimatedTokens: number}}
+     */
+    plan(files, config, { contextTokens, maxOutputTokens, maxRequests = Infinity }) {
+        const budget = contextTokens - maxOutputTokens - PROMPT_OVERHEAD_TOKENS;
+        const skipped = [];
+        const candidates = [];
+
+        files.forEach((file) => {
+            // Deleted files and pure deletions have nothing new to review.
+            if (file.addedLines.length === 0 && !file.isBinary) {
+                return;
+            }
+
+            const reason = this.skipReason(file, config);
+            if (reason) {
+                skipped.push({ filename: file.filename, reason });
+                return;
+            }
+
+            candidates.push(file);
+        });
+
+        candidates.sort((a, b) => this.riskScore(b) - this.riskScore(a));
+
+        // Pack files (or parts of large files) into requests, first fit.
+        const batches = [];
+        let estimatedTokens = 0;
+
+        candidates.forEach((file) => {
+            const tokens = this.estimateHunkTokens(file.hunks) + FILE_OVERHEAD_TOKENS;
+            let parts = [{ ...file, tokens }];
+
+            if (tokens > budget) {
+                const split = this.splitFile(file, budget);
+                parts = split.parts;
+
+                if (split.droppedHunks > 0) {
+                    skipped.push({
+                        filename: file.filename,
+                        reason: `${split.droppedHunks} hunk(s) too large to review`,
+                    });
+                }
+            }
+
+            let reviewedParts = 0;
+
+            parts.forEach((part) => {
+                const batch = batches.find(
+                    (entry) => entry.tokens + part.tokens <= budget,
+                );
+
+                if (batch) {
+                    batch.files.push(part);
+                    batch.tokens += part.tokens;
+                } else if (batches.length < maxRequests) {
+                    batches.push({ files: [part], tokens: part.tokens });
+                } else {
+                    if (!skipped.some((entry) => entry.filename === file.filename)) {
+                        skipped.push({
+                            filename: file.filename,
+                            reason: reviewedParts > 0
+                                ? "partly reviewed, review budget exhausted"
+                                : "review budget exhausted",
+                        });
+                    }
+                    return;
+                }
+
+                reviewedParts++;
+                estimatedTokens += part.tokens;
+            });
+        });
+
+        logger.info("Review planned", {
+            files: files.length,
+            requests: batches.length,
+            skipped: skipped.length,
+            estimatedTokens,
+        });
+
+        return {
+            batches: batches.map((batch) => batch.files),
+            skipped,
+            estimatedTokens,
+        };
+    }
+}
+
+module.exports = new ReviewPlanner();
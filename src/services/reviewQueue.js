@@ -0,0 +1,402 @@
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+const JsonStore = require("../utils/jsonStore");
+
+// How many finished jobs to keep around for inspection.
+const HISTORY_LIMIT = 100;
+
+/**
+ * Persistent job queue for review work.
+ *
+ * Jobs are stored in a local JSON file so pending and in-flight work
+ * survives restarts and crashes. Job states:
+ * - queued: waiting for a worker
+ * - active: being processed
+ * - delayed: failed, waiting for its retry time
+ * - completed: finished successfully
+ * - dead: exhausted its retries (or failed permanently)
+ */
+class ReviewQueue {
+    constructor(options = {}) {
+        this.concurrency =
+            options.concurrency ||
+            parseInt(process.env.REVIEW_QUEUE_CONCURRENCY, 10) ||
+            2;
+        this.maxAttempts =
+            options.maxAttempts ||
+            parseInt(process.env.REVIEW_QUEUE_MAX_ATTEMPTS, 10) ||
+            5;
+        this.backoffMs =
+            options.backoffMs ||
+            parseInt(process.env.REVIEW_QUEUE_BACKOFF_MS, 10) ||
+            5000;
+        this.pollIntervalMs = options.pollIntervalMs || 1000;
+
+        this.store = new JsonStore(options.file || "queue.json", {
+            jobs: [],
+            completed: [],
+            deadLetter: [],
+        });
+
+        this.processors = {};
+        this.running = new Map();
+        this.accepting = true;
+        this.started = false;
+        this.timer = null;
+    }
+
+    /**
+     * Registers the function that processes jobs of a given type.
+     * @param {string} type
+     * @param {function(object): Promise<any>} processor Receives the job
+     */
+    process(type, processor) {
+        this.processors[type] = processor;
+    }
+
+    /**
+     * Adds a job to the queue.
+     *
+     * If a job with the same key is still waiting, its data is replaced
+     * (or combined with the new data by 'merge') instead of queueing the
+     * same work twice. A job waiting to be retried keeps its retry time.
+     * @param {string} type
+     * @param {object} data
+     * @param {{key?: string, merge?: function(object, object): object}} options
+     * 'merge' gets the pending job's data and the new data, and returns the data to keep
+     * @returns {object} The queued job
+     */
+    enqueue(type, data, options = {}) {
+        if (!this.accepting) {
+            throw new Error("Review queue is shutting down");
+        }
+
+        const state = this.store.load();
+        const now = Date.now();
+
+        if (options.key) {
+            const pending = state.jobs.find(
+                (job) =>
+                    job.key === options.key &&
+                    (job.state === "queued" || job.state === "delayed"),
+            );
+
+            if (pending) {
+                pending.data = options.merge ? options.merge(pending.data, data) : data;
+                pending.updatedAt = new Date(now).toISOString();
+                this.store.save();
+
+                logger.info("Updated pending job", { id: pending.id, type });
+                this.schedule(0);
+                return pending;
+            }
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            key: options.key || null,
+            data,
+            state: "queued",
+            attempts: 0,
+            maxAttempts: this.maxAttempts,
+            runAt: now,
+            lastError: null,
+            createdAt: new Date(now).toISOString(),
+            updatedAt: new Date(now).toISOString(),
+        };
+
+        state.jobs.push(job);
+        this.store.save();
+
+        logger.info("Job queued", { id: job.id, type });
+        this.schedule(0);
+        return job;
+    }
+
+    /**
+     * Starts the workers. Jobs left 'active' by a crash are put back in the queue.
+     */
+    start() {
+        const state = this.store.load();
+
+        state.jobs.forEach((job) => {
+            if (job.state === "active") {
+                job.state = "queued";
+                job.runAt = Date.now();
+            }
+        });
+        this.store.save();
+
+        this.started = true;
+        this.accepting = true;
+
+        logger.info("Review queue started", {
+            concurrency: this.concurrency,
+            pending: state.jobs.length,
+        });
+        this.schedule(0);
+    }
+
+    /**
+     * Schedules the next poll of the queue.
+     * @param {number} delay
+     */
+    schedule(delay = this.pollIntervalMs) {
+        if (!this.started) {
+            return;
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.tick(), delay);
+        this.timer.unref();
+    }
+
+    /**
+     * Picks up ready jobs until all workers are busy.
+     */
+    tick() {
+        if (!this.started) {
+            return;
+        }
+
+        const state = this.store.load();
+        const now = Date.now();
+
+        const ready = state.jobs
+            .filter(
+                (job) =>
+                    (job.state === "queued" || job.state === "delayed") &&
+                    job.runAt <= now,
+            )
+            .sort((a, b) => a.runAt - b.runAt);
+
+        // Never work on two jobs for the same key at once.
+        const activeKeys = new Set(
+            state.jobs
+                .filter((job) => job.state === "active" && job.key)
+                .map((job) => job.key),
+        );
+
+        for (const job of ready) {
+            if (this.running.size >= this.concurrency) {
+                break;
+            }
+            if (job.key && activeKeys.has(job.key)) {
+                continue;
+            }
+            if (job.key) {
+                activeKeys.add(job.key);
+            }
+            this.running.set(job.id, this.runJob(job));
+        }
+
+        // Wake up early for the next delayed retry.
+        const nextRunAt = Math.min(
+            ...state.jobs
+                .filter((job) => job.state === "delayed")
+                .map((job) => job.runAt),
+        );
+        this.schedule(
+            Math.max(Math.min(nextRunAt - now, this.pollIntervalMs), 0),
+        );
+    }
+
+    /**
+     * Runs a single job and records its outcome.
+     * @param {object} job
+     */
+    async runJob(job) {
+        const processor = this.processors[job.type];
+
+        job.state = "active";
+        job.attempts++;
+        job.updatedAt = new Date().toISOString();
+        this.store.save();
+
+        try {
+            if (!processor) {
+                throw Object.assign(
+                    new Error(`No processor registered for job type: ${job.type}`),
+                    { retryable: false },
+                );
+            }
+
+            logger.info("Processing job", {
+                id: job.id,
+                type: job.type,
+                attempt: job.attempts,
+            });
+
+            const result = await processor(job);
+            this.complete(job, result);
+        } catch (error) {
+            this.fail(job, error);
+        } finally {
+            this.running.delete(job.id);
+            this.schedule(0);
+        }
+    }
+
+    /**
+     * Moves a job to the completed history.
+     * @param {object} job
+     * @param {any} result
+     */
+    complete(job, result) {
+        const state = this.store.load();
+
+        state.jobs = state.jobs.filter((entry) => entry.id !== job.id);
+        job.state = "completed";
+        job.result = result === undefined ? null : result;
+        job.updatedAt = new Date().toISOString();
+        state.completed = [job, ...state.completed].slice(0, HISTORY_LIMIT);
+        this.store.save();
+
+        logger.info("Job completed", { id: job.id, type: job.type });
+    }
+
+    /**
+     * Schedules a retry with exponential backoff, or dead-letters the job.
+     * @param {object} job
+     * @param {Error} error
+     */
+    fail(job, error) {
+        const state = this.store.load();
+        job.lastError = error.message;
+        job.updatedAt = new Date().toISOString();
+
+        if (job.attempts < job.maxAttempts && this.isRetryable(error)) {
+            const delay = this.backoffMs * 2 ** (job.attempts - 1);
+            job.state = "delayed";
+            job.runAt = Date.now() + delay;
+            this.store.save();
+
+            logger.warn("Job failed, retrying", {
+                id: job.id,
+                type: job.type,
+                attempt: job.attempts,
+                retryInMs: delay,
+                error: error.message,
+            });
+            return;
+        }
+
+        state.jobs = state.jobs.filter((entry) => entry.id !== job.id);
+        job.state = "dead";
+        state.deadLetter = [job, ...state.deadLetter].slice(0, HISTORY_LIMIT);
+        this.store.save();
+
+        logger.error("Job moved to dead letter queue", {
+            id: job.id,
+            type: job.type,
+            attempts: job.attempts,
+            error: error.message,
+        });
+    }
+
+    /**
+     * Whether a failure is worth retrying. Network errors, rate limits and
+     * 5xx responses from GitHub or the AI provider are; other 4xx are not.
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isRetryable(error) {
+        if (error.retryable !== undefined) {
+            return error.retryable;
+        }
+
+        const status = error.status || (error.response && error.response.status);
+        if (status >= 400 && status < 500) {
+            return status === 408 || status === 429;
+        }
+
+        return true;
+    }
+
+    /**
+     * Puts a dead-lettered job back in the queue.
+     * @param {string} id
+     * @returns {object|null}
+     */
+    retryDead(id) {
+        const state = this.store.load();
+        const job = state.deadLetter.find((entry) => entry.id === id);
+
+        if (!job) {
+            return null;
+        }
+
+        state.deadLetter = state.deadLetter.filter((entry) => entry.id !== id);
+        Object.assign(job, {
+            state: "queued",
+            attempts: 0,
+            runAt: Date.now(),
+            updatedAt: new Date().toISOString(),
+        });
+        state.jobs.push(job);
+        this.store.save();
+        this.schedule(0);
+
+        return job;
+    }
+
+    /**
+     * Counts jobs by state.
+     * @returns {object}
+     */
+    getCounts() {
+        const state = this.store.load();
+        const counts = { queued: 0, active: 0, delayed: 0 };
+
+        state.jobs.forEach((job) => counts[job.state]++);
+        counts.completed = state.completed.length;
+        counts.dead = state.deadLetter.length;
+
+        return counts;
+    }
+
+    /**
+     * Stops accepting jobs and waits for running ones to finish. Jobs still
+     * running after the timeout are checkpointed back to 'queued' so they
+     * are picked up again on the next start.
+     * @param {number} timeoutMs
+     */
+    async shutdown(timeoutMs = 30000) {
+        this.accepting = false;
+        this.started = false;
+        clearTimeout(this.timer);
+
+        logger.info("Draining review queue", { running: this.running.size });
+
+        let timeout;
+        const drained = await Promise.race([
+            Promise.allSettled([...this.running.values()]).then(() => true),
+            new Promise((resolve) => {
+                timeout = setTimeout(() => resolve(false), timeoutMs);
+            }),
+        ]);
+        clearTimeout(timeout);
+
+        if (!drained) {
+            const state = this.store.load();
+
+            state.jobs.forEach((job) => {
+                if (this.running.has(job.id)) {
+                    job.state = "queued";
+                    job.attempts = Math.max(job.attempts - 1, 0);
+                    job.runAt = Date.now();
+                }
+            });
+            this.store.save();
+
+            logger.warn("Checkpointed unfinished jobs", {
+                count: this.running.size,
+            });
+        }
+
+        logger.info("Review queue stopped");
+    }
+}
+
+module.exports = new ReviewQueue();
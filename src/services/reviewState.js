@@ -0,0 +1,258 @@
+const crypto = require("crypto");
+const JsonStore = require("../utils/jsonStore");
+
+/**
+ * Remembers, per pull request, the last commit the bot reviewed and the
+ * findings it already posted, so re-reviews only cover new commits and
+ * never repeat a comment.
+ */
+class ReviewState {
+    constructor() {
+        this.store = new JsonStore("reviews.json", { pullRequests: {} });
+    }
+
+    /**
+     * Stable identity for a finding that survives line shifts: the file,
+     * category, message and the code on the flagged line.
+     * @param {object} finding
+     * @param {string} lineContent
+     * @returns {string}
+     */
+    fingerprint(finding, lineContent) {
+        return crypto
+            .createHash("sha256")
+            .update(
+                [
+                    finding.file,
+                    finding.category,
+                    finding.message.trim().toLowerCase(),
+                    (lineContent || "").trim(),
+                ].join("\0"),
+            )
+            .digest("hex")
+            .slice(0, 16);
+    }
+
+    /**
+     * Returns the stored state for a pull request.
+     * @param {string} repo 'owner/name'
+     * @param {number} prNumber
+     * @returns {{lastReviewedSha: string|null, findings: Array<object>, ignoredCategories: Array<string>}}
+     */
+    get(repo, prNumber) {
+        const state = this.store.load();
+        const key = `${repo}#${prNumber}`;
+
+        if (!state.pullRequests[key]) {
+            state.pullRequests[key] = { lastReviewedSha: null, findings: [] };
+        }
+
+        // Entries saved before /ai-ignore existed don't have it.
+        if (!state.pullRequests[key].ignoredCategories) {
+            state.pullRequests[key].ignoredCategories = [];
+        }
+
+        return state.pullRequests[key];
+    }
+
+    /**
+     * Returns the stored state for a pull request without creating one.
+     * @param {string} repo 'owner/name'
+     * @param {number} prNumber
+     * @returns {object|null} Same shape as get(), null when never reviewed
+     */
+    find(repo, prNumber) {
+        return this.store.load().pullRequests[`${repo}#${prNumber}`] || null;
+    }
+
+    /**
+     * Looks up a posted finding by the ID of its review comment.
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {number} commentId
+     * @returns {object|null}
+     */
+    findByComment(repo, prNumber, commentId) {
+        const state = this.find(repo, prNumber);
+        return (state && state.findings.find((finding) => finding.commentId === commentId)) || null;
+    }
+
+    /**
+     * Records a reply the bot posted in a finding's thread.
+     * @param {object} finding Entry from get().findings
+     * @param {number} commentId The reply's comment ID
+     */
+    recordReply(finding, commentId) {
+        finding.replyIds = [...(finding.replyIds || []), commentId];
+        this.store.save();
+    }
+
+    /**
+     * Stops reporting a finding category on a pull request (/ai-ignore).
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {string} category
+     */
+    ignoreCategory(repo, prNumber, category) {
+        const pr = this.get(repo, prNumber);
+
+        if (!pr.ignoredCategories.includes(category)) {
+            pr.ignoredCategories.push(category);
+            this.store.save();
+        }
+    }
+
+    /**
+     * Records a completed review.
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {string} headSha
+     * @param {Array<object>} findings Posted findings with fingerprint and commentId
+     * @param {number} [installationId] For collecting feedback on the PR later
+     * @param {{scoped?: boolean}} [options] A scoped review (/ai-review <glob>)
+     * leaves the last reviewed commit as it was
+     */
+    recordReview(repo, prNumber, headSha, findings, installationId, options = {}) {
+        const pr = this.get(repo, prNumber);
+        const now = new Date().toISOString();
+
+        if (!options.scoped) {
+            pr.lastReviewedSha = headSha;
+        }
+        pr.lastReviewedAt = now;
+        pr.installationId = installationId || null;
+        pr.findings.push(
+            ...findings.map((finding) => ({
+                ...finding,
+                headSha,
+                postedAt: now,
+                status: "open",
+            })),
+        );
+        this.store.save();
+    }
+
+    /**
+     * Remembers a REQUEST_CHANGES review the bot submitted, so it can be
+     * dismissed once nothing blocking is left open.
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {number} reviewId
+     */
+    recordBlockingReview(repo, prNumber, reviewId) {
+        const pr = this.get(repo, prNumber);
+
+        pr.blockingReviews = [...(pr.blockingReviews || []), reviewId];
+        this.store.save();
+    }
+
+    /**
+     * Forgets blocking reviews that were dismissed (or are gone).
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {Array<number>} reviewIds
+     */
+    clearBlockingReviews(repo, prNumber, reviewIds) {
+        const pr = this.get(repo, prNumber);
+
+        pr.blockingReviews = (pr.blockingReviews || []).filter((id) => !reviewIds.includes(id));
+        this.store.save();
+    }
+
+    /**
+     * Remembers that the errors in a version of the repository config were
+     * reported on the PR, so restarts don't report them again.
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {string} configSha Blob SHA of the config file
+     */
+    recordConfigReport(repo, prNumber, configSha) {
+        const pr = this.get(repo, prNumber);
+
+        pr.reportedConfigs = [...(pr.reportedConfigs || []), configSha];
+        this.store.save();
+    }
+
+    /**
+     * Lists every pull request with stored state.
+     * @returns {Array<{repo: string, prNumber: number, state: object}>}
+     */
+    list() {
+        return Object.entries(this.store.load().pullRequests).map(([key, state]) => {
+            const separator = key.lastIndexOf("#");
+            return {
+                repo: key.slice(0, separator),
+                prNumber: Number(key.slice(separator + 1)),
+                state,
+            };
+        });
+    }
+
+    /**
+     * Stores the feedback collected on a posted finding.
+     * @param {object} finding Entry from get().findings
+     * @param {{thumbsUp: number, thumbsDown: number, threadResolved: boolean, autoResolved: boolean}} feedback
+     * 'threadResolved' when a person resolved the thread, 'autoResolved' when the bot did
+     */
+    recordFeedback(finding, feedback) {
+        finding.feedback = { ...feedback, collectedAt: new Date().toISOString() };
+        this.store.save();
+    }
+
+    /**
+     * Moves a posted finding to where its code is at a later commit. Earlier
+     * locations are kept in 'locations'.
+     * @param {object} finding Entry from get().findings
+     * @param {{file: string, line: number, endLine?: number}} location
+     * @param {string} sha The commit the new location is at
+     */
+    moveFinding(finding, { file, line, endLine }, sha) {
+        finding.locations = [
+            ...(finding.locations || []),
+            {
+                sha: finding.linesAt || finding.headSha,
+                file: finding.file,
+                line: finding.line,
+                endLine: finding.endLine || null,
+            },
+        ];
+        finding.file = file;
+        finding.line = line;
+        if (endLine) {
+            finding.endLine = endLine;
+        } else {
+            delete finding.endLine;
+        }
+        finding.linesAt = sha;
+        this.store.save();
+    }
+
+    /**
+     * Where a finding's lines were at a commit.
+     * @param {object} finding Entry from get().findings
+     * @param {string} sha
+     * @returns {{file: string, line: number, endLine: number|null}|null} null
+     * when the bot never placed the finding at that commit
+     */
+    locationAt(finding, sha) {
+        if ((finding.linesAt || finding.headSha) === sha) {
+            return { file: finding.file, line: finding.line, endLine: finding.endLine || null };
+        }
+
+        const location = (finding.locations || []).find((entry) => entry.sha === sha);
+        return location ? { file: location.file, line: location.line, endLine: location.endLine } : null;
+    }
+
+    /**
+     * Marks a posted finding as resolved.
+     * @param {object} finding Entry from get().findings
+     * @param {string} sha Commit that fixed it
+     */
+    markResolved(finding, sha) {
+        finding.status = "resolved";
+        finding.resolvedIn = sha;
+        this.store.save();
+    }
+}
+
+module.exports = new ReviewState();
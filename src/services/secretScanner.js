@@ -0,0 +1,240 @@
+const { minimatch } = require("minimatch");
+const logger = require("../utils/logger");
+const { SECRET_RULES, KEY_BEGIN, KEY_END } = require("../utils/secretRules");
+const diffParser = require("./diffParser");
+
+// Quoted or assigned values long enough to be a generated secret.
+const CANDIDATE_PATTERN = /(?:["'`]|[:=]\s*)([A-Za-z0-9+/_=-]{20,})(?=["'`]|\s|;|,|$)/g;
+
+// Inline markers that allowlist a line, as used by detect-secrets and gitleaks.
+const ALLOW_MARKERS = /pragma:\s*allowlist[ -]secret|gitleaks:allow|ai-review:allow-secret/i;
+
+/**
+ * Shannon entropy of a string, in bits per character.
+ * @param {string} value
+ * @returns {number}
+ */
+function entropy(value) {
+    const counts = {};
+    for (const char of value) {
+        counts[char] = (counts[char] || 0) + 1;
+    }
+
+    return Object.values(counts).reduce((sum, count) => {
+        const p = count / value.length;
+        return sum - p * Math.log2(p);
+    }, 0);
+}
+
+/**
+ * Deterministic scanner for credentials in added code. Runs before the AI
+ * review: hits become high-severity security findings, and the secret
+ * values are masked in every hunk before it is sent to an AI provider.
+ *
+ * Repositories can allowlist paths (`secret_allow_paths`) and values
+ * (`secret_allowlist`, regexes) in .ai-review.yml, or mark a single line
+ * with `pragma: allowlist secret`.
+ */
+class SecretScanner {
+    /**
+     * Finds secrets in one line of code.
+     * @param {string} content
+     * @param {Array<string>} [allowlist] Regexes for values that are known to be safe
+     * @returns {Array<{ruleId: string, name: string, value: string}>}
+     */
+    scanLine(content, allowlist = []) {
+        if (ALLOW_MARKERS.test(content)) {
+            return [];
+        }
+
+        const hits = [];
+        const add = (ruleId, name, value) => {
+            if (
+                !hits.some((hit) => hit.value.includes(value) || value.includes(hit.value)) &&
+                !allowlist.some((pattern) => this.matches(pattern, value))
+            ) {
+                hits.push({ ruleId, name, value });
+            }
+        };
+
+        SECRET_RULES.forEach((rule) => {
+            for (const match of content.matchAll(rule.pattern)) {
+                add(rule.id, rule.name, match[rule.group || 0]);
+            }
+        });
+
+        for (const match of content.matchAll(CANDIDATE_PATTERN)) {
+            if (this.isHighEntropy(match[1])) {
+                add("high-entropy-string", "high-entropy string", match[1]);
+            }
+        }
+
+        return hits;
+    }
+
+    /**
+     * Whether a value looks randomly generated rather than like code or
+     * prose: mixed letters and digits with high entropy for its alphabet.
+     * @param {string} value
+     * @returns {boolean}
+     */
+    isHighEntropy(value) {
+        if (!/[0-9]/.test(value) || !/[a-zA-Z]/.test(value)) {
+            return false;
+        }
+
+        if (/^[0-9a-f]+$/i.test(value)) {
+            // Shorter hex strings are usually hashes, not credentials.
+            return value.length >= 32 && entropy(value) >= 3.0;
+        }
+
+        return entropy(value) >= 4.5;
+    }
+
+    /**
+     * Tests a value against an allowlist regex; invalid regexes never match.
+     * @param {string} pattern
+     * @param {string} value
+     * @returns {boolean}
+     */
+    matches(pattern, value) {
+        try {
+            return new RegExp(pattern).test(value);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Whether a file is allowlisted by path.
+     * @param {string} filename
+     * @param {object} config Repository config
+     * @returns {boolean}
+     */
+    isAllowedPath(filename, config) {
+        return (config.secretAllowPaths || []).some((glob) => minimatch(filename, glob, { dot: true }));
+    }
+
+    /**
+     * Scans a file's added lines and masks secrets in all of its hunks.
+     * @param {object} file File entry from diffParser.analyzeFile
+     * @param {object} config Repository config
+     * @returns {{file: object, findings: Array<object>}} The masked copy of the file and one finding per secret
+     */
+    scanFile(file, config = {}) {
+        if (file.isBinary || this.isAllowedPath(file.filename, config)) {
+            return { file, findings: [] };
+        }
+
+        const allowlist = config.secretAllowlist || [];
+        const findings = [];
+        const secrets = new Set();
+
+        file.addedLines.forEach((line) => {
+            this.scanLine(line.content, allowlist).forEach((hit) => {
+                secrets.add(hit.value);
+                findings.push({
+                    file: file.filename,
+                    line: line.lineNumber,
+                    severity: "high",
+                    category: "security",
+                    message: `Possible ${hit.name} committed to the repository (rule \`${hit.ruleId}\`). Anyone with read access to the repository or its history can use it.`,
+                    suggestion:
+                        "Remove the value, rotate the credential, and load it from an environment variable or secret manager instead.",
+                });
+            });
+        });
+
+        // Context and deleted lines go to the AI too; mask what they share with the added lines.
+        const mask = (content) => {
+            let masked = content;
+            secrets.forEach((secret) => {
+                masked = masked.split(secret).join("[MASKED_SECRET]");
+            });
+            this.scanLine(masked, allowlist).forEach((hit) => {
+                masked = masked.split(hit.value).join("[MASKED_SECRET]");
+            });
+            return masked;
+        };
+
+        const maskLines = (lines) => {
+            const contents = this.maskKeyBlocks(lines.map((line) => line.content)).map(mask);
+            return lines.map((line, index) => ({ ...line, content: contents[index] }));
+        };
+
+        // The analysis (new functions, imports, dependencies, ...) quotes
+        // the lines too, so it's rebuilt from the masked hunks.
+        const hunks = file.hunks.map((hunk) => ({ ...hunk, lines: maskLines(hunk.lines) }));
+        const masked = { ...file, ...diffParser.analyzeFile({ ...file, hunks }) };
+
+        if (findings.length > 0) {
+            logger.warn("Secrets detected in diff", {
+                file: file.filename,
+                count: findings.length,
+            });
+        }
+
+        return { file: masked, findings };
+    }
+
+    /**
+     * Masks secrets in dependency changes, e.g. a token in a git URL
+     * used as the version.
+     * @param {Array<object>} changes Dependency changes from diffParser
+     * @param {object} [config] Repository config
+     * @returns {Array<object>}
+     */
+    maskDependencies(changes, config = {}) {
+        const mask = (value) => (typeof value === "string" ? this.maskText(value, config) : value);
+
+        return changes.map((change) => ({
+            ...change,
+            name: mask(change.name),
+            from: mask(change.from),
+            to: mask(change.to),
+        }));
+    }
+
+    /**
+     * Masks the body of private key blocks, which the per-line rules
+     * only catch by their header.
+     * @param {Array<string>} lines
+     * @returns {Array<string>}
+     */
+    maskKeyBlocks(lines) {
+        let inKey = false;
+
+        return lines.map((line) => {
+            if (KEY_BEGIN.test(line) && !ALLOW_MARKERS.test(line)) {
+                inKey = !KEY_END.test(line);
+                return line.replace(/-----BEGIN[\s\S]*/, "[MASKED_PRIVATE_KEY]");
+            }
+
+            if (inKey) {
+                inKey = !KEY_END.test(line);
+                return "[MASKED_PRIVATE_KEY]";
+            }
+
+            return line;
+        });
+    }
+
+    /**
+     * Masks secrets in free text, e.g. file contents sent for /ai-explain.
+     * @param {string} text
+     * @param {object} [config] Repository config
+     * @returns {string}
+     */
+    maskText(text, config = {}) {
+        return this.maskKeyBlocks(text.split("\n"))
+            .map((line) =>
+                this.scanLine(line, config.secretAllowlist || []).reduce(
+                    (masked, hit) => masked.split(hit.value).join("[MASKED_SECRET]"),
+                    line,
+                ),
+            )
+            .join("\n");
+    }
+}
+
+module.exports = new SecretScanner();
@@ -1,21 +1,89 @@
-const { Octokit } = require("@octokit/rest");
 const logger = require("../utils/logger");
+const githubAuth = require("./githubAuth");
+const dryRun = require("./dryRun");
+const {
+    mapFindingsToDiff,
+    buildReviewBody,
+    reviewEvent,
+} = require("./reviewComments");
 
 /**
  * GithubService class provides methods to interact with GitHub API.
  */
 class GithubService {
-    // Initilaze Octokit with auth token.
-    constructor() {
-        if (!process.env.GITHUB_TOKEN) {
-            throw new Error("Github Token is required.");
+    /**
+     * @param {import("@octokit/rest").Octokit} [octokit] Client scoped to an
+     * installation; the default instance uses the personal access token.
+     * @param {number} [installationId] The installation the client acts as
+     */
+    constructor(octokit, installationId) {
+        this.installationId = installationId || null;
+
+        if (octokit) {
+            this.octokit = octokit;
+            return;
+        }
+
+        // Checked on first use, so tools that don't call GitHub (like the
+        // local review CLI) can require this module without credentials.
+        if (!githubAuth.isConfigured()) {
+            this.octokit = null;
+            this.installations = new Map();
+            return;
+        }
+
+        this.octokit = githubAuth.mode === "token" ? githubAuth.createOctokit() : null;
+        this.installations = new Map();
+
+        logger.info("GitHub Service Initialized", { mode: githubAuth.mode });
+    }
+
+    /**
+     * Returns a GithubService acting as the given app installation. With a
+     * personal access token every installation shares this instance.
+     * @param {number} [installationId] From the webhook payload's installation.id
+     * @returns {GithubService}
+     */
+    forInstallation(installationId) {
+        if (!githubAuth.isConfigured()) {
+            throw new Error("Github Token or GitHub App credentials are required.");
+        }
+
+        if (githubAuth.mode === "token") {
+            return this;
         }
 
-        this.octokit = new Octokit({
-            auth: process.env.GITHUB_TOKEN,
-        });
+        if (!this.installations.has(installationId)) {
+            this.installations.set(
+                installationId,
+                new GithubService(githubAuth.createOctokit(installationId), installationId),
+            );
+        }
+
+        return this.installations.get(installationId);
+    }
+
+    /**
+     * Whether writes to a repository are recorded by dryRun instead of sent.
+     * @param {string} owner
+     * @param {string} repo
+     * @returns {boolean}
+     */
+    isDryRun(owner, repo) {
+        return dryRun.isEnabled(`${owner}/${repo}`);
+    }
 
-        logger.info("GitHub Service Initialized");
+    /**
+     * Records a write in dry-run mode.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {{number?: number, sha?: string, id?: number}} ref What the write is on
+     * @param {string} action Name of the method that would have written
+     * @param {object} payload
+     * @returns {{id: number}}
+     */
+    recordDryRun(owner, repo, ref, action, payload) {
+        return dryRun.record(`${owner}/${repo}`, ref, action, payload, this.installationId);
     }
 
     /**
@@ -36,6 +104,11 @@ class GithubService {
                 pull_number: prNumber,
             });
 
+            // Writes on the head commit (e.g. check runs) belong to this PR.
+            if (this.isDryRun(owner, repo)) {
+                dryRun.link(`${owner}/${repo}`, { sha: data.head.sha }, data.number);
+            }
+
             return {
                 number: data.number,
                 title: data.title,
@@ -95,7 +168,6 @@ class GithubService {
         }
     }
 
-    // REQUIRES TESTING
     /**
      * Gets the contents of the file at given path in the repository.
      * @param {string} owner
@@ -103,7 +175,7 @@ class GithubService {
      * @param {string} filePath
      * @param {string} ref
      *
-     * @returns {Array{object}}
+     * @returns {object|null} null when the file does not exist at that ref
      */
     async getFileContent(owner, repo, filePath, ref) {
         try {
@@ -117,10 +189,16 @@ class GithubService {
             const { data } = await this.octokit.repos.getContent({
                 owner,
                 repo,
-                path,
+                path: filePath,
                 ref, // Branch or commit SHA
             });
 
+            // Directories come back as arrays, submodules/symlinks without content.
+            if (Array.isArray(data) || data.type !== "file") {
+                logger.warn("Path is not a file", { owner, repo, filePath, ref });
+                return null;
+            }
+
             // Extract the base64 content and decode it to utf-8.
             const content = Buffer.from(data.content, "base64").toString(
                 "utf-8",
@@ -144,8 +222,9 @@ class GithubService {
             }
 
             logger.error("Error fetching file content", {
-                erorr: error.message,
+                error: error.message,
             });
+            throw error;
         }
     }
 
@@ -176,23 +255,703 @@ class GithubService {
         }
     }
 
-    // REQUIRES TESTING
     /**
-     * Posts a review comment on the given pull request.
+     * Compares two commits. Used to find what changed since the last review.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {string} base
+     * @param {string} head
+     * @returns {{status: string, aheadBy: number, behindBy: number, mergeBaseSha: string|null, files: Array<object>}}
+     * status is 'ahead', 'behind', 'identical' or 'diverged' (e.g. after a force-push)
+     */
+    async compareCommits(owner, repo, base, head) {
+        try {
+            logger.info("Comparing commits", { owner, repo, base, head });
+
+            const { data } = await this.octokit.repos.compareCommitsWithBasehead({
+                owner,
+                repo,
+                basehead: `${base}...${head}`,
+                per_page: 100,
+            });
+
+            return {
+                status: data.status,
+                aheadBy: data.ahead_by,
+                behindBy: data.behind_by,
+                mergeBaseSha: data.merge_base_commit ? data.merge_base_commit.sha : null,
+                files: (data.files || []).map((file) => ({
+                    filename: file.filename,
+                    status: file.status,
+                    patch: file.patch,
+                    previousFilename: file.previous_filename,
+                    sha: file.sha,
+                })),
+            };
+        } catch (error) {
+            logger.error("Error comparing commits", { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Gets a single commit with its changed files.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {string} sha
+     * @returns {{sha: string, message: string, author: string|null, parents: Array<string>, files: Array<object>}}
+     */
+    async getCommit(owner, repo, sha) {
+        try {
+            logger.info("Fetching commit", { owner, repo, sha });
+
+            const { data } = await this.octokit.repos.getCommit({
+                owner,
+                repo,
+                ref: sha,
+            });
+
+            return {
+                sha: data.sha,
+                message: data.commit.message,
+                author: data.author ? data.author.login : null,
+                parents: data.parents.map((parent) => parent.sha),
+                files: (data.files || []).map((file) => ({
+                    filename: file.filename,
+                    status: file.status,
+                    patch: file.patch,
+                    previousFilename: file.previous_filename,
+                    sha: file.sha,
+                })),
+            };
+        } catch (error) {
+            logger.error("Error fetching commit", { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Sets a commit status.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {string} sha
+     * @param {object} status
+     * @param {string} status.state 'success', 'failure', 'error' or 'pending'
+     * @param {string} status.context Name of the status
+     * @param {string} status.description Shown next to the status, up to 140 characters
+     * @param {string} [status.targetUrl]
+     */
+    async createCommitStatus(owner, repo, sha, { state, context, description, targetUrl }) {
+        if (this.isDryRun(owner, repo)) {
+            return this.recordDryRun(owner, repo, { sha }, "createCommitStatus", {
+                state,
+                context,
+                description,
+                targetUrl,
+            });
+        }
+
+        try {
+            const { data } = await this.octokit.repos.createCommitStatus({
+                owner,
+                repo,
+                sha,
+                state,
+                context,
+                description: description.length > 140 ? `${description.slice(0, 139)}…` : description,
+                target_url: targetUrl,
+            });
+            return data;
+        } catch (error) {
+            logger.error("Error creating commit status", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Comments on a commit.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {string} sha
+     * @param {string} body
+     */
+    async createCommitComment(owner, repo, sha, body) {
+        if (this.isDryRun(owner, repo)) {
+            return this.recordDryRun(owner, repo, { sha }, "createCommitComment", { body });
+        }
+
+        try {
+            const { data } = await this.octokit.repos.createCommitComment({
+                owner,
+                repo,
+                commit_sha: sha,
+                body,
+            });
+            return data;
+        } catch (error) {
+            logger.error("Error creating commit comment", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Updates the body of a review comment.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} commentId
+     * @param {string} body
+     */
+    async updateReviewComment(owner, repo, commentId, body) {
+        if (this.isDryRun(owner, repo)) {
+            return this.recordDryRun(owner, repo, { id: commentId }, "updateReviewComment", { commentId, body });
+        }
+
+        try {
+            const { data } = await this.octokit.pulls.updateReviewComment({
+                owner,
+                repo,
+                comment_id: commentId,
+                body,
+            });
+            return data;
+        } catch (error) {
+            logger.error("Error updating review comment", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Lists the review threads of a pull request with their resolved state.
+     * Threads are only exposed by the GraphQL API.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} prNumber
+     * @returns {Array<{id: string, isResolved: boolean, resolvedBy: string|null, commentId: number|null, author: string|null}>}
+     * 'commentId' is the REST ID of the comment that started the thread and
+     * 'author' the login that wrote it
+     */
+    async getReviewThreads(owner, repo, prNumber) {
+        try {
+            const { repository } = await this.octokit.graphql(
+                `query ($owner: String!, $repo: String!, $number: Int!) {
+                    repository(owner: $owner, name: $repo) {
+                        pullRequest(number: $number) {
+                            reviewThreads(first: 100) {
+                                nodes {
+                                    id
+                                    isResolved
+                                    resolvedBy { login }
+                                    comments(first: 1) { nodes { databaseId author { login } } }
+                                }
+                            }
+                        }
+                    }
+                }`,
+                { owner, repo, number: prNumber },
+            );
+
+            return repository.pullRequest.reviewThreads.nodes.map((node) => {
+                const [first] = node.comments.nodes;
+
+                return {
+                    id: node.id,
+                    isResolved: node.isResolved,
+                    resolvedBy: node.resolvedBy ? node.resolvedBy.login : null,
+                    commentId: first ? first.databaseId : null,
+                    author: first && first.author ? first.author.login : null,
+                };
+            });
+        } catch (error) {
+            logger.error("Error fetching review threads", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Resolves the review thread started by the given comment.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {number} commentId
+     * @returns {boolean} Whether a thread was resolved
+     */
+    async resolveReviewThread(owner, repo, prNumber, commentId) {
+        if (this.isDryRun(owner, repo)) {
+            this.recordDryRun(owner, repo, { number: prNumber }, "resolveReviewThread", { commentId });
+            return true;
+        }
+
+        const threads = await this.getReviewThreads(owner, repo, prNumber);
+        const thread = threads.find((entry) => entry.commentId === commentId);
+
+        if (!thread || thread.isResolved) {
+            return false;
+        }
+
+        try {
+            await this.octokit.graphql(
+                `mutation ($threadId: ID!) {
+                    resolveReviewThread(input: { threadId: $threadId }) { thread { id } }
+                }`,
+                { threadId: thread.id },
+            );
+
+            return true;
+        } catch (error) {
+            logger.error("Error resolving review thread", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Lists the reactions on a review comment.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} commentId
+     * @returns {Array<{content: string, user: string, isBot: boolean}>}
+     */
+    async getReviewCommentReactions(owner, repo, commentId) {
+        try {
+            const reactions = await this.octokit.paginate(
+                this.octokit.reactions.listForPullRequestReviewComment,
+                {
+                    owner,
+                    repo,
+                    comment_id: commentId,
+                    per_page: 100,
+                },
+            );
+
+            return reactions.map((reaction) => ({
+                content: reaction.content,
+                user: reaction.user.login,
+                isBot: reaction.user.type === "Bot",
+            }));
+        } catch (error) {
+            // The comment was deleted.
+            if (error.status === 404) {
+                return [];
+            }
+
+            logger.error("Error fetching reactions", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Posts a top-level comment on the given pull request.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {string} body
+     */
+    async createIssueComment(owner, repo, prNumber, body) {
+        if (this.isDryRun(owner, repo)) {
+            return this.recordDryRun(owner, repo, { number: prNumber }, "createIssueComment", { body });
+        }
+
+        try {
+            const { data } = await this.octokit.issues.createComment({
+                owner,
+                repo,
+                issue_number: prNumber,
+                body,
+            });
+            return data;
+        } catch (error) {
+            logger.error("Error creating PR comment", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Updates the body of a top-level comment.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} commentId
+     * @param {string} body
+     */
+    async updateIssueComment(owner, repo, commentId, body) {
+        if (this.isDryRun(owner, repo)) {
+            return this.recordDryRun(owner, repo, { id: commentId }, "updateIssueComment", { commentId, body });
+        }
+
+        try {
+            const { data } = await this.octokit.issues.updateComment({
+                owner,
+                repo,
+                comment_id: commentId,
+                body,
+            });
+            return data;
+        } catch (error) {
+            logger.error("Error updating PR comment", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Finds the first top-level comment on a pull request whose body starts
+     * with the given marker.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {string} marker e.g. '<!-- ai-review-summary -->'
+     * @returns {object|null}
+     */
+    async findIssueComment(owner, repo, prNumber, marker) {
+        try {
+            const comments = await this.octokit.paginate(this.octokit.issues.listComments, {
+                owner,
+                repo,
+                issue_number: prNumber,
+                per_page: 100,
+            });
+
+            const found = comments.find((comment) => (comment.body || "").startsWith(marker)) || null;
+
+            // An edit to the comment in dry-run mode belongs to this PR.
+            if (found && this.isDryRun(owner, repo)) {
+                dryRun.link(`${owner}/${repo}`, { id: found.id }, prNumber);
+            }
+
+            return found;
+        } catch (error) {
+            logger.error("Error listing PR comments", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Gets a user's permission level on a repository.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {string} username
+     * @returns {string} 'admin', 'maintain', 'write', 'triage', 'read' or 'none'
+     */
+    async getPermissionLevel(owner, repo, username) {
+        try {
+            const { data } = await this.octokit.repos.getCollaboratorPermissionLevel({
+                owner,
+                repo,
+                username,
+            });
+
+            // 'permission' only knows admin/write/read; 'role_name' has the finer
+            // roles, or the name of an organization's custom role, which is
+            // based on one of the others.
+            return /^(?:admin|maintain|write|triage|read)$/.test(data.role_name)
+                ? data.role_name
+                : data.permission;
+        } catch (error) {
+            // Users who aren't collaborators get a 404.
+            if (error.status === 404) {
+                return "none";
+            }
+
+            logger.error("Error fetching permission level", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Adds a reaction to a comment.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} commentId
+     * @param {string} content '+1', 'eyes', 'confused', ...
+     * @param {boolean} [reviewComment] Whether it is a review (diff) comment
+     */
+    async addReaction(owner, repo, commentId, content, reviewComment = false) {
+        if (this.isDryRun(owner, repo)) {
+            return this.recordDryRun(owner, repo, { id: commentId }, "addReaction", {
+                commentId,
+                content,
+                reviewComment,
+            });
+        }
+
+        try {
+            const create = reviewComment
+                ? this.octokit.reactions.createForPullRequestReviewComment
+                : this.octokit.reactions.createForIssueComment;
+
+            const { data } = await create({
+                owner,
+                repo,
+                comment_id: commentId,
+                content,
+            });
+            return data;
+        } catch (error) {
+            logger.error("Error adding reaction", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Lists the inline comments of a submitted review.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {number} reviewId
+     * @returns {Array<object>} Comments with the diff hunk each one refers to
+     */
+    async getReviewComments(owner, repo, prNumber, reviewId) {
+        try {
+            const comments = await this.octokit.paginate(this.octokit.pulls.listCommentsForReview, {
+                owner,
+                repo,
+                pull_number: prNumber,
+                review_id: reviewId,
+                per_page: 100,
+            });
+
+            return comments.map((comment) => ({
+                id: comment.id,
+                path: comment.path,
+                line: comment.line || comment.original_line,
+                startLine: comment.start_line || comment.original_start_line || null,
+                side: comment.side,
+                body: comment.body,
+                // Ends at the commented line.
+                diffHunk: comment.diff_hunk,
+                commitId: comment.commit_id,
+                inReplyTo: comment.in_reply_to_id || null,
+            }));
+        } catch (error) {
+            logger.error("Error fetching review comments", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Lists all review (diff) comments of a pull request.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} prNumber
+     * @returns {Array<{id: number, path: string, line: number, author: string, isBot: boolean, body: string, createdAt: string, inReplyTo: number|null}>}
+     */
+    async listReviewComments(owner, repo, prNumber) {
+        try {
+            const comments = await this.octokit.paginate(this.octokit.pulls.listReviewComments, {
+                owner,
+                repo,
+                pull_number: prNumber,
+                per_page: 100,
+            });
+
+            return comments.map((comment) => ({
+                id: comment.id,
+                path: comment.path,
+                line: comment.line || comment.original_line,
+                author: comment.user.login,
+                isBot: comment.user.type === "Bot",
+                body: comment.body,
+                createdAt: comment.created_at,
+                inReplyTo: comment.in_reply_to_id || null,
+            }));
+        } catch (error) {
+            logger.error("Error fetching review comments", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Lists the comments of a review thread, oldest first.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {number} commentId Top-level comment of the thread
+     * @returns {Array<{id: number, author: string, isBot: boolean, body: string, createdAt: string}>}
+     */
+    async getReviewThread(owner, repo, prNumber, commentId) {
+        const comments = await this.listReviewComments(owner, repo, prNumber);
+
+        return comments
+            .filter((comment) => comment.id === commentId || comment.inReplyTo === commentId)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .map(({ id, author, isBot, body, createdAt }) => ({ id, author, isBot, body, createdAt }));
+    }
+
+    /**
+     * Replies in the thread of a review comment.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {number} commentId Top-level comment of the thread
+     * @param {string} body
+     */
+    async replyToReviewComment(owner, repo, prNumber, commentId, body) {
+        if (this.isDryRun(owner, repo)) {
+            return this.recordDryRun(owner, repo, { number: prNumber }, "replyToReviewComment", {
+                commentId,
+                body,
+            });
+        }
+
+        try {
+            const { data } = await this.octokit.pulls.createReplyForReviewComment({
+                owner,
+                repo,
+                pull_number: prNumber,
+                comment_id: commentId,
+                body,
+            });
+            return data;
+        } catch (error) {
+            logger.error("Error replying to review comment", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Creates an in-progress check run on a commit.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {string} headSha
+     * @param {string} name Check name shown on the PR
+     * @returns {object} The created check run
+     */
+    async createCheckRun(owner, repo, headSha, name) {
+        if (this.isDryRun(owner, repo)) {
+            return this.recordDryRun(owner, repo, { sha: headSha }, "createCheckRun", { name, headSha });
+        }
+
+        try {
+            const { data } = await this.octokit.checks.create({
+                owner,
+                repo,
+                name,
+                head_sha: headSha,
+                status: "in_progress",
+                started_at: new Date().toISOString(),
+            });
+            return data;
+        } catch (error) {
+            logger.error("Error creating check run", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Completes a check run. GitHub accepts at most 50 annotations per
+     * request, so they are sent in batches; each update appends to the
+     * annotations already on the check run.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} checkRunId
+     * @param {object} result
+     * @param {string} result.conclusion 'success', 'failure', 'neutral', ...
+     * @param {string} result.title
+     * @param {string} result.summary Markdown
+     * @param {Array<object>} [result.annotations]
+     */
+    async completeCheckRun(owner, repo, checkRunId, { conclusion, title, summary, annotations = [] }) {
+        if (this.isDryRun(owner, repo)) {
+            return this.recordDryRun(owner, repo, { id: checkRunId }, "completeCheckRun", {
+                checkRunId,
+                conclusion,
+                title,
+                summary,
+                annotations,
+            });
+        }
+
+        try {
+            const batches = [];
+            for (let i = 0; i < annotations.length; i += 50) {
+                batches.push(annotations.slice(i, i + 50));
+            }
+
+            // All but the last batch go out while the run is still in progress.
+            for (const batch of batches.slice(0, -1)) {
+                await this.octokit.checks.update({
+                    owner,
+                    repo,
+                    check_run_id: checkRunId,
+                    output: { title, summary, annotations: batch },
+                });
+            }
+
+            const { data } = await this.octokit.checks.update({
+                owner,
+                repo,
+                check_run_id: checkRunId,
+                status: "completed",
+                conclusion,
+                completed_at: new Date().toISOString(),
+                output: { title, summary, annotations: batches.at(-1) || [] },
+            });
+            return data;
+        } catch (error) {
+            logger.error("Error completing check run", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Posts a review comment on a single line of the given pull request.
      * @param {string} owner
      * @param {string} repo
      * @param {number} prNumber
      * @param {string} commentBody
      * @param {string} path 'src/index.ts'
+     * @param {string} commitId SHA of the commit being commented on
+     * @param {number} line New-side line number in the diff
      */
-    async createReviewComment(owner, repo, prNumber, commentBody, path) {
+    async createReviewComment(owner, repo, prNumber, commentBody, path, commitId, line) {
+        if (this.isDryRun(owner, repo)) {
+            return this.recordDryRun(owner, repo, { number: prNumber }, "createReviewComment", {
+                body: commentBody,
+                path,
+                commitId,
+                line,
+            });
+        }
+
         try {
             const { data } = await this.octokit.pulls.createReviewComment({
                 owner,
                 repo,
                 pull_number: prNumber,
                 body: commentBody,
+                commit_id: commitId,
                 path,
+                line,
+                side: "RIGHT",
             });
             return data;
         } catch (error) {
@@ -203,20 +962,138 @@ class GithubService {
         }
     }
 
-    // @TODO
     /**
-     * Post inline comment on specific pull request.
+     * Dismisses a review, e.g. the bot's own REQUEST_CHANGES review once
+     * nothing blocking is left open.
+     * @param {string} owner
+     * @param {string} repo
+     * @param {number} prNumber
+     * @param {number} reviewId
+     * @param {string} message Shown on the pull request with the dismissal
+     */
+    async dismissReview(owner, repo, prNumber, reviewId, message) {
+        if (this.isDryRun(owner, repo)) {
+            return this.recordDryRun(owner, repo, { number: prNumber }, "dismissReview", { reviewId, message });
+        }
+
+        try {
+            const { data } = await this.octokit.pulls.dismissReview({
+                owner,
+                repo,
+                pull_number: prNumber,
+                review_id: reviewId,
+                message,
+            });
+            return data;
+        } catch (error) {
+            logger.error("Error dismissing review", {
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Submits a batch of findings as a single pull request review, so the
+     * author gets one notification instead of one per comment.
+     *
+     * Findings that don't land on a line of the diff are listed in the
+     * review body instead, along with any files that were not reviewed.
      * @param {String} owner
      * @param {String} repo
      * @param {number} prNumber
-     * @param {String} comment
+     * @param {object} review
+     * @param {string} review.commitId Head SHA the findings were made against
+     * @param {Array<object>} review.findings
+     * @param {Array<object>} review.files File entries from diffParser.parseDiff
+     * @param {string} [review.summary]
+     * @param {Array<{filename: string, reason: string}>} [review.skipped] Files left out of the review
+     * @returns {{review: object, inline: Array<{finding: object, commentId: number}>, outside: Array<object>}|null}
+     * The created review with the comment ID of each inline finding, or null when there was nothing to post
      */
-    async postInLineComment(owner, repo, prNumber, comment) {
+    async postReview(owner, repo, prNumber, { commitId, findings, files, summary, skipped = [] }) {
         try {
+            if (findings.length === 0 && skipped.length === 0) {
+                logger.info("No findings to post", { owner, repo, prNumber });
+                return null;
+            }
+
+            const { comments, placed, outside } = mapFindingsToDiff(findings, files);
+            const event = reviewEvent(
+                findings,
+                process.env.REQUEST_CHANGES_SEVERITY || "high",
+            );
+
+            logger.info("Posting review", {
+                owner,
+                repo,
+                prNumber,
+                event,
+                inline: comments.length,
+                outside: outside.length,
+            });
+
+            const body = buildReviewBody(summary, outside, skipped);
+
+            // Nothing is posted, so the inline comments get no IDs.
+            if (this.isDryRun(owner, repo)) {
+                const review = this.recordDryRun(owner, repo, { number: prNumber }, "postReview", {
+                    commitId,
+                    event,
+                    body,
+                    comments,
+                });
+                return {
+                    review,
+                    inline: placed.map((finding) => ({ finding, commentId: null })),
+                    outside,
+                };
+            }
+
+            const { data } = await this.octokit.pulls.createReview({
+                owner,
+                repo,
+                pull_number: prNumber,
+                commit_id: commitId,
+                event,
+                body,
+                comments,
+            });
+
+            // The create response doesn't include comment IDs; look them up so
+            // the comments can be updated or resolved later.
+            const posted = comments.length > 0
+                ? await this.octokit.paginate(this.octokit.pulls.listCommentsForReview, {
+                      owner,
+                      repo,
+                      pull_number: prNumber,
+                      review_id: data.id,
+                      per_page: 100,
+                  })
+                : [];
+
+            const matched = new Set();
+            const inline = placed.map((finding, index) => {
+                const comment = comments[index];
+                const match = posted.find(
+                    (entry) =>
+                        !matched.has(entry.id) &&
+                        entry.path === comment.path &&
+                        entry.line === comment.line &&
+                        entry.body === comment.body,
+                );
+                if (match) {
+                    matched.add(match.id);
+                }
+                return { finding, commentId: match ? match.id : null };
+            });
+
+            return { review: data, inline, outside };
         } catch (error) {
-            logger.info("Error posting inline comment", {
+            logger.error("Error posting review", {
                 error: error.message,
             });
+            throw error;
         }
     }
 }
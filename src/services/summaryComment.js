@@ -0,0 +1,192 @@
+const { SEVERITIES, CATEGORIES } = require("./findings");
+const { SEVERITY_ICONS } = require("./reviewComments");
+const { describeChange } = require("./manifests");
+
+// Hidden marker the bot's summary comment starts with, so it can be found again.
+const MARKER = "<!-- ai-review-summary -->";
+
+// Each run is wrapped in these so earlier runs can be moved into the history.
+const RUN_START = "<!-- ai-review-run -->";
+const RUN_END = "<!-- /ai-review-run -->";
+const RUN_PATTERN = /<!-- ai-review-run -->[\s\S]*?<!-- \/ai-review-run -->/g;
+
+// GitHub rejects comment bodies over 65536 characters.
+const MAX_BODY_LENGTH = 60000;
+
+// Manifest dependency changes listed per run; the rest are counted.
+const MAX_DEPENDENCIES = 30;
+
+/**
+ * Counts findings by a key, in the given order, leaving out zero counts.
+ * @param {Array<object>} findings
+ * @param {string} key 'severity' or 'category'
+ * @param {Array<string>} order
+ * @returns {Array<[string, number]>}
+ */
+function countBy(findings, key, order) {
+    return order
+        .map((value) => [value, findings.filter((finding) => finding[key] === value).length])
+        .filter(([, count]) => count > 0);
+}
+
+/**
+ * Lists a PR's dependency changes: manifest changes one per line, lock
+ * file changes counted per file.
+ * @param {Array<object>} dependencies From diffParser.analyzeDependencies
+ * @returns {Array<string>}
+ */
+function renderDependencies(dependencies) {
+    const direct = dependencies.filter((change) => !change.lockfile);
+    const lines = direct
+        .slice(0, MAX_DEPENDENCIES)
+        .map((change) => `- \`${change.file}\`: ${describeChange(change)}`);
+
+    if (direct.length > MAX_DEPENDENCIES) {
+        lines.push(`- …and ${direct.length - MAX_DEPENDENCIES} more`);
+    }
+
+    const lockfiles = [...new Set(dependencies.filter((change) => change.lockfile).map((change) => change.file))];
+    lockfiles.forEach((file) => {
+        const changes = dependencies.filter((change) => change.file === file);
+        const count = (kind) => changes.filter((change) => change.change === kind).length;
+        const major = changes.filter((change) => change.majorBump).length;
+
+        lines.push(
+            `- \`${file}\`: ${count("added")} added, ${count("removed")} removed, ${count("changed")} changed` +
+                (major > 0 ? ` (${major} major version bump(s))` : ""),
+        );
+    });
+
+    return lines;
+}
+
+/**
+ * Renders one review run.
+ * @param {object} run
+ * @param {object} run.pr From GithubService.getPullRequest
+ * @param {Array<string>} run.summaries Overall assessment per review request
+ * @param {Array<object>} run.findings Findings posted in this run
+ * @param {Array<string>} run.reviewed Filenames sent to the AI
+ * @param {Array<{filename: string, reason: string}>} run.skipped
+ * @param {Array<object>} [run.dependencies] Dependency changes in the PR
+ * @param {boolean} run.incremental Whether only new commits were reviewed
+ * @param {Date} [run.date]
+ * @returns {string}
+ */
+function renderRun({ pr, summaries, findings, reviewed, skipped, dependencies = [], incremental, date = new Date() }) {
+    const parts = [
+        RUN_START,
+        `### Review of \`${pr.headSha.slice(0, 7)}\` · ${date.toISOString().slice(0, 16).replace("T", " ")} UTC`,
+        "",
+        incremental ? "_Reviewed the commits pushed since the last review._" : "_Reviewed the full pull request._",
+        "",
+    ];
+
+    parts.push(...(summaries.length > 0 ? summaries : ["No overall assessment was produced."]), "");
+
+    if (findings.length === 0) {
+        parts.push("**No findings.**");
+    } else {
+        const severities = countBy(findings, "severity", SEVERITIES)
+            .map(([severity, count]) => `${SEVERITY_ICONS[severity]} ${severity}: ${count}`)
+            .join(" · ");
+        const categories = countBy(findings, "category", CATEGORIES)
+            .map(([category, count]) => `${category}: ${count}`)
+            .join(" · ");
+
+        parts.push(`**${findings.length} finding(s)**`, "", `- Severity: ${severities}`, `- Category: ${categories}`);
+    }
+
+    if (dependencies.length > 0) {
+        parts.push(
+            "",
+            `<details><summary>Dependency changes (${dependencies.length})</summary>`,
+            "",
+            ...renderDependencies(dependencies),
+            "",
+            "</details>",
+        );
+    }
+
+    parts.push("", `**Files:** ${reviewed.length} reviewed, ${skipped.length} skipped`);
+
+    if (reviewed.length > 0) {
+        parts.push(
+            "",
+            "<details><summary>Reviewed files</summary>",
+            "",
+            ...reviewed.map((filename) => `- \`${filename}\``),
+            "",
+            "</details>",
+        );
+    }
+
+    if (skipped.length > 0) {
+        parts.push(
+            "",
+            "<details><summary>Skipped files</summary>",
+            "",
+            ...skipped.map((entry) => `- \`${entry.filename}\` — ${entry.reason}`),
+            "",
+            "</details>",
+        );
+    }
+
+    parts.push(RUN_END);
+
+    return parts.join("\n");
+}
+
+/**
+ * Extracts the runs from an earlier summary comment, newest first.
+ * @param {string} body
+ * @returns {Array<string>}
+ */
+function parseRuns(body) {
+    return (body || "").match(RUN_PATTERN) || [];
+}
+
+/**
+ * Builds the summary comment: the latest run, then earlier runs in a
+ * collapsed history. The oldest runs are dropped when the comment would
+ * get too long for GitHub.
+ * @param {string} run Rendered by renderRun
+ * @param {string} [previousBody] Body of the existing summary comment
+ * @param {number} [historyLimit] Earlier runs to keep
+ * @returns {string}
+ */
+function buildSummaryComment(run, previousBody, historyLimit = 10) {
+    let history = parseRuns(previousBody).slice(0, historyLimit);
+
+    const render = () => {
+        const parts = [MARKER, "## 🤖 AI Review Summary", "", run];
+
+        if (history.length > 0) {
+            parts.push(
+                "",
+                `<details><summary>Previous reviews (${history.length})</summary>`,
+                "",
+                history.join("\n\n---\n\n"),
+                "",
+                "</details>",
+            );
+        }
+
+        return parts.join("\n");
+    };
+
+    let body = render();
+    while (body.length > MAX_BODY_LENGTH && history.length > 0) {
+        history = history.slice(0, -1);
+        body = render();
+    }
+
+    return body;
+}
+
+module.exports = {
+    MARKER,
+    renderRun,
+    parseRuns,
+    buildSummaryComment,
+};
@@ -0,0 +1,75 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+/**
+ * Directory where all local state (queue, stats, etc.) is kept.
+ */
+const DATA_DIR = path.resolve(process.env.DATA_DIR || ".data");
+
+/**
+ * Small JSON file store so local state survives restarts without
+ * any external services.
+ */
+class JsonStore {
+    /**
+     * @param {string} name File name inside DATA_DIR, e.g. 'queue.json'
+     * @param {object} defaults Initial state when the file does not exist yet
+     */
+    constructor(name, defaults = {}) {
+        this.filePath = path.join(DATA_DIR, name);
+        this.defaults = defaults;
+        this.data = null;
+    }
+
+    /**
+     * Loads state from disk (once) and returns it.
+     * @returns {object}
+     */
+    load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        try {
+            const raw = fs.readFileSync(this.filePath, "utf-8");
+            this.data = { ...structuredClone(this.defaults), ...JSON.parse(raw) };
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.error("Error reading local store, starting fresh", {
+                    file: this.filePath,
+                    error: error.message,
+                });
+            }
+            this.data = structuredClone(this.defaults);
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Writes state to disk atomically (temp file + rename), so a crash
+     * mid-write never leaves a truncated file behind.
+     */
+    save() {
+        if (!this.data) {
+            return;
+        }
+
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            logger.error("Error writing local store", {
+                file: this.filePath,
+                error: error.message,
+            });
+        }
+    }
+}
+
+module.exports = JsonStore;
+module.exports.DATA_DIR = DATA_DIR;
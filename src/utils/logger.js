@@ -12,6 +12,8 @@ const logger = winston.createLogger({
 
     transports: [
         new winston.transports.Console({
+            // Keeps stdout clean for scripts that print data there.
+            stderrLevels: ["error", "warn"],
             format: winston.format.combine(
                 winston.format.colorize(),
                 winston.format.simple(),
@@ -0,0 +1,55 @@
+const { SECRET_RULES, KEY_BEGIN, KEY_END } = require("./secretRules");
+
+/**
+ * Patterns for values that must not leave the machine in stored or
+ * exported data: the secret scanner's credential rules, whole private
+ * key blocks, assigned secrets and email addresses. 'group' is the
+ * capture group to replace; the rest of the match is kept.
+ */
+const PATTERNS = [
+    {
+        label: "PRIVATE_KEY",
+        pattern: new RegExp(`${KEY_BEGIN.source}[\\s\\S]*?(?:${KEY_END.source}|$)`, "g"),
+    },
+    ...SECRET_RULES.filter((rule) => rule.id !== "private-key").map((rule) => ({
+        label: rule.id.toUpperCase().replace(/-/g, "_"),
+        pattern: rule.pattern,
+        group: rule.group,
+    })),
+    {
+        label: "SECRET",
+        // password = "...", api_key: '...', etc. Keeps the key, drops the value.
+        pattern: /\b(?:password|passwd|secret|token|api[_-]?key|access[_-]?key)["']?\s*[:=]\s*["']?([^\s"',;]{4,})/gi,
+        group: 1,
+    },
+    { label: "EMAIL", pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+];
+
+/**
+ * Replaces secrets and email addresses in text with [REDACTED_<KIND>].
+ * @param {string} text
+ * @returns {string}
+ */
+function redact(text) {
+    if (typeof text !== "string") {
+        return text;
+    }
+
+    return PATTERNS.reduce(
+        (result, { label, pattern, group }) =>
+            result.replace(pattern, (match, ...groups) => {
+                const tag = `[REDACTED_${label}]`;
+                if (!group) {
+                    return tag;
+                }
+
+                // The secret ends the match (after the key name or user).
+                const value = groups[group - 1];
+                const index = match.lastIndexOf(value);
+                return match.slice(0, index) + tag + match.slice(index + value.length);
+            }),
+        text,
+    );
+}
+
+module.exports = { redact };
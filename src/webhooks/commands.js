@@ -0,0 +1,54 @@
+/**
+ * Slash commands accepted in PR comments. Each one names the lowest
+ * repository permission a commenter needs to run it.
+ *
+ * - /ai-review [glob]   force a (re)review, optionally of matching files only
+ * - /ai-explain         explain a finding in more depth (review threads only)
+ * - /ai-ignore <rule>   stop reporting a finding category on this PR
+ */
+const COMMANDS = {
+    "ai-review": { permission: "write" },
+    "ai-explain": { permission: "triage" },
+    "ai-ignore": { permission: "write" },
+};
+
+// Repository permission levels, lowest first.
+const PERMISSION_LEVELS = ["none", "read", "triage", "write", "maintain", "admin"];
+
+/**
+ * Finds the first slash command in a comment. The command must start a
+ * line; quoted lines ('> /ai-review') are ignored.
+ * @param {string} body
+ * @returns {{name: string, args: Array<string>, permission: string}|null}
+ */
+function parseCommand(body) {
+    for (const line of (body || "").split(/\r?\n/)) {
+        const match = line.trim().match(/^\/(ai-[a-z]+)(?:\s+(.*))?$/);
+
+        if (match && COMMANDS[match[1]]) {
+            return {
+                name: match[1],
+                args: (match[2] || "").split(/\s+/).filter(Boolean),
+                permission: COMMANDS[match[1]].permission,
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Whether a permission level satisfies the required one.
+ * @param {string} level From the collaborator permission API
+ * @param {string} required
+ * @returns {boolean}
+ */
+function hasPermission(level, required) {
+    return PERMISSION_LEVELS.indexOf(level) >= PERMISSION_LEVELS.indexOf(required);
+}
+
+module.exports = {
+    COMMANDS,
+    parseCommand,
+    hasPermission,
+};
@@ -1,15 +1,20 @@
 const logger = require("../utils/logger");
 const services = require("../services/services");
-const diffParser = require("../services/diffParser");
-
-// Monitor event stats.
-const eventStats = {
-    ping: 0,
-    pull_request: 0,
-    pull_request_review: 0,
-    other: 0,
-    pull: 0
-};
+const reviewQueue = require("../services/reviewQueue");
+const metrics = require("../services/metrics");
+const deliveryStore = require("../services/deliveryStore");
+const repoConfig = require("../services/repoConfig");
+const reviewPipeline = require("../services/reviewPipeline");
+const reviewState = require("../services/reviewState");
+const reviewDataset = require("../services/reviewDataset");
+const feedback = require("../services/feedback");
+const pushAnalyzer = require("../services/pushAnalyzer");
+const aiReviewer = require("../services/aiReviewer");
+const secretScanner = require("../services/secretScanner");
+const fileContext = require("../services/fileContext");
+const { CHECK_NAME } = require("../services/checkRun");
+const { CATEGORIES } = require("../services/findings");
+const { parseCommand, hasPermission } = require("./commands");
 
 /**
  * Handles GitHub webhook events.
@@ -18,6 +23,22 @@ const eventStats = {
  *
  */
 class WebhookHandler {
+    /**
+     * Handles a recorded delivery and stores its outcome.
+     * @param {string} id X-GitHub-Delivery header
+     * @param {string} eventType
+     * @param {object} payload
+     */
+    async handleDelivery(id, eventType, payload) {
+        try {
+            await this.handleEvent(eventType, payload);
+            deliveryStore.complete(id);
+        } catch (error) {
+            deliveryStore.complete(id, error);
+            throw error;
+        }
+    }
+
     /**
      * Handles the incoming POST receive webhook event.
      * @param {string} eventType
@@ -34,29 +55,39 @@ class WebhookHandler {
             case "pull_request":
                 await this.handlePullRequest(payload);
                 logger.info("Pull request event received")
-                eventStats.pull_request++;
                 break;
 
             case "pull_request_review":
                 await this.handlePullRequestReview(payload);
                 logger.info("Pull request review event received")
-                eventStats.pull_request_review++;
+                break;
+
+            case "check_run":
+                await this.handleCheckRun(payload);
+                logger.info("Check run event received")
+                break;
+
+            case "issue_comment":
+                await this.handleIssueComment(payload);
+                logger.info("Issue comment event received")
+                break;
+
+            case "pull_request_review_comment":
+                await this.handleReviewComment(payload);
+                logger.info("Review comment event received")
                 break;
 
             case "push":
-                // Maybe analyze commits in the future
-                logger.info("Push event received (not processing yet)");
-                eventStats.push++;
+                await this.handlePush(payload);
+                logger.info("Push event received");
                 break;
 
             case "ping":
                 logger.info("Ping event received from GitHub");
-                eventStats.ping++;
                 break;
 
             default:
                 logger.info("Unhandled event type", { eventType });
-                eventStats.other++;
         }
     }
 
@@ -66,12 +97,26 @@ class WebhookHandler {
      * @returns
      */
     async handlePullRequest(payload) {
-        const { action, pull_request, repository } = payload;
+        const { action, pull_request, repository, installation } = payload;
+        const installationId = installation && installation.id;
+
+        // A closed PR won't get more feedback; take a final reading.
+        if (action === "closed") {
+            feedback.enqueue(repository.full_name, pull_request.number, installationId);
+            return;
+        }
 
-        // Only process specific actions
-        const relevantActions = ["opened", "synchronize", "reopened"];
+        const github = services.forInstallation(installationId);
 
-        if (!relevantActions.includes(action)) {
+        // Only process the actions the repository's config asks for.
+        const { config } = await repoConfig.load(
+            github,
+            repository.owner.login,
+            repository.name,
+            pull_request.base.sha,
+        );
+
+        if (!config.actions.includes(action)) {
             logger.info("Ignoring PR action", { action });
             return;
         }
@@ -89,24 +134,298 @@ class WebhookHandler {
             deletions: pull_request.deletions,
             changedFiles: pull_request.changed_files,
             url: pull_request.html_url,
+            installationId,
+            // Set on 'synchronize': the head before and after the push.
+            before: payload.before,
+            after: payload.after,
         };
 
-        // TODO Phase 2: Fetch and analyze code
-        // TODO Phase 3: Generate AI review
-        // TODO: Post review comment back to GitHub
-
-        // For now, just log it
         await this.queueReview(prInfo);
     }
 
     /**
-     * Handles pull request review events.
+     * Handles pushes. Pushes to the default branch (or the branches in
+     * `push_branches`) are queued for commit analysis; tags, deleted
+     * branches and other branches are ignored.
+     * @param {object} payload
+     */
+    async handlePush(payload) {
+        const { ref, before, after, forced, deleted, created, repository, installation } = payload;
+        const installationId = installation && installation.id;
+
+        if (deleted || !ref.startsWith("refs/heads/")) {
+            logger.info("Ignoring push", { ref, deleted });
+            return;
+        }
+
+        const branch = ref.slice("refs/heads/".length);
+        const github = services.forInstallation(installationId);
+
+        // The config from before the push, so a push can't change the rules
+        // it is checked under. A new branch has no 'before'.
+        const configSha = created || /^0+$/.test(before) ? after : before;
+        const { config } = await repoConfig.load(github, repository.owner.login, repository.name, configSha);
+
+        if (!pushAnalyzer.isTrackedBranch(branch, repository.default_branch, config)) {
+            logger.info("Ignoring push to untracked branch", { repo: repository.full_name, branch });
+            return;
+        }
+
+        const commits = (payload.commits || [])
+            .filter((commit) => commit.distinct !== false)
+            .map((commit) => ({ sha: commit.id, message: commit.message }));
+
+        if (commits.length === 0) {
+            logger.info("Push has no new commits", { repo: repository.full_name, branch });
+            return;
+        }
+
+        reviewQueue.enqueue(
+            "push",
+            {
+                repo: repository.full_name,
+                repoOwner: repository.owner.login,
+                repoName: repository.name,
+                branch,
+                defaultBranch: repository.default_branch,
+                before,
+                after,
+                forced: Boolean(forced),
+                created: Boolean(created) || /^0+$/.test(before),
+                configSha,
+                commits,
+                installationId,
+            },
+            { key: `${repository.full_name}:push:${after}` },
+        );
+    }
+
+    /**
+     * Handles check run events. "Re-run" on our check run reviews the PR
+     * again, even if its head commit was already reviewed.
+     * @param {object} payload
+     */
+    async handleCheckRun(payload) {
+        const { action, check_run, repository, installation } = payload;
+
+        if (action !== "rerequested" || check_run.name !== CHECK_NAME) {
+            logger.info("Ignoring check run event", { action, name: check_run.name });
+            return;
+        }
+
+        // The head commit can also belong to PRs in other repositories.
+        const pullRequests = check_run.pull_requests.filter(
+            (pr) => pr.base.repo.id === repository.id,
+        );
+
+        for (const pr of pullRequests) {
+            await this.queueReview({
+                number: pr.number,
+                repoOwner: repository.owner.login,
+                repoName: repository.name,
+                repo: repository.full_name,
+                baseBranch: pr.base.ref,
+                headBranch: pr.head.ref,
+                installationId: installation && installation.id,
+                force: true,
+            });
+        }
+    }
+
+    /**
+     * Handles comments on the PR conversation. Issues share this event, so
+     * only comments on pull requests are considered.
+     * @param {object} payload
+     */
+    async handleIssueComment(payload) {
+        const { action, issue, comment, repository, installation } = payload;
+
+        if (action !== "created" || !issue.pull_request) {
+            return;
+        }
+
+        await this.handleCommand(comment, {
+            number: issue.number,
+            repoOwner: repository.owner.login,
+            repoName: repository.name,
+            repo: repository.full_name,
+            installationId: installation && installation.id,
+        });
+    }
+
+    /**
+     * Handles comments on the PR diff. Replies in a thread started by one
+     * of the bot's findings get an AI follow-up, unless they are commands.
+     * @param {object} payload
+     */
+    async handleReviewComment(payload) {
+        const { action, pull_request, comment, repository, installation } = payload;
+
+        if (action !== "created") {
+            return;
+        }
+
+        const prInfo = {
+            number: pull_request.number,
+            repoOwner: repository.owner.login,
+            repoName: repository.name,
+            repo: repository.full_name,
+            installationId: installation && installation.id,
+        };
+
+        if (await this.handleCommand(comment, prInfo, true)) {
+            return;
+        }
+
+        await this.handleThreadReply(comment, prInfo);
+    }
+
+    /**
+     * Queues an AI follow-up when someone replies to one of the bot's findings.
+     * @param {object} comment Comment from the webhook payload
+     * @param {object} prInfo
+     */
+    async handleThreadReply(comment, prInfo) {
+        if (comment.user.type === "Bot" || !comment.in_reply_to_id) {
+            return;
+        }
+
+        const finding = reviewState.findByComment(prInfo.repo, prInfo.number, comment.in_reply_to_id);
+
+        // Not our thread, or our own reply (with a personal access token it isn't a Bot).
+        if (!finding || (finding.replyIds || []).includes(comment.id)) {
+            return;
+        }
+
+        logger.info("Reply to finding received", {
+            pr: prInfo.number,
+            commentId: comment.in_reply_to_id,
+            user: comment.user.login,
+        });
+
+        // Quick successive replies collapse into one turn that reads them all.
+        reviewQueue.enqueue(
+            "reply",
+            { ...prInfo, commentId: comment.in_reply_to_id },
+            { key: `${prInfo.repo}#${prInfo.number}:${comment.in_reply_to_id}:reply` },
+        );
+    }
+
+    /**
+     * Runs the slash command in a comment, if there is one. The commenter
+     * needs the command's permission level on the repository; the comment
+     * gets an 👀 reaction when the command is accepted and 😕 otherwise.
+     * @param {object} comment Comment from the webhook payload
+     * @param {object} prInfo
+     * @param {boolean} [reviewComment] Whether it was left on the diff
+     * @returns {Promise<boolean>} Whether the comment was a command
+     */
+    async handleCommand(comment, prInfo, reviewComment = false) {
+        // Never react to bots, including our own comments.
+        if (comment.user.type === "Bot") {
+            return false;
+        }
+
+        const command = parseCommand(comment.body);
+        if (!command) {
+            return false;
+        }
+
+        const github = services.forInstallation(prInfo.installationId);
+        const permission = await github.getPermissionLevel(
+            prInfo.repoOwner,
+            prInfo.repoName,
+            comment.user.login,
+        );
+
+        logger.info("Slash command received", {
+            pr: prInfo.number,
+            repo: prInfo.repo,
+            command: command.name,
+            user: comment.user.login,
+            permission,
+        });
+
+        const react = (content) =>
+            github.addReaction(prInfo.repoOwner, prInfo.repoName, comment.id, content, reviewComment);
+
+        if (!hasPermission(permission, command.permission)) {
+            logger.warn("Slash command denied", {
+                command: command.name,
+                user: comment.user.login,
+                required: command.permission,
+            });
+            await react("confused");
+            return true;
+        }
+
+        switch (command.name) {
+            case "ai-review":
+                await react("eyes");
+                await this.queueReview({
+                    ...prInfo,
+                    force: true,
+                    scope: command.args[0] || null,
+                });
+                break;
+
+            case "ai-explain":
+                // The finding is the top comment of the thread the command was posted in.
+                if (!reviewComment || !comment.in_reply_to_id) {
+                    await react("confused");
+                    await github.createIssueComment(
+                        prInfo.repoOwner,
+                        prInfo.repoName,
+                        prInfo.number,
+                        "`/ai-explain` works as a reply in the thread of one of my review comments.",
+                    );
+                    break;
+                }
+
+                await react("eyes");
+                reviewQueue.enqueue(
+                    "explain",
+                    {
+                        ...prInfo,
+                        commentId: comment.in_reply_to_id,
+                        question: command.args.join(" "),
+                    },
+                    { key: `${prInfo.repo}#${prInfo.number}:${comment.in_reply_to_id}` },
+                );
+                break;
+
+            case "ai-ignore": {
+                const category = (command.args[0] || "").toLowerCase();
+
+                if (!CATEGORIES.includes(category)) {
+                    await react("confused");
+                    await github.createIssueComment(
+                        prInfo.repoOwner,
+                        prInfo.repoName,
+                        prInfo.number,
+                        `Usage: \`/ai-ignore <category>\`, where the category is one of ${CATEGORIES.map((name) => `\`${name}\``).join(", ")}.`,
+                    );
+                    break;
+                }
+
+                reviewState.ignoreCategory(prInfo.repo, prInfo.number, category);
+                await react("+1");
+                break;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Handles pull request review events. Submitted human reviews are
+     * stored in the review dataset when the repository opted in.
      * @param {object} payload
      */
     async handlePullRequestReview(payload) {
         // This fires when someone submits a review on a PR
         // Useful for learning what good reviews look like
-        const { action, review, pull_request } = payload;
+        const { action, review, pull_request, repository, installation } = payload;
 
         logger.info("Review submitted", {
             prNumber: pull_request.number,
@@ -114,7 +433,40 @@ class WebhookHandler {
             state: review.state, // approved, changes_requested, commented
         });
 
-        // TODO: Store this for training data collection
+        // Our own reviews (and other bots') aren't human reviews.
+        if (action !== "submitted" || review.user.type === "Bot") {
+            return;
+        }
+
+        const github = services.forInstallation(installation && installation.id);
+        const { config } = await repoConfig.load(
+            github,
+            repository.owner.login,
+            repository.name,
+            pull_request.base.sha,
+        );
+
+        if (!config.collectReviews) {
+            return;
+        }
+
+        const comments = await github.getReviewComments(
+            repository.owner.login,
+            repository.name,
+            pull_request.number,
+            review.id,
+        );
+
+        reviewDataset.record({
+            repo: repository.full_name,
+            prNumber: pull_request.number,
+            reviewId: review.id,
+            reviewer: review.user.login,
+            state: review.state,
+            body: review.body,
+            commitId: review.commit_id,
+            comments,
+        });
     }
 
     /**
@@ -122,27 +474,221 @@ class WebhookHandler {
      * @param {object} prInfo
      */
     async queueReview(prInfo) {
-        // For now, just simulate processing
         logger.info("Queueing PR for review...", {
             pr: prInfo.number,
             repo: prInfo.repo,
         });
-        
-        const diff = await services.getPRDiff(prInfo.repoOwner, prInfo.repoName, prInfo.number);
-        const diffAnalysis = await diffParser.analyzeDiff(diff);
-        
-        console.log(diffAnalysis);
-        
-        // In Phase 2+, we'll:
-        // 1. Add to a job queue (Bull, BullMQ, or Redis)
-        // 2. Worker processes pick up jobs
-        // 3. Fetch PR diff and analyze
-        // 4. Generate AI suggestions
-        // 5. Post back to GitHub
-        
-        // Simulate async work
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-        logger.info("Review queued successfully", { pr: prInfo.number });
+
+        // One pending review per PR; a newer request is merged into the queued one.
+        const job = reviewQueue.enqueue("review", prInfo, {
+            key: `${prInfo.repo}#${prInfo.number}`,
+            merge: (pending, next) => this.mergeReviewRequests(pending, next),
+        });
+
+        logger.info("Review queued successfully", {
+            pr: prInfo.number,
+            jobId: job.id,
+        });
+    }
+
+    /**
+     * Combines a queued review with a newer request for the same PR, so
+     * neither is lost: a forced review stays forced, the scopes are
+     * joined (no scope means the whole PR), and the first push's 'before'
+     * is kept so the review covers every push since.
+     * @param {object} pending prInfo of the queued review
+     * @param {object} next prInfo of the new request
+     * @returns {object}
+     */
+    mergeReviewRequests(pending, next) {
+        const scopes = [pending.scope, next.scope];
+
+        return {
+            ...pending,
+            ...next,
+            force: Boolean(pending.force || next.force),
+            scope: scopes.every(Boolean) ? [...new Set(scopes.flat())] : null,
+            before: pending.before || next.before,
+        };
+    }
+
+    /**
+     * Answers a queued /ai-explain command in the finding's thread.
+     * @param {object} request Built by handleCommand
+     */
+    async processExplain(request) {
+        const github = services.forInstallation(request.installationId);
+        const finding = reviewState.findByComment(request.repo, request.number, request.commentId);
+
+        if (!finding) {
+            await github.replyToReviewComment(
+                request.repoOwner,
+                request.repoName,
+                request.number,
+                request.commentId,
+                "I can only explain my own review comments, and this thread doesn't start with one.",
+            );
+            return;
+        }
+
+        const code = await this.findingCode(github, request, finding);
+        const { text, usage } = await aiReviewer.explainFinding(finding, code, request.question);
+        this.countTokens(request.repo, usage);
+
+        await this.replyToFinding(github, request, finding, text);
+    }
+
+    /**
+     * Answers replies in a finding's thread, up to THREAD_TURN_LIMIT bot
+     * replies per thread (default 3). The reply after the limit is a fixed
+     * note handing the thread over to humans; after that the bot stays quiet.
+     * @param {object} request Built by handleThreadReply
+     */
+    async processReply(request) {
+        const github = services.forInstallation(request.installationId);
+        const finding = reviewState.findByComment(request.repo, request.number, request.commentId);
+        if (!finding) {
+            return;
+        }
+
+        const limit = parseInt(process.env.THREAD_TURN_LIMIT, 10) || 3;
+        const turns = (finding.replyIds || []).length;
+
+        if (turns > limit) {
+            logger.info("Thread turn limit reached", {
+                pr: request.number,
+                commentId: request.commentId,
+            });
+            return;
+        }
+
+        if (turns === limit) {
+            await this.replyToFinding(
+                github,
+                request,
+                finding,
+                "I've reached my reply limit for this thread, so I'll leave it to a human reviewer from here.",
+            );
+            return;
+        }
+
+        const ownComments = new Set([finding.commentId, ...(finding.replyIds || [])]);
+        const thread = (
+            await github.getReviewThread(request.repoOwner, request.repoName, request.number, request.commentId)
+        ).map((comment) => ({
+            author: comment.author,
+            fromReviewer: comment.isBot || ownComments.has(comment.id),
+            body: secretScanner.maskText(comment.body),
+        }));
+
+        // Already answered, e.g. several replies were handled in one turn.
+        if (thread.length === 0 || thread[thread.length - 1].fromReviewer) {
+            return;
+        }
+
+        const code = await this.findingCode(github, request, finding);
+        const { text, usage } = await aiReviewer.continueThread(finding, code, thread);
+        this.countTokens(request.repo, usage);
+
+        await this.replyToFinding(github, request, finding, text);
+    }
+
+    /**
+     * Replies in a finding's thread and remembers the reply.
+     * @param {object} github
+     * @param {object} request
+     * @param {object} finding
+     * @param {string} body
+     */
+    async replyToFinding(github, request, finding, body) {
+        const reply = await github.replyToReviewComment(
+            request.repoOwner,
+            request.repoName,
+            request.number,
+            request.commentId,
+            body,
+        );
+        // Recorded replies (dry-run mode) don't count toward the thread's turns.
+        if (!github.isDryRun(request.repoOwner, request.repoName)) {
+            reviewState.recordReply(finding, reply.id);
+        }
+    }
+
+    /**
+     * The code a finding is on, at the commit its lines refer to, with secrets masked.
+     * @param {object} github
+     * @param {object} request
+     * @param {object} finding
+     * @returns {Promise<string|null>}
+     */
+    async findingCode(github, request, finding) {
+        const content = await fileContext.getContent(
+            github,
+            request.repoOwner,
+            request.repoName,
+            finding.file,
+            finding.linesAt || finding.headSha,
+        );
+
+        return content === null
+            ? null
+            : this.codeAround(secretScanner.maskText(content), finding.line, finding.endLine);
+    }
+
+    /**
+     * Adds an AI call's token usage to the metrics.
+     * @param {string} repo
+     * @param {{inputTokens: number, outputTokens: number}} usage
+     */
+    countTokens(repo, usage) {
+        metrics.increment("ai_tokens_total", { repo, direction: "input" }, usage.inputTokens);
+        metrics.increment("ai_tokens_total", { repo, direction: "output" }, usage.outputTokens);
+    }
+
+    /**
+     * Numbered lines of a file around a line range.
+     * @param {string} content
+     * @param {number} line
+     * @param {number} [endLine]
+     * @param {number} [context] Lines to show before and after
+     * @returns {string}
+     */
+    codeAround(content, line, endLine, context = 20) {
+        const lines = content.split("\n");
+        const start = Math.max(1, line - context);
+        const end = Math.min(lines.length, (endLine || line) + context);
+
+        return lines
+            .slice(start - 1, end)
+            .map((text, index) => `${String(start + index).padStart(5)}  ${text}`)
+            .join("\n");
+    }
+
+    /**
+     * Runs a queued review. Called by the review queue workers; errors
+     * thrown here are retried by the queue.
+     * @param {object} prInfo
+     */
+    async processReview(prInfo) {
+        const labels = { repo: prInfo.repo };
+        const startedAt = Date.now();
+
+        metrics.increment("reviews_started_total", labels);
+
+        try {
+            const result = await reviewPipeline.run(prInfo);
+
+            metrics.increment("reviews_completed_total", labels);
+            metrics.observe(
+                "review_duration_seconds",
+                labels,
+                (Date.now() - startedAt) / 1000,
+            );
+            return result;
+        } catch (error) {
+            metrics.increment("reviews_failed_total", labels);
+            throw error;
+        }
     }
 }
 
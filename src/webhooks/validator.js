@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+
+// GitHub caps webhook payloads at 25 MB.
+const DEFAULT_MAX_PAYLOAD_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Fields each event handler destructures, as dotted paths. Payloads missing
+ * any of them are rejected before they reach the handler.
+ */
+const REQUIRED_FIELDS = {
+    pull_request: [
+        "action",
+        "pull_request.number",
+        "pull_request.user.login",
+        "pull_request.base.ref",
+        "pull_request.base.sha",
+        "pull_request.head.ref",
+        "pull_request.head.sha",
+        "repository.name",
+        "repository.full_name",
+        "repository.owner.login",
+    ],
+    pull_request_review: [
+        "action",
+        "review.id",
+        "review.user.login",
+        "review.state",
+        "pull_request.number",
+        "pull_request.base.sha",
+        "repository.name",
+        "repository.full_name",
+        "repository.owner.login",
+    ],
+    check_run: [
+        "action",
+        "check_run.name",
+        "check_run.pull_requests",
+        "repository.id",
+        "repository.name",
+        "repository.full_name",
+        "repository.owner.login",
+    ],
+    issue_comment: [
+        "action",
+        "issue.number",
+        "comment.id",
+        "comment.user.login",
+        "repository.name",
+        "repository.full_name",
+        "repository.owner.login",
+    ],
+    pull_request_review_comment: [
+        "action",
+        "pull_request.number",
+        "comment.id",
+        "comment.user.login",
+        "repository.name",
+        "repository.full_name",
+        "repository.owner.login",
+    ],
+    push: [
+        "ref",
+        "before",
+        "after",
+        "repository.name",
+        "repository.full_name",
+        "repository.owner.login",
+    ],
+    ping: [],
+};
+
+/**
+ * Reads a dotted path from an object.
+ * @param {object} object
+ * @param {string} path e.g. 'pull_request.user.login'
+ * @returns {any}
+ */
+function getPath(object, path) {
+    return path
+        .split(".")
+        .reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Verifies and validates incoming GitHub webhooks.
+ */
+class WebhookValidator {
+    constructor() {
+        this.maxPayloadBytes =
+            parseInt(process.env.WEBHOOK_MAX_PAYLOAD_BYTES, 10) ||
+            DEFAULT_MAX_PAYLOAD_BYTES;
+
+        if (this.getSecrets().length === 0) {
+            logger.warn("No webhook secret configured, all deliveries will be rejected");
+        }
+    }
+
+    /**
+     * Active webhook secrets. During a rotation both the old and new
+     * secret can be listed in GITHUB_WEBHOOK_SECRETS (comma-separated).
+     * @returns {Array<string>}
+     */
+    getSecrets() {
+        const secrets = process.env.GITHUB_WEBHOOK_SECRETS || process.env.GITHUB_WEBHOOK_SECRET || "";
+
+        return secrets
+            .split(",")
+            .map((secret) => secret.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Checks the X-Hub-Signature-256 header against the raw request body
+     * using a timing-safe comparison.
+     * @param {Buffer} rawBody Exact bytes GitHub sent
+     * @param {string} signature e.g. 'sha256=abc123...'
+     * @returns {boolean}
+     */
+    verifySignature(rawBody, signature) {
+        if (!rawBody || typeof signature !== "string" || !signature.startsWith("sha256=")) {
+            return false;
+        }
+
+        const provided = Buffer.from(signature.slice(7), "hex");
+
+        return this.getSecrets().some((secret) => {
+            const expected = crypto
+                .createHmac("sha256", secret)
+                .update(rawBody)
+                .digest();
+
+            return (
+                provided.length === expected.length &&
+                crypto.timingSafeEqual(provided, expected)
+            );
+        });
+    }
+
+    /**
+     * Checks that a payload has the fields its event handler relies on.
+     * @param {string} eventType
+     * @param {object} payload
+     * @returns {{valid: boolean, errors: Array<string>}}
+     */
+    validatePayload(eventType, payload) {
+        if (!eventType) {
+            return { valid: false, errors: ["missing X-GitHub-Event header"] };
+        }
+
+        if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+            return { valid: false, errors: ["payload must be a JSON object"] };
+        }
+
+        const errors = (REQUIRED_FIELDS[eventType] || [])
+            .filter((path) => getPath(payload, path) == null)
+            .map((path) => `missing required field: ${path}`);
+
+        return { valid: errors.length === 0, errors };
+    }
+}
+
+module.exports = new WebhookValidator();
@@ -0,0 +1,67 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { checkConclusion, buildCheckOutput } = require("../src/services/checkRun");
+
+const finding = (severity, extra = {}) => ({
+    file: "src/cart.js",
+    line: 10,
+    severity,
+    category: "correctness",
+    message: `A ${severity} finding`,
+    ...extra,
+});
+
+test("fails the check for findings at or above the threshold", () => {
+    const cases = [
+        [["high"], "high", "failure"],
+        [["critical"], "high", "failure"],
+        [["medium", "low"], "high", "success"],
+        [["info"], "info", "failure"],
+        [["critical"], "none", "success"],
+        [[], "info", "success"],
+    ];
+
+    for (const [severities, threshold, conclusion] of cases) {
+        assert.equal(
+            checkConclusion(severities.map((severity) => finding(severity)), threshold),
+            conclusion,
+            `${severities.join(", ") || "no findings"} with threshold ${threshold}`,
+        );
+    }
+});
+
+test("titles the check with the open and blocking findings", () => {
+    const findings = [finding("critical"), finding("medium"), finding("low")];
+
+    const output = buildCheckOutput(findings, { threshold: "medium", summaries: ["Looks risky."], skipped: [] });
+    assert.equal(output.conclusion, "failure");
+    assert.equal(output.title, "3 open finding(s), 2 at or above medium");
+    assert.ok(output.summary.startsWith("Looks risky.\n\n| Severity | File | Message |"));
+
+    const ignored = buildCheckOutput(findings, { threshold: "none", summaries: [], skipped: [] });
+    assert.equal(ignored.conclusion, "success");
+    assert.equal(ignored.title, "3 open finding(s)");
+
+    const empty = buildCheckOutput([], { threshold: "high", summaries: [], skipped: [{ filename: "a.bin", reason: "binary" }] });
+    assert.equal(empty.title, "No open findings");
+    assert.equal(empty.summary, "\n1 file(s) were not reviewed.");
+    assert.equal(buildCheckOutput([], { threshold: "high", summaries: [], skipped: [] }).summary, "Review completed.");
+});
+
+test("lists at most 50 findings in the summary, most severe first, and annotates all of them", () => {
+    const findings = [
+        ...Array.from({ length: 54 }, (_, i) => finding("low", { line: i + 1, message: `low | ${i}` })),
+        finding("critical", { line: 99 }),
+    ];
+
+    const output = buildCheckOutput(findings, { threshold: "high", summaries: [], skipped: [] });
+    const rows = output.summary.split("\n").slice(3).filter((line) => line.startsWith("| "));
+
+    assert.equal(rows.length, 50);
+    assert.match(rows[0], /critical \| `src\/cart.js:99`/);
+    assert.match(rows[1], /low \\\| 0 \|$/);
+    assert.match(output.summary, /…and 5 more, see the annotations\.$/);
+    assert.equal(output.annotations.length, 55);
+    assert.equal(output.annotations[54].annotation_level, "failure");
+});
@@ -0,0 +1,54 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCommand, hasPermission } = require("../src/webhooks/commands");
+
+test("parses commands and their arguments", () => {
+    const cases = [
+        ["/ai-review", { name: "ai-review", args: [], permission: "write" }],
+        ["/ai-review src/** docs/*.md", { name: "ai-review", args: ["src/**", "docs/*.md"], permission: "write" }],
+        ["  /ai-explain   why is this risky?  ", { name: "ai-explain", args: ["why", "is", "this", "risky?"], permission: "triage" }],
+        ["/ai-ignore style", { name: "ai-ignore", args: ["style"], permission: "write" }],
+        ["Thanks!\r\n/ai-review src/**\n/ai-ignore style", { name: "ai-review", args: ["src/**"], permission: "write" }],
+        ["> /ai-ignore style\n/ai-explain", { name: "ai-explain", args: [], permission: "triage" }],
+    ];
+
+    for (const [body, command] of cases) {
+        assert.deepEqual(parseCommand(body), command, JSON.stringify(body));
+    }
+});
+
+test("ignores unknown, quoted, inline and differently cased commands", () => {
+    const cases = [
+        "/ai-deploy production",
+        "/review",
+        "> /ai-review",
+        "Could someone run /ai-review?",
+        "`/ai-review`",
+        "/ai-reviewer",
+        "/AI-REVIEW",
+        "/Ai-Review",
+        "",
+        null,
+        undefined,
+    ];
+
+    for (const body of cases) {
+        assert.equal(parseCommand(body), null, JSON.stringify(body));
+    }
+});
+
+test("compares permission levels, including the triage and maintain roles", () => {
+    const levels = ["none", "read", "triage", "write", "maintain", "admin"];
+
+    for (const required of ["triage", "write"]) {
+        assert.deepEqual(
+            levels.filter((level) => hasPermission(level, required)),
+            levels.slice(levels.indexOf(required)),
+            required,
+        );
+    }
+
+    // An unknown role satisfies nothing.
+    assert.equal(hasPermission("security-reviewer", "read"), false);
+});
@@ -0,0 +1,48 @@
+const { waitFor } = require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+process.env.DELIVERY_HISTORY_LIMIT = "2";
+const deliveryStore = require("../src/services/deliveryStore");
+
+const payload = (number) => ({ action: "opened", number, repository: { full_name: "acme/shop" } });
+
+test("skips redeliveries unless the delivery failed", () => {
+    assert.equal(deliveryStore.record("d-1", "pull_request", payload(1)).duplicate, false);
+    assert.equal(deliveryStore.record("d-1", "pull_request", payload(1)).duplicate, true);
+
+    deliveryStore.complete("d-1");
+    assert.equal(deliveryStore.record("d-1", "pull_request", payload(1)).duplicate, true);
+    assert.equal(deliveryStore.get("d-1").duplicates, 2);
+
+    deliveryStore.complete("d-1", new Error("boom"));
+    const { duplicate, delivery } = deliveryStore.record("d-1", "pull_request", payload(1));
+    assert.equal(duplicate, false);
+    assert.equal(delivery.status, "processing");
+});
+
+test("processes a redelivery again when the first attempt was cut short", () => {
+    deliveryStore.record("d-2", "pull_request", payload(2));
+    assert.equal(deliveryStore.record("d-2", "pull_request", payload(2)).duplicate, true);
+
+    // Still 'processing' long after it started, e.g. after a crash.
+    deliveryStore.get("d-2").startedAt = new Date(Date.now() - deliveryStore.processingTimeoutMs - 1000).toISOString();
+    assert.equal(deliveryStore.record("d-2", "pull_request", payload(2)).duplicate, false);
+});
+
+test("keeps payloads out of the index and drops them with old deliveries", async () => {
+    deliveryStore.record("d-3", "pull_request", payload(3));
+
+    const index = JSON.parse(fs.readFileSync(deliveryStore.store.filePath, "utf-8"));
+    assert.deepEqual(index.deliveries.map((delivery) => delivery.id), ["d-3", "d-2"]);
+    assert.ok(index.deliveries.every((delivery) => !("payload" in delivery)));
+
+    assert.deepEqual(deliveryStore.getPayload("d-3"), payload(3));
+    assert.deepEqual(deliveryStore.list().map((delivery) => delivery.id), ["d-3", "d-2"]);
+
+    // d-1 fell out of the history of two.
+    assert.equal(deliveryStore.getPayload("d-1"), null);
+    await waitFor(() => !fs.existsSync(path.join(deliveryStore.payloadDir, "d-1.json")));
+});
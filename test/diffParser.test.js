@@ -0,0 +1,326 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const diffParser = require("../src/services/diffParser");
+
+const diff = (...lines) => lines.join("\n");
+
+test("numbers added, deleted and context lines on their own sides", () => {
+    const [file] = diffParser.parseDiff(
+        diff(
+            "diff --git a/src/app.js b/src/app.js",
+            "index 1111111..2222222 100644",
+            "--- a/src/app.js",
+            "+++ b/src/app.js",
+            "@@ -10,3 +10,4 @@ function main() {",
+            " const a = 1;",
+            "-const b = 2;",
+            "+const b = 3;",
+            "+const c = 4;",
+            " return a;",
+        ),
+    );
+
+    assert.equal(file.filename, "src/app.js");
+    assert.equal(file.status, "modified");
+    assert.equal(file.language, "js");
+    assert.equal(file.oldBlob, "1111111");
+    assert.equal(file.hunks[0].section, "function main() {");
+    assert.equal(file.additions, 2);
+    assert.equal(file.deletions, 1);
+    assert.deepEqual(diffParser.getAddedLines(file), [
+        { lineNumber: 11, content: "const b = 3;" },
+        { lineNumber: 12, content: "const c = 4;" },
+    ]);
+    assert.deepEqual(diffParser.getDeletedLines(file), [{ lineNumber: 11, content: "const b = 2;" }]);
+    assert.deepEqual(
+        file.hunks[0].lines.at(-1),
+        { type: "context", content: "return a;", oldLineNumber: 12, newLineNumber: 13 },
+    );
+});
+
+test("handles new, deleted, renamed and binary files", () => {
+    const files = diffParser.parseDiff(
+        diff(
+            "diff --git a/new.py b/new.py",
+            "new file mode 100644",
+            "index 0000000..abcdef1",
+            "--- /dev/null",
+            "+++ b/new.py",
+            "@@ -0,0 +1 @@",
+            "+print('hi')",
+            "diff --git a/old.rb b/old.rb",
+            "deleted file mode 100644",
+            "index abcdef1..0000000",
+            "--- a/old.rb",
+            "+++ /dev/null",
+            "@@ -1 +0,0 @@",
+            "-puts 'bye'",
+            "diff --git a/lib/a.go b/lib/b.go",
+            "similarity index 90%",
+            "rename from lib/a.go",
+            "rename to lib/b.go",
+            "diff --git a/logo.png b/logo.png",
+            "Binary files a/logo.png and b/logo.png differ",
+        ),
+    );
+
+    assert.deepEqual(
+        files.map((file) => [file.filename, file.status, file.oldPath, file.newPath]),
+        [
+            ["new.py", "added", null, "new.py"],
+            ["old.rb", "deleted", "old.rb", null],
+            ["lib/b.go", "renamed", "lib/a.go", "lib/b.go"],
+            ["logo.png", "modified", "logo.png", "logo.png"],
+        ],
+    );
+    assert.equal(files[0].newBlob, "abcdef1");
+    assert.equal(files[1].newBlob, null);
+    assert.equal(files[2].similarity, 90);
+    assert.equal(files[3].isBinary, true);
+});
+
+test("unquotes paths and marks missing trailing newlines", () => {
+    const [file] = diffParser.parseDiff(
+        diff(
+            'diff --git "a/docs/caf\\303\\251 notes.md" "b/docs/caf\\303\\251 notes.md"',
+            "--- \"a/docs/caf\\303\\251 notes.md\"",
+            "+++ \"b/docs/caf\\303\\251 notes.md\"",
+            "@@ -1 +1 @@",
+            "-old",
+            "\\ No newline at end of file",
+            "+new",
+            "\\ No newline at end of file",
+        ),
+    );
+
+    assert.equal(file.filename, "docs/café notes.md");
+    assert.equal(file.hunks[0].lines.every((line) => line.noNewline), true);
+});
+
+test("parses plain unified diffs and header-less file patches", () => {
+    const files = diffParser.parseDiff(
+        diff(
+            "--- a.txt\t2024-01-01 00:00:00",
+            "+++ a.txt\t2024-01-02 00:00:00",
+            "@@ -1 +1 @@",
+            "-a",
+            "+b",
+            "--- b.txt",
+            "+++ b.txt",
+            "@@ -1 +1,2 @@",
+            " a",
+            "+b",
+        ),
+    );
+    assert.deepEqual(files.map((file) => file.filename), ["a.txt", "b.txt"]);
+
+    const patched = diffParser.parseFilePatch("@@ -1 +1,2 @@\n a\n+b", {
+        filename: "src/new.ts",
+        previousFilename: "src/old.ts",
+        status: "renamed",
+        sha: "f00",
+    });
+    assert.equal(patched.oldPath, "src/old.ts");
+    assert.equal(patched.newBlob, "f00");
+    assert.equal(patched.language, "ts");
+    assert.deepEqual(diffParser.getAddedLines(patched), [{ lineNumber: 2, content: "b" }]);
+
+    // Files too large for the API come without a patch.
+    assert.equal(diffParser.parseFilePatch(undefined, { filename: "big.bin", status: "added" }).isBinary, true);
+});
+
+test("maps old lines to where they are on the new side", () => {
+    const file = diffParser.parseFilePatch(
+        diff(
+            "@@ -2,0 +3,2 @@",
+            "+inserted",
+            "+inserted",
+            "@@ -10,3 +12,2 @@",
+            " ten",
+            "-eleven",
+            " twelve",
+        ),
+        { filename: "a.js" },
+    );
+
+    assert.equal(diffParser.mapOldLine(file, 1), 1);
+    assert.equal(diffParser.mapOldLine(file, 2), 2);
+    assert.equal(diffParser.mapOldLine(file, 3), 5);
+    assert.equal(diffParser.mapOldLine(file, 10), 12);
+    assert.equal(diffParser.mapOldLine(file, 11), null);
+    assert.equal(diffParser.mapOldLine(file, 12), 13);
+    assert.equal(diffParser.mapOldLine(file, 40), 41);
+});
+
+test("finds added, modified and removed symbols per language", () => {
+    const [file] = diffParser.analyzeDiff(
+        diff(
+            "diff --git a/service.py b/service.py",
+            "--- a/service.py",
+            "+++ b/service.py",
+            "@@ -1,9 +1,10 @@",
+            "-import os",
+            "+import json",
+            " class Service:",
+            "-    def load(self, path):",
+            "+    def load(self, path, strict=False):",
+            "         return path",
+            " ",
+            "     def save(self):",
+            "-        pass",
+            "+        return True",
+            " ",
+            "-def legacy():",
+            "+def helper():",
+            "+    return 1",
+        ),
+    ).files;
+
+    assert.equal(file.languageName, "python");
+    assert.deepEqual(file.symbols.added, [{ kind: "function", name: "helper", line: 9 }]);
+    assert.deepEqual(
+        file.symbols.modified.map((symbol) => symbol.name),
+        ["load", "save"],
+    );
+    assert.deepEqual(file.symbols.removed, [{ kind: "function", name: "legacy", line: 9 }]);
+    assert.deepEqual(file.hasImportChanges, ["import json"]);
+    assert.deepEqual(file.removedImports, ["import os"]);
+    assert.deepEqual(file.hasNewFunctions.newFunctions, ["def load(self, path, strict=False):", "def helper():"]);
+});
+
+test("finds new tests and the block they were added to", () => {
+    const [js, java] = diffParser.analyzeDiff(
+        diff(
+            "diff --git a/math.test.js b/math.test.js",
+            "--- a/math.test.js",
+            "+++ b/math.test.js",
+            "@@ -1,3 +1,6 @@",
+            ' describe("add", () => {',
+            '     it("adds", () => {});',
+            '+    it("adds negatives", () => {',
+            "+        expect(add(-1, -1)).toBe(-2);",
+            "+    });",
+            " });",
+            "diff --git a/MathTest.java b/MathTest.java",
+            "--- a/MathTest.java",
+            "+++ b/MathTest.java",
+            "@@ -1,2 +1,5 @@",
+            " class MathTest {",
+            "+    @Test",
+            "+    void addsNumbers() {",
+            "+    }",
+            " }",
+        ),
+    ).files;
+
+    assert.equal(js.isTestFile, true);
+    assert.deepEqual(js.hasTestChanges, [{ name: "adds negatives", line: 3, enclosing: "add" }]);
+    assert.deepEqual(java.hasTestChanges, [{ name: "addsNumbers", line: 3, enclosing: "MathTest" }]);
+});
+
+test("ignores comments and control flow that look like declarations", () => {
+    const [file] = diffParser.analyzeDiff(
+        diff(
+            "diff --git a/a.ts b/a.ts",
+            "--- a/a.ts",
+            "+++ b/a.ts",
+            "@@ -0,0 +1,4 @@",
+            "+// function notReal() {",
+            "+if (ready) {",
+            "+export interface Options {",
+            "+export const run = async (options: Options) => {",
+        ),
+    ).files;
+
+    assert.deepEqual(
+        file.symbols.added.map((symbol) => [symbol.kind, symbol.name]),
+        [["class", "Options"], ["function", "run"]],
+    );
+});
+
+test("skips the analysis for languages without an analyzer", () => {
+    const [file] = diffParser.analyzeDiff(
+        diff("diff --git a/notes.txt b/notes.txt", "--- a/notes.txt", "+++ b/notes.txt", "@@ -0,0 +1 @@", "+def x():"),
+    ).files;
+
+    assert.equal(file.languageName, null);
+    assert.deepEqual(file.symbols, { added: [], modified: [], removed: [] });
+    assert.deepEqual(file.hasImportChanges, []);
+});
+
+test("reports dependency changes in manifests", () => {
+    const [npm, pypi] = diffParser.analyzeDiff(
+        diff(
+            "diff --git a/package.json b/package.json",
+            "--- a/package.json",
+            "+++ b/package.json",
+            "@@ -1,6 +1,6 @@",
+            " {",
+            '   "dependencies": {',
+            '-    "express": "4.18.2",',
+            '-    "lodash": "^4.17.21"',
+            '+    "express": "^5.0.0",',
+            '+    "zod": "^3.0.0"',
+            "   }",
+            " }",
+            "diff --git a/requirements.txt b/requirements.txt",
+            "--- a/requirements.txt",
+            "+++ b/requirements.txt",
+            "@@ -1,2 +1,2 @@",
+            "-Django==4.2",
+            "+django>=4.2",
+            " requests==2.31.0",
+        ),
+    ).files;
+
+    assert.deepEqual(
+        npm.dependencies.map(({ name, change, from, to, line, majorBump, loosened }) => ({
+            name, change, from, to, line, majorBump, loosened,
+        })),
+        [
+            { name: "express", change: "changed", from: "4.18.2", to: "^5.0.0", line: 3, majorBump: true, loosened: true },
+            { name: "zod", change: "added", from: undefined, to: "^3.0.0", line: 4, majorBump: false, loosened: false },
+            { name: "lodash", change: "removed", from: "^4.17.21", to: undefined, line: null, majorBump: false, loosened: false },
+        ],
+    );
+    assert.equal(npm.dependencies[0].section, "dependencies");
+
+    // Names are compared the way pip does.
+    assert.deepEqual(
+        pypi.dependencies.map(({ name, change, loosened }) => [name, change, loosened]),
+        [["django", "changed", true]],
+    );
+});
+
+test("does not report reformatted dependencies", () => {
+    const [file] = diffParser.analyzeDiff(
+        diff(
+            "diff --git a/go.mod b/go.mod",
+            "--- a/go.mod",
+            "+++ b/go.mod",
+            "@@ -1,3 +1,4 @@",
+            " require (",
+            "-\tgithub.com/pkg/errors v0.9.1",
+            "+\tgithub.com/pkg/errors  v0.9.1",
+            "+\tgolang.org/x/sync v0.7.0",
+            " )",
+        ),
+    ).files;
+
+    assert.deepEqual(
+        file.dependencies.map(({ name, ecosystem, change }) => [name, ecosystem, change]),
+        [["golang.org/x/sync", "go", "added"]],
+    );
+});
+
+test("matches versions against advisory ranges", () => {
+    const { satisfies, minimumVersion } = require("../src/services/manifests");
+
+    assert.equal(satisfies("4.17.20", "<4.17.21"), true);
+    assert.equal(satisfies("1.2.5", ">=1.0.0 <1.2.3 || >= 1.2.4, < 1.3"), true);
+    assert.equal(satisfies("1.2.3", ">=1.0.0 <1.2.3"), false);
+    assert.equal(minimumVersion("^1.2.3", "npm"), "1.2.3");
+    assert.equal(minimumVersion("<2", "npm"), null);
+    assert.equal(minimumVersion("*", "npm"), null);
+});
@@ -0,0 +1,199 @@
+require("./setup");
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const dryRun = require("../src/services/dryRun");
+const reviewState = require("../src/services/reviewState");
+const { MARKER } = require("../src/services/summaryComment");
+
+const REPO = "acme/web";
+
+beforeEach(() => {
+    Object.assign(dryRun.store.load(), { enabled: null, repos: {}, lastId: 0, links: {}, targets: {} });
+    dryRun.store.save();
+    delete process.env.DRY_RUN;
+    delete process.env.DRY_RUN_REPOS;
+});
+
+after(() => {
+    delete process.env.DRY_RUN;
+    delete process.env.DRY_RUN_REPOS;
+});
+
+test("matches repositories against the DRY_RUN_REPOS globs", () => {
+    process.env.DRY_RUN_REPOS = "acme/*, tools/cli";
+
+    assert.equal(dryRun.isEnabled("acme/web"), true);
+    assert.equal(dryRun.isEnabled("tools/cli"), true);
+    assert.equal(dryRun.isEnabled("tools/cli-extra"), false);
+    assert.equal(dryRun.isEnabled("acme-corp/web"), false);
+    assert.deepEqual(dryRun.settings().env, { enabled: false, repos: ["acme/*", "tools/cli"] });
+});
+
+test("lets runtime overrides win over the environment", () => {
+    process.env.DRY_RUN = "true";
+    assert.equal(dryRun.isEnabled("acme/web"), true);
+
+    dryRun.setEnabled(false);
+    assert.equal(dryRun.isEnabled("acme/web"), false);
+
+    // A repository override wins over the global one and DRY_RUN_REPOS.
+    process.env.DRY_RUN_REPOS = "acme/*";
+    dryRun.setEnabled(false, "acme/api");
+    dryRun.setEnabled(true, "tools/cli");
+    assert.equal(dryRun.isEnabled("acme/api"), false);
+    assert.equal(dryRun.isEnabled("acme/web"), true);
+    assert.equal(dryRun.isEnabled("tools/cli"), true);
+
+    dryRun.setEnabled(null, "acme/api");
+    dryRun.setEnabled(null);
+    assert.equal(dryRun.isEnabled("acme/api"), true);
+    assert.deepEqual(dryRun.settings().repos, { "tools/cli": true });
+});
+
+test("groups writes by the pull request they belong to", () => {
+    const review = dryRun.record(REPO, { number: 5 }, "postReview", { event: "COMMENT" }, 42);
+    dryRun.link(REPO, { sha: "abc123" }, 5);
+    dryRun.link(REPO, { id: 900 }, 5);
+
+    dryRun.record(REPO, { sha: "abc123" }, "createCheckRun", { name: "AI Code Review" });
+    dryRun.record(REPO, { id: review.id }, "dismissReview", { message: "Fixed" });
+    dryRun.record(REPO, { id: 900 }, "createReplyComment", { body: "Thanks" });
+    dryRun.record(REPO, { sha: "def456" }, "createCheckRun", { name: "AI Code Review" });
+    dryRun.record(REPO, { id: 901 }, "addReaction", { content: "eyes" });
+
+    assert.equal(review.id, -1);
+    const target = dryRun.get(REPO, 5);
+    assert.equal(target.installationId, 42);
+    assert.deepEqual(
+        target.writes.map((write) => [write.id, write.action]),
+        [
+            [-1, "postReview"],
+            [-2, "createCheckRun"],
+            [-3, "dismissReview"],
+            [-4, "createReplyComment"],
+        ],
+    );
+    assert.deepEqual(dryRun.resolveTarget(REPO, { sha: "def456" }), { key: `${REPO}@def456`, number: null, sha: "def456" });
+
+    // Most recently written first.
+    assert.deepEqual(
+        dryRun.list().map((entry) => [entry.key, entry.writes, entry.actions]),
+        [
+            [REPO, 1, ["addReaction"]],
+            [`${REPO}@def456`, 1, ["createCheckRun"]],
+            [`${REPO}#5`, 4, ["postReview", "createCheckRun", "dismissReview", "createReplyComment"]],
+        ],
+    );
+    assert.deepEqual(dryRun.list({ repo: "acme/api" }), []);
+});
+
+test("drops the oldest targets and writes past the limits", () => {
+    const limit = dryRun.limit;
+    dryRun.limit = 2;
+    try {
+        for (let number = 1; number <= 3; number++) {
+            dryRun.record(REPO, { number }, "createIssueComment", { body: "Hi" });
+        }
+    } finally {
+        dryRun.limit = limit;
+    }
+
+    assert.deepEqual(dryRun.list().map((entry) => entry.number), [3, 2]);
+
+    for (let i = 0; i < 105; i++) {
+        dryRun.record(REPO, { number: 3 }, "addReaction", { content: "eyes" });
+    }
+    const { writes } = dryRun.get(REPO, 3);
+    assert.equal(writes.length, 100);
+    assert.equal(writes[0].id, -9);
+});
+
+test("compares the recorded review and summary with what the live mode posted", async () => {
+    const summary = (lines) => [MARKER, "<!-- ai-review-run -->", ...lines, "<!-- /ai-review-run -->"].join("\n");
+    const finding = (commentId, line) => ({ file: "src/a.js", line, severity: "low", category: "style", message: "x", commentId });
+
+    reviewState.recordReview(REPO, 6, "h1", [finding(1, 1), finding(2, 5), finding(3, 2)], 42);
+    const github = {
+        listReviewComments: async () => [
+            { id: 1, path: "src/a.js", line: 1, body: "Same" },
+            { id: 2, path: "src/a.js", line: 5, body: "Old wording" },
+            { id: 3, path: "src/b.js", line: 2, body: "Only live" },
+            { id: 9, path: "src/a.js", line: 1, body: "Someone else's comment" },
+        ],
+        findIssueComment: async () => ({ body: summary(["### Review", "2 findings", "src/a.js"]) }),
+    };
+
+    assert.equal(await dryRun.compare(github, REPO, 6), null);
+
+    const review = dryRun.record(REPO, { number: 6 }, "postReview", {
+        event: "COMMENT",
+        comments: [
+            { path: "src/a.js", line: 1, body: "Same" },
+            { path: "src/a.js", line: 5, body: "New wording" },
+            { path: "src/c.js", line: 3, body: "Only in dry run" },
+        ],
+    });
+    dryRun.record(REPO, { number: 6 }, "createIssueComment", { body: summary(["### Review", "3 findings", "src/a.js", "src/b.js"]) });
+    dryRun.record(REPO, { number: 6 }, "createIssueComment", { body: "⚠️ **AI review configuration problem**" });
+
+    const result = await dryRun.compare(github, REPO, 6);
+
+    assert.equal(result.review.event, "COMMENT");
+    assert.equal(result.review.recordedAt, dryRun.get(REPO, 6).writes.find((write) => write.id === review.id).at);
+    assert.deepEqual(result.comments, {
+        added: [{ path: "src/c.js", line: 3, body: "Only in dry run" }],
+        removed: [{ path: "src/b.js", line: 2, body: "Only live" }],
+        changed: [{ path: "src/a.js", line: 5, live: "Old wording", dryRun: "New wording" }],
+        unchanged: 1,
+    });
+    assert.deepEqual(result.summary.diff, [
+        "  <!-- ai-review-run -->",
+        "  ### Review",
+        "+ 3 findings",
+        "- 2 findings",
+        "  src/a.js",
+        "+ src/b.js",
+        "  <!-- /ai-review-run -->",
+    ]);
+});
+
+test("validates dry-run switches from the admin API", async () => {
+    process.env.ADMIN_TOKEN = "admin-token";
+    const app = express();
+    app.use(express.json());
+    app.use("/admin", require("../src/routes/admin"));
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+
+    const put = (body) =>
+        fetch(`http://127.0.0.1:${server.address().port}/admin/dry-run`, {
+            method: "PUT",
+            headers: { "content-type": "application/json", authorization: "Bearer admin-token" },
+            body: JSON.stringify(body),
+        });
+
+    try {
+        for (const [body, message] of [
+            [{ enabled: "yes" }, "'enabled' must be true, false or null"],
+            [{}, "'enabled' must be true, false or null"],
+            [{ enabled: true, repo: "acme" }, "'repo' must be 'owner/name'"],
+            [{ enabled: true, repo: "acme/web/extra" }, "'repo' must be 'owner/name'"],
+        ]) {
+            const res = await put(body);
+            assert.equal(res.status, 400);
+            assert.equal((await res.json()).message, message);
+        }
+        assert.deepEqual(dryRun.settings().repos, {});
+
+        const res = await put({ enabled: true, repo: REPO });
+        assert.equal(res.status, 200);
+        assert.deepEqual((await res.json()).repos, { [REPO]: true });
+        assert.equal((await put({ enabled: null })).status, 200);
+        assert.equal(dryRun.isEnabled(REPO), true);
+    } finally {
+        server.close();
+        delete process.env.ADMIN_TOKEN;
+    }
+});
@@ -0,0 +1,476 @@
+const crypto = require("crypto");
+const http = require("http");
+
+const BOT = { login: "ai-review[bot]", type: "Bot" };
+
+/**
+ * New-side line numbers a review comment can be placed on, per file of a
+ * unified diff. GitHub rejects review comments anywhere else.
+ * @param {string} diff
+ * @returns {Map<string, Set<number>>}
+ */
+function commentableLines(diff) {
+    const lines = new Map();
+    let current = null;
+    let line = 0;
+
+    for (const text of diff.split("\n")) {
+        const file = text.match(/^\+\+\+ b\/(.+)$/);
+        const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+
+        if (file) {
+            current = new Set();
+            lines.set(file[1], current);
+        } else if (hunk) {
+            line = Number(hunk[1]);
+        } else if (current && (text.startsWith("+") || text.startsWith(" "))) {
+            current.add(line++);
+        }
+    }
+
+    return lines;
+}
+
+/**
+ * A local fake of the parts of the GitHub REST and GraphQL APIs the bot
+ * uses, backed by plain objects tests set up and inspect. Every request is
+ * kept in 'requests'.
+ */
+class FakeGithub {
+    constructor() {
+        this.requests = [];
+        this.pulls = new Map();
+        this.contents = new Map();
+        this.comparisons = new Map();
+        this.commits = new Map();
+        this.permissions = new Map();
+        this.reviews = [];
+        this.reviewComments = [];
+        this.issueComments = [];
+        this.checkRuns = [];
+        this.statuses = [];
+        this.commitComments = [];
+        // Thread ID to the login that resolved it.
+        this.resolvedThreads = new Map();
+        this.lastId = 1000;
+        // Lifetime of the installation tokens handed out; GitHub's is an hour.
+        this.tokenTtlMs = 60 * 60 * 1000;
+        this.issuedTokens = [];
+
+        this.routes = [
+            ["GET", /^\/repos\/([^/]+\/[^/]+)\/pulls\/(\d+)$/, this.getPull],
+            ["POST", /^\/repos\/([^/]+\/[^/]+)\/pulls\/(\d+)\/reviews$/, this.createReview],
+            ["GET", /^\/repos\/([^/]+\/[^/]+)\/pulls\/(\d+)\/reviews\/(\d+)\/comments$/, this.listReviewComments],
+            ["PUT", /^\/repos\/([^/]+\/[^/]+)\/pulls\/(\d+)\/reviews\/(\d+)\/dismissals$/, this.dismissReview],
+            ["GET", /^\/repos\/([^/]+\/[^/]+)\/pulls\/(\d+)\/comments$/, this.listReviewComments],
+            ["POST", /^\/repos\/([^/]+\/[^/]+)\/pulls\/(\d+)\/comments\/(\d+)\/replies$/, this.createReply],
+            ["PATCH", /^\/repos\/([^/]+\/[^/]+)\/pulls\/comments\/(\d+)$/, this.updateReviewComment],
+            ["GET", /^\/repos\/([^/]+\/[^/]+)\/contents\/(.+)$/, this.getContent],
+            ["GET", /^\/repos\/([^/]+\/[^/]+)\/compare\/(.+)$/, this.compare],
+            ["GET", /^\/repos\/([^/]+\/[^/]+)\/collaborators\/([^/]+)\/permission$/, this.getPermission],
+            ["GET", /^\/repos\/([^/]+\/[^/]+)\/commits\/([^/]+)$/, this.getCommit],
+            ["POST", /^\/repos\/([^/]+\/[^/]+)\/commits\/([^/]+)\/comments$/, this.createCommitComment],
+            ["POST", /^\/repos\/([^/]+\/[^/]+)\/statuses\/([^/]+)$/, this.createStatus],
+            ["GET", /^\/repos\/([^/]+\/[^/]+)\/issues\/(\d+)\/comments$/, this.listIssueComments],
+            ["POST", /^\/repos\/([^/]+\/[^/]+)\/issues\/(\d+)\/comments$/, this.createIssueComment],
+            ["PATCH", /^\/repos\/([^/]+\/[^/]+)\/issues\/comments\/(\d+)$/, this.updateIssueComment],
+            ["POST", /^\/repos\/([^/]+\/[^/]+)\/check-runs$/, this.createCheckRun],
+            ["PATCH", /^\/repos\/([^/]+\/[^/]+)\/check-runs\/(\d+)$/, this.updateCheckRun],
+            ["POST", /^\/app\/installations\/(\d+)\/access_tokens$/, this.createInstallationToken],
+            ["POST", /^\/graphql$/, this.graphql],
+        ];
+    }
+
+    /**
+     * Starts listening on a free local port.
+     * @returns {Promise<string>} The API base URL
+     */
+    async start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async stop() {
+        await new Promise((resolve) => this.server.close(resolve));
+    }
+
+    /**
+     * Adds a pull request.
+     * @param {string} repo 'owner/name'
+     * @param {{number: number, headSha: string, baseSha: string, diff: string}} pr
+     */
+    addPullRequest(repo, pr) {
+        this.pulls.set(`${repo}#${pr.number}`, { ...pr, repo });
+    }
+
+    /**
+     * Moves a pull request to a new head commit.
+     * @param {string} repo
+     * @param {number} number
+     * @param {{headSha: string, diff: string}} update
+     */
+    updatePullRequest(repo, number, update) {
+        Object.assign(this.pulls.get(`${repo}#${number}`), update);
+    }
+
+    /**
+     * Sets a file's content at a ref.
+     * @param {string} repo
+     * @param {string} ref
+     * @param {string} path
+     * @param {string} content
+     */
+    setContent(repo, ref, path, content) {
+        this.contents.set(`${repo}@${ref}:${path}`, content);
+    }
+
+    /**
+     * Sets the compare result between two commits.
+     * @param {string} repo
+     * @param {string} base
+     * @param {string} head
+     * @param {Array<{filename: string, status: string, patch: string}>} files
+     */
+    setComparison(repo, base, head, files) {
+        this.comparisons.set(`${repo}:${base}...${head}`, files);
+    }
+
+    /**
+     * Adds a commit.
+     * @param {string} repo
+     * @param {string} sha
+     * @param {{message: string, files: Array<{filename: string, status: string, patch: string}>}} commit
+     */
+    setCommit(repo, sha, commit) {
+        this.commits.set(`${repo}@${sha}`, commit);
+    }
+
+    /**
+     * Makes a user a collaborator on a repository.
+     * @param {string} repo
+     * @param {string} login
+     * @param {{permission: string, role_name: string}} permission
+     */
+    setPermission(repo, login, permission) {
+        this.permissions.set(`${repo}:${login}`, permission);
+    }
+
+    /**
+     * Adds a reply to a review comment, as a person would.
+     * @param {string} repo
+     * @param {number} number
+     * @param {number} commentId
+     * @param {string} body
+     * @param {string} [login]
+     * @returns {object} The reply
+     */
+    addReply(repo, number, commentId, body, login = "octocat") {
+        const [, reply] = this.createReply({ body: { body } }, repo, number, commentId);
+        reply.user = { login, type: "User" };
+        return reply;
+    }
+
+    /**
+     * Resolves the thread started by a review comment, as a person would.
+     * @param {number} commentId
+     * @param {string} [login]
+     */
+    resolveThread(commentId, login = "octocat") {
+        this.resolvedThreads.set(`thread-${commentId}`, login);
+    }
+
+    handle(req, res) {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            const url = new URL(req.url, "http://localhost");
+            const request = {
+                method: req.method,
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                headers: req.headers,
+                body: body ? JSON.parse(body) : null,
+            };
+            this.requests.push(request);
+
+            const route = this.routes.find(
+                ([method, pattern]) => method === req.method && pattern.test(url.pathname),
+            );
+            const [status, data] = route
+                ? route[2].call(this, request, ...url.pathname.match(route[1]).slice(1))
+                : [404, { message: "Not Found" }];
+
+            if (typeof data === "string") {
+                res.writeHead(status, { "content-type": "text/plain" });
+                res.end(data);
+            } else {
+                res.writeHead(status, { "content-type": "application/json" });
+                res.end(JSON.stringify(data));
+            }
+        });
+    }
+
+    /**
+     * Requests matching a method and path pattern.
+     * @param {string} method
+     * @param {RegExp} pattern
+     * @returns {Array<object>}
+     */
+    calls(method, pattern) {
+        return this.requests.filter((request) => request.method === method && pattern.test(request.path));
+    }
+
+    nextId() {
+        return ++this.lastId;
+    }
+
+    getPull(request, repo, number) {
+        const pr = this.pulls.get(`${repo}#${number}`);
+        if (!pr) {
+            return [404, { message: "Not Found" }];
+        }
+        if ((request.headers.accept || "").includes("diff")) {
+            return [200, pr.diff];
+        }
+
+        return [
+            200,
+            {
+                number: pr.number,
+                title: pr.title || `PR ${pr.number}`,
+                body: pr.body || "",
+                state: "open",
+                user: { login: "octocat", type: "User" },
+                base: { ref: "main", sha: pr.baseSha },
+                head: { ref: "feature", sha: pr.headSha },
+                html_url: `https://github.com/${repo}/pull/${pr.number}`,
+            },
+        ];
+    }
+
+    createReview(request, repo, number) {
+        const pr = this.pulls.get(`${repo}#${number}`);
+        const valid = commentableLines(pr.diff);
+        const { commit_id: commitId, event, body, comments = [] } = request.body;
+
+        const invalid = comments.find((comment) => !(valid.get(comment.path) || new Set()).has(comment.line));
+        if (invalid) {
+            return [422, { message: `Line could not be resolved: ${invalid.path}:${invalid.line}` }];
+        }
+
+        const review = {
+            id: this.nextId(),
+            repo,
+            number: Number(number),
+            user: BOT,
+            state: { REQUEST_CHANGES: "CHANGES_REQUESTED", APPROVE: "APPROVED" }[event] || "COMMENTED",
+            body,
+            commit_id: commitId,
+        };
+        this.reviews.push(review);
+
+        comments.forEach((comment) =>
+            this.reviewComments.push({
+                ...comment,
+                id: this.nextId(),
+                repo,
+                number: Number(number),
+                pull_request_review_id: review.id,
+                commit_id: commitId,
+                user: BOT,
+                created_at: new Date().toISOString(),
+            }),
+        );
+
+        return [200, review];
+    }
+
+    listReviewComments(request, repo, number, reviewId) {
+        return [
+            200,
+            this.reviewComments.filter(
+                (comment) =>
+                    comment.repo === repo &&
+                    comment.number === Number(number) &&
+                    (!reviewId || comment.pull_request_review_id === Number(reviewId)),
+            ),
+        ];
+    }
+
+    createReply(request, repo, number, commentId) {
+        const parent = this.reviewComments.find((entry) => entry.id === Number(commentId));
+        if (!parent) {
+            return [404, { message: "Not Found" }];
+        }
+
+        const reply = {
+            id: this.nextId(),
+            repo,
+            number: Number(number),
+            path: parent.path,
+            line: parent.line,
+            in_reply_to_id: parent.id,
+            user: BOT,
+            body: request.body.body,
+            created_at: new Date().toISOString(),
+        };
+        this.reviewComments.push(reply);
+        return [201, reply];
+    }
+
+    updateReviewComment(request, repo, commentId) {
+        const comment = this.reviewComments.find((entry) => entry.id === Number(commentId));
+        if (!comment) {
+            return [404, { message: "Not Found" }];
+        }
+
+        comment.body = request.body.body;
+        return [200, comment];
+    }
+
+    dismissReview(request, repo, number, reviewId) {
+        const review = this.reviews.find((entry) => entry.id === Number(reviewId));
+        if (!review) {
+            return [404, { message: "Not Found" }];
+        }
+        if (review.state !== "CHANGES_REQUESTED" && review.state !== "APPROVED") {
+            return [422, { message: "Can not dismiss a commented pull request review" }];
+        }
+
+        review.state = "DISMISSED";
+        review.dismissalMessage = request.body.message;
+        return [200, review];
+    }
+
+    getContent(request, repo, path) {
+        const content = this.contents.get(`${repo}@${request.query.ref}:${decodeURIComponent(path)}`);
+        if (content === undefined) {
+            return [404, { message: "Not Found" }];
+        }
+
+        return [
+            200,
+            {
+                type: "file",
+                path,
+                size: Buffer.byteLength(content),
+                // Git's blob SHA, so the same content always has the same one.
+                sha: crypto.createHash("sha1").update(`blob ${Buffer.byteLength(content)}\0${content}`).digest("hex"),
+                content: Buffer.from(content).toString("base64"),
+            },
+        ];
+    }
+
+    compare(request, repo, basehead) {
+        const files = this.comparisons.get(`${repo}:${decodeURIComponent(basehead)}`);
+        if (!files) {
+            return [404, { message: "Not Found" }];
+        }
+
+        return [200, { status: "ahead", ahead_by: 1, behind_by: 0, merge_base_commit: null, files }];
+    }
+
+    getPermission(request, repo, login) {
+        const permission = this.permissions.get(`${repo}:${login}`);
+        if (!permission) {
+            return [404, { message: `${login} is not a user` }];
+        }
+
+        return [200, { ...permission, user: { login } }];
+    }
+
+    getCommit(request, repo, sha) {
+        const commit = this.commits.get(`${repo}@${sha}`);
+        if (!commit) {
+            return [404, { message: "Not Found" }];
+        }
+
+        return [
+            200,
+            { sha, commit: { message: commit.message }, author: null, parents: [], files: commit.files },
+        ];
+    }
+
+    createCommitComment(request, repo, sha) {
+        const comment = { id: this.nextId(), repo, commit_id: sha, user: BOT, ...request.body };
+        this.commitComments.push(comment);
+        return [201, comment];
+    }
+
+    createStatus(request, repo, sha) {
+        const status = { id: this.nextId(), repo, sha, ...request.body };
+        this.statuses.push(status);
+        return [201, status];
+    }
+
+    listIssueComments(request, repo, number) {
+        return [
+            200,
+            this.issueComments.filter((comment) => comment.repo === repo && comment.number === Number(number)),
+        ];
+    }
+
+    createIssueComment(request, repo, number) {
+        const comment = { id: this.nextId(), repo, number: Number(number), user: BOT, body: request.body.body };
+        this.issueComments.push(comment);
+        return [201, comment];
+    }
+
+    updateIssueComment(request, repo, commentId) {
+        const comment = this.issueComments.find((entry) => entry.id === Number(commentId));
+        comment.body = request.body.body;
+        return [200, comment];
+    }
+
+    createCheckRun(request, repo) {
+        const run = { id: this.nextId(), repo, ...request.body };
+        this.checkRuns.push(run);
+        return [201, run];
+    }
+
+    updateCheckRun(request, repo, checkRunId) {
+        const run = this.checkRuns.find((entry) => entry.id === Number(checkRunId));
+        Object.assign(run, request.body);
+        return [200, run];
+    }
+
+    createInstallationToken(request, installationId) {
+        const token = `ghs_${installationId}_${this.issuedTokens.length + 1}`;
+        this.issuedTokens.push(token);
+        return [201, { token, expires_at: new Date(Date.now() + this.tokenTtlMs).toISOString() }];
+    }
+
+    /**
+     * Review threads, one per top-level review comment, and resolving them.
+     */
+    graphql(request) {
+        const { query, variables } = request.body;
+
+        if (query.includes("resolveReviewThread")) {
+            this.resolvedThreads.set(variables.threadId, BOT.login);
+            return [200, { data: { resolveReviewThread: { thread: { id: variables.threadId } } } }];
+        }
+
+        const nodes = this.reviewComments
+            .filter(
+                (comment) =>
+                    comment.repo === `${variables.owner}/${variables.repo}` &&
+                    comment.number === variables.number &&
+                    !comment.in_reply_to_id,
+            )
+            .map((comment) => ({
+                id: `thread-${comment.id}`,
+                isResolved: this.resolvedThreads.has(`thread-${comment.id}`),
+                resolvedBy: this.resolvedThreads.has(`thread-${comment.id}`)
+                    ? { login: this.resolvedThreads.get(`thread-${comment.id}`) }
+                    : null,
+                comments: { nodes: [{ databaseId: comment.id, author: { login: comment.user.login } }] },
+            }));
+
+        return [200, { data: { repository: { pullRequest: { reviewThreads: { nodes } } } } }];
+    }
+}
+
+module.exports = FakeGithub;
@@ -0,0 +1,95 @@
+require("./setup");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const FakeGithub = require("./fakeGithub");
+
+const REPO = "acme/shop";
+
+const fake = new FakeGithub();
+let reviewPipeline;
+let reviewState;
+let feedback;
+let services;
+
+before(async () => {
+    await fake.start();
+
+    // Read when the GitHub client is created.
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.GITHUB_API_URL = fake.url;
+    reviewPipeline = require("../src/services/reviewPipeline");
+    reviewState = require("../src/services/reviewState");
+    feedback = require("../src/services/feedback");
+    services = require("../src/services/services");
+});
+
+after(async () => {
+    delete process.env.GITHUB_TOKEN;
+    delete process.env.GITHUB_API_URL;
+    await fake.stop();
+});
+
+const newFile = (filename) =>
+    [
+        `diff --git a/${filename} b/${filename}`,
+        "new file mode 100644",
+        "--- /dev/null",
+        `+++ b/${filename}`,
+        "@@ -0,0 +1,1 @@",
+        "+const value = 1;",
+    ].join("\n");
+
+test("counts threads people resolved as accepted and the bot's own apart", async () => {
+    const diff = ["src/a.js", "src/b.js", "src/c.js"].map(newFile).join("\n");
+    fake.addPullRequest(REPO, { number: 1, headSha: "h1", baseSha: "b0", diff });
+    await reviewPipeline.run({ number: 1, repoOwner: "acme", repoName: "shop", repo: REPO, installationId: 1 });
+
+    const findings = reviewState.get(REPO, 1).findings;
+    const byFile = (file) => findings.find((finding) => finding.file === file);
+
+    // A person resolves a.js; the bot resolves b.js after its code changed.
+    fake.resolveThread(byFile("src/a.js").commentId);
+    reviewState.markResolved(byFile("src/b.js"), "h2");
+    await services.resolveReviewThread("acme", "shop", 1, byFile("src/b.js").commentId);
+    // Same for c.js, but its code change isn't recorded here.
+    await services.resolveReviewThread("acme", "shop", 1, byFile("src/c.js").commentId);
+
+    await feedback.collect({ repo: REPO, repoOwner: "acme", repoName: "shop", number: 1 });
+
+    assert.deepEqual(
+        findings.map((finding) => [finding.file, finding.feedback.threadResolved, finding.feedback.autoResolved]).sort(),
+        [
+            ["src/a.js", true, false],
+            ["src/b.js", false, true],
+            ["src/c.js", false, true],
+        ],
+    );
+    assert.equal(feedback.outcome(byFile("src/a.js")), "accepted");
+    assert.equal(feedback.outcome(byFile("src/b.js")), null);
+    assert.equal(feedback.outcome(byFile("src/c.js")), null);
+
+    const { totals } = feedback.report({ repo: REPO });
+    assert.deepEqual(totals, { findings: 3, accepted: 1, rejected: 0, autoResolved: 2, acceptanceRate: 1 });
+});
+
+test("a thread the bot resolved gives no acceptance rate on its own", async () => {
+    const repo = "acme/api";
+    fake.addPullRequest(repo, { number: 2, headSha: "h1", baseSha: "b0", diff: newFile("src/d.js") });
+    await reviewPipeline.run({ number: 2, repoOwner: "acme", repoName: "api", repo, installationId: 1 });
+
+    // Its code changed and the bot resolved the thread; nobody reacted.
+    const [finding] = reviewState.get(repo, 2).findings;
+    reviewState.markResolved(finding, "h2");
+    await services.resolveReviewThread("acme", "api", 2, finding.commentId);
+
+    await feedback.collect({ repo, repoOwner: "acme", repoName: "api", number: 2 });
+
+    assert.equal(feedback.outcome(finding), null);
+    assert.deepEqual(feedback.report({ repo }).totals, {
+        findings: 1,
+        accepted: 0,
+        rejected: 0,
+        autoResolved: 1,
+        acceptanceRate: null,
+    });
+});
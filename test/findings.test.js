@@ -0,0 +1,81 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeFinding, meetsSeverity } = require("../src/services/findings");
+const aiReviewer = require("../src/services/aiReviewer");
+
+test("normalizes aliases, string line numbers and ranges", () => {
+    const { finding, errors } = normalizeFinding({
+        message: "  Unchecked input  ",
+        lines: ["12", 14],
+        severity: "Warning",
+        category: "bug",
+        fix: "validate(input)",
+    }, { file: "src/a.js" });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(finding, {
+        file: "src/a.js",
+        line: 12,
+        endLine: 14,
+        severity: "medium",
+        category: "correctness",
+        message: "Unchecked input",
+        suggestion: "validate(input)",
+    });
+});
+
+test("rejects findings without a message, line or known severity", () => {
+    assert.deepEqual(normalizeFinding({ file: "a.js", line: 0, severity: "huge" }).errors, [
+        "message is required",
+        "line must be a positive integer",
+        "severity must be one of critical, high, medium, low, info",
+    ]);
+    assert.deepEqual(normalizeFinding(["not", "an", "object"]).errors, ["finding is not an object"]);
+});
+
+test("drops backwards ranges and files unknown categories under other", () => {
+    const { finding } = normalizeFinding({ file: "a.js", line: 5, endLine: 3, severity: "low", category: "vibes", message: "x" });
+
+    assert.equal(finding.endLine, undefined);
+    assert.equal(finding.category, "other");
+});
+
+test("orders severities", () => {
+    assert.equal(meetsSeverity("critical", "high"), true);
+    assert.equal(meetsSeverity("low", "medium"), false);
+    assert.equal(meetsSeverity("unknown", "info"), false);
+});
+
+test("parses fenced, trailing-comma and truncated model output", () => {
+    const fenced = aiReviewer.parseReview(
+        'Here you go:\n```json\n{"summary": "ok", "findings": [{"line": 3, "severity": "high", "message": "x",},]}\n```',
+        "a.js",
+    );
+    assert.equal(fenced.summary, "ok");
+    assert.deepEqual(fenced.findings.map((finding) => [finding.file, finding.line]), [["a.js", 3]]);
+
+    const truncated = aiReviewer.parseReview(
+        '{"summary": "cut", "findings": [{"line": 1, "severity": "low", "message": "kept"}, {"line": 2, "sev',
+        "a.js",
+    );
+    assert.deepEqual(truncated.findings.map((finding) => finding.message), ["kept"]);
+});
+
+test("keeps valid findings and reports the invalid ones", () => {
+    const result = aiReviewer.parseReview(
+        JSON.stringify([{ line: 1, severity: "low", message: "fine" }, { line: "x", severity: "low", message: "bad" }]),
+        "a.js",
+    );
+
+    assert.equal(result.findings.length, 1);
+    assert.deepEqual(result.errors, ["findings[1]: line must be a positive integer"]);
+});
+
+test("keeps prose as the summary when there is no JSON", () => {
+    const result = aiReviewer.parseReview("Looks good to me.", "a.js");
+
+    assert.equal(result.summary, "Looks good to me.");
+    assert.deepEqual(result.findings, []);
+    assert.deepEqual(result.errors, ["response did not contain valid JSON"]);
+});
@@ -0,0 +1,109 @@
+require("./setup");
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const FakeGithub = require("./fakeGithub");
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+const fake = new FakeGithub();
+let githubAuth;
+
+before(async () => {
+    await fake.start();
+
+    // Read when githubAuth is loaded. The key is stored with escaped newlines, as in a .env file.
+    process.env.GITHUB_APP_ID = "4242";
+    process.env.GITHUB_APP_PRIVATE_KEY = privateKey.export({ type: "pkcs8", format: "pem" }).replace(/\n/g, "\\n");
+    process.env.GITHUB_API_URL = fake.url;
+    githubAuth = require("../src/services/githubAuth");
+});
+
+after(async () => {
+    delete process.env.GITHUB_APP_ID;
+    delete process.env.GITHUB_APP_PRIVATE_KEY;
+    delete process.env.GITHUB_API_URL;
+    await fake.stop();
+});
+
+beforeEach(() => {
+    fake.tokenTtlMs = 60 * 60 * 1000;
+});
+
+const tokenRequests = (installationId) => fake.calls("POST", new RegExp(`^/app/installations/${installationId}/access_tokens$`));
+
+/**
+ * Splits and decodes a JWT.
+ */
+function decodeJwt(jwt) {
+    const [header, payload, signature] = jwt.split(".");
+    const decode = (part) => JSON.parse(Buffer.from(part, "base64url").toString());
+
+    return {
+        header: decode(header),
+        payload: decode(payload),
+        verified: crypto.verify("RSA-SHA256", Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, "base64url")),
+    };
+}
+
+test("signs an RS256 app JWT that GitHub accepts", () => {
+    assert.equal(githubAuth.mode, "app");
+
+    const now = Math.floor(Date.now() / 1000);
+    const { header, payload, verified } = decodeJwt(githubAuth.createAppJwt());
+
+    assert.deepEqual(header, { alg: "RS256", typ: "JWT" });
+    assert.equal(verified, true);
+    assert.equal(payload.iss, "4242");
+    // Backdated for clock drift, and within GitHub's 10 minute limit.
+    assert.ok(Math.abs(payload.iat - (now - 60)) <= 1);
+    assert.ok(payload.exp - payload.iat <= 10 * 60);
+    assert.ok(payload.exp > now);
+});
+
+test("exchanges the app JWT for an installation token and caches it", async () => {
+    const token = await githubAuth.getInstallationToken(1);
+
+    assert.equal(token, fake.issuedTokens.at(-1));
+    assert.equal(await githubAuth.getInstallationToken(1), token);
+
+    const requests = tokenRequests(1);
+    assert.equal(requests.length, 1);
+    const jwt = requests[0].headers.authorization.replace(/^bearer /i, "");
+    assert.equal(decodeJwt(jwt).verified, true);
+
+    // Each installation has its own token.
+    assert.notEqual(await githubAuth.getInstallationToken(2), token);
+});
+
+test("refreshes a token that expires within five minutes", async () => {
+    fake.tokenTtlMs = 4 * 60 * 1000;
+    const first = await githubAuth.getInstallationToken(3);
+
+    fake.tokenTtlMs = 6 * 60 * 1000;
+    const second = await githubAuth.getInstallationToken(3);
+    const third = await githubAuth.getInstallationToken(3);
+
+    assert.notEqual(second, first);
+    assert.equal(third, second);
+    assert.equal(tokenRequests(3).length, 2);
+});
+
+test("shares one token request between concurrent callers", async () => {
+    const tokens = await Promise.all([4, 4, 4, 5].map((id) => githubAuth.getInstallationToken(id)));
+
+    assert.equal(new Set(tokens.slice(0, 3)).size, 1);
+    assert.equal(tokenRequests(4).length, 1);
+    assert.equal(tokenRequests(5).length, 1);
+    assert.equal(githubAuth.pendingTokens.size, 0);
+});
+
+test("authenticates API requests as the installation", async () => {
+    fake.addPullRequest("acme/shop", { number: 1, headSha: "h1", baseSha: "b1", diff: "" });
+
+    await githubAuth.createOctokit(6).pulls.get({ owner: "acme", repo: "shop", pull_number: 1 });
+
+    const [request] = fake.calls("GET", /^\/repos\/acme\/shop\/pulls\/1$/);
+    assert.equal(request.headers.authorization, `token ${await githubAuth.getInstallationToken(6)}`);
+    assert.throws(() => githubAuth.createOctokit(), (error) => error.retryable === false);
+});
@@ -0,0 +1,183 @@
+require("./setup");
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const FakeGithub = require("./fakeGithub");
+const diffParser = require("../src/services/diffParser");
+
+const REPO = "acme/shop";
+
+const DIFF = [
+    "diff --git a/src/cart.js b/src/cart.js",
+    "--- a/src/cart.js",
+    "+++ b/src/cart.js",
+    "@@ -10,3 +10,5 @@ function total(items) {",
+    "     let sum = 0;",
+    "+    items = items || [];",
+    "+    for (const item of items) sum += item.price;",
+    "     return sum;",
+    " }",
+].join("\n");
+
+const fake = new FakeGithub();
+let github;
+
+before(async () => {
+    await fake.start();
+
+    // Read when the GitHub client is created.
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.GITHUB_API_URL = fake.url;
+    github = require("../src/services/services");
+});
+
+after(async () => {
+    delete process.env.GITHUB_TOKEN;
+    delete process.env.GITHUB_API_URL;
+    await fake.stop();
+});
+
+beforeEach(() => {
+    fake.reviews = [];
+    fake.reviewComments = [];
+    fake.addPullRequest(REPO, { number: 7, headSha: "head1", baseSha: "base1", diff: DIFF });
+});
+
+const finding = (line, severity, extra = {}) => ({
+    file: "src/cart.js",
+    line,
+    severity,
+    category: "correctness",
+    message: `Finding on line ${line}`,
+    ...extra,
+});
+
+/**
+ * Posts findings against DIFF.
+ */
+function post(findings, skipped = []) {
+    return github.postReview("acme", "shop", 7, {
+        commitId: "head1",
+        findings,
+        files: diffParser.analyzeDiff(DIFF).files,
+        summary: "### AI Code Review",
+        skipped,
+    });
+}
+
+test("places findings on diff lines and folds the rest into the body", async () => {
+    const onLine = finding(11, "medium");
+    const range = finding(11, "low", { endLine: 12, message: "Range finding" });
+    const outsideHunk = finding(40, "medium", { message: "Far away" });
+    const otherFile = finding(3, "low", { file: "src/other.js", message: "Not in the diff" });
+
+    const result = await post([onLine, range, outsideHunk, otherFile]);
+
+    const [request] = fake.calls("POST", /\/pulls\/7\/reviews$/);
+    assert.equal(request.body.commit_id, "head1");
+    assert.deepEqual(
+        request.body.comments.map(({ path, line, start_line: startLine }) => ({ path, line, startLine })),
+        [
+            { path: "src/cart.js", line: 11, startLine: undefined },
+            { path: "src/cart.js", line: 12, startLine: 11 },
+        ],
+    );
+    assert.match(request.body.body, /#### Findings outside the diff/);
+    assert.match(request.body.body, /`src\/cart.js:40` — Far away/);
+    assert.match(request.body.body, /`src\/other.js:3` — Not in the diff/);
+
+    // Each inline finding gets the ID of the comment it was posted as.
+    const ids = fake.reviewComments.map((comment) => comment.id);
+    assert.deepEqual(result.inline.map((entry) => entry.finding), [onLine, range]);
+    assert.deepEqual(result.inline.map((entry) => entry.commentId), ids);
+    assert.deepEqual(result.outside, [outsideHunk, otherFile]);
+});
+
+test("requests changes only for findings at or above the threshold", async () => {
+    await post([finding(11, "medium")]);
+    await post([finding(11, "high")]);
+
+    process.env.REQUEST_CHANGES_SEVERITY = "critical";
+    try {
+        await post([finding(11, "high")]);
+    } finally {
+        delete process.env.REQUEST_CHANGES_SEVERITY;
+    }
+
+    assert.deepEqual(
+        fake.calls("POST", /\/pulls\/7\/reviews$/).slice(-3).map((request) => request.body.event),
+        ["COMMENT", "REQUEST_CHANGES", "COMMENT"],
+    );
+});
+
+test("posts nothing without findings or skipped files", async () => {
+    const requests = fake.requests.length;
+
+    assert.equal(await post([]), null);
+    assert.equal(fake.requests.length, requests);
+
+    const result = await post([], [{ filename: "dist/app.js", reason: "generated" }]);
+    assert.deepEqual(result.inline, []);
+    assert.match(fake.reviews[0].body, /`dist\/app.js` — generated/);
+});
+
+test("dismisses a review with a message", async () => {
+    const { review } = await post([finding(11, "critical")]);
+    assert.equal(review.state, "CHANGES_REQUESTED");
+
+    await github.dismissReview("acme", "shop", 7, review.id, "Fixed");
+
+    assert.equal(fake.reviews[0].state, "DISMISSED");
+    assert.equal(fake.reviews[0].dismissalMessage, "Fixed");
+});
+
+test("sends annotations in batches of 50 and completes the check run last", async () => {
+    const { toAnnotation } = require("../src/services/checkRun");
+    const run = await github.createCheckRun("acme", "shop", "head1", "AI Code Review");
+    const annotations = Array.from({ length: 120 }, (_, i) => toAnnotation(finding(i + 1, "low")));
+    const requests = fake.requests.length;
+
+    await github.completeCheckRun("acme", "shop", run.id, {
+        conclusion: "success",
+        title: "120 open finding(s)",
+        summary: "Summary",
+        annotations,
+    });
+
+    // Updates without a status leave the run in progress until the last batch.
+    const updates = fake.requests.slice(requests).map((request) => request.body);
+    assert.equal(run.status, "in_progress");
+    assert.deepEqual(
+        updates.map((update) => [update.status, update.conclusion, update.output.annotations.length]),
+        [
+            [undefined, undefined, 50],
+            [undefined, undefined, 50],
+            ["completed", "success", 20],
+        ],
+    );
+    assert.deepEqual(updates.flatMap((update) => update.output.annotations), annotations);
+    assert.equal(fake.checkRuns.find((entry) => entry.id === run.id).status, "completed");
+});
+
+test("completes a check run without annotations in one request", async () => {
+    const run = await github.createCheckRun("acme", "shop", "head1", "AI Code Review");
+    const requests = fake.requests.length;
+
+    await github.completeCheckRun("acme", "shop", run.id, { conclusion: "success", title: "No open findings", summary: "" });
+
+    const [update] = fake.requests.slice(requests);
+    assert.equal(fake.requests.length, requests + 1);
+    assert.equal(update.body.status, "completed");
+    assert.deepEqual(update.body.output.annotations, []);
+});
+
+test("reads the finer repository roles, and the base permission of custom ones", async () => {
+    fake.setPermission(REPO, "tia", { permission: "read", role_name: "triage" });
+    fake.setPermission(REPO, "max", { permission: "write", role_name: "maintain" });
+    fake.setPermission(REPO, "sec", { permission: "write", role_name: "security-reviewer" });
+    fake.setPermission(REPO, "old", { permission: "admin" });
+
+    assert.deepEqual(
+        await Promise.all(["tia", "max", "sec", "old", "stranger"].map((login) => github.getPermissionLevel("acme", "shop", login))),
+        ["triage", "maintain", "write", "admin", "none"],
+    );
+});
@@ -0,0 +1,98 @@
+require("./setup");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const FakeGithub = require("./fakeGithub");
+
+const REPO = "acme/threads";
+
+const fake = new FakeGithub();
+let handler;
+let reviewState;
+
+before(async () => {
+    await fake.start();
+
+    // Read when the GitHub client is created.
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.GITHUB_API_URL = fake.url;
+    handler = require("../src/webhooks/handler");
+    reviewState = require("../src/services/reviewState");
+});
+
+after(async () => {
+    delete process.env.GITHUB_TOKEN;
+    delete process.env.GITHUB_API_URL;
+    await fake.stop();
+});
+
+/**
+ * A queued reply as built by WebhookHandler.handleThreadReply.
+ */
+function replyRequest(number, commentId) {
+    return { number, repoOwner: "acme", repoName: "threads", repo: REPO, installationId: 1, commentId };
+}
+
+/**
+ * Reviews a new PR with the mock provider and returns its one finding.
+ */
+async function reviewedFinding(number) {
+    fake.addPullRequest(REPO, {
+        number,
+        headSha: `t${number}`,
+        baseSha: "b0",
+        diff: [
+            "diff --git a/src/t.js b/src/t.js",
+            "new file mode 100644",
+            "--- /dev/null",
+            "+++ b/src/t.js",
+            "@@ -0,0 +1,1 @@",
+            "+const t = 1;",
+        ].join("\n"),
+    });
+    fake.setContent(REPO, `t${number}`, "src/t.js", "const t = 1;\n");
+
+    await require("../src/services/reviewPipeline").run(replyRequest(number));
+    return reviewState.get(REPO, number).findings[0];
+}
+
+const botReplies = (commentId) =>
+    fake.reviewComments
+        .filter((comment) => comment.in_reply_to_id === commentId && comment.user.type === "Bot")
+        .map((comment) => comment.body);
+
+test("answers replies until THREAD_TURN_LIMIT, then hands the thread over once", async () => {
+    const { commentId } = await reviewedFinding(50);
+    const request = replyRequest(50, commentId);
+    const HANDOVER = "I've reached my reply limit for this thread, so I'll leave it to a human reviewer from here.";
+
+    process.env.THREAD_TURN_LIMIT = "2";
+    try {
+        for (const body of ["Why?", "Still not sure.", "Come on.", "Hello?"]) {
+            fake.addReply(REPO, 50, commentId, body);
+            await handler.processReply(request);
+        }
+    } finally {
+        delete process.env.THREAD_TURN_LIMIT;
+    }
+
+    assert.deepEqual(botReplies(commentId), ["Mock reply to @octocat.", "Mock reply to @octocat.", HANDOVER]);
+    assert.equal(reviewState.findByComment(REPO, 50, commentId).replyIds.length, 3);
+});
+
+test("doesn't answer a thread whose last comment is its own", async () => {
+    const { commentId } = await reviewedFinding(51);
+    const request = replyRequest(51, commentId);
+
+    // Two replies queued as one turn, then a job left over from the second.
+    fake.addReply(REPO, 51, commentId, "Why?");
+    fake.addReply(REPO, 51, commentId, "Also, is this covered by tests?", "hubot");
+    await handler.processReply(request);
+    await handler.processReply(request);
+
+    assert.deepEqual(botReplies(commentId), ["Mock reply to @hubot."]);
+
+    // Nor a thread that doesn't start with one of its findings.
+    const requests = fake.requests.length;
+    await handler.processReply(replyRequest(51, 424242));
+    assert.equal(fake.requests.length, requests);
+});
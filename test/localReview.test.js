@@ -0,0 +1,97 @@
+require("./setup");
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const localReview = require("../src/services/localReview");
+
+// Built up so the fixture doesn't trip secret scanners on this repository.
+const GITHUB_TOKEN = "ghp_" + "a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8";
+
+let root;
+
+const git = (...args) =>
+    execFileSync("git", ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args], {
+        cwd: root,
+        stdio: ["ignore", "pipe", "pipe"],
+    });
+
+before(() => {
+    root = fs.mkdtempSync(path.join(process.env.DATA_DIR, "repo-"));
+    git("init", "-q");
+    fs.writeFileSync(path.join(root, ".gitignore"), "*.log\n");
+    fs.writeFileSync(path.join(root, "app.js"), "const a = 1;\n");
+    git("add", ".");
+    git("commit", "-q", "-m", "initial");
+
+    fs.writeFileSync(path.join(root, "app.js"), "const a = 2;\n");
+    fs.mkdirSync(path.join(root, "src"));
+    fs.writeFileSync(path.join(root, "src", "config.js"), `module.exports = { token: "${GITHUB_TOKEN}" };\n`);
+    fs.writeFileSync(path.join(root, "debug.log"), `${GITHUB_TOKEN}\n`);
+});
+
+test("reviews untracked files with the uncommitted changes", () => {
+    const { diff, description } = localReview.getDiff({ cwd: root });
+
+    assert.equal(description, "uncommitted changes");
+    assert.match(diff, /^diff --git a\/app.js b\/app.js$/m);
+    assert.match(diff, /^\+\+\+ b\/src\/config.js$/m);
+    assert.doesNotMatch(diff, /debug\.log/);
+});
+
+test("staged mode leaves untracked files out", () => {
+    const { diff } = localReview.getDiff({ cwd: root, staged: true });
+
+    assert.equal(diff, "");
+});
+
+test("finds secrets in untracked files and fails at the threshold", async () => {
+    const result = await localReview.run({ cwd: root, ai: false });
+
+    assert.deepEqual(
+        result.findings.map((finding) => [finding.file, finding.line, finding.severity]),
+        [["src/config.js", 1, "high"]],
+    );
+    assert.equal(localReview.exitCode(result, "high"), 1);
+    assert.equal(localReview.exitCode(result, "critical"), 0);
+    assert.equal(localReview.exitCode(result, "none"), 0);
+    assert.equal(localReview.exitCode({ findings: [] }, "info"), 0);
+});
+
+test("formats findings as SARIF with one rule per category", () => {
+    const findings = [
+        { file: "a.js", line: 3, severity: "high", category: "security", message: "Leak", fingerprint: "f1" },
+        {
+            file: "b.js",
+            line: 5,
+            endLine: 7,
+            severity: "low",
+            category: "readability",
+            message: "Long",
+            suggestion: "Split it",
+            fingerprint: "f2",
+        },
+        { file: "c.js", line: 1, severity: "medium", category: "security", message: "Weak", fingerprint: "f3" },
+    ];
+
+    const sarif = JSON.parse(localReview.formatSarif({ findings }));
+    const [run] = sarif.runs;
+
+    assert.equal(sarif.version, "2.1.0");
+    assert.deepEqual(run.tool.driver.rules.map((rule) => rule.id), ["ai-review/security", "ai-review/readability"]);
+    assert.deepEqual(
+        run.results.map((result) => [result.ruleId, result.ruleIndex, result.level]),
+        [
+            ["ai-review/security", 0, "error"],
+            ["ai-review/readability", 1, "note"],
+            ["ai-review/security", 0, "warning"],
+        ],
+    );
+    assert.deepEqual(run.results[1].locations[0].physicalLocation, {
+        artifactLocation: { uri: "b.js" },
+        region: { startLine: 5, endLine: 7 },
+    });
+    assert.equal(run.results[1].message.text, "Long\n\nSuggested fix:\nSplit it");
+    assert.deepEqual(run.results[0].partialFingerprints, { "aiReviewFinding/v1": "f1" });
+});
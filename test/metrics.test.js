@@ -0,0 +1,84 @@
+const { waitFor } = require("./setup");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const SECRET = "test-secret";
+const ADMIN_TOKEN = "admin-token";
+
+const port = 40000 + Math.floor(Math.random() * 20000);
+const url = `http://127.0.0.1:${port}`;
+let server;
+
+before(async () => {
+    server = spawn(process.execPath, [path.join(__dirname, "../src/server.js")], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            GITHUB_TOKEN: "test-token",
+            GITHUB_API_URL: "http://127.0.0.1:9",
+            GITHUB_WEBHOOK_SECRETS: SECRET,
+            ADMIN_TOKEN,
+            FEEDBACK_INTERVAL_MS: "0",
+        },
+        stdio: "ignore",
+    });
+
+    await waitFor(
+        () => fetch(`${url}/health`).then((res) => res.ok, () => false),
+        10000,
+    );
+});
+
+after(() => server.kill());
+
+/**
+ * Posts a signed delivery to the webhook endpoint.
+ */
+function deliver(event, payload, id = crypto.randomUUID()) {
+    const body = JSON.stringify(payload);
+
+    return fetch(`${url}/api/webhooks`, {
+        method: "POST",
+        headers: {
+            "content-type": "application/json",
+            "x-github-event": event,
+            "x-github-delivery": id,
+            "x-hub-signature-256": `sha256=${crypto.createHmac("sha256", SECRET).update(body).digest("hex")}`,
+        },
+        body,
+    });
+}
+
+test("counts each new webhook delivery once, per repository", async () => {
+    const ping = { zen: "Keep it simple.", repository: { full_name: "acme/shop" } };
+    const id = crypto.randomUUID();
+
+    await deliver("ping", ping, id);
+    await deliver("ping", ping);
+    await deliver("installation", { action: "created" });
+
+    // A redelivery and an admin replay are not new deliveries.
+    assert.equal((await (await deliver("ping", ping, id)).json()).duplicate, true);
+    const replay = await fetch(`${url}/admin/deliveries/${id}/replay`, {
+        method: "POST",
+        headers: { authorization: `Bearer ${ADMIN_TOKEN}` },
+    });
+    assert.equal(replay.status, 200);
+
+    const { metrics: series, repositories } = await (await fetch(`${url}/stats`)).json();
+    assert.deepEqual(
+        series.webhook_deliveries_total.map((entry) => [entry.labels, entry.value]),
+        [
+            [{ event: "ping", action: "none", repo: "acme/shop" }, 2],
+            [{ event: "installation", action: "created" }, 1],
+        ],
+    );
+    assert.equal(repositories["acme/shop"].webhook_deliveries_total, 2);
+    assert.match(
+        await (await fetch(`${url}/metrics`)).text(),
+        /^ai_reviewer_webhook_deliveries_total\{action="none",event="ping",repo="acme\/shop"\} 2$/m,
+    );
+});
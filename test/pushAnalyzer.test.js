@@ -0,0 +1,248 @@
+require("./setup");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const FakeGithub = require("./fakeGithub");
+
+const REPO = "acme/pay";
+
+// Split so the secret scanner's own rules don't flag this file.
+const STRIPE_KEY = "sk_live_" + "4eC39HqLyjWDarjtT1zdp7dc";
+
+const fake = new FakeGithub();
+let pushAnalyzer;
+let handler;
+let reviewQueue;
+
+before(async () => {
+    await fake.start();
+
+    // Read when the GitHub client is created.
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.GITHUB_API_URL = fake.url;
+    pushAnalyzer = require("../src/services/pushAnalyzer");
+    handler = require("../src/webhooks/handler");
+    reviewQueue = require("../src/services/reviewQueue");
+
+    fake.setContent(REPO, "base0", ".ai-review.yml", "commit_convention: conventional\npush_report: both\n");
+});
+
+after(async () => {
+    delete process.env.GITHUB_TOKEN;
+    delete process.env.GITHUB_API_URL;
+    await fake.stop();
+});
+
+/**
+ * A queued push as built by WebhookHandler.handlePush.
+ */
+function push(extra) {
+    return {
+        repo: REPO,
+        repoOwner: "acme",
+        repoName: "pay",
+        branch: "main",
+        defaultBranch: "main",
+        before: "base0",
+        forced: false,
+        created: false,
+        configSha: "base0",
+        ...extra,
+    };
+}
+
+const added = (filename, lines) => ({
+    filename,
+    status: "added",
+    patch: [`@@ -0,0 +1,${lines.length} @@`, ...lines.map((line) => `+${line}`)].join("\n"),
+});
+
+const statusesOn = (sha) => fake.statuses.filter((status) => status.sha === sha);
+const commentsOn = (sha) => fake.commitComments.filter((comment) => comment.commit_id === sha);
+
+test("tracks the default branch, or the push_branches globs instead", () => {
+    const cases = [
+        [[], "main", true],
+        [[], "feature/login", false],
+        [["release/*", "main"], "main", true],
+        [["release/*", "main"], "release/2.1", true],
+        [["release/*", "main"], "release/2.1/hotfix", false],
+        [["release/*"], "main", false],
+    ];
+
+    for (const [pushBranches, branch, tracked] of cases) {
+        assert.equal(
+            pushAnalyzer.isTrackedBranch(branch, "main", { pushBranches }),
+            tracked,
+            `${branch} with push_branches ${JSON.stringify(pushBranches)}`,
+        );
+    }
+});
+
+test("checks commit subjects against the convention", () => {
+    const cases = [
+        ["conventional", "feat(api): add refunds", null],
+        ["conventional", "fix!: drop the v1 endpoint\n\nBREAKING CHANGE: gone", null],
+        ["conventional", "Add refunds", 'does not follow Conventional Commits ("type(scope): subject")'],
+        ["conventional", "fix:no space", 'does not follow Conventional Commits ("type(scope): subject")'],
+        ["conventional", "feature: add refunds", 'unknown type "feature" (expected one of feat, fix, docs, style, refactor, perf, test, build, ci, chore, revert)'],
+        ["conventional", "Merge pull request #12 from acme/refunds", null],
+        ["conventional", "Merge branch 'main' into refunds", null],
+        ["conventional", "Merge remote-tracking branch 'origin/main'", null],
+        ["conventional", 'Revert "feat(api): add refunds"', null],
+        ["conventional", "Merged the refunds work", 'does not follow Conventional Commits ("type(scope): subject")'],
+        ["^[A-Z]+-\\d+ ", "PAY-12 Add refunds", null],
+        ["^[A-Z]+-\\d+ ", "Add refunds\nPAY-12 ", "does not match `^[A-Z]+-\\d+ `"],
+        ["^[A-Z]+-\\d+ ", "Merge branch 'main'", null],
+        ["none", "wip", null],
+    ];
+
+    for (const [convention, message, problem] of cases) {
+        assert.equal(pushAnalyzer.checkMessage(message, convention), problem, `${convention}: ${message}`);
+    }
+});
+
+test("reports each pushed commit on its own", async () => {
+    fake.setCommit(REPO, "c1", { message: "feat: add Stripe", files: [added("src/stripe.js", [`const key = "${STRIPE_KEY}";`])] });
+    fake.setCommit(REPO, "c2", { message: "update readme", files: [added("README.md", ["# Pay"])] });
+    fake.setCommit(REPO, "c3", { message: "docs: add usage", files: [added("USAGE.md", ["Run it."])] });
+
+    const result = await pushAnalyzer.run(
+        push({
+            after: "c3",
+            commits: [
+                { sha: "c1", message: "feat: add Stripe" },
+                { sha: "c2", message: "update readme" },
+                { sha: "c3", message: "docs: add usage" },
+            ],
+        }),
+    );
+
+    assert.deepEqual(result, { commits: 3, summarized: false });
+    assert.deepEqual(
+        ["c1", "c2", "c3"].map((sha) => statusesOn(sha).map((status) => [status.state, status.description])),
+        [
+            [["failure", "1 possible secret(s)"]],
+            [["failure", "1 commit message problem(s)"]],
+            [["success", "No problems found in 1 file(s)"]],
+        ],
+    );
+    assert.equal(statusesOn("c1")[0].context, "AI Code Review (push)");
+
+    // Comments only where something was found.
+    assert.match(commentsOn("c1")[0].body, /#### Possible secrets\n- .* `src\/stripe.js:1`/);
+    assert.match(commentsOn("c2")[0].body, /- `c2` "update readme": does not follow Conventional Commits/);
+    assert.deepEqual(commentsOn("c3"), []);
+});
+
+test("summarizes a push with more than PUSH_MAX_COMMITS commits as one diff", async () => {
+    fake.setComparison(REPO, "base0", "m3", [added("src/a.js", ["const a = 1;"]), added("src/b.js", ["const b = 2;"])]);
+
+    process.env.PUSH_MAX_COMMITS = "2";
+    let result;
+    try {
+        result = await pushAnalyzer.run(
+            push({
+                after: "m3",
+                commits: [
+                    { sha: "m1", message: "feat: a" },
+                    { sha: "m2", message: "wip" },
+                    { sha: "m3", message: "feat: b" },
+                ],
+            }),
+        );
+    } finally {
+        delete process.env.PUSH_MAX_COMMITS;
+    }
+
+    assert.deepEqual(result, { commits: 3, summarized: true });
+    assert.deepEqual(fake.calls("GET", /\/commits\/m\d$/), []);
+    assert.deepEqual(statusesOn("m1"), []);
+    assert.equal(statusesOn("m3")[0].description, "1 commit message problem(s)");
+
+    const [comment] = commentsOn("m3");
+    assert.match(comment.body, /^### AI Code Review: push to `main`\n\nPush of 3 commit\(s\), analyzed as one diff\.\n/);
+    assert.match(comment.body, /\*\*Changes:\*\* 2 file\(s\), \+2 −0/);
+    assert.match(comment.body, /- `m2` "wip"/);
+});
+
+test("falls back to the head commit when a force-push can't be compared", async () => {
+    fake.setCommit(REPO, "f2", { message: "oops", files: [added("src/c.js", ["const c = 3;"])] });
+
+    const result = await pushAnalyzer.run(
+        push({ before: "gone", after: "f2", forced: true, commits: [{ sha: "f2", message: "oops" }] }),
+    );
+
+    assert.deepEqual(result, { commits: 1, summarized: true });
+    assert.equal(fake.calls("GET", /\/compare\/gone\.\.\.f2$/).length, 1);
+    assert.match(
+        commentsOn("f2")[0].body,
+        /Force-push of 1 commit\(s\), analyzed as one diff\. Only the head commit could be analyzed\./,
+    );
+    assert.match(commentsOn("f2")[0].body, /\*\*Changes:\*\* 1 file\(s\), \+1 −0/);
+});
+
+test("queues pushes to tracked branches and ignores the rest", async () => {
+    fake.setContent(REPO, "p0", ".ai-review.yml", "push_branches: ['release/*']\n");
+    fake.setContent(REPO, "n1", ".ai-review.yml", "push_branches: ['hotfix/*']\n");
+    const jobs = () => reviewQueue.store.load().jobs.filter((job) => job.type === "push");
+    const payload = (extra) => ({
+        before: "p0",
+        after: "p1",
+        forced: false,
+        deleted: false,
+        created: false,
+        repository: { full_name: REPO, name: "pay", owner: { login: "acme" }, default_branch: "main" },
+        installation: { id: 7 },
+        commits: [
+            { id: "p1", message: "fix: rounding", distinct: true },
+            { id: "x9", message: "feat: from main", distinct: false },
+        ],
+        ...extra,
+    });
+
+    await handler.handlePush(payload({ ref: "refs/heads/main" }));
+    await handler.handlePush(payload({ ref: "refs/tags/v1.0.0" }));
+    await handler.handlePush(payload({ ref: "refs/heads/release/1.0", deleted: true, after: "0".repeat(40) }));
+    await handler.handlePush(payload({ ref: "refs/heads/release/1.0", commits: [{ id: "x9", message: "x", distinct: false }] }));
+    assert.deepEqual(jobs(), []);
+
+    await handler.handlePush(payload({ ref: "refs/heads/release/1.0", forced: true }));
+    // A new branch is checked under the config it brings.
+    await handler.handlePush(payload({ ref: "refs/heads/hotfix/2", before: "0".repeat(40), after: "n1", created: true }));
+
+    assert.deepEqual(
+        jobs().map(({ key, data }) => ({ key, ...data })),
+        [
+            {
+                key: `${REPO}:push:p1`,
+                repo: REPO,
+                repoOwner: "acme",
+                repoName: "pay",
+                branch: "release/1.0",
+                defaultBranch: "main",
+                before: "p0",
+                after: "p1",
+                forced: true,
+                created: false,
+                configSha: "p0",
+                commits: [{ sha: "p1", message: "fix: rounding" }],
+                installationId: 7,
+            },
+            {
+                key: `${REPO}:push:n1`,
+                repo: REPO,
+                repoOwner: "acme",
+                repoName: "pay",
+                branch: "hotfix/2",
+                defaultBranch: "main",
+                before: "0".repeat(40),
+                after: "n1",
+                forced: false,
+                created: true,
+                configSha: "n1",
+                commits: [{ sha: "p1", message: "fix: rounding" }],
+                installationId: 7,
+            },
+        ],
+    );
+});
@@ -0,0 +1,82 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const repoConfig = require("../src/services/repoConfig");
+
+test("applies valid settings over the defaults", () => {
+    const { config, errors, found } = repoConfig.parse(
+        ["min_severity: low", "max_comments: 5", "commit_convention: '^(feat|fix): '", "push_report: both"].join("\n"),
+    );
+
+    assert.deepEqual(errors, []);
+    assert.equal(found, true);
+    assert.equal(config.minSeverity, "low");
+    assert.equal(config.maxComments, 5);
+    assert.equal(config.commitConvention, "^(feat|fix): ");
+    assert.equal(config.pushReport, "both");
+    assert.deepEqual(config.include, ["**"]);
+});
+
+test("reports unknown settings and keeps the defaults", () => {
+    const { config, errors } = repoConfig.parse("min_severty: low\nreview_tests: true\n");
+
+    assert.deepEqual(errors, ['Unknown setting "min_severty"']);
+    assert.equal(config.minSeverity, "info");
+    assert.equal(config.reviewTests, true);
+});
+
+test("reports settings of the wrong type and falls back to their defaults", () => {
+    const { config, errors } = repoConfig.parse(
+        [
+            "include: src/**",
+            "max_comments: lots",
+            "review_tests: 'yes'",
+            "min_severity: blocker",
+            "check_fail_severity: none",
+            "secret_allowlist: ['(unclosed']",
+        ].join("\n"),
+    );
+
+    assert.deepEqual(errors, [
+        '"include" must be a list of glob strings',
+        '"max_comments" must be a non-negative integer',
+        '"review_tests" must be true or false',
+        '"min_severity" must be one of critical, high, medium, low, info',
+        '"secret_allowlist" contains an invalid regular expression: (unclosed',
+    ]);
+    assert.deepEqual(config.include, ["**"]);
+    assert.equal(config.maxComments, 25);
+    assert.equal(config.reviewTests, false);
+    assert.equal(config.minSeverity, "info");
+    assert.equal(config.checkFailSeverity, "none");
+    assert.deepEqual(config.secretAllowlist, []);
+});
+
+test("rejects a commit_convention that is not a valid regex", () => {
+    for (const value of ["'[a-z'", "42"]) {
+        const { config, errors } = repoConfig.parse(`commit_convention: ${value}`);
+
+        assert.deepEqual(errors, ['"commit_convention" must be "conventional", "none" or a regular expression']);
+        assert.equal(config.commitConvention, "none");
+    }
+});
+
+test("reports files that are not YAML or not a mapping", () => {
+    assert.match(repoConfig.parse("include: [src/**").errors[0], /^\.ai-review\.yml is not valid YAML: /);
+    assert.deepEqual(repoConfig.parse("- include").errors, [".ai-review.yml must contain a mapping of settings"]);
+    assert.deepEqual(repoConfig.parse("").errors, []);
+});
+
+test("formats the errors as a PR comment", () => {
+    assert.equal(
+        repoConfig.formatErrors(['Unknown setting "min_severty"', '"max_comments" must be a non-negative integer']),
+        [
+            "⚠️ **AI review configuration problem** in `.ai-review.yml`",
+            "",
+            "The following settings were ignored and their defaults used instead:",
+            "",
+            '- Unknown setting "min_severty"',
+            '- "max_comments" must be a non-negative integer',
+        ].join("\n"),
+    );
+});
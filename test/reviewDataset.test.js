@@ -0,0 +1,61 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const reviewDataset = require("../src/services/reviewDataset");
+const reviewState = require("../src/services/reviewState");
+
+const REPO = "acme/shop";
+
+/**
+ * A diff hunk as GitHub sends it with a review comment: it ends at the
+ * commented line.
+ */
+const hunk = (line) => `@@ -${line},2 +${line},2 @@\n const a = 1;\n-const b = 2;\n+const b = 3;`;
+
+/**
+ * Records a human review with one comment on src/cart.js.
+ */
+function humanReview(reviewId, prNumber, commitId, line) {
+    reviewDataset.record({
+        repo: REPO,
+        prNumber,
+        reviewId,
+        reviewer: "octocat",
+        state: "commented",
+        commitId,
+        comments: [
+            { id: reviewId * 10, path: "src/cart.js", line: line + 1, side: "RIGHT", body: "Why?", diffHunk: hunk(line), commitId },
+        ],
+    });
+}
+
+test("matches the bot's findings at the commit the human commented on", () => {
+    reviewState.recordReview(REPO, 1, "h1", [
+        { file: "src/cart.js", line: 5, severity: "medium", category: "correctness", message: "Off by one", commentId: 1 },
+    ]);
+    const [finding] = reviewState.get(REPO, 1).findings;
+
+    // Three lines inserted above it in h2.
+    reviewState.moveFinding(finding, { file: "src/cart.js", line: 8 }, "h2");
+
+    humanReview(1, 1, "h1", 5);
+    humanReview(2, 1, "h2", 8);
+    humanReview(3, 1, "h2", 5);
+
+    assert.deepEqual(
+        reviewDataset.buildTriples().map((triple) => [triple.commitId, triple.human.line, triple.botFindings.map((bot) => bot.line)]),
+        [
+            ["h1", 6, [5]],
+            ["h2", 9, [8]],
+            ["h2", 6, []],
+        ],
+    );
+});
+
+test("leaves pull requests the bot never reviewed out of the review state", () => {
+    humanReview(4, 2, "h1", 5);
+
+    const triple = reviewDataset.buildTriples().find((entry) => entry.prNumber === 2);
+    assert.deepEqual(triple.botFindings, []);
+    assert.equal(reviewState.find(REPO, 2), null);
+});
@@ -0,0 +1,389 @@
+require("./setup");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const FakeGithub = require("./fakeGithub");
+
+const REPO = "acme/shop";
+
+// Built up so the fixture doesn't trip secret scanners on this repository.
+const STRIPE_KEY = "sk_live_" + "4eC39HqLyjWDarjtT1zdp7dc";
+
+const fake = new FakeGithub();
+let reviewPipeline;
+let reviewState;
+let metrics;
+
+before(async () => {
+    await fake.start();
+
+    // Read when the GitHub client is created.
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.GITHUB_API_URL = fake.url;
+    reviewPipeline = require("../src/services/reviewPipeline");
+    reviewState = require("../src/services/reviewState");
+    metrics = require("../src/services/metrics");
+});
+
+after(async () => {
+    delete process.env.GITHUB_TOKEN;
+    delete process.env.GITHUB_API_URL;
+    await fake.stop();
+});
+
+const commentsPosted = () =>
+    (metrics.toJSON().repositories[REPO] || {}).review_comments_posted_total || 0;
+
+/**
+ * prInfo as built by WebhookHandler.handlePullRequest.
+ */
+function prInfo(number, extra = {}) {
+    return {
+        number,
+        repoOwner: "acme",
+        repoName: "shop",
+        repo: REPO,
+        installationId: 1,
+        ...extra,
+    };
+}
+
+/**
+ * A diff adding lines to a new file.
+ */
+function newFile(filename, lines) {
+    return [
+        `diff --git a/${filename} b/${filename}`,
+        "new file mode 100644",
+        "--- /dev/null",
+        `+++ b/${filename}`,
+        `@@ -0,0 +1,${lines.length} @@`,
+        ...lines.map((line) => `+${line}`),
+    ].join("\n");
+}
+
+test("reviews a pull request offline with the mock provider", async () => {
+    const diff = [
+        newFile("src/a.js", ["const a = 1;", "module.exports = a;"]),
+        newFile("src/b.py", ["def b():", "    return 2"]),
+    ].join("\n");
+    fake.addPullRequest(REPO, { number: 10, headSha: "h1", baseSha: "b0", diff });
+
+    const result = await reviewPipeline.run(prInfo(10));
+
+    assert.equal(result.findings, 2);
+    assert.equal(result.incremental, false);
+
+    // One review, with the mock provider's finding on each file's first added line.
+    const [review] = fake.reviews.filter((entry) => entry.number === 10);
+    assert.equal(review.state, "COMMENTED");
+    assert.equal(review.commit_id, "h1");
+    const comments = fake.reviewComments.filter((comment) => comment.number === 10);
+    assert.deepEqual(
+        comments.map((comment) => [comment.path, comment.line]).sort(),
+        [["src/a.js", 1], ["src/b.py", 1]],
+    );
+    assert.match(comments[0].body, /Mock finding/);
+    assert.equal(commentsPosted(), comments.length);
+
+    const summaries = fake.issueComments.filter((comment) => comment.number === 10);
+    assert.equal(summaries.length, 1);
+    assert.ok(summaries[0].body.startsWith("<!-- ai-review-summary -->"));
+
+    const run = fake.checkRuns.find((entry) => entry.head_sha === "h1");
+    assert.equal(run.status, "completed");
+    assert.equal(run.conclusion, "success");
+    assert.equal(run.output.annotations.length, 2);
+
+    const state = reviewState.get(REPO, 10);
+    assert.equal(state.lastReviewedSha, "h1");
+    assert.deepEqual(
+        state.findings.map((finding) => finding.commentId),
+        comments.map((comment) => comment.id),
+    );
+});
+
+test("skips a head commit it already reviewed", async () => {
+    const reviews = fake.reviews.length;
+
+    const result = await reviewPipeline.run(prInfo(10));
+
+    assert.equal(result.skipped, true);
+    assert.equal(fake.reviews.length, reviews);
+});
+
+test("reviews only the commits pushed since the last review", async () => {
+    const added = newFile("src/c.js", ["const c = 3;"]);
+    fake.updatePullRequest(REPO, 10, {
+        headSha: "h2",
+        diff: [fake.pulls.get(`${REPO}#10`).diff, added].join("\n"),
+    });
+    fake.setComparison(REPO, "h1", "h2", [
+        { filename: "src/c.js", status: "added", patch: "@@ -0,0 +1,1 @@\n+const c = 3;" },
+    ]);
+
+    const result = await reviewPipeline.run(prInfo(10, { before: "h1", after: "h2" }));
+
+    assert.equal(result.incremental, true);
+    const [, review] = fake.reviews.filter((entry) => entry.number === 10);
+    assert.deepEqual(
+        fake.reviewComments
+            .filter((comment) => comment.pull_request_review_id === review.id)
+            .map((comment) => comment.path),
+        ["src/c.js"],
+    );
+
+    // The summary comment is edited in place, keeping the first run as history.
+    const summaries = fake.issueComments.filter((comment) => comment.number === 10);
+    assert.equal(summaries.length, 1);
+    assert.match(summaries[0].body, /h2/);
+    assert.match(summaries[0].body, /h1/);
+    assert.equal(reviewState.get(REPO, 10).lastReviewedSha, "h2");
+});
+
+test("records writes instead of sending them in dry-run mode", async () => {
+    const dryRun = require("../src/services/dryRun");
+    const requests = fake.requests.length;
+    const posted = commentsPosted();
+
+    fake.addPullRequest(REPO, { number: 11, headSha: "d1", baseSha: "b0", diff: newFile("src/d.js", ["const d = 4;"]) });
+    process.env.DRY_RUN_REPOS = REPO;
+    try {
+        await reviewPipeline.run(prInfo(11));
+    } finally {
+        delete process.env.DRY_RUN_REPOS;
+    }
+
+    const writes = fake.requests.slice(requests).filter((request) => request.method !== "GET");
+    assert.deepEqual(writes, []);
+    assert.deepEqual(
+        dryRun.get(REPO, 11).writes.map((write) => write.action),
+        ["createCheckRun", "postReview", "createIssueComment", "completeCheckRun"],
+    );
+    assert.equal(reviewState.get(REPO, 11).lastReviewedSha, null);
+    assert.equal(commentsPosted(), posted);
+});
+
+test("reports a broken config once per version, across restarts", async () => {
+    const repoConfig = require("../src/services/repoConfig");
+    const reports = () =>
+        fake.issueComments.filter((comment) => comment.number === 12 && /configuration problem/.test(comment.body));
+
+    fake.setContent(REPO, "cfg0", ".ai-review.yml", "max_comments: lots\n");
+    fake.addPullRequest(REPO, { number: 12, headSha: "e1", baseSha: "cfg0", diff: newFile("src/e.js", ["const e = 5;"]) });
+
+    await reviewPipeline.run(prInfo(12));
+    repoConfig.cache.clear();
+    await reviewPipeline.run(prInfo(12, { force: true }));
+    assert.equal(reports().length, 1);
+
+    // A different broken version is reported again.
+    fake.setContent(REPO, "cfg1", ".ai-review.yml", "max_comment: 5\n");
+    fake.updatePullRequest(REPO, 12, { baseSha: "cfg1" });
+    await reviewPipeline.run(prInfo(12, { force: true }));
+    assert.equal(reports().length, 2);
+    assert.match(reports()[1].body, /Unknown setting "max_comment"/);
+});
+
+test("sends the surrounding code to the AI with its secrets masked", async () => {
+    const provider = require("../src/services/aiReviewer").getProvider();
+    const content = [
+        `const API_KEY = "${STRIPE_KEY}";`,
+        "",
+        "function charge(amount) {",
+        "    const client = connect();",
+        "    return client.charge(amount, API_KEY);",
+        "}",
+    ];
+    fake.setContent(REPO, "k1", "src/charge.js", content.join("\n"));
+    fake.addPullRequest(REPO, {
+        number: 13,
+        headSha: "k1",
+        baseSha: "b0",
+        diff: [
+            "diff --git a/src/charge.js b/src/charge.js",
+            "--- a/src/charge.js",
+            "+++ b/src/charge.js",
+            "@@ -4,2 +4,2 @@",
+            "     const client = connect();",
+            "-    return client.charge(amount);",
+            "+    return client.charge(amount, API_KEY);",
+        ].join("\n"),
+    });
+
+    const prompts = [];
+    const complete = provider.complete;
+    provider.complete = (request) => {
+        prompts.push(request.prompt);
+        return complete.call(provider, request);
+    };
+    try {
+        await reviewPipeline.run(prInfo(13));
+    } finally {
+        provider.complete = complete;
+    }
+
+    assert.equal(prompts.length, 1);
+    assert.match(prompts[0], /function charge\(amount\) \{/);
+    assert.match(prompts[0], /const API_KEY = "\[MASKED_SECRET\]";/);
+    assert.ok(!prompts[0].includes(STRIPE_KEY));
+});
+
+test("edits its summary comment in place instead of posting another", async () => {
+    fake.addPullRequest(REPO, { number: 14, headSha: "u1", baseSha: "b0", diff: newFile("src/u.js", ["const u = 1;"]) });
+    fake.issueComments.push({ id: fake.nextId(), repo: REPO, number: 14, body: "Can someone take a look?", user: { login: "octocat", type: "User" } });
+
+    await reviewPipeline.run(prInfo(14));
+    fake.updatePullRequest(REPO, 14, { headSha: "u2" });
+    await reviewPipeline.run(prInfo(14, { force: true }));
+    await reviewPipeline.run(prInfo(14, { force: true }));
+
+    const [, summary] = fake.issueComments.filter((comment) => comment.number === 14);
+    assert.equal(fake.issueComments.filter((comment) => comment.number === 14).length, 2);
+    assert.equal(fake.calls("POST", /\/issues\/14\/comments$/).length, 1);
+    assert.equal(fake.calls("PATCH", new RegExp(`/issues/comments/${summary.id}$`)).length, 2);
+    assert.match(summary.body, /^<!-- ai-review-summary -->\n## 🤖 AI Review Summary\n\n<!-- ai-review-run -->\n### Review of `u2`/);
+    assert.match(summary.body, /Previous reviews \(2\)/);
+});
+
+test("moves open findings with their code and resolves the right ones", async () => {
+    const lines = ["const a = 1;", "const b = 2;", "const c = 3;", "const d = 4;", `const key = "${STRIPE_KEY}";`, "module.exports = key;"];
+    const inserted = ["// one", "// two", "// three"];
+    const moved = [...lines.slice(0, 2), ...inserted, ...lines.slice(2)];
+    const fixed = moved.filter((line) => line !== lines[4]);
+
+    fake.addPullRequest(REPO, { number: 30, headSha: "m1", baseSha: "b0", diff: newFile("src/moved.js", lines) });
+    await reviewPipeline.run(prInfo(30));
+
+    const secret = reviewState.get(REPO, 30).findings.find((finding) => finding.category === "security");
+    assert.equal(secret.line, 5);
+
+    // Three lines inserted above the secret.
+    fake.updatePullRequest(REPO, 30, { headSha: "m2", diff: newFile("src/moved.js", moved) });
+    fake.setComparison(REPO, "m1", "m2", [
+        {
+            filename: "src/moved.js",
+            status: "modified",
+            patch: ["@@ -1,3 +1,6 @@", ` ${lines[0]}`, ` ${lines[1]}`, ...inserted.map((line) => `+${line}`), ` ${lines[2]}`].join("\n"),
+        },
+    ]);
+    await reviewPipeline.run(prInfo(30, { before: "m1", after: "m2" }));
+
+    assert.equal(secret.status, "open");
+    assert.equal(secret.line, 8);
+    assert.equal(secret.linesAt, "m2");
+    const run = fake.checkRuns.find((entry) => entry.head_sha === "m2");
+    assert.ok(run.output.annotations.some((annotation) => annotation.start_line === 8 && /stripe-key/.test(annotation.message)));
+
+    // The secret, now on line 8, is removed; nothing else is.
+    fake.updatePullRequest(REPO, 30, { headSha: "m3", diff: newFile("src/moved.js", fixed) });
+    fake.setComparison(REPO, "m2", "m3", [
+        {
+            filename: "src/moved.js",
+            status: "modified",
+            patch: ["@@ -7,3 +7,2 @@", ` ${moved[6]}`, `-${moved[7]}`, ` ${moved[8]}`].join("\n"),
+        },
+    ]);
+    await reviewPipeline.run(prInfo(30, { before: "m2", after: "m3" }));
+
+    const findings = reviewState.get(REPO, 30).findings;
+    assert.deepEqual(
+        findings.map((finding) => [finding.category, finding.line, finding.status]).sort(),
+        [
+            ["readability", 1, "open"],
+            ["readability", 3, "open"],
+            ["security", 8, "resolved"],
+        ],
+    );
+    const resolved = fake.reviewComments.filter((comment) => /Resolved/.test(comment.body));
+    assert.deepEqual(resolved.map((comment) => comment.id), [secret.commentId]);
+});
+
+test("a scoped review leaves the rest of the push for the next review", async () => {
+    fake.addPullRequest(REPO, {
+        number: 40,
+        headSha: "s1",
+        baseSha: "b0",
+        diff: [newFile("src/a/x.js", ["const x = 1;"]), newFile("src/b/y.js", ["const y = 1;"])].join("\n"),
+    });
+    await reviewPipeline.run(prInfo(40));
+
+    fake.updatePullRequest(REPO, 40, {
+        headSha: "s2",
+        diff: [
+            newFile("src/a/x.js", ["const x = 1;", "const x2 = 2;"]),
+            newFile("src/b/y.js", ["const y = 1;", "const y2 = 2;"]),
+        ].join("\n"),
+    });
+    fake.setComparison(REPO, "s1", "s2", [
+        { filename: "src/a/x.js", status: "modified", patch: "@@ -1,1 +1,2 @@\n const x = 1;\n+const x2 = 2;" },
+        { filename: "src/b/y.js", status: "modified", patch: "@@ -1,1 +1,2 @@\n const y = 1;\n+const y2 = 2;" },
+    ]);
+
+    // /ai-review src/a/**
+    await reviewPipeline.run(prInfo(40, { force: true, scope: ["src/a/**"] }));
+    assert.equal(reviewState.get(REPO, 40).lastReviewedSha, "s1");
+
+    // The push itself is still reviewed, including the file outside the scope.
+    const result = await reviewPipeline.run(prInfo(40, { before: "s1", after: "s2" }));
+    assert.equal(result.skipped, undefined);
+    const [, review] = fake.reviews.filter((entry) => entry.number === 40);
+    assert.deepEqual(
+        fake.reviewComments
+            .filter((comment) => comment.pull_request_review_id === review.id)
+            .map((comment) => [comment.path, comment.line])
+            .sort(),
+        [["src/a/x.js", 2], ["src/b/y.js", 2]],
+    );
+    assert.equal(reviewState.get(REPO, 40).lastReviewedSha, "s2");
+});
+
+test("dismisses its change request once nothing blocking is left open", async () => {
+    const before = ["const stripe = require(\"stripe\");", `const key = "${STRIPE_KEY}";`, "module.exports = stripe(key);"];
+    const after = ["const stripe = require(\"stripe\");", "const key = process.env.STRIPE_KEY;", "module.exports = stripe(key);"];
+
+    fake.addPullRequest(REPO, { number: 20, headSha: "a1", baseSha: "b0", diff: newFile("src/pay.js", before) });
+    await reviewPipeline.run(prInfo(20));
+
+    const [review] = fake.reviews.filter((entry) => entry.number === 20);
+    assert.equal(review.state, "CHANGES_REQUESTED");
+    assert.deepEqual(reviewState.get(REPO, 20).blockingReviews, [review.id]);
+
+    // The secret is replaced; the mock provider's info finding stays open.
+    fake.updatePullRequest(REPO, 20, { headSha: "a2", diff: newFile("src/pay.js", after) });
+    fake.setComparison(REPO, "a1", "a2", [
+        {
+            filename: "src/pay.js",
+            status: "modified",
+            patch: ["@@ -1,3 +1,3 @@", " " + before[0], "-" + before[1], "+" + after[1], " " + before[2]].join("\n"),
+        },
+    ]);
+    await reviewPipeline.run(prInfo(20, { before: "a1", after: "a2" }));
+
+    assert.equal(review.state, "DISMISSED");
+    assert.match(review.dismissalMessage, /blocking findings/);
+    assert.deepEqual(reviewState.get(REPO, 20).blockingReviews, []);
+    assert.ok(
+        reviewState.get(REPO, 20).findings.some(
+            (finding) => finding.status === "open" && finding.severity === "info",
+        ),
+    );
+});
+
+test("keeps the change request while a blocking finding is open", async () => {
+    const lines = [`const key = "${STRIPE_KEY}";`, "module.exports = key;"];
+
+    fake.addPullRequest(REPO, { number: 21, headSha: "c1", baseSha: "b0", diff: newFile("src/key.js", lines) });
+    await reviewPipeline.run(prInfo(21));
+
+    // A new commit that doesn't touch the secret.
+    const more = [...lines, "// more"];
+    fake.updatePullRequest(REPO, 21, { headSha: "c2", diff: newFile("src/key.js", more) });
+    fake.setComparison(REPO, "c1", "c2", [
+        { filename: "src/key.js", status: "modified", patch: ["@@ -2,1 +2,2 @@", " " + lines[1], "+// more"].join("\n") },
+    ]);
+    await reviewPipeline.run(prInfo(21, { before: "c1", after: "c2" }));
+
+    const reviews = fake.reviews.filter((entry) => entry.number === 21);
+    assert.equal(reviews[0].state, "CHANGES_REQUESTED");
+    assert.equal(fake.calls("PUT", /\/pulls\/21\/reviews\/\d+\/dismissals$/).length, 0);
+});
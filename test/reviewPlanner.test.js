@@ -0,0 +1,154 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const diffParser = require("../src/services/diffParser");
+const repoConfig = require("../src/services/repoConfig");
+const reviewPlanner = require("../src/services/reviewPlanner");
+
+// reviewPlanner's estimate for the instructions and each file's metadata.
+const PROMPT_OVERHEAD = 1500;
+const FILE_OVERHEAD = 150;
+
+const config = repoConfig.parse("exclude: ['docs/**']").config;
+
+/**
+ * A diff adding lines to a new file.
+ */
+function newFile(filename, lines) {
+    return [
+        `diff --git a/${filename} b/${filename}`,
+        "new file mode 100644",
+        "--- /dev/null",
+        `+++ b/${filename}`,
+        `@@ -0,0 +1,${lines.length} @@`,
+        ...lines.map((line) => `+${line}`),
+    ];
+}
+
+/**
+ * A diff adding lines at several places in an existing file, one hunk per
+ * entry of 'hunks'.
+ */
+function modifiedFile(filename, hunks) {
+    return [
+        `diff --git a/${filename} b/${filename}`,
+        `--- a/${filename}`,
+        `+++ b/${filename}`,
+        ...hunks.flatMap((lines, i) => {
+            const start = i * 1000 + 1;
+            return [`@@ -${start},1 +${start},${lines.length + 1} @@`, " // context", ...lines.map((line) => `+${line}`)];
+        }),
+    ];
+}
+
+const analyze = (...sections) => diffParser.analyzeDiff(sections.flat().join("\n")).files;
+const lines = (count, text = "const value = compute(input);") => Array.from({ length: count }, () => text);
+
+/**
+ * Limits for a given per-request budget.
+ */
+const limits = (budget, extra = {}) => ({ contextTokens: budget + PROMPT_OVERHEAD + 100, maxOutputTokens: 100, ...extra });
+
+test("skips files there is no point in reviewing, and says why", () => {
+    const files = analyze(
+        newFile("src/app.js", ["start();"]),
+        ["diff --git a/logo.png b/logo.png", "Binary files a/logo.png and b/logo.png differ"],
+        newFile("package-lock.json", ["{}"]),
+        newFile("src/api.pb.go", ["package api"]),
+        newFile("src/schema.js", ["// @generated by schema-gen", "module.exports = {};"]),
+        newFile("test/app.test.js", ["test('starts', () => {});"]),
+        newFile("docs/guide.js", ["guide();"]),
+        ["diff --git a/src/old.js b/src/old.js", "deleted file mode 100644", "--- a/src/old.js", "+++ /dev/null", "@@ -1 +0,0 @@", "-old();"],
+    );
+
+    const { batches, skipped } = reviewPlanner.plan(files, config, limits(100000));
+
+    assert.deepEqual(batches.map((batch) => batch.map((file) => file.filename)), [["src/app.js"]]);
+    assert.deepEqual(skipped, [
+        { filename: "logo.png", reason: "binary file" },
+        { filename: "package-lock.json", reason: "generated, vendored or lock file" },
+        { filename: "src/api.pb.go", reason: "generated, vendored or lock file" },
+        { filename: "src/schema.js", reason: "generated, vendored or lock file" },
+        { filename: "test/app.test.js", reason: "test file" },
+        { filename: "docs/guide.js", reason: "excluded by .ai-review.yml" },
+    ]);
+
+    const withTests = { ...config, reviewTests: true };
+    assert.equal(reviewPlanner.skipReason(files[5], withTests), null);
+});
+
+test("reviews the riskiest files first", () => {
+    const [plain, test, risky] = analyze(
+        newFile("src/plain.js", lines(2)),
+        newFile("src/plain.test.js", lines(2)),
+        newFile("src/risky.js", ["const fs = require(\"fs\");", "function load(path) {", "    return fs.readFileSync(path);", "}"]),
+    );
+
+    assert.ok(reviewPlanner.riskScore(risky) > reviewPlanner.riskScore(plain));
+    assert.ok(reviewPlanner.riskScore(plain) > reviewPlanner.riskScore(test));
+
+    const { batches } = reviewPlanner.plan([test, plain, risky], { ...config, reviewTests: true }, limits(100000));
+    assert.deepEqual(batches[0].map((file) => file.filename), ["src/risky.js", "src/plain.js", "src/plain.test.js"]);
+});
+
+test("packs files into as few requests as fit the budget, first fit", () => {
+    const files = analyze(
+        newFile("src/a.js", lines(20)),
+        newFile("src/b.js", lines(20)),
+        newFile("src/c.js", lines(20)),
+        newFile("src/d.js", lines(2)),
+    );
+    const size = (file) => reviewPlanner.estimateHunkTokens(file.hunks) + FILE_OVERHEAD;
+
+    // Two of the big files per request; the small one fills the gap.
+    const budget = size(files[0]) * 2 + size(files[3]);
+    const { batches, skipped, estimatedTokens } = reviewPlanner.plan(files, config, limits(budget));
+
+    assert.deepEqual(
+        batches.map((batch) => batch.map((file) => file.filename)),
+        [["src/a.js", "src/b.js", "src/d.js"], ["src/c.js"]],
+    );
+    assert.deepEqual(skipped, []);
+    assert.equal(estimatedTokens, files.reduce((sum, file) => sum + size(file), 0));
+    assert.equal(batches[0][0].partial, undefined);
+});
+
+test("splits a file that doesn't fit into groups of hunks, dropping hunks too large on their own", () => {
+    const [file] = analyze(
+        modifiedFile("src/big.js", [lines(10, "a();"), lines(10, "b();"), lines(400, "c();"), lines(10, "d();")]),
+    );
+    const hunkTokens = file.hunks.map((hunk) => reviewPlanner.estimateHunkTokens([hunk]));
+    const budget = FILE_OVERHEAD + hunkTokens[0] + hunkTokens[1];
+
+    const { parts, droppedHunks } = reviewPlanner.splitFile(file, budget);
+
+    assert.equal(droppedHunks, 1);
+    assert.deepEqual(
+        parts.map((part) => part.hunks.map((hunk) => hunk.lines.find((line) => line.type === "add").content)),
+        [["a();", "b();"], ["d();"]],
+    );
+    assert.deepEqual(parts.map((part) => part.tokens), [budget, FILE_OVERHEAD + hunkTokens[3]]);
+    assert.ok(parts.every((part) => part.partial));
+    assert.deepEqual(parts[1].addedLines.map((line) => line.content), lines(10, "d();"));
+
+    const { batches, skipped } = reviewPlanner.plan([file], config, limits(budget));
+    assert.equal(batches.length, 2);
+    assert.deepEqual(skipped, [{ filename: "src/big.js", reason: "1 hunk(s) too large to review" }]);
+});
+
+test("stops at maxRequests and reports what was left out", () => {
+    const files = analyze(
+        modifiedFile("src/big.js", [lines(10, "a();"), lines(10, "b();"), lines(10, "c();")]),
+        newFile("src/small.js", lines(10, "e();")),
+    );
+    const budget = FILE_OVERHEAD + reviewPlanner.estimateHunkTokens(files[0].hunks.slice(0, 2));
+
+    const { batches, skipped } = reviewPlanner.plan(files, config, limits(budget, { maxRequests: 1 }));
+
+    assert.equal(batches.length, 1);
+    assert.deepEqual(batches[0].map((part) => part.hunks.length), [2]);
+    assert.deepEqual(skipped, [
+        { filename: "src/big.js", reason: "partly reviewed, review budget exhausted" },
+        { filename: "src/small.js", reason: "review budget exhausted" },
+    ]);
+});
@@ -0,0 +1,119 @@
+const { waitFor } = require("./setup");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.REVIEW_QUEUE_BACKOFF_MS = "10";
+process.env.REVIEW_QUEUE_MAX_ATTEMPTS = "3";
+const reviewQueue = require("../src/services/reviewQueue");
+
+const findJob = (list, id) => reviewQueue.store.load()[list].find((job) => job.id === id);
+
+before(() => reviewQueue.start());
+after(() => reviewQueue.shutdown(1000));
+
+test("retries a failed job with backoff until it succeeds", async () => {
+    let calls = 0;
+    reviewQueue.process("flaky", async () => {
+        calls++;
+        if (calls < 3) {
+            throw Object.assign(new Error("Bad gateway"), { status: 502 });
+        }
+        return { ok: true };
+    });
+
+    const job = reviewQueue.enqueue("flaky", {});
+    await waitFor(() => findJob("completed", job.id));
+
+    const completed = findJob("completed", job.id);
+    assert.equal(calls, 3);
+    assert.equal(completed.attempts, 3);
+    assert.deepEqual(completed.result, { ok: true });
+});
+
+test("dead-letters a job that exhausts its attempts", async () => {
+    reviewQueue.process("broken", async () => {
+        throw new Error("Connection reset");
+    });
+
+    const job = reviewQueue.enqueue("broken", {});
+    await waitFor(() => findJob("deadLetter", job.id));
+
+    const dead = findJob("deadLetter", job.id);
+    assert.equal(dead.state, "dead");
+    assert.equal(dead.attempts, 3);
+    assert.equal(dead.lastError, "Connection reset");
+});
+
+test("dead-letters client errors without retrying", async () => {
+    reviewQueue.process("forbidden", async () => {
+        throw Object.assign(new Error("Not Found"), { status: 404 });
+    });
+
+    const job = reviewQueue.enqueue("forbidden", {});
+    await waitFor(() => findJob("deadLetter", job.id));
+
+    assert.equal(findJob("deadLetter", job.id).attempts, 1);
+});
+
+test("retries rate limits and timeouts", () => {
+    assert.equal(reviewQueue.isRetryable({ status: 429 }), true);
+    assert.equal(reviewQueue.isRetryable({ status: 408 }), true);
+    assert.equal(reviewQueue.isRetryable({ response: { status: 503 } }), true);
+    assert.equal(reviewQueue.isRetryable({ status: 422 }), false);
+    assert.equal(reviewQueue.isRetryable({ status: 500, retryable: false }), false);
+});
+
+test("puts a dead-lettered job back in the queue", async () => {
+    let fail = true;
+    reviewQueue.process("recovering", async () => {
+        if (fail) {
+            throw Object.assign(new Error("Unprocessable"), { status: 422 });
+        }
+    });
+
+    const job = reviewQueue.enqueue("recovering", {});
+    await waitFor(() => findJob("deadLetter", job.id));
+
+    fail = false;
+    assert.equal(reviewQueue.retryDead(job.id).state, "queued");
+    await waitFor(() => findJob("completed", job.id));
+    assert.equal(findJob("deadLetter", job.id), undefined);
+});
+
+test("merges a request into the pending job with the same key", async () => {
+    const handler = require("../src/webhooks/handler");
+    const seen = [];
+    reviewQueue.process("review", async (job) => {
+        seen.push(job.data);
+    });
+
+    const pr = { repo: "acme/shop", number: 3 };
+    handler.queueReview({ ...pr, before: "a1", after: "a2" });
+    handler.queueReview({ ...pr, force: true, scope: "src/**" });
+    await waitFor(() => seen.length === 1);
+
+    handler.queueReview({ ...pr, force: true, scope: "src/**" });
+    handler.queueReview({ ...pr, force: true, scope: "docs/**" });
+    await waitFor(() => seen.length === 2);
+
+    // A whole-PR request covers any scope; the first push's 'before' is kept.
+    assert.deepEqual(seen[0], { ...pr, before: "a1", after: "a2", force: true, scope: null });
+    assert.deepEqual(seen[1], { ...pr, before: undefined, force: true, scope: ["src/**", "docs/**"] });
+});
+
+test("a merged request waits for the pending job's retry", () => {
+    const job = reviewQueue.enqueue("later", { before: "a1" }, { key: "acme/shop#4" });
+    const retryAt = Date.now() + 60000;
+    Object.assign(job, { state: "delayed", attempts: 1, runAt: retryAt });
+
+    const merged = reviewQueue.enqueue("later", { before: "a2" }, { key: "acme/shop#4" });
+
+    assert.equal(merged.id, job.id);
+    assert.deepEqual(merged.data, { before: "a2" });
+    assert.equal(merged.state, "delayed");
+    assert.equal(merged.runAt, retryAt);
+
+    const state = reviewQueue.store.load();
+    state.jobs = state.jobs.filter((entry) => entry.id !== job.id);
+    reviewQueue.store.save();
+});
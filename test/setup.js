@@ -0,0 +1,35 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Shared setup, required first by every test file: local state goes to a
+ * temporary directory, nothing is logged (set TEST_LOG_LEVEL to debug a
+ * test), and the AI provider is the offline mock.
+ */
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "ai-review-test-"));
+process.on("exit", () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || "silent";
+process.env.AI_PROVIDER = "mock";
+delete process.env.GITHUB_TOKEN;
+delete process.env.GITHUB_APP_ID;
+delete process.env.ADVISORY_FILE;
+
+/**
+ * Waits until a condition holds.
+ * @param {function(): boolean|Promise<boolean>} condition
+ * @param {number} [timeoutMs]
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition, timeoutMs = 5000) => {
+    const started = Date.now();
+
+    while (!(await condition())) {
+        if (Date.now() - started > timeoutMs) {
+            throw new Error("Timed out waiting for condition");
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+};
+
+module.exports = { waitFor };
@@ -0,0 +1,95 @@
+const { waitFor } = require("./setup");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const path = require("path");
+const { spawn } = require("child_process");
+
+process.env.GITHUB_WEBHOOK_SECRETS = "new-secret, old-secret";
+const validator = require("../src/webhooks/validator");
+
+const sign = (body, secret) => `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+
+// Spacing and escapes JSON.parse + JSON.stringify would not reproduce.
+const RAW_BODY = Buffer.from('{"zen": "caf\\u00e9",  "hook_id": 1}');
+
+test("verifies the exact bytes GitHub signed", () => {
+    const signature = sign(RAW_BODY, "new-secret");
+
+    assert.equal(validator.verifySignature(RAW_BODY, signature), true);
+    assert.equal(validator.verifySignature(Buffer.from(JSON.stringify(JSON.parse(RAW_BODY))), signature), false);
+});
+
+test("accepts any secret listed during a rotation", () => {
+    assert.equal(validator.verifySignature(RAW_BODY, sign(RAW_BODY, "old-secret")), true);
+    assert.equal(validator.verifySignature(RAW_BODY, sign(RAW_BODY, "other-secret")), false);
+});
+
+test("rejects missing, malformed and truncated signatures", () => {
+    assert.equal(validator.verifySignature(RAW_BODY, undefined), false);
+    assert.equal(validator.verifySignature(RAW_BODY, "sha1=abc"), false);
+    assert.equal(validator.verifySignature(RAW_BODY, sign(RAW_BODY, "new-secret").slice(0, 20)), false);
+    assert.equal(validator.verifySignature(null, sign(RAW_BODY, "new-secret")), false);
+});
+
+test("reports missing payload fields", () => {
+    assert.deepEqual(validator.validatePayload("pull_request", { action: "opened" }).errors.slice(0, 2), [
+        "missing required field: pull_request.number",
+        "missing required field: pull_request.user.login",
+    ]);
+    assert.equal(validator.validatePayload(undefined, {}).valid, false);
+    assert.equal(validator.validatePayload("ping", []).valid, false);
+});
+
+describeServer();
+
+/**
+ * Runs the server in a child process and posts deliveries to it.
+ */
+function describeServer() {
+    const port = 40000 + Math.floor(Math.random() * 20000);
+    const url = `http://127.0.0.1:${port}`;
+    let server;
+
+    before(async () => {
+        server = spawn(process.execPath, [path.join(__dirname, "../src/server.js")], {
+            env: {
+                ...process.env,
+                PORT: String(port),
+                GITHUB_TOKEN: "test-token",
+                GITHUB_API_URL: "http://127.0.0.1:9",
+                FEEDBACK_INTERVAL_MS: "0",
+            },
+            stdio: "ignore",
+        });
+
+        await waitFor(
+            () => fetch(`${url}/health`).then((res) => res.ok, () => false),
+            10000,
+        );
+    });
+
+    after(() => server.kill());
+
+    const deliver = (body, signature) =>
+        fetch(`${url}/api/webhooks`, {
+            method: "POST",
+            headers: {
+                "content-type": "application/json",
+                "x-github-event": "ping",
+                "x-github-delivery": crypto.randomUUID(),
+                "x-hub-signature-256": signature,
+            },
+            body,
+        });
+
+    test("accepts a delivery signed over its raw body", async () => {
+        const res = await deliver(RAW_BODY, sign(RAW_BODY, "new-secret"));
+        assert.equal(res.status, 200);
+    });
+
+    test("rejects a delivery with a bad signature", async () => {
+        const res = await deliver(RAW_BODY, sign(Buffer.from(JSON.stringify(JSON.parse(RAW_BODY))), "new-secret"));
+        assert.equal(res.status, 401);
+    });
+}